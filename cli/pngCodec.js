@@ -0,0 +1,278 @@
+// cli/pngCodec.js
+// Minimal PNG encoder and decoder for Node.js, built on node:zlib (no canvas or native image libraries).
+// Decoding supports every standard color type and bit depth, palettes with transparency and
+// Adam7 interlacing; images are always returned as 8-bit RGBA.
+
+import { deflateSync, inflateSync } from 'node:zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel of each PNG color type
+const CHANNELS_BY_COLOR_TYPE = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: starting column/row and column/row step of each pass
+const ADAM7_PASSES = [
+    { x: 0, y: 0, dx: 8, dy: 8 }, { x: 4, y: 0, dx: 8, dy: 8 },
+    { x: 0, y: 4, dx: 4, dy: 8 }, { x: 2, y: 0, dx: 4, dy: 4 },
+    { x: 0, y: 2, dx: 2, dy: 4 }, { x: 1, y: 0, dx: 2, dy: 2 },
+    { x: 0, y: 1, dx: 1, dy: 2 }
+];
+
+let crcTable = null;
+
+export class PNGCodec {
+    /**
+     * Encodes 8-bit RGBA pixels as a PNG file.
+     * @param {number} width - Image width in pixels.
+     * @param {number} height - Image height in pixels.
+     * @param {Uint8Array|Uint8ClampedArray} pixels - RGBA pixel data, row by row from the top-left corner.
+     * @returns {Buffer} The PNG file contents.
+     */
+    static encode(width, height, pixels) {
+        // Every scanline is prefixed with its filter type (0: none)
+        const stride = width * 4;
+        const raw = Buffer.alloc((stride + 1) * height);
+        for (let y = 0; y < height; y++) {
+            raw[y * (stride + 1)] = 0;
+            raw.set(pixels.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header[8] = 8;  // Bit depth
+        header[9] = 6;  // Color type: RGBA
+        header[10] = 0; // Compression method
+        header[11] = 0; // Filter method
+        header[12] = 0; // No interlacing
+
+        return Buffer.concat([
+            PNG_SIGNATURE,
+            PNGCodec.createChunk('IHDR', header),
+            PNGCodec.createChunk('IDAT', deflateSync(raw)),
+            PNGCodec.createChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+
+    /**
+     * Decodes a PNG file.
+     * @param {Uint8Array} fileData - The PNG file contents.
+     * @returns {{width: number, height: number, data: Uint8ClampedArray}} The image as 8-bit RGBA.
+     * @throws {Error} If the data is not a valid PNG file.
+     */
+    static decode(fileData) {
+        const buffer = Buffer.from(fileData.buffer, fileData.byteOffset, fileData.byteLength);
+        if (buffer.length < PNG_SIGNATURE.length || !buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+            throw new Error('Not a PNG file.');
+        }
+
+        let header = null;
+        let palette = null;
+        let transparency = null;
+        const dataChunks = [];
+        let offset = PNG_SIGNATURE.length;
+        while (offset + 8 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString('latin1', offset + 4, offset + 8);
+            const data = buffer.subarray(offset + 8, offset + 8 + length);
+            offset += 12 + length; // Length, type, data and CRC
+
+            if (type === 'IHDR') {
+                header = {
+                    width: data.readUInt32BE(0),
+                    height: data.readUInt32BE(4),
+                    bitDepth: data[8],
+                    colorType: data[9],
+                    interlace: data[12]
+                };
+            } else if (type === 'PLTE') {
+                palette = data;
+            } else if (type === 'tRNS') {
+                transparency = data;
+            } else if (type === 'IDAT') {
+                dataChunks.push(data);
+            } else if (type === 'IEND') {
+                break;
+            }
+        }
+
+        if (!header || dataChunks.length === 0) {
+            throw new Error('PNG file has no image data.');
+        }
+        const channels = CHANNELS_BY_COLOR_TYPE[header.colorType];
+        if (!channels) {
+            throw new Error(`Unsupported PNG color type ${header.colorType}.`);
+        }
+        if (header.colorType === 3 && !palette) {
+            throw new Error('Palette PNG file has no palette.');
+        }
+
+        const raw = inflateSync(Buffer.concat(dataChunks));
+        const { width, height } = header;
+        const output = new Uint8ClampedArray(width * height * 4);
+        const bitsPerPixel = channels * header.bitDepth;
+        const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+
+        const passes = header.interlace === 1 ? ADAM7_PASSES : [{ x: 0, y: 0, dx: 1, dy: 1 }];
+        let rawOffset = 0;
+        for (const pass of passes) {
+            const passWidth = Math.ceil((width - pass.x) / pass.dx);
+            const passHeight = Math.ceil((height - pass.y) / pass.dy);
+            if (passWidth <= 0 || passHeight <= 0) {
+                continue; // Empty pass (small images)
+            }
+            const stride = Math.ceil(passWidth * bitsPerPixel / 8);
+            let previous = new Uint8Array(stride);
+
+            for (let row = 0; row < passHeight; row++) {
+                const filter = raw[rawOffset];
+                const line = Uint8Array.from(raw.subarray(rawOffset + 1, rawOffset + 1 + stride));
+                rawOffset += stride + 1;
+                PNGCodec.unfilterScanline(filter, line, previous, bytesPerPixel);
+
+                for (let col = 0; col < passWidth; col++) {
+                    const target = ((pass.y + row * pass.dy) * width + pass.x + col * pass.dx) * 4;
+                    PNGCodec.readPixel(line, col, header, channels, palette, transparency, output, target);
+                }
+                previous = line;
+            }
+        }
+
+        return { width: width, height: height, data: output };
+    }
+
+    /**
+     * Reverses the PNG filter of one scanline (in place).
+     * @param {number} filter - The filter type (0-4).
+     * @param {Uint8Array} line - The filtered scanline, without its filter type byte.
+     * @param {Uint8Array} previous - The previous, already unfiltered scanline (zeros for the first one).
+     * @param {number} bytesPerPixel - Bytes per complete pixel, at least 1.
+     */
+    static unfilterScanline(filter, line, previous, bytesPerPixel) {
+        for (let i = 0; i < line.length; i++) {
+            const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+            const up = previous[i];
+            const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+            let predictor;
+            switch (filter) {
+                case 0: predictor = 0; break;
+                case 1: predictor = left; break;
+                case 2: predictor = up; break;
+                case 3: predictor = (left + up) >> 1; break;
+                case 4: {
+                    // Paeth predictor: whichever neighbour is closest to left + up - upLeft
+                    const p = left + up - upLeft;
+                    const pLeft = Math.abs(p - left);
+                    const pUp = Math.abs(p - up);
+                    const pUpLeft = Math.abs(p - upLeft);
+                    predictor = (pLeft <= pUp && pLeft <= pUpLeft) ? left : (pUp <= pUpLeft ? up : upLeft);
+                    break;
+                }
+                default:
+                    throw new Error(`Invalid PNG filter type ${filter}.`);
+            }
+            line[i] = (line[i] + predictor) & 0xff;
+        }
+    }
+
+    /**
+     * Converts one pixel of an unfiltered scanline to 8-bit RGBA.
+     * @param {Uint8Array} line - The unfiltered scanline.
+     * @param {number} col - Index of the pixel within the scanline.
+     * @param {{bitDepth: number, colorType: number}} header - The image header.
+     * @param {number} channels - Samples per pixel.
+     * @param {Uint8Array|null} palette - PLTE chunk data (palette images).
+     * @param {Uint8Array|null} transparency - tRNS chunk data, if any.
+     * @param {Uint8ClampedArray} output - The RGBA output image.
+     * @param {number} target - Index of the pixel's red component in the output.
+     */
+    static readPixel(line, col, header, channels, palette, transparency, output, target) {
+        const bitDepth = header.bitDepth;
+        const maxValue = (1 << bitDepth) - 1;
+
+        // Raw sample values at the image's bit depth
+        const sample = (channel) => {
+            const index = col * channels + channel;
+            if (bitDepth === 8) return line[index];
+            if (bitDepth === 16) return (line[index * 2] << 8) | line[index * 2 + 1];
+            const bitOffset = index * bitDepth;
+            return (line[bitOffset >> 3] >> (8 - bitDepth - (bitOffset & 7))) & maxValue;
+        };
+        const to8Bit = (value) => bitDepth === 16 ? value >> 8 : Math.round(value * 255 / maxValue);
+
+        switch (header.colorType) {
+            case 0: { // Grayscale
+                const gray = sample(0);
+                const transparent = transparency && transparency.length >= 2 && gray === transparency.readUInt16BE(0);
+                output[target] = output[target + 1] = output[target + 2] = to8Bit(gray);
+                output[target + 3] = transparent ? 0 : 255;
+                break;
+            }
+            case 2: { // RGB
+                const r = sample(0), g = sample(1), b = sample(2);
+                const transparent = transparency && transparency.length >= 6 &&
+                    r === transparency.readUInt16BE(0) && g === transparency.readUInt16BE(2) && b === transparency.readUInt16BE(4);
+                output[target] = to8Bit(r);
+                output[target + 1] = to8Bit(g);
+                output[target + 2] = to8Bit(b);
+                output[target + 3] = transparent ? 0 : 255;
+                break;
+            }
+            case 3: { // Palette
+                const index = sample(0);
+                output[target] = palette[index * 3];
+                output[target + 1] = palette[index * 3 + 1];
+                output[target + 2] = palette[index * 3 + 2];
+                output[target + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+                break;
+            }
+            case 4: // Grayscale + alpha
+                output[target] = output[target + 1] = output[target + 2] = to8Bit(sample(0));
+                output[target + 3] = to8Bit(sample(1));
+                break;
+            case 6: // RGBA
+                output[target] = to8Bit(sample(0));
+                output[target + 1] = to8Bit(sample(1));
+                output[target + 2] = to8Bit(sample(2));
+                output[target + 3] = to8Bit(sample(3));
+                break;
+        }
+    }
+
+    /**
+     * Builds a PNG chunk: length, type, data and CRC.
+     * @param {string} type - The four-letter chunk type.
+     * @param {Buffer} data - The chunk data.
+     * @returns {Buffer} The complete chunk.
+     */
+    static createChunk(type, data) {
+        const chunk = Buffer.alloc(12 + data.length);
+        chunk.writeUInt32BE(data.length, 0);
+        chunk.write(type, 4, 'latin1');
+        data.copy(chunk, 8);
+        chunk.writeUInt32BE(PNGCodec.crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+        return chunk;
+    }
+
+    /**
+     * @param {Uint8Array} bytes - The bytes to checksum.
+     * @returns {number} The CRC-32 of the bytes, as used by PNG chunks.
+     */
+    static crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
@@ -0,0 +1,84 @@
+// cli/ppmCodec.js
+// Encoder and decoder for the Netpbm PPM/PGM image formats (binary P6/P5 and ASCII P3/P2).
+
+export class PPMCodec {
+    /**
+     * Encodes 8-bit RGBA pixels as a binary (P6) PPM file. Alpha is dropped.
+     * @param {number} width - Image width in pixels.
+     * @param {number} height - Image height in pixels.
+     * @param {Uint8Array|Uint8ClampedArray} pixels - RGBA pixel data, row by row from the top-left corner.
+     * @returns {Buffer} The PPM file contents.
+     */
+    static encode(width, height, pixels) {
+        const header = Buffer.from(`P6\n${width} ${height}\n255\n`, 'latin1');
+        const body = Buffer.alloc(width * height * 3);
+        for (let i = 0; i < width * height; i++) {
+            body[i * 3] = pixels[i * 4];
+            body[i * 3 + 1] = pixels[i * 4 + 1];
+            body[i * 3 + 2] = pixels[i * 4 + 2];
+        }
+        return Buffer.concat([header, body]);
+    }
+
+    /**
+     * Decodes a PPM (P3/P6) or PGM (P2/P5) file.
+     * @param {Uint8Array} fileData - The file contents.
+     * @returns {{width: number, height: number, data: Uint8ClampedArray}} The image as 8-bit RGBA.
+     * @throws {Error} If the data is not a supported Netpbm file.
+     */
+    static decode(fileData) {
+        const magic = String.fromCharCode(fileData[0], fileData[1]);
+        if (!['P2', 'P3', 'P5', 'P6'].includes(magic)) {
+            throw new Error('Not a PPM or PGM file.');
+        }
+        const channels = magic === 'P3' || magic === 'P6' ? 3 : 1;
+        const binary = magic === 'P5' || magic === 'P6';
+
+        // Reads the next whitespace-separated header token, skipping '#' comments
+        let offset = 2;
+        const isSpace = (byte) => byte === 0x20 || byte === 0x09 || byte === 0x0a || byte === 0x0d;
+        const nextToken = () => {
+            while (offset < fileData.length) {
+                if (fileData[offset] === 0x23) { // '#'
+                    while (offset < fileData.length && fileData[offset] !== 0x0a) offset++;
+                } else if (isSpace(fileData[offset])) {
+                    offset++;
+                } else {
+                    break;
+                }
+            }
+            let token = '';
+            while (offset < fileData.length && !isSpace(fileData[offset])) {
+                token += String.fromCharCode(fileData[offset++]);
+            }
+            return parseInt(token, 10);
+        };
+
+        const width = nextToken();
+        const height = nextToken();
+        const maxValue = nextToken();
+        if (!(width > 0 && height > 0 && maxValue > 0 && maxValue < 65536)) {
+            throw new Error('Invalid PPM header.');
+        }
+        offset++; // Single whitespace character before the raster
+
+        const bytesPerSample = maxValue > 255 ? 2 : 1;
+        const readSample = () => {
+            if (!binary) {
+                return nextToken();
+            }
+            const value = bytesPerSample === 2 ? (fileData[offset] << 8) | fileData[offset + 1] : fileData[offset];
+            offset += bytesPerSample;
+            return value;
+        };
+
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < width * height; i++) {
+            for (let c = 0; c < 3; c++) {
+                data[i * 4 + c] = c < channels ? Math.round(readSample() * 255 / maxValue) : data[i * 4];
+            }
+            data[i * 4 + 3] = 255;
+        }
+        return { width: width, height: height, data: data };
+    }
+}
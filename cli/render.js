@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+// cli/render.js
+// Headless renderer: renders a scene file (as saved by the browser app, see SceneFile) to a PNG or PPM image.
+//
+// Usage: node cli/render.js <scene.json> -o <image.png|image.ppm> [options]
+// Textures embedded in the scene file are used as is; any other texture an object or the environment
+// map refers to is decoded from disk (PNG, PPM, PGM or Radiance HDR), looked up by its ID in the texture directory.
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { dirname, extname, join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { SceneFile } from '../public/js/sceneFile.js';
+import { SceneSerializer } from '../public/js/sceneSerializer.js';
+import { TextureManager } from '../public/js/textureManager.js';
+import { Raytracer, INTEGRATORS } from '../public/js/raytracer.js';
+import { SAMPLES_PER_PIXEL_COUNTS, SAMPLE_PATTERNS, RECONSTRUCTION_FILTERS } from '../public/js/sampling.js';
+import { Framebuffer } from '../public/js/framebuffer.js';
+import { PNGCodec } from './pngCodec.js';
+import { PPMCodec } from './ppmCodec.js';
+import { HDRCodec } from '../public/js/hdrCodec.js';
+
+const USAGE = `Usage: node cli/render.js <scene.json> -o <output.png|output.ppm> [options]
+
+Options:
+  -o, --output <file>      Output image; the format is taken from the extension (.png or .ppm)
+  -w, --width <pixels>     Image width (default: the width the scene was saved with)
+  -h, --height <pixels>    Image height (default: the height the scene was saved with)
+  -s, --samples <count>    Samples per pixel, a multiple of the samples per pass
+                           (default: 16, rounded up to whole passes)
+      --spp <count>        Samples per pixel and pass: 1, 4, 9 or 16 (default: from the scene file)
+      --pattern <name>     Sample pattern: grid, jittered or halton (default: from the scene file)
+      --filter <name>      Reconstruction filter: box, tent or gaussian (default: from the scene file)
+      --max-depth <count>  Maximum ray bounces (default: from the scene file)
+      --integrator <name>  Integrator: whitted or path (default: from the scene file)
+      --textures <dir>     Directory of texture files (default: the scene file's directory)
+      --format <png|ppm>   Output format, overriding the output file extension
+  -q, --quiet              Only print errors
+      --help               Show this help`;
+
+const IMAGE_CODECS = {
+    '.png': PNGCodec,
+    '.ppm': PPMCodec,
+    '.pgm': PPMCodec,
+    '.hdr': HDRCodec
+};
+
+/**
+ * Parses a positive integer option.
+ * @param {string|undefined} value - The option value.
+ * @param {string} name - The option name, for error messages.
+ * @returns {number|undefined} The parsed number, or undefined if the option was not given.
+ */
+function parsePositiveInt(value, name) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`--${name} must be a positive integer, got '${value}'.`);
+    }
+    return number;
+}
+
+/**
+ * Parses a non-negative integer option.
+ * @param {string|undefined} value - The option value.
+ * @param {string} name - The option name, for error messages.
+ * @returns {number|undefined} The parsed number, or undefined if the option was not given.
+ */
+function parseNonNegativeInt(value, name) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isInteger(number) || number < 0) {
+        throw new Error(`--${name} must be a non-negative integer, got '${value}'.`);
+    }
+    return number;
+}
+
+/**
+ * Parses an option that takes one of a fixed set of values.
+ * @param {string|undefined} value - The option value.
+ * @param {string} name - The option name, for error messages.
+ * @param {Array<string|number>} choices - The allowed values; numbers are matched by their decimal form.
+ * @returns {string|number|undefined} The matching choice, or undefined if the option was not given.
+ */
+function parseChoice(value, name, choices) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const choice = choices.find(candidate => String(candidate) === value);
+    if (choice === undefined) {
+        const list = `${choices.slice(0, -1).join(', ')} or ${choices[choices.length - 1]}`;
+        throw new Error(`--${name} must be ${list}, got '${value}'.`);
+    }
+    return choice;
+}
+
+/**
+ * Decodes the textures the scene's materials and environment map refer to but the scene file does not embed.
+ * @param {Scene} scene - The loaded scene.
+ * @param {TextureManager} textureManager - The texture manager to add decoded textures to.
+ * @param {string} textureDirectory - Directory the texture files are looked up in.
+ */
+function loadTexturesFromDisk(scene, textureManager, textureDirectory) {
+    const textureIds = new Set(scene.materials.flatMap(material => material.getTextureIds()));
+    if (scene.environment) {
+        textureIds.add(scene.environment.textureId);
+    }
+    for (const textureId of textureIds) {
+        if (textureManager.hasTexture(textureId)) {
+            continue; // Embedded in the scene file, or procedural
+        }
+        const path = join(textureDirectory, textureId);
+        const codec = IMAGE_CODECS[extname(textureId).toLowerCase()];
+        if (!existsSync(path)) {
+            console.warn(`Texture '${textureId}' not found in ${textureDirectory}.`);
+        } else if (!codec) {
+            console.warn(`Texture '${textureId}' has an unsupported format (supported: PNG, PPM, PGM, HDR).`);
+        } else {
+            try {
+                const image = codec.decode(readFileSync(path));
+                textureManager.addTexture(textureId, image.width, image.height, image.data);
+            } catch (error) {
+                console.warn(`Could not decode texture '${textureId}': ${error.message}`);
+            }
+        }
+    }
+}
+
+function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            output: { type: 'string', short: 'o' },
+            width: { type: 'string', short: 'w' },
+            height: { type: 'string', short: 'h' },
+            samples: { type: 'string', short: 's' },
+            spp: { type: 'string' },
+            pattern: { type: 'string' },
+            filter: { type: 'string' },
+            'max-depth': { type: 'string' },
+            integrator: { type: 'string' },
+            textures: { type: 'string' },
+            format: { type: 'string' },
+            quiet: { type: 'boolean', short: 'q' },
+            help: { type: 'boolean' }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (positionals.length !== 1 || !values.output) {
+        throw new Error(`Expected a scene file and an output file.\n\n${USAGE}`);
+    }
+
+    const scenePath = resolve(positionals[0]);
+    const outputPath = resolve(values.output);
+    const format = values.format ? `.${values.format.toLowerCase()}` : extname(outputPath).toLowerCase();
+    if (format !== '.png' && format !== '.ppm') {
+        throw new Error(`Unsupported output format '${format}' (use .png or .ppm).`);
+    }
+    if (values.quiet) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    const loaded = SceneFile.parse(readFileSync(scenePath, 'utf8'));
+    const textureManager = new TextureManager();
+    SceneSerializer.deserializeTextures(textureManager, loaded.textures);
+    loadTexturesFromDisk(loaded.scene, textureManager, resolve(values.textures || dirname(scenePath)));
+
+    const width = parsePositiveInt(values.width, 'width') || loaded.camera.imageWidth;
+    const height = parsePositiveInt(values.height, 'height') || loaded.camera.imageHeight;
+    const requestedSamples = parsePositiveInt(values.samples, 'samples');
+    const camera = loaded.camera;
+    camera.imageWidth = width;
+    camera.imageHeight = height;
+    camera.updateBasis();
+
+    const framebuffer = new Framebuffer(width, height);
+    const raytracer = new Raytracer(framebuffer, camera, loaded.scene, textureManager);
+    if (loaded.settings) {
+        raytracer.applySettings(loaded.settings);
+    }
+    const samplesPerPixel = parseChoice(values.spp, 'spp', SAMPLES_PER_PIXEL_COUNTS);
+    const pattern = parseChoice(values.pattern, 'pattern', SAMPLE_PATTERNS);
+    const filter = parseChoice(values.filter, 'filter', RECONSTRUCTION_FILTERS);
+    const maxDepth = parseNonNegativeInt(values['max-depth'], 'max-depth');
+    if (samplesPerPixel !== undefined) {
+        raytracer.antialiasing.samplesPerPixel = samplesPerPixel;
+    }
+    if (pattern !== undefined) {
+        raytracer.antialiasing.pattern = pattern;
+    }
+    if (filter !== undefined) {
+        raytracer.antialiasing.filter = filter;
+    }
+    if (maxDepth !== undefined) {
+        raytracer.maxDepth = maxDepth;
+    }
+    if (values.integrator !== undefined) {
+        if (!INTEGRATORS.includes(values.integrator)) {
+            throw new Error(`Unknown integrator '${values.integrator}' (use ${INTEGRATORS.join(' or ')}).`);
+        }
+        raytracer.integrator = values.integrator;
+    }
+
+    // Passes always trace all their samples, so the total is a whole number of passes
+    const samplesPerPass = raytracer.getSamplesPerPass();
+    if (requestedSamples !== undefined && requestedSamples % samplesPerPass !== 0) {
+        throw new Error(`--samples must be a multiple of the ${samplesPerPass} samples per pass, got '${values.samples}'.`);
+    }
+    const sampleCount = requestedSamples || Math.ceil(16 / samplesPerPass) * samplesPerPass;
+
+    const start = Date.now();
+    console.log(`Rendering ${positionals[0]} at ${width}x${height}, ${sampleCount} samples per pixel...`);
+    raytracer.render(sampleCount, (done, total) => console.log(`  ${done}/${total} samples`));
+
+    const codec = format === '.png' ? PNGCodec : PPMCodec;
+    writeFileSync(outputPath, codec.encode(width, height, framebuffer.pixels));
+    console.log(`Wrote ${values.output} in ${((Date.now() - start) / 1000).toFixed(1)} s.`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,90 @@
+// public/js/areaLight.js
+// Defines the AreaLight class, the base class of lights with an extent (see RectLight, DiskLight
+// and SphereLight). Shadow tests sample several points on the light, so the shadows they cast
+// are soft: partly occluded points get a fraction of the light. Area lights also show up in
+// the image where a ray sees them directly.
+
+import { Vec3 } from './math.js';
+import { Light } from './light.js';
+
+export class AreaLight extends Light {
+    /**
+     * @param {Vec3} position - The center of the light.
+     * @param {Vec3} color - The color of the light (RGB values, typically 0-1).
+     * @param {number} [samples=16] - Number of shadow rays per shading point (rounded up to a square number).
+     *   More samples give smoother shadows at a higher cost.
+     */
+    constructor(position = new Vec3(0, 0, 0), color = new Vec3(1.0, 1.0, 1.0), samples = 16) {
+        super(position, color);
+        this.samples = samples;
+    }
+
+    /**
+     * @returns {number} The side of the stratified sample grid: the square root of the sample count, rounded up.
+     */
+    getSampleGridSize() {
+        return Math.max(1, Math.ceil(Math.sqrt(this.samples)));
+    }
+
+    /**
+     * Samples the light arriving at a point from a point picked uniformly on the light's surface
+     * (see samplePoint). For the path tracer, the surface emits getEmittedColor() as radiance, so
+     * the light dims with distance and grows with size on its own; the falloff setting only
+     * applies to Whitted shading.
+     * @param {Vec3} point - The point being lit.
+     * @param {number} u - First sample coordinate, in [0, 1).
+     * @param {number} v - Second sample coordinate, in [0, 1).
+     * @returns {{direction: Vec3, distance: number, radiance: Vec3, pdf: number, delta: boolean}|null}
+     *   The sample (see Light.sampleIncidentLight), or null if the point does not see the light's front.
+     */
+    sampleIncidentLight(point, u, v) {
+        const lightPoint = this.samplePoint(point, u, v);
+        if (!lightPoint) {
+            return null;
+        }
+        const toLight = lightPoint.subtract(point);
+        const distance = toLight.length();
+        if (distance < 1e-6) {
+            return null;
+        }
+        const direction = toLight.divideScalar(distance);
+        const pdf = this.getIncidentPdf(point, direction, distance);
+        if (!(pdf > 0) || !Number.isFinite(pdf)) {
+            return null; // Seen edge-on
+        }
+        return { direction: direction, distance: distance, radiance: this.getEmittedColor(), pdf: pdf, delta: false };
+    }
+
+    /**
+     * Converts the uniform density over the light's surface (1 / area) to a density per solid
+     * angle at the point being lit.
+     * @param {Vec3} point - A point being lit.
+     * @param {Vec3} direction - A unit direction from the point towards the light.
+     * @param {number} distance - The distance along the direction to the light's surface.
+     * @returns {number} The density per solid angle of sampleIncidentLight() picking the direction.
+     */
+    getIncidentPdf(point, direction, distance) {
+        const cosLight = Math.abs(direction.dot(this.normal));
+        return cosLight > 1e-8 ? (distance * distance) / (cosLight * this.getArea()) : 0;
+    }
+
+    /**
+     * @returns {number} The area of the light's emitting surface.
+     */
+    getArea() {
+        return 0;
+    }
+
+    /**
+     * Computes two unit axes spanning the plane perpendicular to a direction, chosen like the
+     * texture axes of Plane and Disk.
+     * @param {Vec3} normal - The unit direction.
+     * @returns {{uAxis: Vec3, vAxis: Vec3}} The axes.
+     */
+    static computeAxes(normal) {
+        const reference = Math.abs(normal.y) > 0.5 ? new Vec3(1, 0, 0)
+            : (Math.abs(normal.x) > 0.5 ? new Vec3(0, 1, 0) : new Vec3(1, 0, 0));
+        const uAxis = reference.subtract(normal.multiplyScalar(normal.dot(reference))).normalize();
+        return { uAxis: uAxis, vAxis: normal.cross(uAxis).normalize() };
+    }
+}
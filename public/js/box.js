@@ -0,0 +1,116 @@
+// public/js/box.js
+// Defines the Box class, a rectangular cuboid. The box is axis-aligned in object space;
+// oriented boxes are boxes with a rotation in their transform (see Box.oriented).
+
+import { Vec3 } from './math.js';
+import { Object } from './object.js';
+import { IntersectionInfo } from './scene.js';
+import { AABB } from './bvh.js';
+
+const AXIS_NAMES = ['x', 'y', 'z'];
+// Texture axes of the faces perpendicular to each axis: [u axis, v axis]
+const FACE_UV_AXES = { x: ['z', 'y'], y: ['x', 'z'], z: ['x', 'y'] };
+
+export class Box extends Object {
+    /**
+     * @param {Vec3} min - The minimum corner of the box.
+     * @param {Vec3} max - The maximum corner of the box.
+     * @param {Material|Vec3} material - The material of the box, or its diffuse color (see Object).
+     * @param {string|null} [textureId=null] - Optional texture ID, if a color is given.
+     */
+    constructor(min, max, material, textureId = null) {
+        super(material, '', textureId);
+        this.min = new Vec3(Math.min(min.x, max.x), Math.min(min.y, max.y), Math.min(min.z, max.z));
+        this.max = new Vec3(Math.max(min.x, max.x), Math.max(min.y, max.y), Math.max(min.z, max.z));
+    }
+
+    /**
+     * Creates a box centered on a point and rotated around it.
+     * @param {Vec3} center - The center of the box.
+     * @param {Vec3} size - The edge lengths of the box along its own axes.
+     * @param {Vec3} rotation - Euler angles in degrees (see Object.setTransform).
+     * @param {Material|Vec3} material - The material of the box, or its diffuse color (see Object).
+     * @param {string|null} [textureId=null] - Optional texture ID, if a color is given.
+     * @returns {Box} The box.
+     */
+    static oriented(center, size, rotation, material, textureId = null) {
+        const halfSize = size.multiplyScalar(0.5);
+        const box = new Box(halfSize.negate(), halfSize, material, textureId);
+        box.setTransform(center, rotation, new Vec3(1, 1, 1));
+        return box;
+    }
+
+    /**
+     * @returns {AABB} The bounding box, which is the box itself.
+     */
+    getLocalBounds() {
+        return new AABB(this.min, this.max);
+    }
+
+    /**
+     * Finds where a ray enters and leaves the box (slab method).
+     * Each face is mapped to the whole texture, with V pointing up on the side faces.
+     * @param {Ray} ray - The ray, in object space.
+     * @returns {Crossing[]} The entry and exit crossings (at any distance along the ray's line),
+     *   or an empty array if the ray misses the box.
+     */
+    getCrossings(ray) {
+        let tNear = -Infinity, tFar = Infinity;
+        let nearAxis = 0, farAxis = 0;
+        for (let i = 0; i < 3; i++) {
+            const axis = AXIS_NAMES[i];
+            const origin = ray.origin[axis];
+            const direction = ray.direction[axis];
+            if (Math.abs(direction) < 1e-12) {
+                // Parallel to this slab: either always inside it or never
+                if (origin < this.min[axis] || origin > this.max[axis]) {
+                    return [];
+                }
+                continue;
+            }
+            let t0 = (this.min[axis] - origin) / direction;
+            let t1 = (this.max[axis] - origin) / direction;
+            if (t0 > t1) {
+                [t0, t1] = [t1, t0];
+            }
+            if (t0 > tNear) {
+                tNear = t0;
+                nearAxis = i;
+            }
+            if (t1 < tFar) {
+                tFar = t1;
+                farAxis = i;
+            }
+            if (tNear > tFar) {
+                return [];
+            }
+        }
+
+        // The ray's direction tells which of the two faces of an axis it crosses
+        const makeCrossing = (t, axisIndex, entering) => {
+            const axis = AXIS_NAMES[axisIndex];
+            const sign = (ray.direction[axis] > 0) === entering ? -1 : 1;
+            const normal = new Vec3(0, 0, 0);
+            normal[axis] = sign;
+            const point = ray.pointAt(t);
+            const [uAxis, vAxis] = FACE_UV_AXES[axis];
+            const u = (point[uAxis] - this.min[uAxis]) / (this.max[uAxis] - this.min[uAxis] || 1);
+            const v = (point[vAxis] - this.min[vAxis]) / (this.max[vAxis] - this.min[vAxis] || 1);
+            return { t: t, normal: normal, uv: new Vec3(u, v, 0) };
+        };
+        return [makeCrossing(tNear, nearAxis, true), makeCrossing(tFar, farAxis, false)];
+    }
+
+    /**
+     * Implements the ray-box intersection test in object space.
+     * @param {Ray} ray - The ray to test for intersection, in object space.
+     * @returns {{hit: boolean, info: IntersectionInfo|null}} An object indicating if a hit occurred and the intersection info.
+     */
+    intersectLocal(ray) {
+        const crossing = Object.nearestCrossing(this.getCrossings(ray));
+        if (!crossing) {
+            return { hit: false, info: null };
+        }
+        return { hit: true, info: new IntersectionInfo(ray.pointAt(crossing.t), crossing.normal, crossing.t, crossing.uv) };
+    }
+}
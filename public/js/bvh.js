@@ -0,0 +1,365 @@
+// public/js/bvh.js
+// Axis-aligned bounding boxes and a bounding volume hierarchy (BVH) used to accelerate
+// ray intersection against many primitives (triangles of a mesh, objects of a scene).
+
+import { Vec3 } from './math.js';
+
+// Maximum number of primitives stored in a leaf node.
+const MAX_LEAF_SIZE = 4;
+// Number of buckets used when evaluating the Surface Area Heuristic (SAH) along an axis.
+const SAH_BIN_COUNT = 12;
+// Relative cost of traversing an inner node compared to intersecting one primitive.
+const TRAVERSAL_COST = 0.5;
+
+export class AABB {
+    /**
+     * @param {Vec3} [min=new Vec3(Infinity, Infinity, Infinity)] - The minimum corner of the box.
+     * @param {Vec3} [max=new Vec3(-Infinity, -Infinity, -Infinity)] - The maximum corner of the box.
+     * The defaults describe an empty box, which grows as points or boxes are added to it.
+     */
+    constructor(min = new Vec3(Infinity, Infinity, Infinity), max = new Vec3(-Infinity, -Infinity, -Infinity)) {
+        this.min = min;
+        this.max = max;
+    }
+
+    /**
+     * Creates the smallest box containing all the given points.
+     * @param {Vec3[]} points - The points to enclose.
+     * @returns {AABB} The enclosing box.
+     */
+    static fromPoints(points) {
+        const box = new AABB();
+        for (const p of points) {
+            box.expandByPoint(p);
+        }
+        return box;
+    }
+
+    /**
+     * Grows the box (in place) so that it contains the given point.
+     * @param {Vec3} p - The point to include.
+     * @returns {AABB} This box, for chaining.
+     */
+    expandByPoint(p) {
+        this.min = new Vec3(Math.min(this.min.x, p.x), Math.min(this.min.y, p.y), Math.min(this.min.z, p.z));
+        this.max = new Vec3(Math.max(this.max.x, p.x), Math.max(this.max.y, p.y), Math.max(this.max.z, p.z));
+        return this;
+    }
+
+    /**
+     * Grows the box (in place) so that it contains another box.
+     * @param {AABB} box - The box to include.
+     * @returns {AABB} This box, for chaining.
+     */
+    expandByBox(box) {
+        this.expandByPoint(box.min);
+        this.expandByPoint(box.max);
+        return this;
+    }
+
+    /**
+     * @returns {boolean} True if the box contains no points (nothing was added to it yet).
+     */
+    isEmpty() {
+        return this.min.x > this.max.x || this.min.y > this.max.y || this.min.z > this.max.z;
+    }
+
+    /**
+     * @returns {Vec3} The center point of the box.
+     */
+    centroid() {
+        return this.min.add(this.max).multiplyScalar(0.5);
+    }
+
+    /**
+     * @returns {number} The surface area of the box (0 for an empty box).
+     */
+    surfaceArea() {
+        if (this.isEmpty()) {
+            return 0;
+        }
+        const d = this.max.subtract(this.min);
+        return 2.0 * (d.x * d.y + d.y * d.z + d.z * d.x);
+    }
+
+    /**
+     * @returns {Vec3[]} The eight corner points of the box.
+     */
+    corners() {
+        const { min, max } = this;
+        return [
+            new Vec3(min.x, min.y, min.z), new Vec3(max.x, min.y, min.z),
+            new Vec3(min.x, max.y, min.z), new Vec3(max.x, max.y, min.z),
+            new Vec3(min.x, min.y, max.z), new Vec3(max.x, min.y, max.z),
+            new Vec3(min.x, max.y, max.z), new Vec3(max.x, max.y, max.z)
+        ];
+    }
+
+    /**
+     * Ray-box intersection using the slab method.
+     * @param {Ray} ray - The ray to test.
+     * @param {Vec3} invDir - The component-wise inverse of the ray direction (precomputed by the caller).
+     * @param {number} [tMax=Infinity] - Intersections further away than this are ignored.
+     * @returns {number} The distance at which the ray enters the box (0 if it starts inside),
+     * or Infinity if the ray misses the box.
+     */
+    intersectRay(ray, invDir, tMax = Infinity) {
+        let tNear = 0;
+        let tFar = tMax;
+        const origin = ray.origin;
+
+        for (const axis of ['x', 'y', 'z']) {
+            if (invDir[axis] === Infinity || invDir[axis] === -Infinity) {
+                // Ray is parallel to this slab: it must start between the two planes.
+                if (origin[axis] < this.min[axis] || origin[axis] > this.max[axis]) {
+                    return Infinity;
+                }
+                continue;
+            }
+            let t0 = (this.min[axis] - origin[axis]) * invDir[axis];
+            let t1 = (this.max[axis] - origin[axis]) * invDir[axis];
+            if (t0 > t1) {
+                const tmp = t0; t0 = t1; t1 = tmp;
+            }
+            if (t0 > tNear) tNear = t0;
+            if (t1 < tFar) tFar = t1;
+            if (tNear > tFar) {
+                return Infinity;
+            }
+        }
+        return tNear;
+    }
+}
+
+export class BVH {
+    /**
+     * Builds a bounding volume hierarchy over a list of primitives using the Surface Area Heuristic.
+     * Every primitive must implement getBounds() (returning a non-null AABB) and intersect(ray).
+     * @param {Array<{getBounds: function(): AABB, intersect: function(Ray): {hit: boolean, info: object|null}}>} primitives
+     *   The primitives to organize.
+     */
+    constructor(primitives) {
+        /** @type {Array} */
+        this.primitives = primitives;
+        this.root = null;
+
+        if (primitives.length > 0) {
+            const entries = primitives.map((primitive) => {
+                const bounds = primitive.getBounds();
+                return { primitive: primitive, bounds: bounds, centroid: bounds.centroid() };
+            });
+            this.root = this.buildNode(entries);
+        }
+    }
+
+    /**
+     * @returns {AABB} The bounds of everything in the hierarchy (an empty box if it has no primitives).
+     */
+    getBounds() {
+        return this.root ? this.root.bounds : new AABB();
+    }
+
+    /**
+     * Recursively builds a node for the given entries.
+     * Inner nodes have 'left' and 'right' children; leaf nodes have a 'primitives' array.
+     * @param {Array<{primitive: object, bounds: AABB, centroid: Vec3}>} entries - The entries to place under this node.
+     * @returns {object} The built node.
+     */
+    buildNode(entries) {
+        const bounds = new AABB();
+        const centroidBounds = new AABB();
+        for (const entry of entries) {
+            bounds.expandByBox(entry.bounds);
+            centroidBounds.expandByPoint(entry.centroid);
+        }
+
+        const makeLeaf = () => ({ bounds: bounds, primitives: entries.map(entry => entry.primitive) });
+        if (entries.length <= MAX_LEAF_SIZE) {
+            return makeLeaf();
+        }
+
+        const split = this.findBestSplit(entries, bounds, centroidBounds);
+        if (!split) {
+            // All centroids coincide: no split can separate the primitives.
+            return makeLeaf();
+        }
+
+        const left = [];
+        const right = [];
+        for (const entry of entries) {
+            if (this.binIndex(entry.centroid, split.axis, centroidBounds) <= split.bin) {
+                left.push(entry);
+            } else {
+                right.push(entry);
+            }
+        }
+
+        // Guard against degenerate partitions (can happen with floating point edge cases).
+        if (left.length === 0 || right.length === 0) {
+            const mid = entries.length >> 1;
+            const sorted = entries.slice().sort((a, b) => a.centroid[split.axis] - b.centroid[split.axis]);
+            return { bounds: bounds, left: this.buildNode(sorted.slice(0, mid)), right: this.buildNode(sorted.slice(mid)) };
+        }
+
+        return { bounds: bounds, left: this.buildNode(left), right: this.buildNode(right) };
+    }
+
+    /**
+     * Evaluates binned SAH splits along every axis and returns the cheapest one.
+     * @param {Array<{bounds: AABB, centroid: Vec3}>} entries - The entries to split.
+     * @param {AABB} bounds - The bounds of all entries.
+     * @param {AABB} centroidBounds - The bounds of all entry centroids.
+     * @returns {{axis: string, bin: number}|null} The axis and the last bin index of the left side,
+     * or null if the centroids cannot be separated.
+     */
+    findBestSplit(entries, bounds, centroidBounds) {
+        const parentArea = bounds.surfaceArea();
+        let best = null;
+        let bestCost = Infinity;
+
+        for (const axis of ['x', 'y', 'z']) {
+            if (centroidBounds.max[axis] - centroidBounds.min[axis] < 1e-9) {
+                continue; // No extent along this axis
+            }
+
+            const bins = [];
+            for (let i = 0; i < SAH_BIN_COUNT; i++) {
+                bins.push({ count: 0, bounds: new AABB() });
+            }
+            for (const entry of entries) {
+                const bin = bins[this.binIndex(entry.centroid, axis, centroidBounds)];
+                bin.count++;
+                bin.bounds.expandByBox(entry.bounds);
+            }
+
+            // Sweep from the right to get the area and count of every right-hand side.
+            const rightAreas = new Array(SAH_BIN_COUNT).fill(0);
+            const rightCounts = new Array(SAH_BIN_COUNT).fill(0);
+            const rightBox = new AABB();
+            let rightCount = 0;
+            for (let i = SAH_BIN_COUNT - 1; i > 0; i--) {
+                rightBox.expandByBox(bins[i].bounds);
+                rightCount += bins[i].count;
+                rightAreas[i] = rightBox.surfaceArea();
+                rightCounts[i] = rightCount;
+            }
+
+            // Sweep from the left and evaluate the cost of splitting after each bin.
+            const leftBox = new AABB();
+            let leftCount = 0;
+            for (let i = 0; i < SAH_BIN_COUNT - 1; i++) {
+                leftBox.expandByBox(bins[i].bounds);
+                leftCount += bins[i].count;
+                if (leftCount === 0 || rightCounts[i + 1] === 0) {
+                    continue;
+                }
+                const cost = TRAVERSAL_COST +
+                    (leftBox.surfaceArea() * leftCount + rightAreas[i + 1] * rightCounts[i + 1]) / parentArea;
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    best = { axis: axis, bin: i };
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Maps a centroid to its SAH bin along an axis.
+     * @param {Vec3} centroid - The centroid to classify.
+     * @param {string} axis - 'x', 'y' or 'z'.
+     * @param {AABB} centroidBounds - The bounds of all centroids being binned.
+     * @returns {number} The bin index in [0, SAH_BIN_COUNT - 1].
+     */
+    binIndex(centroid, axis, centroidBounds) {
+        const extent = centroidBounds.max[axis] - centroidBounds.min[axis];
+        const index = Math.floor(SAH_BIN_COUNT * (centroid[axis] - centroidBounds.min[axis]) / extent);
+        return Math.min(SAH_BIN_COUNT - 1, Math.max(0, index));
+    }
+
+    /**
+     * Finds the closest intersection of a ray with the primitives in the hierarchy.
+     * Children are visited front to back, and subtrees further away than the closest hit found so far are skipped.
+     * @param {Ray} ray - The ray to test.
+     * @param {number} [tMax=Infinity] - Intersections further away than this are ignored.
+     * @returns {{primitive: object|null, info: IntersectionInfo|null}} The closest hit primitive and its intersection info.
+     */
+    intersect(ray, tMax = Infinity) {
+        let closestDistance = tMax;
+        let hitPrimitive = null;
+        let hitInfo = null;
+
+        if (!this.root) {
+            return { primitive: null, info: null };
+        }
+
+        const invDir = new Vec3(1 / ray.direction.x, 1 / ray.direction.y, 1 / ray.direction.z);
+        if (this.root.bounds.intersectRay(ray, invDir, closestDistance) === Infinity) {
+            return { primitive: null, info: null };
+        }
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+
+            if (node.primitives) {
+                for (const primitive of node.primitives) {
+                    const result = primitive.intersect(ray);
+                    if (result.hit && result.info.distance < closestDistance) {
+                        closestDistance = result.info.distance;
+                        hitPrimitive = primitive;
+                        hitInfo = result.info;
+                    }
+                }
+                continue;
+            }
+
+            const tLeft = node.left.bounds.intersectRay(ray, invDir, closestDistance);
+            const tRight = node.right.bounds.intersectRay(ray, invDir, closestDistance);
+
+            // Push the farther child first so the nearer one is processed next.
+            if (tLeft <= tRight) {
+                if (tRight !== Infinity) stack.push(node.right);
+                if (tLeft !== Infinity) stack.push(node.left);
+            } else {
+                if (tLeft !== Infinity) stack.push(node.left);
+                if (tRight !== Infinity) stack.push(node.right);
+            }
+        }
+
+        return { primitive: hitPrimitive, info: hitInfo };
+    }
+
+    /**
+     * Finds every intersection of a ray with the primitives (at most one per primitive, as
+     * reported by its intersect method).
+     * @param {Ray} ray - The ray to test.
+     * @returns {Array<{primitive: object, info: object}>} The hits, sorted by distance.
+     */
+    intersectAll(ray) {
+        const hits = [];
+        if (!this.root) {
+            return hits;
+        }
+
+        const invDir = new Vec3(1 / ray.direction.x, 1 / ray.direction.y, 1 / ray.direction.z);
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.bounds.intersectRay(ray, invDir) === Infinity) {
+                continue;
+            }
+            if (node.primitives) {
+                for (const primitive of node.primitives) {
+                    const result = primitive.intersect(ray);
+                    if (result.hit) {
+                        hits.push({ primitive: primitive, info: result.info });
+                    }
+                }
+            } else {
+                stack.push(node.left, node.right);
+            }
+        }
+        return hits.sort((a, b) => a.info.distance - b.info.distance);
+    }
+}
@@ -4,6 +4,7 @@
 
 import { Vec3 } from './math.js';
 import { Ray } from './ray.js'; // Ray class will be defined in public/js/ray.js
+import { sampleConcentricDisk } from './sampling.js';
 
 export class Camera {
     /**
@@ -13,8 +14,10 @@ export class Camera {
      * @param {number} fovDeg - The field of view in degrees.
      * @param {number} imageWidth - The width of the rendered image in pixels.
      * @param {number} imageHeight - The height of the rendered image in pixels.
+     * @param {number} [apertureRadius=0] - Radius of the thin lens. 0 gives a pinhole camera (everything in focus).
+     * @param {number} [focusDistance=6] - Distance from the eye, along the view direction, of the plane in perfect focus.
      */
-    constructor(eye, lookAt, up, fovDeg, imageWidth, imageHeight) {
+    constructor(eye, lookAt, up, fovDeg, imageWidth, imageHeight, apertureRadius = 0, focusDistance = 6) {
         this.eyePosition = eye;
         this.lookAt = lookAt;
         this.upVector = up; // This is the world up vector, used for basis calculation
@@ -22,6 +25,10 @@ export class Camera {
         this.imageWidth = imageWidth;
         this.imageHeight = imageHeight;
 
+        // Thin-lens depth of field parameters
+        this.apertureRadius = apertureRadius;
+        this.focusDistance = focusDistance;
+
         // Camera basis vectors (u: right, v: up, w: backward/view direction)
         // These will be calculated by updateBasis()
         this.u = new Vec3();
@@ -71,13 +78,21 @@ export class Camera {
     }
 
     /**
-     * Computes the primary ray that originates from the camera's eye position
-     * and passes through the center of the given pixel (i, j) on the image plane.
+     * Computes the primary ray for the given pixel (i, j) on the image plane.
+     * By default the ray goes through the pixel center; the sub-pixel offset selects
+     * another position within (or, for wide reconstruction filters, around) the pixel.
+     * With a non-zero aperture the camera acts as a thin lens: the ray starts at a point on the
+     * lens selected by (lensU, lensV) and passes through the point of the focus plane that the
+     * pinhole ray would hit, so only surfaces at the focus distance are sharp.
      * @param {number} i - The pixel's column index (0 to imageWidth - 1).
      * @param {number} j - The pixel's row index (0 to imageHeight - 1).
+     * @param {number} [offsetX=0.5] - Horizontal sub-pixel offset (0 = left edge, 1 = right edge of the pixel).
+     * @param {number} [offsetY=0.5] - Vertical sub-pixel offset (0 = top edge, 1 = bottom edge of the pixel).
+     * @param {number} [lensU=0.5] - First lens sample coordinate in [0, 1) (0.5, 0.5 is the lens center).
+     * @param {number} [lensV=0.5] - Second lens sample coordinate in [0, 1).
      * @returns {Ray} The computed primary ray.
      */
-    computePrimaryRay(i, j) {
+    computePrimaryRay(i, j, offsetX = 0.5, offsetY = 0.5, lensU = 0.5, lensV = 0.5) {
         // Convert FOV from degrees to radians for trigonometric functions
         const fovRad = this.fov * Math.PI / 180.0;
 
@@ -89,19 +104,77 @@ export class Camera {
 
         // Calculate normalized device coordinates (NDC) for the pixel.
         // NDC range from -1 to 1 for both X and Y.
-        // We add 0.5 to 'i' and 'j' to sample the ray through the center of the pixel.
-        const xNdc = (2.0 * (i + 0.5) / this.imageWidth - 1.0) * halfWidth;
-        const yNdc = (1.0 - 2.0 * (j + 0.5) / this.imageHeight) * halfHeight; // Y-axis is inverted for screen coordinates
+        // The sub-pixel offset is added to 'i' and 'j' (0.5 samples the ray through the center of the pixel).
+        const xNdc = (2.0 * (i + offsetX) / this.imageWidth - 1.0) * halfWidth;
+        const yNdc = (1.0 - 2.0 * (j + offsetY) / this.imageHeight) * halfHeight; // Y-axis is inverted for screen coordinates
 
         // Calculate the ray direction in world space.
         // This vector points from the camera's origin to the point on the image plane
-        // corresponding to the current pixel.
-        const rayDirection = this.u.multiplyScalar(xNdc)
-                               .add(this.v.multiplyScalar(yNdc))
-                               .subtract(this.w) // Subtract 'w' because 'w' points from lookAt to eye, so -w is forward
-                               .normalize();
-
-        // Return a new Ray object starting from the camera's eye position with the calculated direction.
-        return new Ray(this.eyePosition, rayDirection);
+        // corresponding to the current pixel. Since the image plane is 1 unit away,
+        // its component along the view direction (-w) is exactly 1.
+        const pinholeDirection = this.u.multiplyScalar(xNdc)
+                                   .add(this.v.multiplyScalar(yNdc))
+                                   .subtract(this.w); // Subtract 'w' because 'w' points from lookAt to eye, so -w is forward
+
+        let ray;
+        if (this.apertureRadius <= 0) {
+            // Pinhole camera: a new Ray starting from the camera's eye position with the calculated direction.
+            ray = new Ray(this.eyePosition, pinholeDirection.normalize());
+        } else {
+            // Thin lens: all rays through this pixel converge on the focus plane.
+            const focusPoint = this.eyePosition.add(pinholeDirection.multiplyScalar(this.focusDistance));
+            const lensPoint = sampleConcentricDisk(lensU, lensV);
+            const origin = this.eyePosition
+                .add(this.u.multiplyScalar(lensPoint.x * this.apertureRadius))
+                .add(this.v.multiplyScalar(lensPoint.y * this.apertureRadius));
+            ray = new Ray(origin, focusPoint.subtract(origin).normalize());
+        }
+        // The ray stands for the whole pixel: its cone widens by one pixel's size on the image plane per unit of distance
+        ray.coneSpread = 2.0 * halfHeight / this.imageHeight;
+        return ray;
+    }
+
+    /**
+     * Computes the distance from the eye to a point, measured along the view direction.
+     * This is the focus distance that brings the point into perfect focus.
+     * @param {Vec3} point - A point in world space.
+     * @returns {number} The depth of the point in front of the camera.
+     */
+    computeFocusDistanceTo(point) {
+        return point.subtract(this.eyePosition).dot(this.w.negate());
+    }
+
+    /**
+     * Projects a world-space point onto the image plane; the inverse of computePrimaryRay
+     * for rays through the lens center.
+     * @param {Vec3} point - A point in world space.
+     * @returns {{x: number, y: number, depth: number}|null} The point's (fractional) pixel coordinates
+     *   and its depth along the view direction, or null if it is not in front of the camera.
+     */
+    projectPoint(point) {
+        const offset = point.subtract(this.eyePosition);
+        const depth = -offset.dot(this.w);
+        if (depth < 1e-4) {
+            return null;
+        }
+
+        const fovRad = this.fov * Math.PI / 180.0;
+        const halfHeight = Math.tan(fovRad / 2.0);
+        const halfWidth = halfHeight * (this.imageWidth / this.imageHeight);
+        const xNdc = offset.dot(this.u) / depth / halfWidth;
+        const yNdc = offset.dot(this.v) / depth / halfHeight;
+        return {
+            x: (xNdc + 1.0) * 0.5 * this.imageWidth,
+            y: (1.0 - yNdc) * 0.5 * this.imageHeight,
+            depth: depth
+        };
+    }
+
+    /**
+     * @param {number} depth - A distance from the eye along the view direction.
+     * @returns {number} The world-space length one pixel covers at that depth.
+     */
+    getPixelSizeAt(depth) {
+        return 2.0 * Math.tan(this.fov * Math.PI / 360.0) * depth / this.imageHeight;
     }
 }
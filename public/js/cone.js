@@ -0,0 +1,95 @@
+// public/js/cone.js
+// Defines the Cone class, a circular cone closed by a base cap. Its axis points along +Y in
+// object space, from the center of the base to the apex; rotate the object to orient it differently.
+
+import { Vec3 } from './math.js';
+import { Object } from './object.js';
+import { IntersectionInfo } from './scene.js';
+import { AABB } from './bvh.js';
+import { solveQuadratic } from './polynomial.js';
+
+export class Cone extends Object {
+    /**
+     * @param {Vec3} base - The center of the base cap.
+     * @param {number} radius - The radius of the base.
+     * @param {number} height - The height of the cone (the apex is at base + (0, height, 0)).
+     * @param {Material|Vec3} material - The material of the cone, or its diffuse color (see Object).
+     * @param {string|null} [textureId=null] - Optional texture ID, if a color is given.
+     */
+    constructor(base, radius, height, material, textureId = null) {
+        super(material, '', textureId);
+        this.base = base;
+        this.radius = radius;
+        this.height = height;
+    }
+
+    /**
+     * @returns {AABB} The bounding box of the cone.
+     */
+    getLocalBounds() {
+        return new AABB(
+            this.base.subtract(new Vec3(this.radius, 0, this.radius)),
+            this.base.add(new Vec3(this.radius, this.height, this.radius))
+        );
+    }
+
+    /**
+     * Finds where a ray crosses the cone's side and base.
+     * The side is textured with U around the axis and V from the base to the apex;
+     * the base shows the texture's inscribed circle.
+     * @param {Ray} ray - The ray, in object space.
+     * @returns {Crossing[]} The crossings (at any distance along the ray's line) sorted by distance.
+     */
+    getCrossings(ray) {
+        const o = ray.origin.subtract(this.base);
+        const d = ray.direction;
+        const k = this.radius / this.height; // Radius shrinks by k per unit of height
+        const k2 = k * k;
+        const crossings = [];
+
+        // Side: x^2 + z^2 = (k * (height - y))^2 with 0 <= y <= height
+        const h = this.height - o.y;
+        const roots = solveQuadratic(
+            d.x * d.x + d.z * d.z - k2 * d.y * d.y,
+            2 * (o.x * d.x + o.z * d.z + k2 * h * d.y),
+            o.x * o.x + o.z * o.z - k2 * h * h
+        );
+        // Hits on the mirrored cone above the apex fall outside the height range
+        for (const t of roots) {
+            const y = o.y + t * d.y;
+            if (y >= 0 && y <= this.height) {
+                const x = o.x + t * d.x, z = o.z + t * d.z;
+                // Gradient of x^2 + z^2 - k^2 (height - y)^2; it vanishes at the apex
+                let normal = new Vec3(x, k2 * (this.height - y), z);
+                normal = normal.lengthSquared() > 1e-24 ? normal.normalize() : new Vec3(0, 1, 0);
+                const u = 0.5 - Math.atan2(z, x) / (2 * Math.PI);
+                crossings.push({ t: t, normal: normal, uv: new Vec3(u, y / this.height, 0) });
+            }
+        }
+
+        // Base: disc at y = 0
+        if (Math.abs(d.y) > 1e-12) {
+            const t = -o.y / d.y;
+            const x = o.x + t * d.x, z = o.z + t * d.z;
+            if (x * x + z * z <= this.radius * this.radius) {
+                const uv = new Vec3(0.5 + x / (2 * this.radius), 0.5 + z / (2 * this.radius), 0);
+                crossings.push({ t: t, normal: new Vec3(0, -1, 0), uv: uv });
+            }
+        }
+
+        return crossings.sort((a, b) => a.t - b.t);
+    }
+
+    /**
+     * Implements the ray-cone intersection test in object space.
+     * @param {Ray} ray - The ray to test for intersection, in object space.
+     * @returns {{hit: boolean, info: IntersectionInfo|null}} An object indicating if a hit occurred and the intersection info.
+     */
+    intersectLocal(ray) {
+        const crossing = Object.nearestCrossing(this.getCrossings(ray));
+        if (!crossing) {
+            return { hit: false, info: null };
+        }
+        return { hit: true, info: new IntersectionInfo(ray.pointAt(crossing.t), crossing.normal, crossing.t, crossing.uv) };
+    }
+}
@@ -0,0 +1,141 @@
+// public/js/csg.js
+// Defines the CSG class, a constructive solid geometry node that combines two closed objects
+// (its operands, which may be CSG nodes themselves) into their union, intersection or difference.
+// The operands keep their own transforms, relative to the node; the node's transform moves the whole.
+
+import { Vec3 } from './math.js';
+import { Object } from './object.js';
+import { IntersectionInfo } from './scene.js';
+import { AABB } from './bvh.js';
+
+/** The supported operations. A difference keeps the parts of the left operand outside the right one. */
+export const CSG_OPERATIONS = ['union', 'intersection', 'difference'];
+
+export class CSG extends Object {
+    /**
+     * The combined solid is shaded with the node's own material, not with the operands'.
+     * @param {string} operation - One of CSG_OPERATIONS.
+     * @param {Object} left - The first operand.
+     * @param {Object} right - The second operand.
+     * @param {Material|Vec3} material - The material of the combined solid, or its diffuse color (see Object).
+     * @param {string|null} [textureId=null] - Optional texture ID, if a color is given.
+     */
+    constructor(operation, left, right, material, textureId = null) {
+        super(material, '', textureId);
+        if (!CSG_OPERATIONS.includes(operation)) {
+            console.warn(`CSG: Unknown operation '${operation}', using 'union'.`);
+            operation = 'union';
+        }
+        this.operation = operation;
+        this.left = left;
+        this.right = right;
+        for (const operand of [left, right]) {
+            if (!CSG.canCombine(operand)) {
+                console.warn(`CSG: ${operand.constructor.name} is not a closed object and is ignored.`);
+            }
+        }
+    }
+
+    /**
+     * Tells whether an object encloses a volume, so that it can be an operand of a CSG node.
+     * @param {Object} obj - The object.
+     * @returns {boolean} True if the object reports its surface crossings (see Object.getCrossings).
+     */
+    static canCombine(obj) {
+        return obj.getCrossings !== Object.prototype.getCrossings;
+    }
+
+    /**
+     * Tells whether a point is inside the combined solid, given whether it is inside each operand.
+     * @param {boolean} insideLeft - Whether the point is inside the left operand.
+     * @param {boolean} insideRight - Whether the point is inside the right operand.
+     * @returns {boolean} Whether the point is inside the combined solid.
+     */
+    contains(insideLeft, insideRight) {
+        switch (this.operation) {
+            case 'intersection':
+                return insideLeft && insideRight;
+            case 'difference':
+                return insideLeft && !insideRight;
+            default:
+                return insideLeft || insideRight;
+        }
+    }
+
+    /**
+     * @returns {AABB|null} The bounding box of the combined solid in node space, or null if it is unbounded.
+     */
+    getLocalBounds() {
+        const leftBounds = this.left.getBounds();
+        const rightBounds = this.right.getBounds();
+        switch (this.operation) {
+            case 'intersection':
+                if (!leftBounds || !rightBounds) {
+                    return leftBounds || rightBounds;
+                }
+                // The overlap of the two boxes; it is empty if they are disjoint
+                return new AABB(
+                    new Vec3(Math.max(leftBounds.min.x, rightBounds.min.x), Math.max(leftBounds.min.y, rightBounds.min.y),
+                        Math.max(leftBounds.min.z, rightBounds.min.z)),
+                    new Vec3(Math.min(leftBounds.max.x, rightBounds.max.x), Math.min(leftBounds.max.y, rightBounds.max.y),
+                        Math.min(leftBounds.max.z, rightBounds.max.z))
+                );
+            case 'difference':
+                return leftBounds;
+            default:
+                if (!leftBounds || !rightBounds) {
+                    return null;
+                }
+                return new AABB().expandByBox(leftBounds).expandByBox(rightBounds);
+        }
+    }
+
+    /**
+     * Finds where a ray crosses the surface of the combined solid: sweeps along the inside
+     * intervals of both operands and keeps the crossings where the combined inside state flips.
+     * Surfaces of the right operand of a difference face into it, so their normals are flipped.
+     * @param {Ray} ray - The ray, in node space.
+     * @returns {Crossing[]} The crossings sorted by distance.
+     */
+    getCrossings(ray) {
+        const events = [];
+        [this.left, this.right].forEach((operand, index) => {
+            for (const interval of operand.getIntervals(ray) || []) {
+                events.push({ operand: index, inside: true, crossing: interval.enter });
+                events.push({ operand: index, inside: false, crossing: interval.exit });
+            }
+        });
+        // Infinite interval ends compare as equal (Infinity - Infinity is NaN)
+        events.sort((a, b) => (a.crossing.t - b.crossing.t) || 0);
+
+        const crossings = [];
+        const insideOperand = [false, false];
+        let inside = false;
+        for (const event of events) {
+            insideOperand[event.operand] = event.inside;
+            if (this.contains(insideOperand[0], insideOperand[1]) === inside) {
+                continue;
+            }
+            inside = !inside;
+            const { t, normal, uv } = event.crossing;
+            if (Number.isFinite(t)) {
+                const flip = this.operation === 'difference' && event.operand === 1;
+                crossings.push({ t: t, normal: flip ? normal.negate() : normal, uv: uv });
+            }
+        }
+        return crossings;
+    }
+
+    /**
+     * Implements the ray-CSG intersection test in node space.
+     * @param {Ray} ray - The ray to test for intersection, in node space.
+     * @returns {{hit: boolean, info: IntersectionInfo|null}} An object indicating if a hit occurred and the intersection info.
+     */
+    intersectLocal(ray) {
+        const crossing = Object.nearestCrossing(this.getCrossings(ray));
+        if (!crossing) {
+            return { hit: false, info: null };
+        }
+        return { hit: true, info: new IntersectionInfo(ray.pointAt(crossing.t), crossing.normal, crossing.t, crossing.uv) };
+    }
+}
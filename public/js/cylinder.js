@@ -0,0 +1,89 @@
+// public/js/cylinder.js
+// Defines the Cylinder class, a capped circular cylinder. Its axis points along +Y in object
+// space; rotate the object to orient it differently.
+
+import { Vec3 } from './math.js';
+import { Object } from './object.js';
+import { IntersectionInfo } from './scene.js';
+import { AABB } from './bvh.js';
+import { solveQuadratic } from './polynomial.js';
+
+export class Cylinder extends Object {
+    /**
+     * @param {Vec3} base - The center of the bottom cap.
+     * @param {number} radius - The radius of the cylinder.
+     * @param {number} height - The height of the cylinder (the top cap is at base + (0, height, 0)).
+     * @param {Material|Vec3} material - The material of the cylinder, or its diffuse color (see Object).
+     * @param {string|null} [textureId=null] - Optional texture ID, if a color is given.
+     */
+    constructor(base, radius, height, material, textureId = null) {
+        super(material, '', textureId);
+        this.base = base;
+        this.radius = radius;
+        this.height = height;
+    }
+
+    /**
+     * @returns {AABB} The bounding box of the cylinder.
+     */
+    getLocalBounds() {
+        return new AABB(
+            this.base.subtract(new Vec3(this.radius, 0, this.radius)),
+            this.base.add(new Vec3(this.radius, this.height, this.radius))
+        );
+    }
+
+    /**
+     * Finds where a ray crosses the cylinder's side and caps.
+     * The side is textured like a label (U around the axis, V from bottom to top);
+     * each cap shows the texture's inscribed circle.
+     * @param {Ray} ray - The ray, in object space.
+     * @returns {Crossing[]} The crossings (at any distance along the ray's line) sorted by distance.
+     */
+    getCrossings(ray) {
+        const o = ray.origin.subtract(this.base);
+        const d = ray.direction;
+        const crossings = [];
+
+        // Side: x^2 + z^2 = r^2 with 0 <= y <= height
+        const roots = solveQuadratic(d.x * d.x + d.z * d.z, 2 * (o.x * d.x + o.z * d.z),
+            o.x * o.x + o.z * o.z - this.radius * this.radius);
+        if (roots.length === 2) { // A tangent ray (one root) only grazes the side
+            for (const t of roots) {
+                const y = o.y + t * d.y;
+                if (y >= 0 && y <= this.height) {
+                    const x = o.x + t * d.x, z = o.z + t * d.z;
+                    const u = 0.5 - Math.atan2(z, x) / (2 * Math.PI);
+                    crossings.push({ t: t, normal: new Vec3(x / this.radius, 0, z / this.radius), uv: new Vec3(u, y / this.height, 0) });
+                }
+            }
+        }
+
+        // Caps: discs at y = 0 and y = height
+        if (Math.abs(d.y) > 1e-12) {
+            for (const [capY, normalY] of [[0, -1], [this.height, 1]]) {
+                const t = (capY - o.y) / d.y;
+                const x = o.x + t * d.x, z = o.z + t * d.z;
+                if (x * x + z * z <= this.radius * this.radius) {
+                    const uv = new Vec3(0.5 + x / (2 * this.radius), 0.5 - normalY * z / (2 * this.radius), 0);
+                    crossings.push({ t: t, normal: new Vec3(0, normalY, 0), uv: uv });
+                }
+            }
+        }
+
+        return crossings.sort((a, b) => a.t - b.t);
+    }
+
+    /**
+     * Implements the ray-cylinder intersection test in object space.
+     * @param {Ray} ray - The ray to test for intersection, in object space.
+     * @returns {{hit: boolean, info: IntersectionInfo|null}} An object indicating if a hit occurred and the intersection info.
+     */
+    intersectLocal(ray) {
+        const crossing = Object.nearestCrossing(this.getCrossings(ray));
+        if (!crossing) {
+            return { hit: false, info: null };
+        }
+        return { hit: true, info: new IntersectionInfo(ray.pointAt(crossing.t), crossing.normal, crossing.t, crossing.uv) };
+    }
+}
@@ -0,0 +1,43 @@
+// public/js/directionalLight.js
+// Defines the DirectionalLight class, a light infinitely far away (such as the sun): its rays are
+// parallel, it lights every point with the same strength and it casts shadows of constant width.
+
+import { Vec3 } from './math.js';
+import { Light } from './light.js';
+
+export class DirectionalLight extends Light {
+    /**
+     * @param {Vec3} position - Where the light is shown in the editor; it does not affect the lighting.
+     * @param {Vec3} direction - The direction the light travels in (will be normalized).
+     * @param {Vec3} color - The color of the light.
+     * @param {number} [intensity=1] - Multiplier of the color.
+     */
+    constructor(position = new Vec3(0, 0, 0), direction = new Vec3(0, -1, 0), color = new Vec3(1.0, 1.0, 1.0), intensity = 1.0) {
+        super(position, color, intensity);
+        this.direction = direction.normalize();
+    }
+
+    /**
+     * @param {Vec3} point - The point being lit.
+     * @returns {Vec3} The direction towards the light, the same for every point.
+     */
+    getDirection(point) {
+        return this.direction.negate();
+    }
+
+    /**
+     * @param {Vec3} point - The point being lit.
+     * @returns {Vec3} The light's color; a light at infinity has no distance falloff.
+     */
+    getColorAt(point) {
+        return this.getEmittedColor();
+    }
+
+    /**
+     * @param {Vec3} point - The point being lit.
+     * @returns {{direction: Vec3, distance: number}} The shadow ray, which runs against the light's direction forever.
+     */
+    getShadowRay(point) {
+        return { direction: this.direction.negate(), distance: Infinity };
+    }
+}
@@ -0,0 +1,79 @@
+// public/js/disk.js
+// Defines the Disk class, a flat circular surface (e.g. a table top or a lamp).
+
+import { Vec3 } from './math.js';
+import { Object } from './object.js';
+import { IntersectionInfo } from './scene.js';
+import { AABB } from './bvh.js';
+
+export class Disk extends Object {
+    /**
+     * @param {Vec3} center - The center of the disk.
+     * @param {Vec3} normal - The normal of the disk (will be normalized).
+     * @param {number} radius - The radius of the disk.
+     * @param {Material|Vec3} material - The material of the disk, or its diffuse color (see Object).
+     * @param {string|null} [textureId=null] - Optional texture ID, if a color is given.
+     */
+    constructor(center, normal, radius, material, textureId = null) {
+        super(material, '', textureId);
+        this.center = center;
+        this.normal = normal.normalize();
+        this.radius = radius;
+
+        // Texture axes in the disk's plane, chosen like those of Plane
+        const reference = Math.abs(this.normal.y) > 0.5 ? new Vec3(1, 0, 0)
+            : (Math.abs(this.normal.x) > 0.5 ? new Vec3(0, 1, 0) : new Vec3(1, 0, 0));
+        this.uAxis = reference.subtract(this.normal.multiplyScalar(this.normal.dot(reference))).normalize();
+        this.vAxis = this.normal.cross(this.uAxis).normalize();
+    }
+
+    /**
+     * @returns {AABB} The bounding box of the disk (flat along the normal's axis, if axis-aligned).
+     */
+    getLocalBounds() {
+        // Extent of the circle along each axis: radius * sin(angle between axis and normal)
+        const extent = new Vec3(
+            this.radius * Math.sqrt(Math.max(0, 1 - this.normal.x * this.normal.x)),
+            this.radius * Math.sqrt(Math.max(0, 1 - this.normal.y * this.normal.y)),
+            this.radius * Math.sqrt(Math.max(0, 1 - this.normal.z * this.normal.z))
+        );
+        return new AABB(this.center.subtract(extent), this.center.add(extent));
+    }
+
+    /**
+     * Finds where a ray crosses the disk. The disk shows the texture's inscribed circle.
+     * The disk is an open surface, so it does not report crossings for CSG (see Object.getCrossings).
+     * @param {Ray} ray - The ray, in object space.
+     * @returns {{t: number, normal: Vec3, uv: Vec3}|null} The crossing (at any distance along
+     *   the ray's line), or null if the ray misses the disk. The normal is the disk's own normal.
+     */
+    findCrossing(ray) {
+        const denominator = ray.direction.dot(this.normal);
+        if (Math.abs(denominator) < 1e-6) {
+            return null;
+        }
+        const t = this.center.subtract(ray.origin).dot(this.normal) / denominator;
+        const offset = ray.pointAt(t).subtract(this.center);
+        if (offset.lengthSquared() > this.radius * this.radius) {
+            return null;
+        }
+        const u = 0.5 + offset.dot(this.uAxis) / (2 * this.radius);
+        const v = 0.5 + offset.dot(this.vAxis) / (2 * this.radius);
+        return { t: t, normal: this.normal, uv: new Vec3(u, v, 0) };
+    }
+
+    /**
+     * Implements the ray-disk intersection test in object space. Like a plane, the disk is
+     * two-sided: the reported normal faces the incoming ray.
+     * @param {Ray} ray - The ray to test for intersection, in object space.
+     * @returns {{hit: boolean, info: IntersectionInfo|null}} An object indicating if a hit occurred and the intersection info.
+     */
+    intersectLocal(ray) {
+        const crossing = this.findCrossing(ray);
+        if (!crossing || crossing.t <= 1e-4) {
+            return { hit: false, info: null };
+        }
+        const normal = ray.direction.dot(crossing.normal) < 0 ? crossing.normal : crossing.normal.negate();
+        return { hit: true, info: new IntersectionInfo(ray.pointAt(crossing.t), normal, crossing.t, crossing.uv) };
+    }
+}
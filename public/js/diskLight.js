@@ -0,0 +1,86 @@
+// public/js/diskLight.js
+// Defines the DiskLight class, a circular area light (such as a round ceiling lamp).
+// It shines from its front side only, the side its normal points to.
+
+import { Vec3 } from './math.js';
+import { AreaLight } from './areaLight.js';
+import { sampleConcentricDisk } from './sampling.js';
+
+export class DiskLight extends AreaLight {
+    /**
+     * @param {Vec3} position - The center of the disk.
+     * @param {Vec3} normal - The direction the light faces (will be normalized).
+     * @param {number} radius - The radius of the disk.
+     * @param {Vec3} color - The color of the light.
+     * @param {number} [samples=16] - Number of shadow rays per shading point (see AreaLight).
+     */
+    constructor(position, normal, radius, color, samples = 16) {
+        super(position, color, samples);
+        this.radius = radius;
+        this.setNormal(normal);
+    }
+
+    /**
+     * Turns the light to face a new direction.
+     * @param {Vec3} normal - The direction the light faces (will be normalized).
+     */
+    setNormal(normal) {
+        this.normal = normal.normalize();
+        const { uAxis, vAxis } = AreaLight.computeAxes(this.normal);
+        this.uAxis = uAxis;
+        this.vAxis = vAxis;
+    }
+
+    /**
+     * @returns {number} The area of the disk.
+     */
+    getArea() {
+        return Math.PI * this.radius * this.radius;
+    }
+
+    /**
+     * @param {Vec3} point - The point being lit.
+     * @returns {Vec3} The light's color at the point, after falloff; black behind the light.
+     */
+    getColorAt(point) {
+        if (point.subtract(this.position).dot(this.normal) <= 0) {
+            return new Vec3(0, 0, 0);
+        }
+        return super.getColorAt(point);
+    }
+
+    /**
+     * Picks a point on the disk. The unit square is mapped with the concentric mapping, which
+     * keeps the stratification of the samples.
+     * @param {Vec3} point - The point being lit.
+     * @param {number} u - First sample coordinate, in [0, 1).
+     * @param {number} v - Second sample coordinate, in [0, 1).
+     * @returns {Vec3|null} The point on the light, or null if the point being lit is behind the light.
+     */
+    samplePoint(point, u, v) {
+        if (point.subtract(this.position).dot(this.normal) <= 0) {
+            return null;
+        }
+        const diskPoint = sampleConcentricDisk(u, v);
+        return this.position
+            .add(this.uAxis.multiplyScalar(diskPoint.x * this.radius))
+            .add(this.vAxis.multiplyScalar(diskPoint.y * this.radius));
+    }
+
+    /**
+     * Intersects a ray with the front side of the disk.
+     * @param {Ray} ray - The ray to test.
+     * @returns {number|null} The distance to the light along the ray, or null if the ray misses it.
+     */
+    intersect(ray) {
+        const denominator = ray.direction.dot(this.normal);
+        if (denominator > -1e-6) {
+            return null; // Parallel, or looking at the back of the light
+        }
+        const t = this.position.subtract(ray.origin).dot(this.normal) / denominator;
+        if (t <= 1e-4 || ray.pointAt(t).subtract(this.position).lengthSquared() > this.radius * this.radius) {
+            return null;
+        }
+        return t;
+    }
+}
@@ -0,0 +1,200 @@
+// public/js/editHistory.js
+// Defines the EditHistory class, the editor's undo/redo stack, and EditCommand, the entries it
+// holds. An edit is recorded as snapshots of the state it changed, taken before and after it
+// through an EditState, so undoing or redoing an edit puts one of the snapshots back.
+
+/**
+ * @typedef {object} EditState
+ * Access to the part of the editor's state an edit changes (e.g. an object's material).
+ * @property {*} target - What the state belongs to (e.g. the material), compared by identity
+ *   when deciding whether edits may merge (see EditHistory.commit).
+ * @property {function(): *} capture - Returns a snapshot of the state: plain data, or arrays of references.
+ * @property {function(*): void} restore - Puts the state back to a snapshot taken by capture().
+ */
+
+export class EditCommand {
+    /**
+     * @param {string} label - What the edit does, for display (e.g. 'Change shininess').
+     * @param {EditState} state - The state the edit changes.
+     * @param {*} before - The snapshot of the state before the edit.
+     * @param {*} [after=null] - The snapshot of the state after the edit (see EditHistory.commit).
+     */
+    constructor(label, state, before, after = null) {
+        this.label = label;
+        this.state = state;
+        this.before = before;
+        this.after = after;
+    }
+
+    undo() {
+        this.state.restore(this.before);
+    }
+
+    redo() {
+        this.state.restore(this.after);
+    }
+}
+
+export class EditHistory {
+    /**
+     * @param {number} [limit=100] - Maximum number of edits that can be undone; older ones are forgotten.
+     */
+    constructor(limit = 100) {
+        this.limit = limit;
+        /** @type {EditCommand[]} */
+        this.undoStack = [];
+        /** @type {EditCommand[]} */
+        this.redoStack = [];
+        // Key of the last recorded edit while later edits with the same key merge into it (see commit)
+        this.coalesceKey = null;
+        /** @type {function(EditHistory): void|null} Called whenever the stacks change. */
+        this.onChange = null;
+    }
+
+    /**
+     * Starts an edit: takes the snapshot of the state before it. The edit is recorded by commit(),
+     * which may come later, e.g. at the end of a mouse drag or once a file has loaded.
+     * @param {string} label - What the edit does.
+     * @param {EditState} state - The state the edit changes.
+     * @returns {EditCommand} The pending edit, to pass to commit().
+     */
+    begin(label, state) {
+        return new EditCommand(label, state, state.capture());
+    }
+
+    /**
+     * Finishes an edit started by begin(): takes the snapshot after it and pushes it onto the undo
+     * stack, which clears the redo stack. Edits that changed nothing are dropped. An edit with the
+     * same coalescing key as the previous one (e.g. the steps of a slider drag) is merged into it,
+     * until endCoalescing() is called. Keys name the kind of edit, not what it changes, so edits
+     * only merge if they also have the same target: otherwise the merged entry would restore the
+     * snapshots of one object onto another (e.g. after the selection changed mid-drag).
+     * @param {EditCommand} command - The pending edit.
+     * @param {string|null} [coalesceKey=null] - Key of edits that merge, or null for an edit of its own.
+     */
+    commit(command, coalesceKey = null) {
+        command.after = command.state.capture();
+        if (statesEqual(command.before, command.after)) {
+            return;
+        }
+        const last = this.undoStack[this.undoStack.length - 1];
+        const sameTarget = last && last.state.target === command.state.target;
+        if (coalesceKey !== null && coalesceKey === this.coalesceKey && sameTarget) {
+            last.after = command.after;
+        } else {
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+        this.coalesceKey = coalesceKey;
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Records an edit made by a function.
+     * @param {string} label - What the edit does.
+     * @param {EditState} state - The state the edit changes.
+     * @param {function(): *} change - Makes the edit.
+     * @param {string|null} [coalesceKey=null] - Key of edits that merge (see commit).
+     * @returns {*} The return value of change.
+     */
+    record(label, state, change, coalesceKey = null) {
+        const command = this.begin(label, state);
+        const result = change();
+        this.commit(command, coalesceKey);
+        return result;
+    }
+
+    /**
+     * Makes the next edit start a new history entry even if its coalescing key matches the last
+     * one's, e.g. when the user releases a slider.
+     */
+    endCoalescing() {
+        this.coalesceKey = null;
+    }
+
+    /**
+     * Undoes the most recent edit.
+     * @returns {EditCommand|null} The undone edit, or null if there is nothing to undo.
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            return null;
+        }
+        command.undo();
+        this.redoStack.push(command);
+        this.endCoalescing();
+        this.notify();
+        return command;
+    }
+
+    /**
+     * Redoes the most recently undone edit.
+     * @returns {EditCommand|null} The redone edit, or null if there is nothing to redo.
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            return null;
+        }
+        command.redo();
+        this.undoStack.push(command);
+        this.endCoalescing();
+        this.notify();
+        return command;
+    }
+
+    /**
+     * @returns {EditCommand|null} The edit undo() would undo, if any.
+     */
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    /**
+     * @returns {EditCommand|null} The edit redo() would redo, if any.
+     */
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    /**
+     * Forgets all edits, e.g. when a different scene is loaded.
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.endCoalescing();
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+}
+
+/**
+ * Compares two snapshots: arrays and plain objects by content, anything else by identity.
+ * @param {*} a - A snapshot.
+ * @param {*} b - Another snapshot.
+ * @returns {boolean} True if the snapshots are equal.
+ */
+function statesEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((value, i) => statesEqual(value, b[i]));
+    }
+    const isPlain = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+    if (isPlain(a) && isPlain(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => statesEqual(a[key], b[key]));
+    }
+    return false;
+}
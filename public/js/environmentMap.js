@@ -0,0 +1,235 @@
+// public/js/environmentMap.js
+// Defines the EnvironmentMap class: an equirectangular (latitude-longitude) image surrounding the
+// scene at an infinite distance, typically a high dynamic range photograph of real surroundings.
+// Rays leaving the scene see it instead of the background color, so it shows behind the objects
+// and in their reflections, and it lights the scene (image-based lighting). Light is sampled from
+// it in proportion to its brightness (see sample), so that small, bright parts such as the sun
+// are found without noise.
+
+import { Vec3 } from './math.js';
+
+// Sampling distributions are built from the first mipmap level at most this wide
+const DISTRIBUTION_MAX_WIDTH = 256;
+
+// Sampling distributions by texture (see TextureManager), so that each image is only analyzed once,
+// however often the scene (and with it the EnvironmentMap) is rebuilt
+const distributions = new WeakMap();
+
+export class EnvironmentMap {
+    /**
+     * @param {string} textureId - The ID of the equirectangular image (see TextureManager). Its center
+     *   lies in the -Z direction, its top edge straight up.
+     * @param {number} [intensity=1] - Factor the image's colors are multiplied by.
+     * @param {number} [rotation=0] - Rotation of the image around the vertical (Y) axis, in degrees.
+     */
+    constructor(textureId, intensity = 1, rotation = 0) {
+        this.textureId = textureId;
+        this.intensity = intensity;
+        this.rotation = rotation;
+    }
+
+    /**
+     * @param {Vec3} direction - A unit direction.
+     * @returns {Vec3} The texture coordinates (x = u, y = v) of the image in that direction.
+     */
+    directionToUV(direction) {
+        const phi = Math.atan2(direction.x, -direction.z) - this.rotation * Math.PI / 180;
+        const u = phi / (2 * Math.PI) + 0.5;
+        const v = 0.5 + Math.asin(Math.min(Math.max(direction.y, -1), 1)) / Math.PI;
+        return new Vec3(u - Math.floor(u), v, 0);
+    }
+
+    /**
+     * @param {number} u - Horizontal texture coordinate of the image.
+     * @param {number} v - Vertical texture coordinate of the image (1 = top).
+     * @returns {Vec3} The unit direction in which the image shows that point (see directionToUV).
+     */
+    uvToDirection(u, v) {
+        const phi = (u - 0.5) * 2 * Math.PI + this.rotation * Math.PI / 180;
+        const theta = Math.PI * (1 - v); // Angle from straight up
+        const sinTheta = Math.sin(theta);
+        return new Vec3(sinTheta * Math.sin(phi), Math.cos(theta), -sinTheta * Math.cos(phi));
+    }
+
+    /**
+     * Looks up the light arriving from a direction.
+     * @param {Vec3} direction - A unit direction.
+     * @param {TextureManager} textureManager - The texture manager holding the image.
+     * @param {number} [footprint=0] - The size, in UV units, of the part of the image to average over
+     *   (see TextureManager.sampleTexture).
+     * @returns {Vec3} The radiance: the image's color, times the intensity.
+     */
+    getRadiance(direction, textureManager, footprint = 0) {
+        return textureManager.sampleTexture(this.textureId, this.directionToUV(direction), footprint)
+            .multiplyScalar(this.intensity);
+    }
+
+    /**
+     * Picks a direction towards the environment with a probability in proportion to its brightness.
+     * @param {TextureManager} textureManager - The texture manager holding the image.
+     * @param {number} u1 - Uniform random number in [0, 1).
+     * @param {number} u2 - Uniform random number in [0, 1).
+     * @returns {{direction: Vec3, radiance: Vec3, pdf: number}|null} The unit direction, the light
+     *   arriving from it, and the probability density of picking it per solid angle; or null if
+     *   the image has no light to sample.
+     */
+    sample(textureManager, u1, u2) {
+        const distribution = this.getDistribution(textureManager);
+        if (!distribution) {
+            return null;
+        }
+        const { width, height, weights, rowCdf, columnCdfs } = distribution;
+
+        // Row (from the top), then column within the row, each continuous within the picked cell
+        const row = findInterval(rowCdf, 0, height, u1);
+        const rowOffset = (u1 - rowCdf[row]) / Math.max(rowCdf[row + 1] - rowCdf[row], 1e-12);
+        const start = row * (width + 1);
+        const column = findInterval(columnCdfs, start, width, u2);
+        const columnOffset = (u2 - columnCdfs[start + column]) /
+            Math.max(columnCdfs[start + column + 1] - columnCdfs[start + column], 1e-12);
+
+        const v = 1 - (row + Math.min(rowOffset, 1)) / height;
+        const sinTheta = Math.sin(Math.PI * (1 - v));
+        if (sinTheta <= 0) {
+            return null;
+        }
+        const direction = this.uvToDirection((column + Math.min(columnOffset, 1)) / width, v);
+        return {
+            direction: direction,
+            radiance: this.getRadiance(direction, textureManager),
+            pdf: EnvironmentMap.toSolidAnglePdf(distribution, weights[row * width + column], sinTheta)
+        };
+    }
+
+    /**
+     * @param {Vec3} direction - A unit direction.
+     * @param {TextureManager} textureManager - The texture manager holding the image.
+     * @returns {number} The probability density with which sample() picks the direction, per solid angle.
+     */
+    getPdf(direction, textureManager) {
+        const distribution = this.getDistribution(textureManager);
+        const sinTheta = Math.sqrt(Math.max(0, 1 - direction.y * direction.y));
+        if (!distribution || sinTheta <= 0) {
+            return 0;
+        }
+        const { width, height, weights } = distribution;
+        const uv = this.directionToUV(direction);
+        const column = Math.min(Math.floor(uv.x * width), width - 1);
+        const row = Math.min(Math.max(Math.floor((1 - uv.y) * height), 0), height - 1);
+        return EnvironmentMap.toSolidAnglePdf(distribution, weights[row * width + column], sinTheta);
+    }
+
+    /**
+     * Converts the probability of a cell of the sampling distribution to a density per solid angle.
+     * The image's texture coordinates span 2 pi horizontally and pi vertically, and a patch of it
+     * covers a solid angle in proportion to sin(theta).
+     * @param {object} distribution - The distribution (see getDistribution).
+     * @param {number} weight - The weight of the cell.
+     * @param {number} sinTheta - The sine of the direction's angle from straight up.
+     * @returns {number} The density.
+     */
+    static toSolidAnglePdf(distribution, weight, sinTheta) {
+        const uvPdf = weight * distribution.width * distribution.height / distribution.total;
+        return uvPdf / (2 * Math.PI * Math.PI * sinTheta);
+    }
+
+    /**
+     * Returns the distribution sample() picks directions from: the brightness of every pixel of a
+     * reduced copy of the image (one of its mipmap levels), weighted by the solid angle the pixel
+     * covers, as cumulative sums per row (columnCdfs) and over the rows (rowCdf).
+     * @param {TextureManager} textureManager - The texture manager holding the image.
+     * @returns {{width: number, height: number, weights: Float64Array, rowCdf: Float64Array,
+     *   columnCdfs: Float64Array, total: number}|null} The distribution, or null if the image is
+     *   not loaded or black.
+     */
+    getDistribution(textureManager) {
+        const texture = textureManager.getTexture(this.textureId);
+        if (!texture) {
+            return null;
+        }
+        if (!distributions.has(texture)) {
+            distributions.set(texture, buildDistribution(texture));
+        }
+        return distributions.get(texture);
+    }
+}
+
+/**
+ * Builds the sampling distribution of an environment image (see EnvironmentMap.getDistribution).
+ * @param {Texture} texture - The image.
+ * @returns {object|null} The distribution, or null if the image is black.
+ */
+function buildDistribution(texture) {
+    const level = texture.levels.find(candidate => candidate.width <= DISTRIBUTION_MAX_WIDTH) ||
+        texture.levels[texture.levels.length - 1];
+    const { width, height, data } = level;
+
+    const luminance = new Float64Array(width * height);
+    let luminanceSum = 0;
+    for (let i = 0; i < width * height; i++) {
+        luminance[i] = Math.max(0, 0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]);
+        luminanceSum += luminance[i];
+    }
+    if (!(luminanceSum > 0)) {
+        return null;
+    }
+    // Filtered lookups spread each pixel's light into its neighbors, so every cell is weighted by
+    // the brightest pixel around it (wrapping around horizontally); a small floor keeps every
+    // direction possible
+    const brightestAround = (row, column) => {
+        let brightest = 0;
+        for (let r = Math.max(row - 1, 0); r <= Math.min(row + 1, height - 1); r++) {
+            for (let c = column - 1; c <= column + 1; c++) {
+                brightest = Math.max(brightest, luminance[r * width + (c + width) % width]);
+            }
+        }
+        return brightest;
+    };
+    const floor = 1e-3 * luminanceSum / (width * height);
+
+    const weights = new Float64Array(width * height);
+    const columnCdfs = new Float64Array(height * (width + 1));
+    const rowCdf = new Float64Array(height + 1);
+    for (let row = 0; row < height; row++) {
+        const sinTheta = Math.sin(Math.PI * (row + 0.5) / height);
+        const start = row * (width + 1);
+        for (let column = 0; column < width; column++) {
+            const weight = (brightestAround(row, column) + floor) * sinTheta;
+            weights[row * width + column] = weight;
+            columnCdfs[start + column + 1] = columnCdfs[start + column] + weight;
+        }
+        rowCdf[row + 1] = rowCdf[row] + columnCdfs[start + width];
+    }
+    const total = rowCdf[height];
+    for (let row = 0; row < height; row++) {
+        const start = row * (width + 1);
+        const rowTotal = columnCdfs[start + width];
+        for (let column = 1; column <= width; column++) {
+            columnCdfs[start + column] /= rowTotal;
+        }
+        rowCdf[row + 1] /= total;
+    }
+    return { width: width, height: height, weights: weights, rowCdf: rowCdf, columnCdfs: columnCdfs, total: total };
+}
+
+/**
+ * Finds the interval of a cumulative distribution that contains a value.
+ * @param {Float64Array} cdf - Array holding the cumulative distribution.
+ * @param {number} start - Index of the distribution's first entry (0) in the array.
+ * @param {number} count - The number of intervals (the distribution has count + 1 entries).
+ * @param {number} value - A value in [0, 1).
+ * @returns {number} The index i of the interval, with cdf[start + i] <= value < cdf[start + i + 1].
+ */
+function findInterval(cdf, start, count, value) {
+    let low = 0;
+    let high = count - 1;
+    while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (cdf[start + middle] <= value) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return low;
+}
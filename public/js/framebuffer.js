@@ -0,0 +1,56 @@
+// public/js/framebuffer.js
+// Framebuffers hold the 8-bit RGBA pixels produced by the Raytracer.
+// The base class is plain memory (used for headless rendering, e.g. by the Node CLI);
+// CanvasFramebuffer additionally shows its pixels on an HTML canvas.
+
+export class Framebuffer {
+    /**
+     * @param {number} width - Width of the image in pixels.
+     * @param {number} height - Height of the image in pixels.
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        /**
+         * Pixel data, 4 bytes (R, G, B, A) per pixel, row by row from the top-left corner.
+         * @type {Uint8ClampedArray}
+         */
+        this.pixels = new Uint8ClampedArray(width * height * 4);
+    }
+
+    /**
+     * Called after pixels were written, so they can be shown.
+     * Does nothing for an in-memory framebuffer.
+     * @param {{x: number, y: number, width: number, height: number}} [region] - The changed region
+     * (the whole image if omitted).
+     */
+    present(region = null) {
+    }
+}
+
+export class CanvasFramebuffer extends Framebuffer {
+    /**
+     * @param {HTMLCanvasElement} canvas - The canvas to draw on; its size is the size of the image.
+     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
+     */
+    constructor(canvas, ctx) {
+        super(canvas.width, canvas.height);
+        this.canvas = canvas;
+        this.ctx = ctx;
+        this.imageData = ctx.createImageData(canvas.width, canvas.height);
+        this.pixels = new Uint8ClampedArray(this.imageData.data.buffer); // Direct access to pixel data
+    }
+
+    /**
+     * Copies the changed pixels onto the canvas.
+     * @param {{x: number, y: number, width: number, height: number}} [region] - The changed region
+     * (the whole image if omitted).
+     */
+    present(region = null) {
+        if (region) {
+            this.ctx.putImageData(this.imageData, 0, 0, region.x, region.y, region.width, region.height);
+        } else {
+            this.ctx.putImageData(this.imageData, 0, 0);
+        }
+    }
+}
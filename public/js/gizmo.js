@@ -0,0 +1,504 @@
+// public/js/gizmo.js
+// On-canvas manipulation gizmo for the selected object, drawn on an overlay canvas over the
+// ray-traced image. Its handles constrain dragging to one axis: arrows move the object along a
+// world axis, rings rotate it around a world axis, and box-tipped handles scale it along one of
+// its own axes. Rotation and scale keep the object's pivot (see Object.getPivot) in place.
+// The overlay also marks where the scene's lights are, so they can be picked (see hitTestLight)
+// and then dragged through a LightHandle.
+
+import { Vec3 } from './math.js';
+import { Mat4 } from './matrix.js';
+import { LightHandle } from './lightHandle.js';
+
+/** The gizmo's axes, in handle order. */
+const AXES = [
+    { name: 'x', direction: new Vec3(1, 0, 0), color: '#e5484d' },
+    { name: 'y', direction: new Vec3(0, 1, 0), color: '#46a758' },
+    { name: 'z', direction: new Vec3(0, 0, 1), color: '#3e83f0' }
+];
+const ROTATION_MATRICES = { x: Mat4.rotationX, y: Mat4.rotationY, z: Mat4.rotationZ };
+
+const HANDLE_LENGTH = 80;        // Length of the axis handles (and radius of the rings), in pixels
+const HANDLE_PICK_DISTANCE = 8;  // Maximum distance of the mouse from a handle to grab it, in pixels
+const RING_SEGMENTS = 48;
+const HIGHLIGHT_COLOR = '#ffd33d';
+const LIGHT_MARKER_RADIUS = 6;     // Radius of the light markers, in pixels
+const LIGHT_AIM_LENGTH = 30;       // Length of the line showing where a light points, in pixels
+
+export const GIZMO_MODES = ['translate', 'rotate', 'scale'];
+
+export class TransformGizmo {
+    /**
+     * @param {HTMLCanvasElement} canvas - The overlay canvas to draw on. It must have the size of the rendered image.
+     * @param {Camera} camera - The camera the image is rendered with.
+     */
+    constructor(canvas, camera) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.camera = camera;
+        /** @type {Object|LightHandle|null} */
+        this.target = null;
+        this.mode = 'translate';
+        // Snapping: moves snap the position to a grid, rotations to angle steps, scales to scale steps
+        this.snapping = { enabled: false, translate: 0.25, rotate: 15, scale: 0.1 };
+        this.hoveredAxis = -1;
+        this.drag = null; // State of the drag in progress, see beginDrag()
+        /** @type {Light[]} */
+        this.lights = []; // Lights to mark on the overlay
+        this.showLights = true;
+    }
+
+    /**
+     * @param {Object|LightHandle|null} obj - The object (or light) to manipulate, or null to hide the gizmo.
+     */
+    setTarget(obj) {
+        this.target = obj;
+        this.drag = null;
+        this.hoveredAxis = -1;
+        this.draw();
+    }
+
+    /**
+     * @param {string} mode - 'translate', 'rotate' or 'scale'.
+     */
+    setMode(mode) {
+        if (!GIZMO_MODES.includes(mode)) {
+            console.warn(`TransformGizmo: Unknown mode '${mode}'.`);
+            return;
+        }
+        this.mode = mode;
+        this.drag = null;
+        this.hoveredAxis = -1;
+        this.draw();
+    }
+
+    /**
+     * @returns {boolean} True while a handle is being dragged.
+     */
+    isDragging() {
+        return this.drag !== null;
+    }
+
+    /**
+     * Computes the handles of the current mode in world space.
+     * @returns {Array<{axis: number, points: Vec3[], closed: boolean}>|null} One polyline per axis
+     *   (starting at the pivot for arrows and scale handles), or null if there is nothing to show.
+     */
+    getHandles() {
+        if (!this.target) {
+            return null;
+        }
+        const pivot = this.target.getPivot();
+        const projectedPivot = this.camera.projectPoint(pivot);
+        if (!projectedPivot) {
+            return null;
+        }
+        // Handles keep the same size on screen at any distance
+        const length = HANDLE_LENGTH * this.camera.getPixelSizeAt(projectedPivot.depth);
+
+        return AXES.map((axis, index) => {
+            if (this.mode === 'rotate') {
+                // Ring around the axis, spanned by the two other axes
+                const first = AXES[(index + 1) % 3].direction;
+                const second = AXES[(index + 2) % 3].direction;
+                const points = [];
+                for (let i = 0; i < RING_SEGMENTS; i++) {
+                    const angle = 2 * Math.PI * i / RING_SEGMENTS;
+                    points.push(pivot.add(first.multiplyScalar(Math.cos(angle) * length))
+                        .add(second.multiplyScalar(Math.sin(angle) * length)));
+                }
+                return { axis: index, points: points, closed: true };
+            }
+            const direction = this.mode === 'scale' ? this.getLocalAxis(index) : axis.direction;
+            return { axis: index, points: [pivot, pivot.add(direction.multiplyScalar(length))], closed: false };
+        });
+    }
+
+    /**
+     * @param {number} index - The axis index (0 = X, 1 = Y, 2 = Z).
+     * @returns {Vec3} The direction of the target's own axis in world space.
+     */
+    getLocalAxis(index) {
+        const direction = this.target.transform.transformDirection(AXES[index].direction);
+        return direction.lengthSquared() > 0 ? direction.normalize() : AXES[index].direction;
+    }
+
+    /**
+     * Finds the handle under a canvas position.
+     * @param {number} x - The horizontal position in canvas pixels.
+     * @param {number} y - The vertical position in canvas pixels.
+     * @returns {number} The axis index of the closest handle within reach, or -1 if there is none.
+     */
+    hitTest(x, y) {
+        const handles = this.getHandles();
+        if (!handles) {
+            return -1;
+        }
+        let closestAxis = -1;
+        let closestDistance = HANDLE_PICK_DISTANCE;
+        for (const handle of handles) {
+            for (const [start, end] of this.getScreenSegments(handle)) {
+                const distance = distanceToSegment(x, y, start, end);
+                if (distance <= closestDistance) {
+                    closestDistance = distance;
+                    closestAxis = handle.axis;
+                }
+            }
+        }
+        return closestAxis;
+    }
+
+    /**
+     * Finds the light marker under a canvas position.
+     * @param {number} x - The horizontal position in canvas pixels.
+     * @param {number} y - The vertical position in canvas pixels.
+     * @returns {Light|null} The light whose marker is closest within reach, or null if there is none.
+     */
+    hitTestLight(x, y) {
+        if (!this.showLights) {
+            return null;
+        }
+        let closestLight = null;
+        let closestDistance = LIGHT_MARKER_RADIUS + 3;
+        for (const light of this.lights) {
+            const center = light.visible ? this.camera.projectPoint(light.position) : null;
+            const distance = center ? Math.hypot(x - center.x, y - center.y) : Infinity;
+            if (distance <= closestDistance) {
+                closestDistance = distance;
+                closestLight = light;
+            }
+        }
+        return closestLight;
+    }
+
+    /**
+     * Updates the highlighted handle for a mouse position, redrawing if it changed.
+     * @param {number} x - The horizontal position in canvas pixels.
+     * @param {number} y - The vertical position in canvas pixels.
+     * @returns {boolean} True if the mouse is over a handle.
+     */
+    hover(x, y) {
+        const axis = this.drag ? this.drag.axis : this.hitTest(x, y);
+        if (axis !== this.hoveredAxis) {
+            this.hoveredAxis = axis;
+            this.draw();
+        }
+        return axis !== -1;
+    }
+
+    /**
+     * Starts dragging a handle.
+     * @param {number} axis - The axis index of the handle (see hitTest).
+     * @param {number} x - The horizontal mouse position in canvas pixels.
+     * @param {number} y - The vertical mouse position in canvas pixels.
+     * @returns {boolean} False if the drag cannot start (e.g. the axis points straight at the camera).
+     */
+    beginDrag(axis, x, y) {
+        if (!this.target || axis < 0) {
+            return false;
+        }
+        const drag = {
+            axis: axis,
+            position: this.target.position,
+            rotation: this.target.rotation,
+            scale: this.target.scale,
+            localPivot: this.target.getLocalPivot(),
+            pivot: this.target.getPivot(),
+            direction: this.mode === 'scale' ? this.getLocalAxis(axis) : AXES[axis].direction
+        };
+        const start = this.mode === 'rotate'
+            ? this.getRingVector(drag, x, y)
+            : this.getAxisParameter(drag, x, y);
+        if (start === null || (this.mode === 'scale' && Math.abs(start) < 1e-6)) {
+            return false;
+        }
+        drag.start = start;
+        this.drag = drag;
+        this.hoveredAxis = axis;
+        this.draw();
+        return true;
+    }
+
+    /**
+     * Computes the target's transform for the current mouse position of a drag. The transform is
+     * not applied, so the caller can validate it and notify the scene (see Object.setTransform).
+     * @param {number} x - The horizontal mouse position in canvas pixels.
+     * @param {number} y - The vertical mouse position in canvas pixels.
+     * @returns {{position: Vec3, rotation: Vec3, scale: Vec3}|null} The new transform, or null if
+     *   the mouse position does not define one (e.g. the mouse ray runs parallel to the ring).
+     */
+    updateDrag(x, y) {
+        const drag = this.drag;
+        if (!drag) {
+            return null;
+        }
+        const axisName = AXES[drag.axis].name;
+
+        if (this.mode === 'translate') {
+            const t = this.getAxisParameter(drag, x, y);
+            if (t === null) {
+                return null;
+            }
+            const position = drag.position.add(drag.direction.multiplyScalar(t - drag.start));
+            if (this.snapping.enabled && this.snapping.translate > 0) {
+                position[axisName] = snap(position[axisName], this.snapping.translate);
+            }
+            return { position: position, rotation: drag.rotation, scale: drag.scale };
+        }
+
+        if (this.mode === 'rotate') {
+            const v = this.getRingVector(drag, x, y);
+            if (v === null) {
+                return null;
+            }
+            let angle = Math.atan2(drag.start.cross(v).dot(drag.direction), drag.start.dot(v)) * 180 / Math.PI;
+            if (this.snapping.enabled && this.snapping.rotate > 0) {
+                angle = snap(angle, this.snapping.rotate);
+            }
+            // Rotate around the world axis, on top of the object's current rotation
+            const rotationMatrix = ROTATION_MATRICES[axisName](angle)
+                .multiply(Mat4.fromTRS(new Vec3(0, 0, 0), drag.rotation, new Vec3(1, 1, 1)));
+            const rotation = roundAngles(rotationMatrix.toEulerAngles());
+            return { position: this.keepPivot(drag, rotation, drag.scale), rotation: rotation, scale: drag.scale };
+        }
+
+        // Scale along the object's own axis, by how far the mouse moved along it relative to the start
+        const t = this.getAxisParameter(drag, x, y);
+        if (t === null) {
+            return null;
+        }
+        const scale = new Vec3(drag.scale.x, drag.scale.y, drag.scale.z);
+        scale[axisName] = drag.scale[axisName] * t / drag.start;
+        if (this.snapping.enabled && this.snapping.scale > 0) {
+            scale[axisName] = snap(scale[axisName], this.snapping.scale) || this.snapping.scale * Math.sign(drag.scale[axisName]);
+        }
+        return { position: this.keepPivot(drag, drag.rotation, scale), rotation: drag.rotation, scale: scale };
+    }
+
+    /**
+     * Ends the drag in progress.
+     */
+    endDrag() {
+        this.drag = null;
+        this.draw();
+    }
+
+    /**
+     * Computes the position that keeps the pivot where it was at the start of the drag.
+     * @param {object} drag - The drag state.
+     * @param {Vec3} rotation - The new rotation.
+     * @param {Vec3} scale - The new scale.
+     * @returns {Vec3} The position.
+     */
+    keepPivot(drag, rotation, scale) {
+        const rotatedPivot = Mat4.fromTRS(new Vec3(0, 0, 0), rotation, scale).transformPoint(drag.localPivot);
+        return drag.pivot.subtract(rotatedPivot);
+    }
+
+    /**
+     * Finds the point of the drag axis (the line through the pivot along the drag direction)
+     * closest to the ray under the mouse.
+     * @param {object} drag - The drag state.
+     * @param {number} x - The horizontal mouse position in canvas pixels.
+     * @param {number} y - The vertical mouse position in canvas pixels.
+     * @returns {number|null} The point's signed distance from the pivot along the axis, or null if
+     *   the axis is (nearly) parallel to the ray.
+     */
+    getAxisParameter(drag, x, y) {
+        const ray = this.getMouseRay(x, y);
+        const b = drag.direction.dot(ray.direction);
+        const denominator = 1 - b * b; // Both directions are unit vectors
+        if (denominator < 1e-6) {
+            return null;
+        }
+        const w = drag.pivot.subtract(ray.origin);
+        return (b * ray.direction.dot(w) - drag.direction.dot(w)) / denominator;
+    }
+
+    /**
+     * Intersects the ray under the mouse with the plane of the dragged ring.
+     * @param {object} drag - The drag state.
+     * @param {number} x - The horizontal mouse position in canvas pixels.
+     * @param {number} y - The vertical mouse position in canvas pixels.
+     * @returns {Vec3|null} The vector from the pivot to the intersection, or null if the ray
+     *   misses the plane or runs (nearly) parallel to it.
+     */
+    getRingVector(drag, x, y) {
+        const ray = this.getMouseRay(x, y);
+        const denominator = ray.direction.dot(drag.direction);
+        if (Math.abs(denominator) < 1e-4) {
+            return null;
+        }
+        const t = drag.pivot.subtract(ray.origin).dot(drag.direction) / denominator;
+        if (t <= 0) {
+            return null;
+        }
+        const v = ray.pointAt(t).subtract(drag.pivot);
+        return v.lengthSquared() > 1e-12 ? v : null;
+    }
+
+    /**
+     * @param {number} x - The horizontal position in canvas pixels.
+     * @param {number} y - The vertical position in canvas pixels.
+     * @returns {Ray} The ray through the lens center and the canvas position.
+     */
+    getMouseRay(x, y) {
+        // The pixel index plus the sub-pixel offset is the position on the image plane
+        return this.camera.computePrimaryRay(0, 0, x, y);
+    }
+
+    /**
+     * Projects a handle onto the canvas.
+     * @param {{points: Vec3[], closed: boolean}} handle - The handle.
+     * @returns {Array<Array<{x: number, y: number}>>} Its visible line segments in canvas pixels.
+     */
+    getScreenSegments(handle) {
+        const projected = handle.points.map(point => this.camera.projectPoint(point));
+        const count = handle.closed ? projected.length : projected.length - 1;
+        const segments = [];
+        for (let i = 0; i < count; i++) {
+            const start = projected[i];
+            const end = projected[(i + 1) % projected.length];
+            if (start && end) {
+                segments.push([start, end]);
+            }
+        }
+        return segments;
+    }
+
+    /**
+     * Redraws the gizmo for the target's current transform and the camera's current view,
+     * on top of the light markers. Must be called whenever either (or a light) changes.
+     */
+    draw() {
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (this.showLights) {
+            this.drawLights();
+        }
+        const handles = this.getHandles();
+        if (!handles) {
+            return;
+        }
+
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+        for (const handle of handles) {
+            const active = handle.axis === this.hoveredAxis;
+            const color = active ? HIGHLIGHT_COLOR : AXES[handle.axis].color;
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = active ? 3 : 2;
+
+            const segments = this.getScreenSegments(handle);
+            ctx.beginPath();
+            for (const [start, end] of segments) {
+                ctx.moveTo(start.x, start.y);
+                ctx.lineTo(end.x, end.y);
+            }
+            ctx.stroke();
+
+            if (!handle.closed && segments.length > 0) {
+                const [start, end] = segments[0];
+                if (this.mode === 'translate') {
+                    drawArrowHead(ctx, start, end);
+                } else {
+                    ctx.fillRect(end.x - 5, end.y - 5, 10, 10);
+                }
+            }
+        }
+
+        // Pivot
+        const pivot = this.camera.projectPoint(this.target.getPivot());
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.arc(pivot.x, pivot.y, 3, 0, 2 * Math.PI);
+        ctx.fill();
+    }
+
+    /**
+     * Draws a marker for each light: a dot in the light's color, with a line towards where the
+     * light points (see LightHandle.getAim). The light being manipulated is highlighted.
+     */
+    drawLights() {
+        const ctx = this.ctx;
+        ctx.lineWidth = 2;
+        for (const light of this.lights) {
+            const center = light.visible ? this.camera.projectPoint(light.position) : null;
+            if (!center) {
+                continue; // Hidden or behind the camera
+            }
+            const selected = this.target instanceof LightHandle && this.target.light === light;
+            ctx.strokeStyle = selected ? HIGHLIGHT_COLOR : '#ffffff';
+
+            const aim = LightHandle.getAim(light);
+            if (aim) {
+                const length = LIGHT_AIM_LENGTH * this.camera.getPixelSizeAt(center.depth);
+                const end = this.camera.projectPoint(light.position.add(aim.multiplyScalar(length)));
+                if (end) {
+                    ctx.beginPath();
+                    ctx.moveTo(center.x, center.y);
+                    ctx.lineTo(end.x, end.y);
+                    ctx.stroke();
+                }
+            }
+
+            ctx.fillStyle = light.color.clamp().toHexString();
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, LIGHT_MARKER_RADIUS, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.stroke();
+        }
+    }
+}
+
+/**
+ * @param {number} value - The value to snap.
+ * @param {number} step - The snapping step.
+ * @returns {number} The multiple of the step closest to the value.
+ */
+function snap(value, step) {
+    return Math.round(value / step) * step;
+}
+
+/**
+ * Rounds Euler angles to remove floating-point noise from the matrix decomposition.
+ * @param {Vec3} angles - Euler angles in degrees.
+ * @returns {Vec3} The rounded angles.
+ */
+function roundAngles(angles) {
+    const round = (angle) => Math.round(angle * 1e6) / 1e6 + 0; // '+ 0' turns -0 into 0
+    return new Vec3(round(angles.x), round(angles.y), round(angles.z));
+}
+
+/**
+ * @param {number} x - The point's horizontal position.
+ * @param {number} y - The point's vertical position.
+ * @param {{x: number, y: number}} start - The segment start.
+ * @param {{x: number, y: number}} end - The segment end.
+ * @returns {number} The distance between the point and the segment.
+ */
+function distanceToSegment(x, y, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((x - start.x) * dx + (y - start.y) * dy) / lengthSquared)) : 0;
+    return Math.hypot(x - (start.x + t * dx), y - (start.y + t * dy));
+}
+
+/**
+ * Draws a filled arrow head at the end of a line.
+ * @param {CanvasRenderingContext2D} ctx - The context to draw with.
+ * @param {{x: number, y: number}} start - The line start.
+ * @param {{x: number, y: number}} end - The line end, where the arrow points.
+ */
+function drawArrowHead(ctx, start, end) {
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    const size = 10;
+    ctx.beginPath();
+    ctx.moveTo(end.x, end.y);
+    ctx.lineTo(end.x - size * Math.cos(angle - Math.PI / 7), end.y - size * Math.sin(angle - Math.PI / 7));
+    ctx.lineTo(end.x - size * Math.cos(angle + Math.PI / 7), end.y - size * Math.sin(angle + Math.PI / 7));
+    ctx.closePath();
+    ctx.fill();
+}
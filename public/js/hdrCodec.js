@@ -0,0 +1,146 @@
+// public/js/hdrCodec.js
+// Decoder for Radiance HDR (.hdr, RGBE) images, the usual format of high dynamic range
+// environment maps. Each pixel stores three 8-bit mantissas sharing an 8-bit exponent; rows are
+// usually run-length encoded per channel. Works on plain byte arrays, so the browser (see
+// TextureManager.loadImage) and the command line renderer share it.
+
+export class HDRCodec {
+    /**
+     * Decodes a Radiance HDR file.
+     * @param {Uint8Array} fileData - The file contents.
+     * @returns {{width: number, height: number, data: Float32Array}} The image as linear floating-point
+     *   RGBA (alpha is 1), row by row from the top-left corner.
+     * @throws {Error} If the data is not a supported Radiance HDR file.
+     */
+    static decode(fileData) {
+        let offset = 0;
+        const readLine = () => {
+            let line = '';
+            while (offset < fileData.length && fileData[offset] !== 0x0A) {
+                line += String.fromCharCode(fileData[offset++]);
+            }
+            if (offset >= fileData.length) {
+                throw new Error('Truncated HDR header.');
+            }
+            offset++; // Skip the newline
+            return line;
+        };
+
+        const magic = readLine();
+        if (!magic.startsWith('#?')) {
+            throw new Error('Not a Radiance HDR file.');
+        }
+        // Header variables, up to an empty line; only the pixel format matters here
+        for (let line = readLine(); line !== ''; line = readLine()) {
+            if (line.startsWith('FORMAT=') && line !== 'FORMAT=32-bit_rle_rgbe') {
+                throw new Error(`Unsupported HDR pixel format '${line.slice(7)}'.`);
+            }
+        }
+        // Resolution: '-Y height +X width' stores rows top to bottom, '+Y' bottom to top
+        const resolution = /^([-+])Y (\d+) \+X (\d+)$/.exec(readLine().trim());
+        if (!resolution) {
+            throw new Error('Unsupported HDR image orientation.');
+        }
+        const topDown = resolution[1] === '-';
+        const height = parseInt(resolution[2], 10);
+        const width = parseInt(resolution[3], 10);
+
+        const data = new Float32Array(width * height * 4);
+        const scanline = new Uint8Array(width * 4);
+        for (let row = 0; row < height; row++) {
+            offset = HDRCodec.readScanline(fileData, offset, scanline, width);
+            const y = topDown ? row : height - 1 - row;
+            for (let x = 0; x < width; x++) {
+                const exponent = scanline[x * 4 + 3];
+                // Mantissas are scaled by 2^(exponent - 128) / 256, and taken at the middle of their step
+                const factor = exponent === 0 ? 0 : Math.pow(2, exponent - 136);
+                const index = (y * width + x) * 4;
+                for (let c = 0; c < 3; c++) {
+                    data[index + c] = factor === 0 ? 0 : (scanline[x * 4 + c] + 0.5) * factor;
+                }
+                data[index + 3] = 1;
+            }
+        }
+        return { width: width, height: height, data: data };
+    }
+
+    /**
+     * Reads one row of RGBE pixels, in either the run-length encoding of current files (each
+     * channel encoded separately) or the flat layout of old and very narrow ones, which may
+     * contain runs repeating the previous pixel.
+     * @param {Uint8Array} fileData - The file contents.
+     * @param {number} offset - Where the row starts in the file.
+     * @param {Uint8Array} scanline - Receives the row's RGBE bytes, 4 per pixel.
+     * @param {number} width - The number of pixels in the row.
+     * @returns {number} Where the next row starts.
+     * @throws {Error} If the row is truncated or malformed.
+     */
+    static readScanline(fileData, offset, scanline, width) {
+        if (offset + 4 > fileData.length) {
+            throw new Error('Truncated HDR pixel data.');
+        }
+        const runLengthEncoded = width >= 8 && width < 0x8000 &&
+            fileData[offset] === 2 && fileData[offset + 1] === 2 && (fileData[offset + 2] & 0x80) === 0;
+        if (runLengthEncoded) {
+            if (((fileData[offset + 2] << 8) | fileData[offset + 3]) !== width) {
+                throw new Error('HDR scanline width mismatch.');
+            }
+            offset += 4;
+            for (let channel = 0; channel < 4; channel++) {
+                let x = 0;
+                while (x < width) {
+                    if (offset >= fileData.length) {
+                        throw new Error('Truncated HDR pixel data.');
+                    }
+                    let count = fileData[offset++];
+                    if (count > 128) {
+                        // A run of one repeated value
+                        count -= 128;
+                        if (x + count > width) {
+                            throw new Error('Bad HDR run length.');
+                        }
+                        const value = fileData[offset++];
+                        for (let i = 0; i < count; i++) {
+                            scanline[(x++) * 4 + channel] = value;
+                        }
+                    } else {
+                        // A sequence of literal values
+                        if (count === 0 || x + count > width || offset + count > fileData.length) {
+                            throw new Error('Bad HDR run length.');
+                        }
+                        for (let i = 0; i < count; i++) {
+                            scanline[(x++) * 4 + channel] = fileData[offset++];
+                        }
+                    }
+                }
+            }
+            return offset;
+        }
+
+        let x = 0;
+        let shift = 0;
+        while (x < width) {
+            if (offset + 4 > fileData.length) {
+                throw new Error('Truncated HDR pixel data.');
+            }
+            const r = fileData[offset], g = fileData[offset + 1], b = fileData[offset + 2], e = fileData[offset + 3];
+            offset += 4;
+            if (r === 1 && g === 1 && b === 1 && x > 0) {
+                // Repeats the previous pixel; consecutive runs give higher digits of the count
+                const count = e << shift;
+                for (let i = 0; i < count && x < width; i++, x++) {
+                    scanline.copyWithin(x * 4, (x - 1) * 4, x * 4);
+                }
+                shift += 8;
+            } else {
+                scanline[x * 4] = r;
+                scanline[x * 4 + 1] = g;
+                scanline[x * 4 + 2] = b;
+                scanline[x * 4 + 3] = e;
+                x++;
+                shift = 0;
+            }
+        }
+        return offset;
+    }
+}
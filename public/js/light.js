@@ -1,15 +1,155 @@
 // public/js/light.js
-// Defines the Light class for point light sources in the scene.
+// Defines the Light class for point light sources in the scene, and the base of the other light
+// types: lights with an extent (see AreaLight), DirectionalLight and SpotLight override the
+// methods the renderer shades and tests shadows with (getDirection, getColorAt, getShadowRay).
 
 import { Vec3 } from './math.js'; // Import Vec3 for position and color
 
+/**
+ * Distance falloff presets (see Light.attenuation): the light reaching distance d is divided by
+ * constant + linear * d + quadratic * d^2.
+ */
+export const LIGHT_FALLOFF_PRESETS = {
+    none: { constant: 1, linear: 0, quadratic: 0 },
+    linear: { constant: 0, linear: 1, quadratic: 0 },
+    inverseSquare: { constant: 0, linear: 0, quadratic: 1 }
+};
+
 export class Light {
     /**
      * @param {Vec3} position - The 3D position of the light source.
-     * @param {Vec3} color - The color/intensity of the light (RGB values, typically 0-1).
+     * @param {Vec3} color - The color of the light (RGB values, typically 0-1).
+     * @param {number} [intensity=1] - Multiplier of the color, e.g. to make up for distance falloff.
      */
-    constructor(position = new Vec3(0, 0, 0), color = new Vec3(1.0, 1.0, 1.0)) {
+    constructor(position = new Vec3(0, 0, 0), color = new Vec3(1.0, 1.0, 1.0), intensity = 1.0) {
         this.position = position;
         this.color = color;
+        this.intensity = intensity;
+        // Distance falloff coefficients; no falloff by default (see LIGHT_FALLOFF_PRESETS)
+        this.attenuation = { ...LIGHT_FALLOFF_PRESETS.none };
+        this.name = ''; // Optional name for the UI; lights without one are shown by type
+        // Hidden lights stay in the scene (and in saved scenes) but neither light nor show up
+        this.visible = true;
+    }
+
+    /**
+     * @returns {Vec3} The color the light emits: its color scaled by its intensity.
+     */
+    getEmittedColor() {
+        return this.color.multiplyScalar(this.intensity);
+    }
+
+    /**
+     * @param {number} distance - The distance from the light.
+     * @returns {number} The fraction of the light left after the distance falloff (see attenuation).
+     */
+    getFalloff(distance) {
+        const { constant, linear, quadratic } = this.attenuation;
+        const denominator = constant + linear * distance + quadratic * distance * distance;
+        return denominator > 1e-8 ? 1 / denominator : 1e8;
+    }
+
+    /**
+     * @param {Vec3} point - The point being lit.
+     * @returns {Vec3} The unit direction from the point towards the light, used for shading.
+     */
+    getDirection(point) {
+        return this.position.subtract(point).normalize();
+    }
+
+    /**
+     * Computes the light reaching a point if nothing is in the way (shadows are tested separately,
+     * see Scene.lightVisibility).
+     * @param {Vec3} point - The point being lit.
+     * @returns {Vec3} The light's color at the point, after falloff.
+     */
+    getColorAt(point) {
+        return this.getEmittedColor().multiplyScalar(this.getFalloff(this.position.subtract(point).length()));
+    }
+
+    /**
+     * Returns the number of rows (and columns) of the stratified grid of points a shadow test
+     * samples on the light (see Scene.lightVisibility).
+     * @returns {number} 1, since a point light is a single point.
+     */
+    getSampleGridSize() {
+        return 1;
+    }
+
+    /**
+     * Picks a point on the light to cast a shadow ray to.
+     * @param {Vec3} point - The point being lit.
+     * @param {number} u - First sample coordinate, in [0, 1).
+     * @param {number} v - Second sample coordinate, in [0, 1).
+     * @returns {Vec3|null} The point on the light, or null if this part of the light does not shine on the point.
+     */
+    samplePoint(point, u, v) {
+        return this.position;
+    }
+
+    /**
+     * Describes the shadow ray from a point towards a sampled point on the light (see samplePoint).
+     * @param {Vec3} point - The point being lit.
+     * @param {number} u - First sample coordinate, in [0, 1).
+     * @param {number} v - Second sample coordinate, in [0, 1).
+     * @returns {{direction: Vec3, distance: number}|null} The unit direction and the distance to
+     *   the light, or null if this part of the light does not shine on the point.
+     */
+    getShadowRay(point, u, v) {
+        const lightPoint = this.samplePoint(point, u, v);
+        if (!lightPoint) {
+            return null;
+        }
+        const toLight = lightPoint.subtract(point);
+        const distance = toLight.length();
+        return { direction: toLight.divideScalar(distance), distance: distance };
+    }
+
+    /**
+     * Samples the light arriving at a point, for the path tracer's direct lighting (see
+     * Raytracer.tracePath). A point light shines from a single direction: it delivers getColorAt(point)
+     * to a white diffuse surface facing it, as in Whitted shading, hence the radiance of PI times
+     * that (the diffuse BRDF divides by PI).
+     * @param {Vec3} point - The point being lit.
+     * @param {number} u - First sample coordinate, in [0, 1).
+     * @param {number} v - Second sample coordinate, in [0, 1).
+     * @returns {{direction: Vec3, distance: number, radiance: Vec3, pdf: number, delta: boolean}|null}
+     *   The unit direction and distance to the light, the light arriving along it, the density of
+     *   the direction per solid angle, and whether the light shines from a single direction only (so
+     *   no other sampling strategy can find it); null if no light reaches the point.
+     */
+    sampleIncidentLight(point, u, v) {
+        const shadowRay = this.getShadowRay(point, u, v);
+        if (!shadowRay) {
+            return null;
+        }
+        return {
+            direction: shadowRay.direction,
+            distance: shadowRay.distance,
+            radiance: this.getColorAt(point).multiplyScalar(Math.PI),
+            pdf: 1,
+            delta: true
+        };
+    }
+
+    /**
+     * @param {Vec3} point - A point being lit.
+     * @param {Vec3} direction - A unit direction from the point towards the light.
+     * @param {number} distance - The distance along the direction to the light's surface.
+     * @returns {number} The density per solid angle with which sampleIncidentLight() picks the
+     *   direction; 0 for lights that shine from a single direction.
+     */
+    getIncidentPdf(point, direction, distance) {
+        return 0;
+    }
+
+    /**
+     * Intersects a ray with the light's visible surface.
+     * @param {Ray} ray - The ray to test.
+     * @returns {number|null} The distance to the light along the ray, or null if the ray misses it
+     *   (always, since a point light has no surface to see).
+     */
+    intersect(ray) {
+        return null;
     }
 }
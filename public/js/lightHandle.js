@@ -0,0 +1,72 @@
+// public/js/lightHandle.js
+// Adapts a light to the interface TransformGizmo manipulates (position, rotation, scale, pivot and
+// setTransform), so the selected light can be dragged on the canvas like an object. Moving moves
+// the light; rotating turns the direction it points to (see getAim), if it has one; scaling does nothing.
+
+import { Vec3 } from './math.js';
+import { Mat4 } from './matrix.js';
+
+export class LightHandle {
+    /**
+     * @param {Light} light - The light to manipulate.
+     */
+    constructor(light) {
+        this.light = light;
+        // Rotation applied to the light's aim since the handle was created
+        this.rotation = new Vec3(0, 0, 0);
+        this.scale = new Vec3(1, 1, 1);
+        this.transform = Mat4.identity(); // Handles are drawn along the world axes
+        this.initialAim = LightHandle.getAim(light);
+    }
+
+    /**
+     * @param {Light} light - A light.
+     * @returns {Vec3|null} The direction the light points to (a spot or directional light's direction,
+     *   an area light's normal), or null if it shines in all directions.
+     */
+    static getAim(light) {
+        return light.direction || light.normal || null;
+    }
+
+    /**
+     * @returns {Vec3} The light's position.
+     */
+    get position() {
+        return this.light.position;
+    }
+
+    /**
+     * @returns {Vec3} The pivot in handle space: the light's position is the handle's origin.
+     */
+    getLocalPivot() {
+        return new Vec3(0, 0, 0);
+    }
+
+    /**
+     * @returns {Vec3} The pivot in world space, the light's position.
+     */
+    getPivot() {
+        return this.light.position;
+    }
+
+    /**
+     * Moves the light and turns its aim (see Object.setTransform).
+     * @param {Vec3} position - The new position of the light.
+     * @param {Vec3} rotation - Euler angles in degrees, applied to the aim the light had when the handle was created.
+     * @param {Vec3} scale - Ignored; lights cannot be scaled.
+     * @returns {boolean} Always true.
+     */
+    setTransform(position, rotation, scale) {
+        this.light.position = position;
+        this.rotation = rotation;
+        if (this.initialAim) {
+            const aim = Mat4.fromTRS(new Vec3(0, 0, 0), rotation, new Vec3(1, 1, 1)).transformDirection(this.initialAim);
+            if (this.light.setNormal) {
+                this.light.setNormal(aim);
+            } else {
+                this.light.direction = aim.normalize();
+            }
+        }
+        return true;
+    }
+}
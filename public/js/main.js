@@ -7,14 +7,37 @@ import { Camera } from './camera.js';
 import { Scene } from './scene.js';
 import { Sphere } from './sphere.js';
 import { Plane } from './plane.js';
+import { Box } from './box.js';
+import { Cylinder } from './cylinder.js';
+import { Cone } from './cone.js';
+import { Disk } from './disk.js';
+import { Quad } from './quad.js';
+import { Torus } from './torus.js';
+import { CSG } from './csg.js';
 import { Ray } from './ray.js';
 import { Object } from './object.js';
-import { Light } from './light.js';
+import { Light, LIGHT_FALLOFF_PRESETS } from './light.js';
+import { DirectionalLight } from './directionalLight.js';
+import { SpotLight } from './spotLight.js';
+import { RectLight } from './rectLight.js';
+import { DiskLight } from './diskLight.js';
+import { SphereLight } from './sphereLight.js';
+import { LightHandle } from './lightHandle.js';
 import { Raytracer } from './raytracer.js';
 import { UIManager } from './ui.js';
 import { OBJLoader } from './objLoader.js';
+import { MTLLoader } from './mtlLoader.js';
 import { Mesh } from './mesh.js';
+import { Material } from './material.js';
 import { TextureManager } from './textureManager.js'; // NEW: Import TextureManager
+import { ProceduralTexture, PROCEDURAL_TEXTURE_TYPES } from './proceduralTexture.js';
+import { EnvironmentMap } from './environmentMap.js';
+import { RenderWorkerPool } from './workerPool.js';
+import { CanvasFramebuffer } from './framebuffer.js';
+import { SceneFile } from './sceneFile.js';
+import { SceneSerializer } from './sceneSerializer.js';
+import { TransformGizmo } from './gizmo.js';
+import { EditHistory } from './editHistory.js';
 
 // --- Global Variables ---
 const CANVAS_WIDTH = 640;
@@ -25,14 +48,21 @@ let camera;
 let scene;
 let uiManager;
 let textureManager; // NEW: TextureManager instance
+let gizmo; // Move/rotate/scale gizmo for the selected object, drawn over the rendered image
 let selectedObject = null; // Stores the currently selected object
 let selectedObjectIndex = -1; // Stores the index of the selected object in the scene's objects array
+let selectedLight = null; // The light being edited in the Lights panel (never selected together with an object)
+let editHistory; // Undo/redo stack of the scene, material, light and camera edits
+let pendingDragEdit = null; // Edit started when a gizmo drag began, recorded when it ends
+let pendingOrbitEdit = null; // Same for a camera orbit with the right mouse button
 
 // Mouse control variables for camera orbit
 let lastMouseX = CANVAS_WIDTH / 2;
 let lastMouseY = CANVAS_HEIGHT / 2;
 let firstMouse = true;
 let isRotating = false; // True when right mouse button is held down for rotation
+let isClickToFocusActive = false; // True when the next left click sets the camera's focus distance
+let isCombineActive = false; // True when the next left click picks the object to combine the selection with
 
 let cameraYaw = -90.0;
 let cameraPitch = 0.0;
@@ -55,6 +85,14 @@ function init() {
         return;
     }
 
+    const gizmoCanvas = document.getElementById('gizmoCanvas');
+    if (!gizmoCanvas) {
+        console.error("Canvas element 'gizmoCanvas' not found!");
+        return;
+    }
+    gizmoCanvas.width = CANVAS_WIDTH;
+    gizmoCanvas.height = CANVAS_HEIGHT;
+
     // Initialize Camera
     camera = new Camera(
         new Vec3(0, 0, 0),
@@ -73,45 +111,54 @@ function init() {
     // NEW: Initialize TextureManager
     textureManager = new TextureManager();
 
+    // Materials of the default scene, in the scene's material library. The ground has a procedural
+    // checker texture, with one-unit cells at the plane's UV scale.
+    textureManager.addProceduralTexture('Checkerboard', new ProceduralTexture('checker', { scale: 2 }));
+    const groundMaterial = scene.addMaterial(new Material('Ground', new Vec3(0.8, 0.8, 0.8), 'Checkerboard'));
+    const shinyRed = scene.addMaterial(new Material('Shiny Red', new Vec3(1.0, 0.0, 0.0), null, new Vec3(1.0, 1.0, 1.0), 50));
+    const satinGreen = scene.addMaterial(new Material('Satin Green', new Vec3(0.0, 0.5, 0.0), null, new Vec3(0.5, 0.5, 0.5), 10));
+    const matteBlue = scene.addMaterial(new Material('Matte Blue', new Vec3(0.0, 0.0, 1.0)));
+    const matteYellow = scene.addMaterial(new Material('Matte Yellow', new Vec3(1.0, 1.0, 0.0)));
+
     // Add objects to the scene
-    // Example: Add a textured plane (ensure 'checkerboard.png' exists in public/assets/textures for testing)
-    // For initial testing, you might need to manually upload a checkerboard.png or similar.
-    const groundPlane = new Plane(
-        new Vec3(0.0, -1.0, 0.0),
-        new Vec3(0.0, 1.0, 0.0),
-        new Vec3(0.8, 0.8, 0.8),
-        'checkerboard.png', // NEW: Texture ID for the ground plane
-        0.5 // NEW: UV scale for tiling
-    );
-    scene.addObject(groundPlane);
-
-    // Add a shiny red sphere and a less shiny blue sphere for testing specular
-    scene.addObject(new Sphere(new Vec3(0.0, 0.5, 0.0), 1.0,
-        new Vec3(1.0, 0.0, 0.0), // Diffuse Red
-        null, // No texture
-        new Vec3(1.0, 1.0, 1.0), // Specular White
-        50 // Shininess
-    ));
-    scene.addObject(new Sphere(new Vec3(1.8, 0.0, -1.5), 0.6,
-        new Vec3(0.0, 0.5, 0.0), // Diffuse Green
-        null, // No texture
-        new Vec3(0.5, 0.5, 0.5), // Specular Grey
-        10 // Shininess
+    scene.addObject(new Plane(new Vec3(0.0, -1.0, 0.0), new Vec3(0.0, 1.0, 0.0), groundMaterial, null,
+        0.5 // UV scale for tiling
     ));
-    scene.addObject(new Sphere(new Vec3(-1.5, 1.0, 0.8), 0.7,
-        new Vec3(0.0, 0.0, 1.0), // Diffuse Blue
-        null, // No texture
-        new Vec3(0.0, 0.0, 0.0), // No Specular
-        0 // Shininess
-    ));
-    scene.addObject(new Sphere(new Vec3(-2.0, 0.0, -0.5), 0.4, new Vec3(1.0, 1.0, 0.0))); // Yellow sphere
+    // A shiny red sphere and a less shiny green sphere for testing specular
+    scene.addObject(new Sphere(new Vec3(0.0, 0.5, 0.0), 1.0, shinyRed));
+    scene.addObject(new Sphere(new Vec3(1.8, 0.0, -1.5), 0.6, satinGreen));
+    scene.addObject(new Sphere(new Vec3(-1.5, 1.0, 0.8), 0.7, matteBlue));
+    scene.addObject(new Sphere(new Vec3(-2.0, 0.0, -0.5), 0.4, matteYellow));
 
     // Add light sources to the scene
     scene.addLight(new Light(new Vec3(6.0, 6.0, 6.0), new Vec3(1.0, 1.0, 1.0)));
     scene.addLight(new Light(new Vec3(-6.0, 4.0, 3.0), new Vec3(0.5, 0.8, 1.0)));
+    // A little ambient light, so surfaces facing away from both lights are not pure black
+    scene.ambientColor = new Vec3(0.1, 0.1, 0.1);
 
     // Initialize Raytracer (pass textureManager)
-    raytracer = new Raytracer(canvas, ctx, camera, scene, textureManager); // Modified constructor call
+    raytracer = new Raytracer(new CanvasFramebuffer(canvas, ctx), camera, scene, textureManager);
+    gizmo = new TransformGizmo(gizmoCanvas, camera);
+    gizmo.lights = scene.lights;
+
+    // Render off the main thread when Web Workers are available; otherwise render synchronously.
+    if (window.Worker) {
+        try {
+            const workerPool = new RenderWorkerPool(new URL('./renderWorker.js', import.meta.url));
+            workerPool.onError = () => {
+                if (raytracer.workerPool !== workerPool) {
+                    return; // Already fell back after an earlier worker error
+                }
+                console.warn('Render workers unavailable, falling back to main-thread rendering.');
+                workerPool.terminate();
+                raytracer.workerPool = null;
+                render();
+            };
+            raytracer.workerPool = workerPool;
+        } catch (error) {
+            console.warn('Could not start render workers, rendering on the main thread:', error);
+        }
+    }
 
     // --- Get references to UI elements ---
     const modelFileInput = document.getElementById('modelFileInput');
@@ -133,15 +180,22 @@ function init() {
         {
             eyeX: document.getElementById('eyeX'), eyeY: document.getElementById('eyeY'), eyeZ: document.getElementById('eyeZ'),
             lookAtX: document.getElementById('lookAtX'), lookAtY: document.getElementById('lookAtY'), lookAtZ: document.getElementById('lookAtZ'),
-            fov: document.getElementById('fov'), orbitRadius: document.getElementById('orbitRadius')
+            fov: document.getElementById('fov'), orbitRadius: document.getElementById('orbitRadius'),
+            aperture: document.getElementById('aperture'), focusDistance: document.getElementById('focusDistance'),
+            clickToFocus: document.getElementById('clickToFocus')
         },
         {
             eyeXValue: document.getElementById('eyeXValue'), eyeYValue: document.getElementById('eyeYValue'), eyeZValue: document.getElementById('eyeZValue'),
             lookAtXValue: document.getElementById('lookAtXValue'), lookAtYValue: document.getElementById('lookAtYValue'), lookAtZValue: document.getElementById('lookAtZValue'),
-            fovValue: document.getElementById('fovValue'), orbitRadiusValue: document.getElementById('orbitRadiusValue')
+            fovValue: document.getElementById('fovValue'), orbitRadiusValue: document.getElementById('orbitRadiusValue'),
+            apertureValue: document.getElementById('apertureValue'), focusDistanceValue: document.getElementById('focusDistanceValue')
         },
         {
             selectedObjectInfo: document.getElementById('selectedObjectInfo'),
+            materialSelect: document.getElementById('materialSelect'),
+            newMaterialButton: document.getElementById('newMaterialButton'),
+            materialName: document.getElementById('materialName'),
+            materialUsers: document.getElementById('materialUsers'),
             colorPickerGroup: document.querySelector('.color-picker-group'),
             objectColor: document.getElementById('objectColor'),
             // NEW: Pass specular controls to UIManager
@@ -150,30 +204,248 @@ function init() {
             shininessValue: shininessValueDisplay,
             reflectivity: reflectivitySlider,
             reflectivityValue: reflectivityValueDisplay,
-            specularGroup: specularGroup
+            specularGroup: specularGroup,
+            transmission: document.getElementById('transmission'),
+            transmissionValue: document.getElementById('transmissionValue'),
+            ior: document.getElementById('ior'),
+            iorValue: document.getElementById('iorValue'),
+            absorptionColor: document.getElementById('absorptionColor'),
+            transparencyGroup: document.querySelector('.transparency-group'),
+            positionX: document.getElementById('positionX'),
+            positionY: document.getElementById('positionY'),
+            positionZ: document.getElementById('positionZ'),
+            rotationX: document.getElementById('rotationX'),
+            rotationY: document.getElementById('rotationY'),
+            rotationZ: document.getElementById('rotationZ'),
+            scaleX: document.getElementById('scaleX'),
+            scaleY: document.getElementById('scaleY'),
+            scaleZ: document.getElementById('scaleZ'),
+            uvOffsetU: document.getElementById('uvOffsetU'),
+            uvOffsetV: document.getElementById('uvOffsetV'),
+            uvRotation: document.getElementById('uvRotation'),
+            gizmoMode: document.getElementById('gizmoMode'),
+            snapEnabled: document.getElementById('snapEnabled'),
+            snapTranslate: document.getElementById('snapTranslate'),
+            snapRotate: document.getElementById('snapRotate'),
+            snapScale: document.getElementById('snapScale'),
+            csgOperation: document.getElementById('csgOperation'),
+            combineButton: document.getElementById('combineButton')
         },
         {
             modelFileInput: modelFileInput, textureFileInput: textureFileInput,
             modelFileName: modelFileNameDisplay, textureFileName: textureFileNameDisplay,
-            modelTextureGroup: modelTextureGroup
+            modelTextureGroup: modelTextureGroup,
+            textureWrap: document.getElementById('textureWrap'),
+            textureSlot: document.getElementById('textureSlot'),
+            removeTextureButton: document.getElementById('removeTextureButton'),
+            bumpScale: document.getElementById('bumpScale'),
+            proceduralType: document.getElementById('proceduralType'),
+            applyProceduralButton: document.getElementById('applyProceduralButton'),
+            proceduralParams: document.getElementById('proceduralParams'),
+            sceneFileInput: document.getElementById('sceneFileInput'),
+            sceneFileName: document.getElementById('sceneFileName')
+        },
+        {
+            integrator: document.getElementById('integrator'),
+            maxDepth: document.getElementById('maxDepth'),
+            maxDepthValue: document.getElementById('maxDepthValue'),
+            progressiveEnabled: document.getElementById('progressiveEnabled'),
+            maxSamples: document.getElementById('maxSamples'),
+            maxSamplesValue: document.getElementById('maxSamplesValue'),
+            renderProgress: document.getElementById('renderProgress'),
+            renderProgressValue: document.getElementById('renderProgressValue'),
+            samplesPerPixel: document.getElementById('samplesPerPixel'),
+            samplePattern: document.getElementById('samplePattern'),
+            reconstructionFilter: document.getElementById('reconstructionFilter')
+        },
+        {
+            ambientColor: document.getElementById('ambientColor'),
+            environmentFileInput: document.getElementById('environmentFileInput'),
+            environmentName: document.getElementById('environmentName'),
+            removeEnvironmentButton: document.getElementById('removeEnvironmentButton'),
+            environmentIntensity: document.getElementById('environmentIntensity'),
+            environmentRotation: document.getElementById('environmentRotation'),
+            environmentRotationValue: document.getElementById('environmentRotationValue'),
+            lightList: document.getElementById('lightList'),
+            newLightType: document.getElementById('newLightType'),
+            addLightButton: document.getElementById('addLightButton'),
+            removeLightButton: document.getElementById('removeLightButton'),
+            lightProperties: document.getElementById('lightProperties'),
+            positionX: document.getElementById('lightPositionX'),
+            positionY: document.getElementById('lightPositionY'),
+            positionZ: document.getElementById('lightPositionZ'),
+            directionGroup: document.querySelector('.light-direction-group'),
+            directionLabel: document.getElementById('lightDirectionLabel'),
+            directionX: document.getElementById('lightDirectionX'),
+            directionY: document.getElementById('lightDirectionY'),
+            directionZ: document.getElementById('lightDirectionZ'),
+            color: document.getElementById('lightColor'),
+            intensity: document.getElementById('lightIntensity'),
+            falloffGroup: document.querySelector('.light-falloff-group'),
+            falloff: document.getElementById('lightFalloff'),
+            spotGroup: document.querySelector('.light-spot-group'),
+            innerAngle: document.getElementById('lightInnerAngle'),
+            outerAngle: document.getElementById('lightOuterAngle'),
+            sizeGroup: document.querySelector('.light-size-group'),
+            sizeLabel: document.getElementById('lightSizeLabel'),
+            width: document.getElementById('lightWidth'),
+            height: document.getElementById('lightHeight'),
+            samplesGroup: document.querySelector('.light-samples-group'),
+            samples: document.getElementById('lightSamples'),
+            showLightGizmos: document.getElementById('showLightGizmos')
+        },
+        {
+            outlinerList: document.getElementById('outlinerList'),
+            outlinerName: document.getElementById('outlinerName'),
+            duplicateButton: document.getElementById('duplicateButton'),
+            deleteButton: document.getElementById('deleteButton'),
+            visibilityButton: document.getElementById('visibilityButton'),
+            undoButton: document.getElementById('undoButton'),
+            redoButton: document.getElementById('redoButton')
         }
     );
 
+    editHistory = new EditHistory();
+    editHistory.onChange = () => uiManager.updateHistoryButtons(editHistory.peekUndo(), editHistory.peekRedo());
+
     // Set initial UI values based on camera/scene defaults
     uiManager.updateCameraValues(camera.eyePosition, camera.lookAt, camera.fov, cameraRadius);
     uiManager.updateEyePositionDisplay(camera.eyePosition);
+    uiManager.updateLensValues(camera.apertureRadius, camera.focusDistance);
+    updateRenderSettingsUI();
+    uiManager.updateGizmoControls(gizmo.mode, gizmo.snapping);
+    uiManager.updateAmbientColor(scene.ambientColor);
+    uiManager.updateEnvironment(scene.environment);
+    uiManager.updateLightList(scene.lights, null);
+    uiManager.displayLight(null);
+    refreshOutliner();
+    uiManager.updateHistoryButtons(null, null);
+    raytracer.onProgress = (fraction, label) => uiManager.updateRenderProgress(fraction, label);
 
     // --- Event Listeners ---
-    uiManager.cameraControls.lookAtX.oninput = updateCameraFromUI;
-    uiManager.cameraControls.lookAtY.oninput = updateCameraFromUI;
-    uiManager.cameraControls.lookAtZ.oninput = updateCameraFromUI;
-    uiManager.cameraControls.fov.oninput = updateCameraFromUI;
-    uiManager.cameraControls.orbitRadius.oninput = updateCameraFromUI;
+    for (const name of ['lookAtX', 'lookAtY', 'lookAtZ', 'fov', 'orbitRadius']) {
+        uiManager.cameraControls[name].oninput = () => editHistory.record('Change camera', cameraState(), updateCameraFromUI, `camera:${name}`);
+    }
+
+    // Depth of field: aperture and focus distance sliders, and click-to-focus mode
+    if (uiManager.cameraControls.aperture) {
+        uiManager.cameraControls.aperture.oninput = (event) => {
+            editHistory.record('Change aperture', cameraState(), () => {
+                camera.apertureRadius = parseFloat(event.target.value);
+            }, 'camera:aperture');
+            uiManager.updateLensValues(camera.apertureRadius, camera.focusDistance);
+            render();
+        };
+    }
+    if (uiManager.cameraControls.focusDistance) {
+        uiManager.cameraControls.focusDistance.oninput = (event) => {
+            editHistory.record('Change focus distance', cameraState(), () => {
+                camera.focusDistance = parseFloat(event.target.value);
+            }, 'camera:focusDistance');
+            uiManager.updateLensValues(camera.apertureRadius, camera.focusDistance);
+            render();
+        };
+    }
+    if (uiManager.cameraControls.clickToFocus) {
+        uiManager.cameraControls.clickToFocus.onclick = () => {
+            isClickToFocusActive = !isClickToFocusActive;
+            uiManager.setClickToFocusActive(isClickToFocusActive);
+        };
+    }
+
+    // Integrator: Whitted-style ray tracing or path tracing
+    if (uiManager.renderControls.integrator) {
+        uiManager.renderControls.integrator.onchange = (event) => {
+            raytracer.integrator = event.target.value;
+            render();
+        };
+    }
+
+    // Max bounce depth slider
+    if (uiManager.renderControls.maxDepth) {
+        uiManager.renderControls.maxDepth.oninput = (event) => {
+            raytracer.maxDepth = parseInt(event.target.value, 10);
+            updateRenderSettingsUI();
+            render();
+        };
+    }
+
+    // Progressive refinement toggle and sample count
+    if (uiManager.renderControls.progressiveEnabled) {
+        uiManager.renderControls.progressiveEnabled.onchange = (event) => {
+            raytracer.progressive.enabled = event.target.checked;
+            render();
+        };
+    }
+    // Anti-aliasing: samples per pixel, sample pattern and reconstruction filter
+    if (uiManager.renderControls.samplesPerPixel) {
+        uiManager.renderControls.samplesPerPixel.onchange = (event) => {
+            raytracer.antialiasing.samplesPerPixel = parseInt(event.target.value, 10);
+            render();
+        };
+    }
+    if (uiManager.renderControls.samplePattern) {
+        uiManager.renderControls.samplePattern.onchange = (event) => {
+            raytracer.antialiasing.pattern = event.target.value;
+            render();
+        };
+    }
+    if (uiManager.renderControls.reconstructionFilter) {
+        uiManager.renderControls.reconstructionFilter.onchange = (event) => {
+            raytracer.antialiasing.filter = event.target.value;
+            render();
+        };
+    }
+    if (uiManager.renderControls.maxSamples) {
+        uiManager.renderControls.maxSamples.oninput = (event) => {
+            raytracer.progressive.maxSamples = parseInt(event.target.value, 10);
+            updateRenderSettingsUI();
+            render();
+        };
+    }
+
+    // Material library: pick the selected object's material, give it a copy of its own, or rename it
+    if (uiManager.selectedObjectControls.materialSelect) {
+        uiManager.selectedObjectControls.materialSelect.onchange = (event) => {
+            const material = scene.materials[parseInt(event.target.value, 10)];
+            if (selectedObject && material) {
+                editHistory.record('Assign material', materialAssignmentState(selectedObject), () => {
+                    selectedObject.material = material;
+                });
+                selectObject(selectedObject); // Show the material's properties
+                render();
+            }
+        };
+    }
+    if (uiManager.selectedObjectControls.newMaterialButton) {
+        uiManager.selectedObjectControls.newMaterialButton.onclick = () => {
+            if (selectedObject) {
+                editHistory.record('New material', materialAssignmentState(selectedObject), () => {
+                    const original = selectedObject.material;
+                    selectedObject.material = scene.addMaterial(original.clone(`${original.name} copy`));
+                });
+                selectObject(selectedObject);
+                render();
+            }
+        };
+    }
+    if (uiManager.selectedObjectControls.materialName) {
+        uiManager.selectedObjectControls.materialName.oninput = (event) => {
+            if (selectedObject) {
+                editMaterial('Rename material', () => {
+                    selectedObject.material.name = event.target.value;
+                });
+                refreshMaterialLibrary();
+            }
+        };
+    }
 
     // Diffuse color picker
     uiManager.selectedObjectControls.objectColor.oninput = (event) => {
         if (selectedObject) {
-            selectedObject.color = Vec3.fromHexString(event.target.value);
+            editMaterial('Change diffuse color', () => {
+                selectedObject.material.color = Vec3.fromHexString(event.target.value);
+            });
             render();
         }
     };
@@ -182,7 +454,9 @@ function init() {
     if (uiManager.selectedObjectControls.specularColor) {
         uiManager.selectedObjectControls.specularColor.oninput = (event) => {
             if (selectedObject) {
-                selectedObject.specularColor = Vec3.fromHexString(event.target.value);
+                editMaterial('Change specular color', () => {
+                    selectedObject.material.specularColor = Vec3.fromHexString(event.target.value);
+                });
                 render();
             }
         };
@@ -192,8 +466,10 @@ function init() {
     if (uiManager.selectedObjectControls.shininess) {
         uiManager.selectedObjectControls.shininess.oninput = (event) => {
             if (selectedObject) {
-                selectedObject.shininess = parseFloat(event.target.value);
-                uiManager.selectedObjectControls.shininessValue.textContent = selectedObject.shininess.toFixed(0);
+                editMaterial('Change shininess', () => {
+                    selectedObject.material.shininess = parseFloat(event.target.value);
+                });
+                uiManager.selectedObjectControls.shininessValue.textContent = selectedObject.material.shininess.toFixed(0);
                 render();
             }
         };
@@ -203,71 +479,528 @@ function init() {
     if (uiManager.selectedObjectControls.reflectivity) {
         uiManager.selectedObjectControls.reflectivity.oninput = (event) => {
             if (selectedObject) {
-                selectedObject.reflectivity = parseFloat(event.target.value);
-                uiManager.selectedObjectControls.reflectivityValue.textContent = selectedObject.reflectivity.toFixed(2);
+                editMaterial('Change reflectivity', () => {
+                    selectedObject.material.reflectivity = parseFloat(event.target.value);
+                });
+                uiManager.selectedObjectControls.reflectivityValue.textContent = selectedObject.material.reflectivity.toFixed(2);
                 render();
             }
         };
     }
 
-    modelFileInput.onchange = (event) => {
-        if (event.target.files.length > 0) {
-            const file = event.target.files[0];
-            const reader = new FileReader();
+    // Transmission slider
+    if (uiManager.selectedObjectControls.transmission) {
+        uiManager.selectedObjectControls.transmission.oninput = (event) => {
+            if (selectedObject) {
+                editMaterial('Change transmission', () => {
+                    selectedObject.material.transmission = parseFloat(event.target.value);
+                });
+                uiManager.selectedObjectControls.transmissionValue.textContent = selectedObject.material.transmission.toFixed(2);
+                render();
+            }
+        };
+    }
 
-            reader.onload = (e) => {
-                try {
-                    const objContent = e.target.result;
-                    const loadedMesh = OBJLoader.parse(
-                        objContent,
-                        new Vec3(0.5, 0.7, 1.0), // Default diffuse color for loaded mesh
-                        file.name,
-                        selectedObject ? selectedObject.textureId : null, // Pass current texture if any
-                        selectedObject ? selectedObject.specularColor : new Vec3(0.0, 0.0, 0.0), // Pass current specular color
-                        selectedObject ? selectedObject.shininess : 0, // Pass current shininess
-                        selectedObject ? selectedObject.reflectivity : 0.0 // Pass current reflectivity
-                    );
-                    if (loadedMesh) {
-                        scene.objects = scene.objects.filter(obj => obj instanceof Plane || obj instanceof Sphere);
-                        scene.addObject(loadedMesh);
-                        uiManager.updateModelFileName(file.name);
-                        selectedObject = loadedMesh;
-                        uiManager.displaySelectedObject(selectedObject);
-                        console.log(`Successfully loaded and added mesh: ${file.name}`);
-                    } else {
-                        console.error(`Failed to parse OBJ file: ${file.name}`);
-                        uiManager.updateModelFileName('Failed to load');
-                    }
-                } catch (error) {
-                    console.error(`Error loading OBJ file ${file.name}:`, error);
-                    uiManager.updateModelFileName('Error loading');
+    // Index of refraction slider
+    if (uiManager.selectedObjectControls.ior) {
+        uiManager.selectedObjectControls.ior.oninput = (event) => {
+            if (selectedObject) {
+                editMaterial('Change index of refraction', () => {
+                    selectedObject.material.ior = parseFloat(event.target.value);
+                });
+                uiManager.selectedObjectControls.iorValue.textContent = selectedObject.material.ior.toFixed(2);
+                render();
+            }
+        };
+    }
+
+    // Absorption color picker
+    if (uiManager.selectedObjectControls.absorptionColor) {
+        uiManager.selectedObjectControls.absorptionColor.oninput = (event) => {
+            if (selectedObject) {
+                editMaterial('Change absorption', () => {
+                    selectedObject.material.absorptionColor = Vec3.fromHexString(event.target.value);
+                });
+                render();
+            }
+        };
+    }
+
+    // Transform fields (position, rotation in degrees, scale)
+    for (const name of ['position', 'rotation', 'scale']) {
+        for (const suffix of ['X', 'Y', 'Z']) {
+            const field = uiManager.selectedObjectControls[`${name}${suffix}`];
+            if (!field) {
+                continue;
+            }
+            field.oninput = () => {
+                if (!selectedObject) {
+                    return;
                 }
+                // Incomplete input (e.g. a lone '-') or a zero scale is ignored until it becomes valid
+                const transform = uiManager.readTransformValues();
+                const changed = transform && editHistory.record('Transform object', transformState(selectedObject),
+                    () => selectedObject.setTransform(transform.position, transform.rotation, transform.scale), 'transform');
+                if (changed) {
+                    scene.markDirty(); // The object's bounds changed
+                    render();
+                }
+            };
+            field.onchange = () => {
+                if (selectedObject) {
+                    uiManager.updateTransformValues(selectedObject); // Show the values actually in use
+                }
+            };
+        }
+    }
+
+    // Texture placement fields (UV offset and rotation in degrees)
+    for (const name of ['uvOffsetU', 'uvOffsetV', 'uvRotation']) {
+        const field = uiManager.selectedObjectControls[name];
+        if (!field) {
+            continue;
+        }
+        field.oninput = () => {
+            const placement = selectedObject ? uiManager.readUVValues() : null;
+            if (placement) {
+                editHistory.record('Move texture', propertyState(selectedObject, ['uvOffset', 'uvRotation']), () => {
+                    selectedObject.uvOffset = placement.offset;
+                    selectedObject.uvRotation = placement.rotation;
+                }, 'uv');
                 render();
+            }
+        };
+    }
+
+    // Gizmo mode and snapping options
+    if (uiManager.selectedObjectControls.gizmoMode) {
+        uiManager.selectedObjectControls.gizmoMode.onchange = (event) => gizmo.setMode(event.target.value);
+    }
+    if (uiManager.selectedObjectControls.snapEnabled) {
+        uiManager.selectedObjectControls.snapEnabled.onchange = (event) => {
+            gizmo.snapping.enabled = event.target.checked;
+        };
+    }
+    for (const name of ['translate', 'rotate', 'scale']) {
+        const field = uiManager.selectedObjectControls[`snap${name.charAt(0).toUpperCase()}${name.slice(1)}`];
+        if (field) {
+            field.oninput = () => {
+                const step = parseFloat(field.value);
+                if (step > 0) {
+                    gizmo.snapping[name] = step;
+                }
             };
+        }
+    }
+    // CSG: the operation selector edits a selected CSG node; "Combine with..." arms combine mode,
+    // in which the next object clicked on the canvas is combined with the selected one
+    if (uiManager.selectedObjectControls.csgOperation) {
+        uiManager.selectedObjectControls.csgOperation.onchange = (event) => {
+            if (selectedObject instanceof CSG) {
+                editHistory.record('Change CSG operation', propertyState(selectedObject, ['operation']), () => {
+                    selectedObject.operation = event.target.value;
+                });
+                scene.markDirty(); // The operation changes the node's bounds
+                render();
+            }
+        };
+    }
+    if (uiManager.selectedObjectControls.combineButton) {
+        uiManager.selectedObjectControls.combineButton.onclick = () => {
+            isCombineActive = !isCombineActive && selectedObject !== null;
+            uiManager.setCombineActive(isCombineActive);
+        };
+    }
+
+    // Lights panel: every change is applied to the selected light right away and re-rendered
+    const lightControls = uiManager.lightControls;
+    if (lightControls.ambientColor) {
+        lightControls.ambientColor.oninput = (event) => {
+            editHistory.record('Change ambient light', propertyState(scene, ['ambientColor']), () => {
+                scene.ambientColor = Vec3.fromHexString(event.target.value);
+            }, 'ambient');
+            render();
+        };
+    }
 
-            reader.onerror = (e) => {
-                console.error(`FileReader error for ${file.name}:`, e);
-                uiManager.updateModelFileName('Read error');
+    // The environment map surrounds and lights the scene; its image is loaded like a texture
+    if (lightControls.environmentFileInput) {
+        lightControls.environmentFileInput.onchange = async (event) => {
+            if (event.target.files.length === 0) {
+                return;
+            }
+            const file = event.target.files[0];
+            const environmentEdit = editHistory.begin('Set environment map', propertyState(scene, ['environment']));
+            lightControls.environmentName.textContent = 'Loading...';
+            try {
+                const textureId = await textureManager.loadImage(file);
+                // A new image keeps the intensity and rotation of the one it replaces
+                const previous = scene.environment;
+                scene.environment = new EnvironmentMap(textureId, previous ? previous.intensity : 1, previous ? previous.rotation : 0);
+                console.log(`Environment map '${file.name}' loaded.`);
+            } catch (error) {
+                console.error(`Error loading environment map ${file.name}:`, error);
+            }
+            editHistory.commit(environmentEdit);
+            uiManager.updateEnvironment(scene.environment);
+            event.target.value = ''; // Choosing the same file again reloads it
+            render();
+        };
+    }
+    if (lightControls.removeEnvironmentButton) {
+        lightControls.removeEnvironmentButton.onclick = () => {
+            if (scene.environment) {
+                editHistory.record('Remove environment map', propertyState(scene, ['environment']), () => {
+                    scene.environment = null;
+                });
+                uiManager.updateEnvironment(scene.environment);
+                render();
+            }
+        };
+    }
+    if (lightControls.environmentIntensity) {
+        lightControls.environmentIntensity.oninput = (event) => {
+            const intensity = parseFloat(event.target.value);
+            if (scene.environment && Number.isFinite(intensity) && intensity >= 0) {
+                editHistory.record('Change environment intensity', propertyState(scene.environment, ['intensity']), () => {
+                    scene.environment.intensity = intensity;
+                }, 'environment:intensity');
+                render();
+            }
+        };
+    }
+    if (lightControls.environmentRotation) {
+        lightControls.environmentRotation.oninput = (event) => {
+            const rotation = parseFloat(event.target.value);
+            if (scene.environment && Number.isFinite(rotation)) {
+                editHistory.record('Rotate environment map', propertyState(scene.environment, ['rotation']), () => {
+                    scene.environment.rotation = rotation;
+                }, 'environment:rotation');
+                uiManager.updateEnvironment(scene.environment);
+                render();
+            }
+        };
+    }
+    if (lightControls.lightList) {
+        lightControls.lightList.onchange = (event) => selectLight(scene.lights[parseInt(event.target.value, 10)] || null);
+    }
+    if (lightControls.addLightButton && lightControls.newLightType) {
+        lightControls.addLightButton.onclick = () => {
+            const light = createLight(lightControls.newLightType.value);
+            if (light) {
+                editHistory.record('Add light', sceneContentsState(), () => scene.addLight(light));
+                selectLight(light);
+                render();
+            }
+        };
+    }
+    if (lightControls.removeLightButton) {
+        lightControls.removeLightButton.onclick = () => {
+            if (selectedLight && editHistory.record('Remove light', sceneContentsState(), () => scene.removeLight(selectedLight))) {
+                selectLight(null);
+                render();
+            }
+        };
+    }
+    for (const name of ['positionX', 'positionY', 'positionZ', 'color', 'intensity', 'falloff',
+        'innerAngle', 'outerAngle', 'width', 'height', 'samples']) {
+        if (lightControls[name]) {
+            lightControls[name].oninput = applyLightControls;
+        }
+    }
+    for (const name of ['directionX', 'directionY', 'directionZ']) {
+        if (lightControls[name]) {
+            lightControls[name].oninput = () => {
+                applyLightControls();
+                if (selectedLight) {
+                    gizmo.setTarget(new LightHandle(selectedLight)); // Rotate from the new direction
+                }
             };
+        }
+    }
+    if (lightControls.showLightGizmos) {
+        lightControls.showLightGizmos.onchange = (event) => {
+            gizmo.showLights = event.target.checked;
+            gizmo.draw();
+        };
+    }
 
-            reader.readAsText(file);
+    // Scene outliner: acts on the selected object or light, whichever there is
+    const outlinerControls = uiManager.outlinerControls;
+    if (outlinerControls.outlinerList) {
+        outlinerControls.outlinerList.onchange = (event) => {
+            const [kind, index] = event.target.value.split(':');
+            if (kind === 'light') {
+                selectLight(scene.lights[parseInt(index, 10)] || null);
+            } else {
+                selectObject(scene.objects[parseInt(index, 10)] || null);
+            }
+            gizmo.draw();
+        };
+    }
+    if (outlinerControls.outlinerName) {
+        outlinerControls.outlinerName.oninput = (event) => {
+            if (selectedObject) {
+                editHistory.record('Rename object', propertyState(selectedObject, ['modelName']), () => {
+                    selectedObject.modelName = event.target.value;
+                }, 'rename');
+                uiManager.displaySelectedObject(selectedObject);
+            } else if (selectedLight) {
+                editHistory.record('Rename light', propertyState(selectedLight, ['name']), () => {
+                    selectedLight.name = event.target.value;
+                }, 'rename');
+                uiManager.updateLightList(scene.lights, selectedLight);
+            }
+            refreshOutliner();
+        };
+    }
+    if (outlinerControls.duplicateButton) {
+        outlinerControls.duplicateButton.onclick = () => editHistory.record('Duplicate', sceneContentsState(), duplicateSelection);
+    }
+    if (outlinerControls.deleteButton) {
+        outlinerControls.deleteButton.onclick = () => {
+            const contents = editHistory.begin('Delete', sceneContentsState());
+            if (selectedObject && scene.removeObject(selectedObject)) {
+                selectObject(null);
+            } else if (selectedLight && scene.removeLight(selectedLight)) {
+                selectLight(null);
+            } else {
+                return;
+            }
+            editHistory.commit(contents);
+            render();
+        };
+    }
+    if (outlinerControls.undoButton) {
+        outlinerControls.undoButton.onclick = undo;
+    }
+    if (outlinerControls.redoButton) {
+        outlinerControls.redoButton.onclick = redo;
+    }
+    if (outlinerControls.visibilityButton) {
+        outlinerControls.visibilityButton.onclick = () => {
+            const selected = selectedObject || selectedLight;
+            if (!selected) {
+                return;
+            }
+            editHistory.record(selected.visible ? 'Hide' : 'Show', propertyState(selected, ['visible']), () => {
+                selected.visible = !selected.visible;
+            });
+            scene.markDirty();
+            refreshOutliner();
+            render();
+        };
+    }
+
+    // Slider drags, color picks and typed numbers each make one history entry: their 'change'
+    // event, which fires once the value is committed, ends the merging of their 'input' edits
+    document.addEventListener('change', () => editHistory.endCoalescing(), true);
+
+    // W/E/R switch between move, rotate and scale (as in most 3D editors), unless typing in a field.
+    // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; text fields keep their own undo.
+    document.addEventListener('keydown', (event) => {
+        const key = event.key.toLowerCase();
+        if ((event.ctrlKey || event.metaKey) && !event.altKey && (key === 'z' || key === 'y')) {
+            if (!(event.target instanceof Element && event.target.closest('input[type="text"], textarea'))) {
+                event.preventDefault();
+                if (key === 'y' || event.shiftKey) {
+                    redo();
+                } else {
+                    undo();
+                }
+            }
+            return;
+        }
+        if (event.ctrlKey || event.metaKey || event.altKey ||
+            (event.target instanceof Element && event.target.closest('input, select, textarea'))) {
+            return;
+        }
+        const mode = { w: 'translate', e: 'rotate', r: 'scale' }[event.key.toLowerCase()];
+        if (mode) {
+            gizmo.setMode(mode);
+            uiManager.updateGizmoControls(gizmo.mode, gizmo.snapping);
         }
+    });
+
+    // An OBJ model can be loaded together with its MTL material libraries and texture images
+    modelFileInput.onchange = async (event) => {
+        const files = Array.from(event.target.files);
+        const objFile = files.find(file => /\.obj$/i.test(file.name));
+        if (!objFile) {
+            if (files.length > 0) {
+                console.warn('No .obj file among the selected files.');
+                uiManager.updateModelFileName('No .obj file selected');
+            }
+            return;
+        }
+
+        uiManager.updateModelFileName('Loading...');
+        try {
+            const objContent = await objFile.text();
+
+            // Material libraries: every selected .mtl file
+            const materials = new Map();
+            const mtlFiles = files.filter(file => /\.mtl$/i.test(file.name));
+            for (const library of OBJLoader.getMaterialLibraries(objContent)) {
+                if (!mtlFiles.some(file => file.name === library)) {
+                    console.warn(`Material library '${library}' used by ${objFile.name} was not selected.`);
+                }
+            }
+            for (const mtlFile of mtlFiles) {
+                for (const [name, material] of MTLLoader.parse(await mtlFile.text())) {
+                    materials.set(name, material);
+                }
+            }
+
+            // Texture maps refer to images by file name
+            for (const imageFile of files.filter(file => file.type.startsWith('image/'))) {
+                try {
+                    await textureManager.loadImage(imageFile);
+                } catch (error) {
+                    console.error(`Error loading texture ${imageFile.name}:`, error);
+                }
+            }
+            for (const material of materials.values()) {
+                for (const textureId of material.getTextureIds()) {
+                    if (!textureManager.hasTexture(textureId)) {
+                        console.warn(`Texture '${textureId}' of material '${material.name}' was not selected.`);
+                    }
+                }
+            }
+
+            const loadedMesh = OBJLoader.parse(
+                objContent,
+                new Vec3(0.5, 0.7, 1.0), // Default diffuse color for faces without a material
+                objFile.name,
+                materials
+            );
+            if (loadedMesh) {
+                editHistory.record('Load model', sceneContentsState(), () => scene.addObject(loadedMesh));
+                uiManager.updateModelFileName(objFile.name);
+                selectObject(loadedMesh);
+                console.log(`Successfully loaded and added mesh: ${objFile.name}`);
+            } else {
+                console.error(`Failed to parse OBJ file: ${objFile.name}`);
+                uiManager.updateModelFileName('Failed to load');
+            }
+        } catch (error) {
+            console.error(`Error loading OBJ file ${objFile.name}:`, error);
+            uiManager.updateModelFileName('Error loading');
+        }
+        render();
     };
 
+    // The texture controls show (and edit) the texture in the selected map slot of the material
+    if (uiManager.fileInputControls.textureSlot) {
+        uiManager.fileInputControls.textureSlot.onchange = () => {
+            if (selectedObject) {
+                uiManager.updateTextureSlot(selectedObject.material);
+            }
+            refreshTextureSettings();
+        };
+    }
+    if (uiManager.fileInputControls.removeTextureButton) {
+        uiManager.fileInputControls.removeTextureButton.onclick = () => {
+            const property = uiManager.getTextureSlotProperty();
+            if (selectedObject && selectedObject.material[property]) {
+                editHistory.record('Remove texture', materialState(selectedObject.material), () => {
+                    selectedObject.material[property] = null;
+                    if (property === 'textureId') {
+                        selectedObject.material.textureName = 'No texture applied';
+                    }
+                });
+                uiManager.updateTextureSlot(selectedObject.material);
+                refreshTextureSettings();
+                render();
+            }
+        };
+    }
+    if (uiManager.fileInputControls.bumpScale) {
+        uiManager.fileInputControls.bumpScale.oninput = (event) => {
+            const bumpScale = parseFloat(event.target.value);
+            if (selectedObject && Number.isFinite(bumpScale)) {
+                editMaterial('Change bump strength', () => {
+                    selectedObject.material.bumpScale = bumpScale;
+                });
+                render();
+            }
+        };
+    }
+
+    // The wrap mode belongs to the texture, so it changes for every material using it
+    if (uiManager.fileInputControls.textureWrap) {
+        uiManager.fileInputControls.textureWrap.onchange = (event) => {
+            const textureId = selectedObject ? selectedObject.material[uiManager.getTextureSlotProperty()] : null;
+            if (textureId && textureManager.getTexture(textureId)) {
+                editHistory.record('Change texture wrap', textureWrapState(textureId),
+                    () => textureManager.setWrapMode(textureId, event.target.value));
+                render();
+            }
+        };
+    }
+
+    // A procedural texture is created for the selected map slot; its parameters are edited in place,
+    // changing it for every material using it
+    if (uiManager.fileInputControls.applyProceduralButton) {
+        uiManager.fileInputControls.applyProceduralButton.onclick = () => {
+            if (!selectedObject) {
+                console.warn("No object selected to apply texture to.");
+                return;
+            }
+            const type = uiManager.fileInputControls.proceduralType.value;
+            const target = selectedObject.material;
+            const property = uiManager.getTextureSlotProperty();
+            const textureId = textureManager.createTextureId(PROCEDURAL_TEXTURE_TYPES[type].label);
+            textureManager.addProceduralTexture(textureId, new ProceduralTexture(type));
+            editHistory.record('Assign texture', materialState(target), () => {
+                target[property] = textureId;
+                if (property === 'textureId') {
+                    target.textureName = textureId;
+                }
+            });
+            uiManager.updateTextureSlot(target);
+            refreshTextureSettings();
+            render();
+        };
+    }
+    if (uiManager.fileInputControls.proceduralParams) {
+        uiManager.fileInputControls.proceduralParams.oninput = (event) => {
+            const textureId = selectedObject ? selectedObject.material[uiManager.getTextureSlotProperty()] : null;
+            const texture = textureId ? textureManager.getProceduralTexture(textureId) : null;
+            const parameter = uiManager.readProceduralParameter(event.target);
+            if (texture && parameter) {
+                editHistory.record(`Change ${parameter.name}`, proceduralTextureState(textureId), () => {
+                    const changed = new ProceduralTexture(texture.type, { ...texture.params, [parameter.name]: parameter.value });
+                    textureManager.addProceduralTexture(textureId, changed);
+                }, `procedural:${textureId}:${parameter.name}`);
+                render();
+            }
+        };
+    }
+
     textureFileInput.onchange = async (event) => {
         if (event.target.files.length > 0 && selectedObject) {
             const file = event.target.files[0];
+            // The texture goes to the map slot and material selected when the file was chosen, even if
+            // the selection changes while it loads
+            const target = selectedObject.material;
+            const property = uiManager.getTextureSlotProperty();
+            const textureEdit = editHistory.begin('Assign texture', materialState(target));
             uiManager.updateTextureFileName('Loading...');
             try {
                 const textureId = await textureManager.loadImage(file);
-                selectedObject.textureId = textureId;
-                selectedObject.textureName = file.name;
+                target[property] = textureId;
+                if (property === 'textureId') {
+                    target.textureName = file.name;
+                }
+                editHistory.commit(textureEdit);
                 uiManager.updateTextureFileName(file.name);
-                console.log(`Texture '${file.name}' applied to selected object.`);
+                refreshTextureSettings();
+                console.log(`Texture '${file.name}' applied to material '${target.name}' (${property}).`);
             } catch (error) {
+                // The material keeps the texture it had
                 console.error(`Error loading or applying texture ${file.name}:`, error);
                 uiManager.updateTextureFileName('Error loading');
-                selectedObject.textureId = null;
             }
             render();
         } else if (!selectedObject) {
@@ -278,10 +1011,43 @@ function init() {
         }
     };
 
+    // Add primitive menu: the new object is placed at the camera's look-at point and selected
+    const addPrimitiveButton = document.getElementById('addPrimitiveButton');
+    const primitiveTypeSelect = document.getElementById('primitiveType');
+    if (addPrimitiveButton && primitiveTypeSelect) {
+        addPrimitiveButton.onclick = () => {
+            const primitive = createPrimitive(primitiveTypeSelect.value);
+            if (!primitive) {
+                return;
+            }
+            const position = new Vec3(camera.lookAt.x, camera.lookAt.y, camera.lookAt.z);
+            primitive.setTransform(position, primitive.rotation, primitive.scale);
+            editHistory.record('Add primitive', sceneContentsState(), () => scene.addObject(primitive));
+            selectObject(primitive);
+            render();
+        };
+    }
+
+    // Scene file save/load
+    const saveSceneButton = document.getElementById('saveSceneButton');
+    const loadSceneButton = document.getElementById('loadSceneButton');
+    if (saveSceneButton) {
+        saveSceneButton.onclick = saveScene;
+    }
+    if (loadSceneButton && uiManager.fileInputControls.sceneFileInput) {
+        loadSceneButton.onclick = () => uiManager.fileInputControls.sceneFileInput.click();
+        uiManager.fileInputControls.sceneFileInput.onchange = (event) => {
+            if (event.target.files.length > 0) {
+                loadScene(event.target.files[0]);
+            }
+            event.target.value = ''; // Allow loading the same file again
+        };
+    }
 
     canvas.addEventListener('mousedown', onMouseDown);
-    canvas.addEventListener('mouseup', onMouseUp);
-    canvas.addEventListener('mousemove', onMouseMove);
+    // Listen on the window so drags (of the camera or a gizmo handle) end even outside the canvas
+    window.addEventListener('mouseup', onMouseUp);
+    window.addEventListener('mousemove', onMouseMove);
     canvas.addEventListener('wheel', onMouseWheel);
     canvas.addEventListener('contextmenu', (event) => event.preventDefault());
 
@@ -304,6 +1070,19 @@ function updateCameraFromUI() {
     render();
 }
 
+// --- Render Settings ---
+function updateRenderSettingsUI() {
+    uiManager.updateRenderSettings({
+        integrator: raytracer.integrator,
+        maxDepth: raytracer.maxDepth,
+        progressiveEnabled: raytracer.progressive.enabled,
+        maxSamples: raytracer.progressive.maxSamples,
+        samplesPerPixel: raytracer.antialiasing.samplesPerPixel,
+        samplePattern: raytracer.antialiasing.pattern,
+        filter: raytracer.antialiasing.filter
+    });
+}
+
 function updateCameraPositionFromOrbit() {
     const yawRad = cameraYaw * Math.PI / 180.0;
     const pitchRad = cameraPitch * Math.PI / 180.0;
@@ -315,45 +1094,647 @@ function updateCameraPositionFromOrbit() {
     camera.eyePosition = camera.eyePosition.add(camera.lookAt);
 }
 
+// --- Scene File Functions ---
+function saveScene() {
+    try {
+        const json = SceneFile.stringify({
+            scene: scene,
+            camera: camera,
+            textureManager: textureManager,
+            orbit: { yaw: cameraYaw, pitch: cameraPitch, radius: cameraRadius },
+            settings: raytracer.getSettings()
+        });
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'scene.json';
+        link.click();
+        URL.revokeObjectURL(url);
+        uiManager.updateSceneFileName('Saved scene.json');
+    } catch (error) {
+        console.error('Error saving scene:', error);
+        uiManager.updateSceneFileName('Error saving');
+    }
+}
+
+function loadScene(file) {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+        let loaded;
+        try {
+            loaded = SceneFile.parse(e.target.result);
+        } catch (error) {
+            console.error(`Error loading scene file ${file.name}:`, error);
+            uiManager.updateSceneFileName('Error loading');
+            return;
+        }
+
+        scene = loaded.scene;
+        raytracer.scene = scene;
+        gizmo.lights = scene.lights;
+        SceneSerializer.deserializeTextures(textureManager, loaded.textures);
+        textureManager.version++;
+        textureManager.proceduralVersion++;
+
+        // The canvas size is not part of the scene
+        camera = loaded.camera;
+        camera.imageWidth = CANVAS_WIDTH;
+        camera.imageHeight = CANVAS_HEIGHT;
+        camera.updateBasis();
+        raytracer.camera = camera;
+        gizmo.camera = camera;
+
+        if (loaded.orbit) {
+            cameraYaw = loaded.orbit.yaw;
+            cameraPitch = loaded.orbit.pitch;
+            cameraRadius = loaded.orbit.radius;
+        } else {
+            // Derive the orbit state from the saved eye position
+            const offset = camera.eyePosition.subtract(camera.lookAt);
+            cameraRadius = offset.length();
+            cameraPitch = Math.asin(offset.y / cameraRadius) * 180.0 / Math.PI;
+            cameraYaw = Math.atan2(offset.z, offset.x) * 180.0 / Math.PI;
+        }
+        if (loaded.settings) {
+            raytracer.applySettings(loaded.settings);
+        }
+
+        selectObject(null);
+        editHistory.clear(); // Edits of the previous scene cannot be undone in this one
+        uiManager.updateLightList(scene.lights, null);
+        uiManager.updateAmbientColor(scene.ambientColor);
+        uiManager.updateEnvironment(scene.environment);
+        uiManager.updateCameraValues(camera.eyePosition, camera.lookAt, camera.fov, cameraRadius);
+        uiManager.updateLensValues(camera.apertureRadius, camera.focusDistance);
+        updateRenderSettingsUI();
+        const mesh = scene.objects.find(obj => obj instanceof Mesh);
+        uiManager.updateModelFileName(mesh ? mesh.modelName : 'No model loaded');
+        uiManager.updateSceneFileName(file.name);
+        console.log(`Scene loaded: ${file.name} (${scene.objects.length} objects, ${scene.lights.length} lights)`);
+        render();
+    };
+
+    reader.onerror = (e) => {
+        console.error(`FileReader error for ${file.name}:`, e);
+        uiManager.updateSceneFileName('Read error');
+    };
+
+    reader.readAsText(file);
+}
+
+// --- Primitives ---
+/**
+ * Creates a unit-sized primitive centered on the origin, with a new default material.
+ * @param {string} type - The primitive type, as listed in the 'Add Primitive' menu.
+ * @returns {Object|null} The primitive, or null if the type is unknown.
+ */
+function createPrimitive(type) {
+    // A new material of its own, named when the primitive is added to the scene
+    const material = new Material('', new Vec3(0.8, 0.8, 0.8), null, new Vec3(0.5, 0.5, 0.5), 32);
+    let primitive;
+    switch (type) {
+        case 'box':
+            primitive = new Box(new Vec3(-0.5, -0.5, -0.5), new Vec3(0.5, 0.5, 0.5), material);
+            break;
+        case 'orientedBox':
+            primitive = Box.oriented(new Vec3(0, 0, 0), new Vec3(1.5, 0.75, 0.75), new Vec3(0, 45, 20), material);
+            break;
+        case 'cylinder':
+            primitive = new Cylinder(new Vec3(0, -0.5, 0), 0.5, 1.0, material);
+            break;
+        case 'cone':
+            primitive = new Cone(new Vec3(0, -0.5, 0), 0.5, 1.0, material);
+            break;
+        case 'disk':
+            primitive = new Disk(new Vec3(0, 0, 0), new Vec3(0, 1, 0), 0.75, material);
+            break;
+        case 'rectangle':
+            primitive = Quad.rectangle(1.5, 1.0, material);
+            break;
+        case 'torus':
+            primitive = new Torus(new Vec3(0, 0, 0), 0.6, 0.2, material);
+            break;
+        case 'sphere':
+            primitive = new Sphere(new Vec3(0, 0, 0), 0.5, material);
+            break;
+        case 'sphereMinusBox':
+            // A sphere with one octant cut away
+            primitive = new CSG('difference', new Sphere(new Vec3(0, 0, 0), 0.5, material),
+                new Box(new Vec3(0, 0, 0), new Vec3(0.6, 0.6, 0.6), material), material);
+            break;
+        default:
+            console.warn(`Unknown primitive type '${type}'.`);
+            return null;
+    }
+    return primitive;
+}
+
+// --- Edit History ---
+// Each kind of edit records the state it changes through one of these EditState factories.
+
+/**
+ * @param {Material} material - A material.
+ * @returns {EditState} The material's properties (see SceneSerializer.serializeMaterial).
+ */
+function materialState(material) {
+    return {
+        target: material,
+        capture: () => SceneSerializer.serializeMaterial(material),
+        restore: (data) => SceneSerializer.applyMaterial(material, data)
+    };
+}
+
+/**
+ * @param {Object} obj - An object.
+ * @returns {EditState} Which material the object uses, and which materials the library holds.
+ */
+function materialAssignmentState(obj) {
+    return {
+        target: obj,
+        capture: () => ({ material: obj.material, library: scene.materials.slice() }),
+        restore: (data) => {
+            obj.material = data.material;
+            scene.materials.splice(0, scene.materials.length, ...data.library);
+        }
+    };
+}
+
+/**
+ * @param {Object} obj - An object.
+ * @returns {EditState} The object's position, rotation and scale.
+ */
+function transformState(obj) {
+    return {
+        target: obj,
+        capture: () => SceneSerializer.serializeTransform(obj),
+        restore: (data) => SceneSerializer.applyTransform(obj, data)
+    };
+}
+
+/**
+ * @param {string} textureId - The ID of a loaded texture.
+ * @returns {EditState} The texture's wrap mode.
+ */
+function textureWrapState(textureId) {
+    return {
+        target: textureId,
+        capture: () => textureManager.getWrapMode(textureId),
+        restore: (wrap) => textureManager.setWrapMode(textureId, wrap)
+    };
+}
+
+/**
+ * @param {string} textureId - The ID of a procedural texture.
+ * @returns {EditState} The texture's type and parameters (see SceneSerializer.serializeProceduralTexture).
+ */
+function proceduralTextureState(textureId) {
+    return {
+        target: textureId,
+        capture: () => SceneSerializer.serializeProceduralTexture(textureManager.getProceduralTexture(textureId)),
+        restore: (data) => textureManager.addProceduralTexture(textureId, SceneSerializer.deserializeProceduralTexture(data))
+    };
+}
+
+/**
+ * @param {Light} light - A light.
+ * @returns {EditState} All properties of the light (see SceneSerializer.serializeLight).
+ */
+function lightState(light) {
+    return {
+        target: light,
+        capture: () => SceneSerializer.serializeLight(light),
+        restore: (data) => SceneSerializer.applyLight(light, data)
+    };
+}
+
+/**
+ * @param {object} target - An object, light or the scene.
+ * @param {string[]} names - Names of properties whose values are replaced, never modified in place, by edits.
+ * @returns {EditState} The values of the properties.
+ */
+function propertyState(target, names) {
+    return {
+        target: target,
+        capture: () => {
+            const values = {};
+            names.forEach(name => { values[name] = target[name]; });
+            return values;
+        },
+        restore: (values) => names.forEach(name => { target[name] = values[name]; })
+    };
+}
+
+/**
+ * @returns {EditState} The camera's look-at point, field of view, lens and orbit.
+ */
+function cameraState() {
+    return {
+        target: camera,
+        capture: () => ({
+            lookAt: SceneSerializer.encodeVec3(camera.lookAt), // lookAt is modified in place
+            fov: camera.fov,
+            apertureRadius: camera.apertureRadius,
+            focusDistance: camera.focusDistance,
+            orbit: [cameraYaw, cameraPitch, cameraRadius]
+        }),
+        restore: (data) => {
+            camera.lookAt = SceneSerializer.decodeVec3(data.lookAt);
+            camera.fov = data.fov;
+            camera.apertureRadius = data.apertureRadius;
+            camera.focusDistance = data.focusDistance;
+            [cameraYaw, cameraPitch, cameraRadius] = data.orbit;
+            updateCameraPositionFromOrbit();
+            camera.updateBasis();
+        }
+    };
+}
+
+/**
+ * @returns {EditState} Which objects, lights and library materials the scene holds, in order. The
+ *   arrays are changed in place, since the BVH bookkeeping and the gizmo keep references to them.
+ */
+function sceneContentsState() {
+    return {
+        target: scene,
+        capture: () => ({ objects: scene.objects.slice(), lights: scene.lights.slice(), materials: scene.materials.slice() }),
+        restore: (data) => {
+            scene.objects.splice(0, scene.objects.length, ...data.objects);
+            scene.lights.splice(0, scene.lights.length, ...data.lights);
+            scene.materials.splice(0, scene.materials.length, ...data.materials);
+            scene.markDirty();
+        }
+    };
+}
+
+/**
+ * Edits the selected object's material, which changes every object sharing it. Repeated edits
+ * with the same label (the steps of a slider drag or color pick) make a single history entry.
+ * @param {string} label - What the edit does.
+ * @param {function(): void} change - Makes the edit.
+ */
+function editMaterial(label, change) {
+    editHistory.record(label, materialState(selectedObject.material), change, `material:${label}`);
+}
+
+function undo() {
+    if (editHistory.undo()) {
+        refreshAfterHistoryStep();
+    }
+}
+
+function redo() {
+    if (editHistory.redo()) {
+        refreshAfterHistoryStep();
+    }
+}
+
+/**
+ * Shows the state an undo or redo restored in every panel and re-renders. The selection is kept
+ * unless the selected object or light is no longer in the scene.
+ */
+function refreshAfterHistoryStep() {
+    scene.markDirty(); // Transforms, visibility or the objects themselves may have changed
+    const light = scene.lights.includes(selectedLight) ? selectedLight : null;
+    selectObject(scene.objects.includes(selectedObject) ? selectedObject : null);
+    if (light) {
+        selectLight(light); // Also re-aims the gizmo at the light's restored direction
+    }
+    uiManager.updateLightList(scene.lights, selectedLight);
+    uiManager.updateAmbientColor(scene.ambientColor);
+    uiManager.updateEnvironment(scene.environment);
+    uiManager.updateCameraValues(camera.eyePosition, camera.lookAt, camera.fov, cameraRadius);
+    uiManager.updateEyePositionDisplay(camera.eyePosition);
+    uiManager.updateLensValues(camera.apertureRadius, camera.focusDistance);
+    render();
+}
+
+// --- Materials ---
+/**
+ * Shows the scene's material library and the selected object's material in the material picker.
+ */
+function refreshMaterialLibrary() {
+    const material = selectedObject ? selectedObject.material : null;
+    uiManager.updateMaterialLibrary(scene.materials, material, material ? scene.getMaterialUsers(material).length : 0);
+}
+
+/**
+ * Shows the settings of the texture in the selected map slot of the selected object's material:
+ * the wrap mode of a loaded image, or the parameters of a procedural texture.
+ */
+function refreshTextureSettings() {
+    const textureId = selectedObject ? selectedObject.material[uiManager.getTextureSlotProperty()] : null;
+    uiManager.updateTextureWrap(textureId ? textureManager.getWrapMode(textureId) : null);
+    uiManager.updateProceduralParameters(textureId ? textureManager.getProceduralTexture(textureId) || null : null);
+}
+
+// --- Outliner ---
+/**
+ * Shows the scene's current objects and lights, and the selection, in the outliner.
+ */
+function refreshOutliner() {
+    uiManager.updateOutliner(scene.objects, scene.lights, selectedObject || selectedLight);
+}
+
+/**
+ * Adds a copy of the selected object or light, moved a little along X so both can be seen,
+ * and selects the copy. Copies are made through SceneSerializer, so they share nothing with
+ * the original (a mesh copy has its own triangles) but the materials of the library.
+ */
+function duplicateSelection() {
+    const offset = new Vec3(0.5, 0, 0);
+    if (selectedObject) {
+        const materialIndices = SceneSerializer.indexMaterials(scene.materials);
+        const copy = SceneSerializer.deserializeObject(
+            SceneSerializer.serializeObject(selectedObject, new Set(), materialIndices), new Map(), scene.materials);
+        if (!copy) {
+            return;
+        }
+        copy.modelName = selectedObject.modelName ? `${selectedObject.modelName} copy` : '';
+        copy.setTransform(copy.position.add(offset), copy.rotation, copy.scale);
+        scene.addObject(copy);
+        selectObject(copy);
+    } else if (selectedLight) {
+        const copy = SceneSerializer.deserializeLight(SceneSerializer.serializeLight(selectedLight));
+        copy.name = selectedLight.name ? `${selectedLight.name} copy` : '';
+        copy.position = copy.position.add(offset);
+        scene.addLight(copy);
+        selectLight(copy);
+    } else {
+        return;
+    }
+    render();
+}
+
+// --- Lights ---
+/**
+ * Creates a white light of the given type above the camera's look-at point; lights that point
+ * somewhere point down.
+ * @param {string} type - The light type, as listed in the Lights panel's type menu.
+ * @returns {Light|null} The light, or null if the type is unknown.
+ */
+function createLight(type) {
+    const position = camera.lookAt.add(new Vec3(0, 3, 0));
+    const color = new Vec3(1.0, 1.0, 1.0);
+    const down = new Vec3(0, -1, 0);
+    switch (type) {
+        case 'point':
+            return new Light(position, color);
+        case 'directional':
+            return new DirectionalLight(position, new Vec3(-1, -2, -1), color);
+        case 'spot':
+            return new SpotLight(position, down, 20, 30, color);
+        case 'rect':
+            return new RectLight(position, down, 2, 1, color);
+        case 'disk':
+            return new DiskLight(position, down, 0.5, color);
+        case 'sphere':
+            return new SphereLight(position, 0.3, color);
+        default:
+            console.warn(`Unknown light type '${type}'.`);
+            return null;
+    }
+}
+
+/**
+ * Applies the Lights panel's fields to the selected light, skipping fields its type does not use
+ * and incomplete input (e.g. a lone '-'), and re-renders. Edits merge into one history entry until
+ * a field's value is committed.
+ */
+function applyLightControls() {
+    if (!selectedLight) {
+        return;
+    }
+    const controls = uiManager.lightControls;
+    const readNumber = (field, min) => {
+        const value = parseFloat(field.value);
+        return Number.isFinite(value) && value >= min ? value : null;
+    };
+    const lightEdit = editHistory.begin('Edit light', lightState(selectedLight));
+
+    const position = uiManager.readLightVector('position');
+    if (position) {
+        selectedLight.position = position;
+    }
+    const aim = uiManager.readLightVector('direction');
+    if (aim && aim.lengthSquared() > 1e-12) {
+        if (selectedLight.normal) {
+            selectedLight.setNormal(aim);
+        } else if (selectedLight.direction) {
+            selectedLight.direction = aim.normalize();
+        }
+    }
+    selectedLight.color = Vec3.fromHexString(controls.color.value);
+    const intensity = readNumber(controls.intensity, 0);
+    if (intensity !== null) {
+        selectedLight.intensity = intensity;
+    }
+    if (LIGHT_FALLOFF_PRESETS[controls.falloff.value]) {
+        selectedLight.attenuation = { ...LIGHT_FALLOFF_PRESETS[controls.falloff.value] };
+    }
+    if (selectedLight.innerAngle !== undefined) {
+        const innerAngle = readNumber(controls.innerAngle, 0);
+        const outerAngle = readNumber(controls.outerAngle, 0);
+        if (innerAngle !== null && outerAngle !== null) {
+            selectedLight.innerAngle = Math.min(innerAngle, 90);
+            selectedLight.outerAngle = Math.min(outerAngle, 90);
+        }
+    }
+    const size = readNumber(controls.width, 1e-3);
+    if (size !== null) {
+        if (selectedLight.radius !== undefined) {
+            selectedLight.radius = size;
+        } else if (selectedLight.width !== undefined) {
+            selectedLight.width = size;
+        }
+    }
+    if (selectedLight.height !== undefined) {
+        const height = readNumber(controls.height, 1e-3);
+        if (height !== null) {
+            selectedLight.height = height;
+        }
+    }
+    if (selectedLight.samples !== undefined) {
+        const samples = readNumber(controls.samples, 1);
+        if (samples !== null) {
+            selectedLight.samples = Math.round(samples);
+        }
+    }
+    editHistory.commit(lightEdit, 'light');
+    uiManager.updateLightList(scene.lights, selectedLight);
+    render();
+}
+
+/**
+ * Selects a light for editing (or clears the light selection): shows it in the Lights panel and
+ * attaches the gizmo to it. Selecting a light deselects the selected object.
+ * @param {Light|null} light - The light to select, or null.
+ */
+function selectLight(light) {
+    if (light) {
+        selectObject(null);
+    }
+    selectedLight = light;
+    uiManager.updateLightList(scene.lights, light);
+    uiManager.displayLight(light);
+    if (light) {
+        gizmo.setTarget(new LightHandle(light));
+    }
+    refreshOutliner();
+}
+
+// --- Selection ---
+/**
+ * Selects an object (or clears the selection), updating the properties panel and the gizmo.
+ * Any selected light is deselected.
+ * @param {Object|null} obj - The object to select, or null.
+ */
+function selectObject(obj) {
+    if (selectedLight) {
+        selectLight(null);
+    }
+    selectedObject = obj;
+    selectedObjectIndex = obj ? scene.objects.indexOf(obj) : -1;
+    if (obj) {
+        uiManager.displaySelectedObject(obj);
+    } else {
+        uiManager.clearSelectedObjectDisplay();
+    }
+    gizmo.setTarget(obj);
+    if (!obj && isCombineActive) {
+        isCombineActive = false;
+        uiManager.setCombineActive(false);
+    }
+    refreshOutliner();
+    refreshMaterialLibrary();
+    refreshTextureSettings();
+}
+
+/**
+ * Replaces two objects in the scene with a CSG node combining them, and selects the node.
+ * The node takes over the material of the first operand.
+ * @param {Object} left - The first operand (e.g. the object to cut from in a difference).
+ * @param {Object} right - The second operand.
+ * @param {string} operation - The CSG operation (see CSG_OPERATIONS).
+ */
+function combineObjects(left, right, operation) {
+    if (!CSG.canCombine(left) || !CSG.canCombine(right)) {
+        console.warn(`Cannot combine ${left.constructor.name} with ${right.constructor.name}: CSG needs closed objects.`);
+        return;
+    }
+    const csg = new CSG(operation, left, right, left.material);
+    editHistory.record('Combine objects', sceneContentsState(), () => {
+        scene.removeObject(left);
+        scene.removeObject(right);
+        scene.addObject(csg);
+    });
+    selectObject(csg);
+    render();
+}
+
 // --- Mouse Event Handlers ---
+/**
+ * @param {MouseEvent} event - A mouse event.
+ * @returns {{x: number, y: number}} The (fractional) mouse position in canvas pixels.
+ */
+function getCanvasPosition(event) {
+    const rect = raytracer.framebuffer.canvas.getBoundingClientRect();
+    return {
+        x: (event.clientX - rect.left) * (CANVAS_WIDTH / rect.width),
+        y: (event.clientY - rect.top) * (CANVAS_HEIGHT / rect.height)
+    };
+}
+
 function onMouseDown(event) {
     if (event.button === 2) {
+        pendingOrbitEdit = editHistory.begin('Orbit camera', cameraState());
         isRotating = true;
         firstMouse = true;
-        raytracer.canvas.requestPointerLock();
+        raytracer.framebuffer.canvas.requestPointerLock();
     } else if (event.button === 0) {
-        const rect = raytracer.canvas.getBoundingClientRect();
-        const x = event.clientX - rect.left;
-        const y = event.clientY - rect.top;
+        const position = getCanvasPosition(event);
 
-        const pixelX = Math.floor(x * (CANVAS_WIDTH / rect.width));
-        const pixelY = Math.floor(y * (CANVAS_HEIGHT / rect.height));
+        // Gizmo handles lie on top of the scene, so they are picked first
+        if (!isClickToFocusActive && !isCombineActive && gizmo.beginDrag(gizmo.hitTest(position.x, position.y), position.x, position.y)) {
+            pendingDragEdit = selectedLight
+                ? editHistory.begin('Move light', lightState(selectedLight))
+                : editHistory.begin('Transform object', transformState(selectedObject));
+            return;
+        }
+
+        // Then the light markers, which are also drawn over the scene
+        const light = !isClickToFocusActive && !isCombineActive ? gizmo.hitTestLight(position.x, position.y) : null;
+        if (light) {
+            selectLight(light);
+            return;
+        }
+
+        const pixelX = Math.floor(position.x);
+        const pixelY = Math.floor(position.y);
 
         const hitResult = raytracer.pickObject(pixelX, pixelY);
 
-        const groundPlane = scene.objects.find(obj => obj instanceof Plane);
-        if (hitResult.object && hitResult.object !== groundPlane) {
-            selectedObject = hitResult.object;
-            selectedObjectIndex = scene.objects.indexOf(selectedObject);
-            uiManager.displaySelectedObject(selectedObject);
-        } else {
-            selectedObject = null;
-            selectedObjectIndex = -1;
-            uiManager.clearSelectedObjectDisplay();
+        // In click-to-focus mode the click focuses the camera on the clicked surface instead of selecting it
+        if (isClickToFocusActive) {
+            isClickToFocusActive = false;
+            uiManager.setClickToFocusActive(false);
+            if (hitResult.object) {
+                editHistory.record('Focus camera', cameraState(), () => {
+                    camera.focusDistance = Math.max(0.1, camera.computeFocusDistanceTo(hitResult.info.point));
+                });
+                uiManager.updateLensValues(camera.apertureRadius, camera.focusDistance);
+                render();
+            }
+            return;
+        }
+
+        // In combine mode the clicked object becomes the second CSG operand of the selected object
+        if (isCombineActive) {
+            isCombineActive = false;
+            uiManager.setCombineActive(false);
+            if (hitResult.object && selectedObject && hitResult.object !== selectedObject) {
+                combineObjects(selectedObject, hitResult.object, uiManager.selectedObjectControls.csgOperation.value);
+            }
+            return;
         }
+
+        selectObject(hitResult.object || null);
         render();
     }
 }
 
 function onMouseUp(event) {
-    if (event.button === 2) {
+    if (event.button === 2 && isRotating) {
         isRotating = false;
         document.exitPointerLock();
+        editHistory.commit(pendingOrbitEdit);
+        pendingOrbitEdit = null;
+    } else if (event.button === 0 && gizmo.isDragging()) {
+        gizmo.endDrag();
+        if (selectedObject) {
+            uiManager.updateTransformValues(selectedObject);
+        }
+        editHistory.commit(pendingDragEdit);
+        pendingDragEdit = null;
     }
+    editHistory.endCoalescing();
 }
 
 function onMouseMove(event) {
-    if (isRotating) {
+    if (gizmo.isDragging()) {
+        const position = getCanvasPosition(event);
+        const transform = gizmo.updateDrag(position.x, position.y);
+        if (transform && gizmo.target.setTransform(transform.position, transform.rotation, transform.scale)) {
+            if (selectedLight) {
+                uiManager.updateLightList(scene.lights, selectedLight);
+                uiManager.displayLight(selectedLight);
+            } else {
+                scene.markDirty(); // The object's bounds changed
+                uiManager.updateTransformValues(selectedObject);
+            }
+            render();
+        }
+    } else if (isRotating) {
         const movementX = event.movementX;
         const movementY = event.movementY;
 
@@ -374,15 +1755,21 @@ function onMouseMove(event) {
         camera.updateBasis();
         uiManager.updateEyePositionDisplay(camera.eyePosition);
         render();
+    } else if (event.target === raytracer.framebuffer.canvas) {
+        const position = getCanvasPosition(event);
+        const overHandle = gizmo.hover(position.x, position.y);
+        raytracer.framebuffer.canvas.style.cursor = overHandle ? 'pointer' : '';
     }
 }
 
 function onMouseWheel(event) {
     event.preventDefault();
-    cameraRadius -= event.deltaY * 0.01;
+    editHistory.record('Zoom camera', cameraState(), () => {
+        cameraRadius -= event.deltaY * 0.01;
 
-    if (cameraRadius < 1.0) cameraRadius = 1.0;
-    if (cameraRadius > 20.0) cameraRadius = 20.0;
+        if (cameraRadius < 1.0) cameraRadius = 1.0;
+        if (cameraRadius > 20.0) cameraRadius = 20.0;
+    }, 'camera:zoom');
 
     updateCameraPositionFromOrbit();
     camera.updateBasis();
@@ -393,8 +1780,11 @@ function onMouseWheel(event) {
 }
 
 // --- Rendering Function ---
+// Starting a new render cancels any render still in progress, so this is safe to call on every input event.
+// In progressive mode a quick low-resolution preview is drawn immediately and refined once input goes idle.
 function render() {
-    raytracer.render();
+    raytracer.renderProgressive();
+    gizmo.draw(); // The camera or the selected object may have moved
 }
 
 // --- Initialize the application when the DOM is fully loaded ---
@@ -0,0 +1,95 @@
+// public/js/material.js
+// Defines the Material class: how a surface reflects, transmits and absorbs light. Objects refer
+// to a material instead of holding these properties themselves, so several objects can share one
+// (see Scene.materials, the scene's material library) and editing it changes all of them.
+
+import { Vec3 } from './math.js';
+
+/**
+ * The texture maps a material can have: the property holding each slot's texture ID, by slot name.
+ * The diffuse map replaces the color. The normal map (tangent space, OpenGL convention) and the
+ * bump map (grayscale heights) change the shading normal. The specular map scales the specular
+ * color, and the grayscale shininess and reflectivity maps scale those values.
+ */
+export const TEXTURE_MAP_SLOTS = {
+    diffuse: 'textureId',
+    normal: 'normalTextureId',
+    bump: 'bumpTextureId',
+    specular: 'specularTextureId',
+    shininess: 'shininessTextureId',
+    reflectivity: 'reflectivityTextureId'
+};
+
+export class Material {
+    /**
+     * @param {string} [name=''] - The name of the material, shown in the material library.
+     * @param {Vec3} [color=new Vec3(0.5, 0.5, 0.5)] - The diffuse color.
+     * @param {string|null} [textureId=null] - The ID of the diffuse texture (e.g., file name), replacing the color.
+     * @param {Vec3} [specularColor=new Vec3(0.0, 0.0, 0.0)] - The color of the specular highlight.
+     * @param {number} [shininess=0] - Controls the size and intensity of the highlight (higher value = smaller, more intense highlight).
+     * @param {number} [reflectivity=0.0] - A float (0-1) controlling how much the surface reflects other objects.
+     * @param {number} [transmission=0.0] - A float (0-1) controlling how much light passes through the surface (0 = opaque).
+     * @param {number} [ior=1.5] - The index of refraction of the interior (1.0 = air, ~1.33 = water, ~1.5 = glass).
+     * @param {Vec3} [absorptionColor=new Vec3(0.0, 0.0, 0.0)] - Per-unit-distance absorption coefficient of the interior (Beer's law).
+     *   Black means no absorption; absorbing red light makes thick parts of an object look cyan.
+     */
+    constructor(name = '', color = new Vec3(0.5, 0.5, 0.5), textureId = null,
+                specularColor = new Vec3(0.0, 0.0, 0.0), shininess = 0, reflectivity = 0.0,
+                transmission = 0.0, ior = 1.5, absorptionColor = new Vec3(0.0, 0.0, 0.0)) {
+        this.name = name;
+        this.color = color;
+        this.textureId = textureId;
+        this.textureName = textureId || 'No texture applied';
+        this.specularColor = specularColor;
+        this.shininess = shininess;
+        this.reflectivity = reflectivity;
+        this.transmission = transmission;
+        this.ior = ior;
+        this.absorptionColor = absorptionColor;
+
+        // Further texture maps (see TEXTURE_MAP_SLOTS); the bump map's heights are multiplied by bumpScale
+        this.normalTextureId = null;
+        this.bumpTextureId = null;
+        this.bumpScale = 1.0;
+        this.specularTextureId = null;
+        this.shininessTextureId = null;
+        this.reflectivityTextureId = null;
+    }
+
+    /**
+     * @returns {string[]} The IDs of all textures the material uses, in any slot.
+     */
+    getTextureIds() {
+        return Object.values(TEXTURE_MAP_SLOTS).map(property => this[property]).filter(Boolean);
+    }
+
+    /**
+     * Computes how much light survives travelling a given distance through the interior,
+     * using Beer's law: T = exp(-absorption * distance) per color channel.
+     * @param {number} distance - The distance travelled inside the object.
+     * @returns {Vec3} The per-channel transmittance (1 = no absorption).
+     */
+    computeAbsorption(distance) {
+        return new Vec3(
+            Math.exp(-this.absorptionColor.x * distance),
+            Math.exp(-this.absorptionColor.y * distance),
+            Math.exp(-this.absorptionColor.z * distance)
+        );
+    }
+
+    /**
+     * Creates an independent copy of the material, e.g. to edit it for one object only.
+     * @param {string} [name=this.name] - The name of the copy.
+     * @returns {Material} The copy.
+     */
+    clone(name = this.name) {
+        const copy = new Material(name, this.color, this.textureId, this.specularColor, this.shininess,
+            this.reflectivity, this.transmission, this.ior, this.absorptionColor);
+        copy.textureName = this.textureName;
+        for (const property of Object.values(TEXTURE_MAP_SLOTS)) {
+            copy[property] = this[property];
+        }
+        copy.bumpScale = this.bumpScale;
+        return copy;
+    }
+}
@@ -76,6 +76,12 @@ export class Vec3 {
         return new Vec3(0, 0, 0); // Return zero vector if length is zero or near zero
     }
 
+    // Reflect this vector about a normal: R = V - 2 * (V . N) * N
+    // Assumes 'n' is normalized; 'this' is the incident direction (pointing towards the surface).
+    reflect(n) {
+        return this.subtract(n.multiplyScalar(2 * this.dot(n)));
+    }
+
     // Unary minus
     negate() {
         return new Vec3(-this.x, -this.y, -this.z);
@@ -0,0 +1,193 @@
+// public/js/matrix.js
+// A 4x4 matrix class for affine transforms (translation, rotation, scale) of points and directions.
+
+import { Vec3 } from './math.js';
+
+export class Mat4 {
+    /**
+     * @param {number[]} [elements] - The 16 matrix elements in row-major order. Defaults to the identity.
+     */
+    constructor(elements = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]) {
+        this.elements = elements;
+    }
+
+    /**
+     * @returns {Mat4} The identity matrix.
+     */
+    static identity() {
+        return new Mat4();
+    }
+
+    /**
+     * @param {Vec3} t - The translation.
+     * @returns {Mat4} A translation matrix.
+     */
+    static translation(t) {
+        return new Mat4([1, 0, 0, t.x, 0, 1, 0, t.y, 0, 0, 1, t.z, 0, 0, 0, 1]);
+    }
+
+    /**
+     * @param {Vec3} s - The scale factor along each axis.
+     * @returns {Mat4} A scaling matrix.
+     */
+    static scaling(s) {
+        return new Mat4([s.x, 0, 0, 0, 0, s.y, 0, 0, 0, 0, s.z, 0, 0, 0, 0, 1]);
+    }
+
+    /**
+     * @param {number} degrees - The rotation angle around the X axis.
+     * @returns {Mat4} A rotation matrix.
+     */
+    static rotationX(degrees) {
+        const c = Math.cos(degrees * Math.PI / 180), s = Math.sin(degrees * Math.PI / 180);
+        return new Mat4([1, 0, 0, 0, 0, c, -s, 0, 0, s, c, 0, 0, 0, 0, 1]);
+    }
+
+    /**
+     * @param {number} degrees - The rotation angle around the Y axis.
+     * @returns {Mat4} A rotation matrix.
+     */
+    static rotationY(degrees) {
+        const c = Math.cos(degrees * Math.PI / 180), s = Math.sin(degrees * Math.PI / 180);
+        return new Mat4([c, 0, s, 0, 0, 1, 0, 0, -s, 0, c, 0, 0, 0, 0, 1]);
+    }
+
+    /**
+     * @param {number} degrees - The rotation angle around the Z axis.
+     * @returns {Mat4} A rotation matrix.
+     */
+    static rotationZ(degrees) {
+        const c = Math.cos(degrees * Math.PI / 180), s = Math.sin(degrees * Math.PI / 180);
+        return new Mat4([c, -s, 0, 0, s, c, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+    }
+
+    /**
+     * Composes a transform that scales, then rotates (around X, then Y, then Z), then translates.
+     * @param {Vec3} position - The translation.
+     * @param {Vec3} rotation - Euler angles in degrees around the X, Y and Z axes.
+     * @param {Vec3} scale - The scale factor along each axis.
+     * @returns {Mat4} The composed transform.
+     */
+    static fromTRS(position, rotation, scale) {
+        return Mat4.translation(position)
+            .multiply(Mat4.rotationZ(rotation.z))
+            .multiply(Mat4.rotationY(rotation.y))
+            .multiply(Mat4.rotationX(rotation.x))
+            .multiply(Mat4.scaling(scale));
+    }
+
+    /**
+     * @param {Mat4} m - The matrix to multiply with.
+     * @returns {Mat4} The product this * m (m is applied first).
+     */
+    multiply(m) {
+        const a = this.elements, b = m.elements;
+        const result = new Array(16);
+        for (let row = 0; row < 4; row++) {
+            for (let col = 0; col < 4; col++) {
+                result[row * 4 + col] = a[row * 4] * b[col] + a[row * 4 + 1] * b[4 + col] +
+                    a[row * 4 + 2] * b[8 + col] + a[row * 4 + 3] * b[12 + col];
+            }
+        }
+        return new Mat4(result);
+    }
+
+    /**
+     * @param {Vec3} p - A point.
+     * @returns {Vec3} The transformed point (translation applied).
+     */
+    transformPoint(p) {
+        const e = this.elements;
+        return new Vec3(
+            e[0] * p.x + e[1] * p.y + e[2] * p.z + e[3],
+            e[4] * p.x + e[5] * p.y + e[6] * p.z + e[7],
+            e[8] * p.x + e[9] * p.y + e[10] * p.z + e[11]
+        );
+    }
+
+    /**
+     * @param {Vec3} d - A direction.
+     * @returns {Vec3} The transformed direction (translation ignored, not normalized).
+     */
+    transformDirection(d) {
+        const e = this.elements;
+        return new Vec3(
+            e[0] * d.x + e[1] * d.y + e[2] * d.z,
+            e[4] * d.x + e[5] * d.y + e[6] * d.z,
+            e[8] * d.x + e[9] * d.y + e[10] * d.z
+        );
+    }
+
+    /**
+     * @returns {Mat4} The transposed matrix.
+     */
+    transpose() {
+        const e = this.elements;
+        const result = new Array(16);
+        for (let row = 0; row < 4; row++) {
+            for (let col = 0; col < 4; col++) {
+                result[col * 4 + row] = e[row * 4 + col];
+            }
+        }
+        return new Mat4(result);
+    }
+
+    /**
+     * Computes the inverse matrix by cofactor expansion.
+     * @returns {Mat4|null} The inverse, or null if the matrix is singular (e.g. a zero scale).
+     */
+    inverse() {
+        const m = this.elements;
+        const inv = new Array(16);
+
+        inv[0] = m[5] * m[10] * m[15] - m[5] * m[11] * m[14] - m[9] * m[6] * m[15] + m[9] * m[7] * m[14] + m[13] * m[6] * m[11] - m[13] * m[7] * m[10];
+        inv[4] = -m[4] * m[10] * m[15] + m[4] * m[11] * m[14] + m[8] * m[6] * m[15] - m[8] * m[7] * m[14] - m[12] * m[6] * m[11] + m[12] * m[7] * m[10];
+        inv[8] = m[4] * m[9] * m[15] - m[4] * m[11] * m[13] - m[8] * m[5] * m[15] + m[8] * m[7] * m[13] + m[12] * m[5] * m[11] - m[12] * m[7] * m[9];
+        inv[12] = -m[4] * m[9] * m[14] + m[4] * m[10] * m[13] + m[8] * m[5] * m[14] - m[8] * m[6] * m[13] - m[12] * m[5] * m[10] + m[12] * m[6] * m[9];
+        inv[1] = -m[1] * m[10] * m[15] + m[1] * m[11] * m[14] + m[9] * m[2] * m[15] - m[9] * m[3] * m[14] - m[13] * m[2] * m[11] + m[13] * m[3] * m[10];
+        inv[5] = m[0] * m[10] * m[15] - m[0] * m[11] * m[14] - m[8] * m[2] * m[15] + m[8] * m[3] * m[14] + m[12] * m[2] * m[11] - m[12] * m[3] * m[10];
+        inv[9] = -m[0] * m[9] * m[15] + m[0] * m[11] * m[13] + m[8] * m[1] * m[15] - m[8] * m[3] * m[13] - m[12] * m[1] * m[11] + m[12] * m[3] * m[9];
+        inv[13] = m[0] * m[9] * m[14] - m[0] * m[10] * m[13] - m[8] * m[1] * m[14] + m[8] * m[2] * m[13] + m[12] * m[1] * m[10] - m[12] * m[2] * m[9];
+        inv[2] = m[1] * m[6] * m[15] - m[1] * m[7] * m[14] - m[5] * m[2] * m[15] + m[5] * m[3] * m[14] + m[13] * m[2] * m[7] - m[13] * m[3] * m[6];
+        inv[6] = -m[0] * m[6] * m[15] + m[0] * m[7] * m[14] + m[4] * m[2] * m[15] - m[4] * m[3] * m[14] - m[12] * m[2] * m[7] + m[12] * m[3] * m[6];
+        inv[10] = m[0] * m[5] * m[15] - m[0] * m[7] * m[13] - m[4] * m[1] * m[15] + m[4] * m[3] * m[13] + m[12] * m[1] * m[7] - m[12] * m[3] * m[5];
+        inv[14] = -m[0] * m[5] * m[14] + m[0] * m[6] * m[13] + m[4] * m[1] * m[14] - m[4] * m[2] * m[13] - m[12] * m[1] * m[6] + m[12] * m[2] * m[5];
+        inv[3] = -m[1] * m[6] * m[11] + m[1] * m[7] * m[10] + m[5] * m[2] * m[11] - m[5] * m[3] * m[10] - m[9] * m[2] * m[7] + m[9] * m[3] * m[6];
+        inv[7] = m[0] * m[6] * m[11] - m[0] * m[7] * m[10] - m[4] * m[2] * m[11] + m[4] * m[3] * m[10] + m[8] * m[2] * m[7] - m[8] * m[3] * m[6];
+        inv[11] = -m[0] * m[5] * m[11] + m[0] * m[7] * m[9] + m[4] * m[1] * m[11] - m[4] * m[3] * m[9] - m[8] * m[1] * m[7] + m[8] * m[3] * m[5];
+        inv[15] = m[0] * m[5] * m[10] - m[0] * m[6] * m[9] - m[4] * m[1] * m[10] + m[4] * m[2] * m[9] + m[8] * m[1] * m[6] - m[8] * m[2] * m[5];
+
+        const det = m[0] * inv[0] + m[1] * inv[4] + m[2] * inv[8] + m[3] * inv[12];
+        if (Math.abs(det) < 1e-12) {
+            return null;
+        }
+        return new Mat4(inv.map(value => value / det));
+    }
+
+    /**
+     * Decomposes a rotation matrix into the Euler angles fromTRS() expects (rotation around X,
+     * then Y, then Z). The upper 3x3 part must be a pure rotation (no scale).
+     * @returns {Vec3} The Euler angles in degrees. In gimbal lock (Y rotation of +-90 degrees)
+     *   the X angle is 0 and the whole remaining rotation is put into Z.
+     */
+    toEulerAngles() {
+        const e = this.elements;
+        const toDegrees = 180 / Math.PI;
+        const sinY = -e[8];
+        if (Math.abs(sinY) > 0.999999) {
+            return new Vec3(0, Math.sign(sinY) * 90, Math.atan2(-e[1], e[5]) * toDegrees);
+        }
+        return new Vec3(
+            Math.atan2(e[9], e[10]) * toDegrees,
+            Math.asin(sinY) * toDegrees,
+            Math.atan2(e[4], e[0]) * toDegrees
+        );
+    }
+
+    /**
+     * @returns {boolean} True if this is (exactly) the identity matrix.
+     */
+    isIdentity() {
+        return this.elements.every((value, i) => value === (i % 5 === 0 ? 1 : 0));
+    }
+}
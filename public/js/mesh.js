@@ -5,63 +5,91 @@ import { Vec3 } from './math.js';
 import { Object } from './object.js'; // Import Object only from object.js
 import { IntersectionInfo } from './scene.js'; // CORRECTED: Import IntersectionInfo from scene.js
 import { Triangle } from './triangle.js'; // Import Triangle
+import { BVH } from './bvh.js';
 
 export class Mesh extends Object {
     /**
      * @param {Triangle[]} triangles - An array of Triangle objects that make up the mesh.
-     * @param {Vec3} color - The base color of the mesh (can be overridden by textures).
+     * @param {Material|Vec3} [material=new Vec3(0.7, 0.7, 0.7)] - The material of the faces without one of their
+     *   own, or its diffuse color (see Object).
      * @param {string} [name='Mesh'] - An optional name for the mesh, useful for debugging/UI.
-     * @param {string|null} [textureId=null] - Optional texture ID for this mesh.
-     * @param {Vec3} [specularColor=new Vec3(0.0, 0.0, 0.0)] - The color of the specular highlight.
-     * @param {number} [shininess=0] - A float controlling the size and intensity of the highlight.
-     * @param {number} [reflectivity=0.0] - A float (0-1) controlling how much the object reflects.
+     * @param {string|null} [textureId=null] - Optional texture ID, if a color is given.
      */
-    constructor(triangles, color = new Vec3(0.7, 0.7, 0.7), name = 'Loaded Mesh', textureId = null,
-                specularColor = new Vec3(0.0, 0.0, 0.0), shininess = 0, reflectivity = 0.0) {
-        super(color, name, textureId, specularColor, shininess, reflectivity); // Pass all properties to base constructor
+    constructor(triangles, material = new Vec3(0.7, 0.7, 0.7), name = 'Loaded Mesh', textureId = null) {
+        super(material, name, textureId);
         /** @type {Triangle[]} */
         this.triangles = triangles;
         this.modelName = name; // For UI display (redundant with base but kept for clarity)
 
-        // Transformation properties (for future use: scaling, rotation, translation)
-        // For now, assume identity transformations.
-        this.position = new Vec3(0, 0, 0);
-        this.scale = new Vec3(1, 1, 1);
+        /**
+         * Distinct per-face materials of the mesh (see Triangle.material), e.g. from an MTL library.
+         * Faces without a material of their own use the mesh's material.
+         * @type {Material[]}
+         */
+        this.materials = Array.from(new Set(triangles.map(tri => tri.material).filter(Boolean)));
+
+        // Bounding volume hierarchy over the triangles, so intersection cost grows
+        // logarithmically rather than linearly with the triangle count.
+        this.bvh = null;
+        this.rebuildBVH();
     }
 
     /**
-     * Implements the ray-mesh intersection test.
-     * Iterates through all triangles in the mesh and finds the closest intersection.
-     *
-     * @param {Ray} ray - The ray to test for intersection.
-     * @returns {{hit: boolean, info: IntersectionInfo|null}} An object indicating if a hit occurred and the intersection info.
+     * @returns {Material[]} The mesh's material and the materials of its faces.
      */
-    intersect(ray) {
-        let closestDistance = Infinity;
-        let hitTriangle = null;
-        let hitInfo = null;
+    getMaterials() {
+        return [this.material, ...this.materials];
+    }
 
-        // Iterate through each triangle in the mesh
-        for (const triangle of this.triangles) {
-            const currentHitResult = triangle.intersect(ray); // Triangle's intersect method
+    /**
+     * Rebuilds the triangle BVH. Must be called after the triangles array is modified.
+     */
+    rebuildBVH() {
+        this.bvh = new BVH(this.triangles);
+    }
 
-            if (currentHitResult.hit) {
-                // If this triangle intersection is closer than any previously found
-                if (currentHitResult.info.distance < closestDistance) {
-                    closestDistance = currentHitResult.info.distance;
-                    hitInfo = currentHitResult.info;
-                    hitTriangle = triangle; // Keep track of the specific triangle hit
-                }
-            }
-        }
+    /**
+     * @returns {AABB} The object-space bounding box of all triangles in the mesh.
+     */
+    getLocalBounds() {
+        return this.bvh.getBounds();
+    }
+
+    /**
+     * Implements the ray-mesh intersection test in object space.
+     * Walks the triangle BVH and finds the closest intersection.
+     *
+     * @param {Ray} ray - The ray to test for intersection, in object space.
+     * @returns {{hit: boolean, info: IntersectionInfo|null}} An object indicating if a hit occurred and the intersection info.
+     */
+    intersectLocal(ray) {
+        const bvhHit = this.bvh.intersect(ray);
 
         // If a triangle was hit, return the mesh as the hit object, along with the detailed info.
-        if (hitTriangle) {
+        if (bvhHit.primitive) {
             // The hitInfo already contains the correct normal and UVs (if available)
-            // interpolated from the triangle.
-            return { hit: true, object: this, info: hitInfo };
+            // interpolated from the triangle; add the face's own material, if any.
+            bvhHit.info.material = bvhHit.primitive.material;
+            return { hit: true, object: this, info: bvhHit.info };
         }
 
         return { hit: false, info: null };
     }
+
+    /**
+     * Finds where a ray crosses the mesh's surface, for constructive solid geometry (see CSG).
+     * The mesh must be closed, with faces wound counter-clockwise when seen from outside.
+     * Only crossings in front of the ray origin are found; a ray starting inside the mesh
+     * therefore has an exit as its first crossing.
+     * @param {Ray} ray - The ray, in object space.
+     * @returns {Crossing[]} The crossings, sorted by distance, with normals pointing out of the mesh.
+     */
+    getCrossings(ray) {
+        return this.bvh.intersectAll(ray).map(({ primitive, info }) => ({
+            t: info.distance,
+            // Triangles report normals facing the ray; the winding tells the outside
+            normal: info.normal.dot(primitive.faceNormal) < 0 ? info.normal.negate() : info.normal,
+            uv: info.uv
+        }));
+    }
 }
@@ -0,0 +1,164 @@
+// public/js/mtlLoader.js
+// Module for loading and parsing Wavefront .MTL material libraries (referenced by .OBJ files through 'mtllib').
+// Every material becomes a Material, which OBJLoader assigns to faces ('usemtl').
+
+import { Vec3 } from './math.js';
+import { Material } from './material.js';
+
+export class MTLLoader {
+    /**
+     * Parses MTL file content.
+     * Supported statements: newmtl, Kd, Ks, Ns, d, Tr, Ni, illum, map_Kd, map_Ks, map_Ns, map_Bump (or bump)
+     * and norm (a tangent-space normal map).
+     * Texture maps are referenced by file name only (any directories in the path are dropped),
+     * so they match textures loaded from files of the same name.
+     * @param {string} mtlContent - The raw text content of the .mtl file.
+     * @returns {Map<string, Material>} The materials by name.
+     */
+    static parse(mtlContent) {
+        const materials = new Map();
+        let current = null; // Properties of the material being parsed
+        const finish = () => {
+            if (current) {
+                materials.set(current.name, MTLLoader.createMaterial(current));
+            }
+        };
+
+        for (const line of mtlContent.split('\n')) {
+            const trimmed = line.trim();
+            if (trimmed === '' || trimmed.startsWith('#')) {
+                continue;
+            }
+            const parts = trimmed.split(/\s+/);
+            const type = parts[0];
+            const args = parts.slice(1);
+
+            if (type === 'newmtl') {
+                finish();
+                current = { name: args.join(' ') };
+                continue;
+            }
+            if (!current) {
+                continue; // Statements before the first 'newmtl' have nothing to apply to
+            }
+
+            switch (type) {
+                case 'Kd': // Diffuse color
+                    current.diffuse = MTLLoader.parseColor(args);
+                    break;
+                case 'Ks': // Specular color
+                    current.specular = MTLLoader.parseColor(args);
+                    break;
+                case 'Ns': // Specular exponent
+                    current.shininess = parseFloat(args[0]);
+                    break;
+                case 'd': // Dissolve (1 = opaque); '-halo' is not supported and ignored
+                    current.dissolve = parseFloat(args[args.length - 1]);
+                    break;
+                case 'Tr': // Transparency, the inverse of dissolve
+                    current.dissolve = 1.0 - parseFloat(args[0]);
+                    break;
+                case 'Ni': // Optical density (index of refraction)
+                    current.ior = parseFloat(args[0]);
+                    break;
+                case 'illum': // Illumination model
+                    current.illum = parseInt(args[0], 10);
+                    break;
+                case 'map_Kd':
+                    current.diffuseMap = MTLLoader.parseMapStatement(args);
+                    break;
+                case 'map_Ks':
+                    current.specularMap = MTLLoader.parseMapStatement(args);
+                    break;
+                case 'map_Ns':
+                    current.shininessMap = MTLLoader.parseMapStatement(args);
+                    break;
+                case 'map_Bump':
+                case 'map_bump':
+                case 'bump':
+                    current.bumpMap = MTLLoader.parseMapStatement(args);
+                    break;
+                case 'norm':
+                    current.normalMap = MTLLoader.parseMapStatement(args);
+                    break;
+                // Other statements (Ka, Ke, Tf, map_Ka, refl, ...) are ignored.
+            }
+        }
+        finish();
+
+        console.log(`MTLLoader: Loaded ${materials.size} material(s): ${Array.from(materials.keys()).join(', ')}`);
+        return materials;
+    }
+
+    /**
+     * Converts parsed MTL properties to a material, mapping the illumination model onto the
+     * ray tracer's shading model: models 0 and 1 have no highlights, models 3 and up reflect
+     * the scene (with the strength of the specular color), and transparency comes from dissolve.
+     * @param {object} props - The parsed properties of one material.
+     * @returns {Material} The material.
+     */
+    static createMaterial(props) {
+        const illum = props.illum !== undefined ? props.illum : 2;
+        const diffuse = props.diffuse || new Vec3(0.8, 0.8, 0.8);
+        const specular = illum <= 1 ? new Vec3(0, 0, 0) : (props.specular || new Vec3(0, 0, 0));
+        const shininess = illum <= 1 ? 0 : Math.max(0, props.shininess || 0);
+        const raytracedReflection = illum >= 3 && illum !== 9;
+        const reflectivity = raytracedReflection ? Math.min(1, (specular.x + specular.y + specular.z) / 3) : 0;
+        const transmission = props.dissolve !== undefined ? Math.min(1, Math.max(0, 1.0 - props.dissolve)) : 0;
+        const ior = props.ior >= 1.0 ? props.ior : 1.5;
+
+        const material = new Material(props.name, diffuse, props.diffuseMap ? props.diffuseMap.file : null,
+            specular, shininess, reflectivity, transmission, ior);
+        if (props.bumpMap) {
+            material.bumpTextureId = props.bumpMap.file;
+            material.bumpScale = props.bumpMap.scale;
+        }
+        material.normalTextureId = props.normalMap ? props.normalMap.file : null;
+        material.specularTextureId = props.specularMap ? props.specularMap.file : null;
+        material.shininessTextureId = props.shininessMap ? props.shininessMap.file : null;
+        return material;
+    }
+
+    /**
+     * @param {string[]} args - Arguments of a color statement ('r g b', or a single gray value).
+     * @returns {Vec3} The color. Spectral ('spectral') and CIE XYZ ('xyz') colors are not supported and read as gray.
+     */
+    static parseColor(args) {
+        if (args[0] === 'spectral' || args[0] === 'xyz') {
+            return new Vec3(0.8, 0.8, 0.8);
+        }
+        const r = parseFloat(args[0]);
+        const g = args.length > 1 ? parseFloat(args[1]) : r;
+        const b = args.length > 2 ? parseFloat(args[2]) : r;
+        return new Vec3(r, g, b);
+    }
+
+    /**
+     * Parses the arguments of a texture map statement: options followed by the file name.
+     * Only the bump multiplier ('-bm') is kept; other options are skipped.
+     * @param {string[]} args - Arguments of the statement.
+     * @returns {{file: string, scale: number}} The texture's file name (without directories) and bump multiplier.
+     */
+    static parseMapStatement(args) {
+        // Number of values following each option
+        const OPTION_ARGUMENT_COUNTS = {
+            '-blendu': 1, '-blendv': 1, '-bm': 1, '-boost': 1, '-cc': 1, '-clamp': 1, '-imfchan': 1,
+            '-mm': 2, '-o': 3, '-s': 3, '-t': 3, '-texres': 1, '-type': 1
+        };
+        let scale = 1.0;
+        let i = 0;
+        while (i < args.length && OPTION_ARGUMENT_COUNTS[args[i]] !== undefined) {
+            if (args[i] === '-bm') {
+                scale = parseFloat(args[i + 1]);
+            }
+            // Every option has at least one value; -mm, -o, -s and -t may have up to three numbers
+            const maxCount = OPTION_ARGUMENT_COUNTS[args[i]];
+            i += 2;
+            for (let n = 1; n < maxCount && i < args.length - 1 && !isNaN(parseFloat(args[i])); n++) {
+                i++;
+            }
+        }
+        const path = args.slice(i).join(' ');
+        return { file: path.split(/[\\/]/).pop(), scale: scale };
+    }
+}
@@ -1,6 +1,7 @@
 // public/js/objLoader.js
 // Module for loading and parsing .OBJ 3D model files.
-// It converts OBJ data into a Mesh object composed of Triangles.
+// It converts OBJ data into a Mesh object composed of Triangles, with per-face materials
+// when a material library (see MTLLoader) is provided.
 
 import { Vec3 } from './math.js';
 import { Triangle } from './triangle.js';
@@ -12,14 +13,22 @@ export class OBJLoader {
      * @param {string} objContent - The raw text content of the .obj file.
      * @param {Vec3} [defaultColor=new Vec3(0.7, 0.7, 0.7)] - Default color for the mesh if not specified.
      * @param {string} [modelName='Loaded Mesh'] - Name for the loaded mesh.
+     * @param {Map<string, Material>|null} [materials=null] - Materials by name (see MTLLoader.parse), assigned to
+     * the faces following each 'usemtl' statement. Faces without a known material use the mesh's material.
      * @returns {Mesh|null} A Mesh object if parsing is successful, otherwise null.
      */
-    static parse(objContent, defaultColor = new Vec3(0.7, 0.7, 0.7), modelName = 'Loaded Mesh') {
+    static parse(objContent, defaultColor = new Vec3(0.7, 0.7, 0.7), modelName = 'Loaded Mesh', materials = null) {
         const lines = objContent.split('\n');
         const vertices = [new Vec3(0, 0, 0)]; // OBJ indices are 1-based, so add a dummy 0th element
         const normals = [new Vec3(0, 0, 0)];
         const uvs = [new Vec3(0, 0, 0)]; // UVs are 2D, but Vec3 works for consistency (z will be 0)
         const triangles = [];
+        let currentMaterial = null; // Material selected by the last 'usemtl' statement
+        const missingMaterials = new Set();
+        // Sum of the tangents of the faces sharing each vertex, by the vertex's index string (e.g. "1/2/3"),
+        // and the index strings of each textured triangle's corners
+        const vertexTangents = new Map();
+        const texturedCorners = [];
 
         for (const line of lines) {
             const parts = line.trim().split(/\s+/); // Split by one or more spaces
@@ -89,14 +98,45 @@ export class OBJLoader {
                         }
 
                         // Create a new Triangle object
-                        triangles.push(new Triangle(triV0, triV1, triV2, defaultColor, triNormals, triUVs));
+                        const triangle = new Triangle(triV0, triV1, triV2, currentMaterial, triNormals, triUVs);
+                        triangles.push(triangle);
+
+                        if (triangle.faceTangent) {
+                            const corners = [faceIndices[0], faceIndices[i + 1], faceIndices[i + 2]];
+                            for (const corner of corners) {
+                                const sum = vertexTangents.get(corner) || new Vec3(0, 0, 0);
+                                vertexTangents.set(corner, sum.add(triangle.faceTangent));
+                            }
+                            texturedCorners.push({ triangle: triangle, corners: corners });
+                        }
+                    }
+                    break;
+                case 'usemtl': { // Material for the following faces
+                    const materialName = parts.slice(1).join(' ');
+                    currentMaterial = (materials && materials.get(materialName)) || null;
+                    if (!currentMaterial) {
+                        missingMaterials.add(materialName);
                     }
                     break;
-                // Add more cases for other OBJ elements like 'mtllib', 'usemtl', 'g', 's' if needed
-                // For simplicity, we ignore them for now and use a default color.
+                }
+                // Other OBJ elements ('mtllib', 'g', 's', ...) are ignored; material libraries
+                // are read by the caller (see getMaterialLibraries) and passed in as 'materials'.
             }
         }
 
+        // Smooth tangents, like smooth normals, hide the edges between faces in normal-mapped shading.
+        // Vertices where the faces' tangents cancel out (e.g. at mirrored UVs) keep the face tangents.
+        for (const { triangle, corners } of texturedCorners) {
+            const tangents = corners.map(corner => vertexTangents.get(corner));
+            if (tangents.every(tangent => tangent.lengthSquared() > 1e-12)) {
+                triangle.tangents = tangents.map(tangent => tangent.normalize());
+            }
+        }
+
+        if (missingMaterials.size > 0) {
+            console.warn(`OBJLoader: Unknown material(s) in model '${modelName}': ${Array.from(missingMaterials).join(', ')}. Using the default material.`);
+        }
+
         if (triangles.length === 0) {
             console.warn(`OBJLoader: No triangles found in model '${modelName}'.`);
             return null;
@@ -105,4 +145,23 @@ export class OBJLoader {
         console.log(`OBJLoader: Loaded model '${modelName}' with ${vertices.length - 1} vertices, ${normals.length - 1} normals, ${uvs.length - 1} UVs, and ${triangles.length} triangles.`);
         return new Mesh(triangles, defaultColor, modelName);
     }
+
+    /**
+     * Lists the material library files an OBJ file refers to through 'mtllib' statements.
+     * @param {string} objContent - The raw text content of the .obj file.
+     * @returns {string[]} The library file names, without directories.
+     */
+    static getMaterialLibraries(objContent) {
+        const libraries = [];
+        for (const line of objContent.split('\n')) {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('mtllib ')) {
+                // File names containing spaces are ambiguous; assume one name per statement if it ends in .mtl
+                const names = trimmed.slice('mtllib '.length).trim();
+                const files = /\.mtl$/i.test(names) && !/\.mtl\s/i.test(names) ? [names] : names.split(/\s+/);
+                libraries.push(...files.map(file => file.split(/[\\/]/).pop()));
+            }
+        }
+        return libraries;
+    }
 }
@@ -2,6 +2,10 @@
 // Defines the abstract base class for all geometric objects in the scene.
 
 import { Vec3 } from './math.js';
+import { Mat4 } from './matrix.js';
+import { Ray } from './ray.js';
+import { AABB } from './bvh.js';
+import { Material } from './material.js';
 
 /**
  * @typedef {object} IntersectionInfo
@@ -9,37 +13,283 @@ import { Vec3 } from './math.js';
  * @property {Vec3} normal - The surface normal at the intersection point.
  * @property {number} distance - The distance from the ray origin to the intersection point.
  * @property {Vec3|null} uv - Optional texture coordinates (Vec3 where z is usually 0) at the intersection point.
+ * @property {Material|null} material - Material of the hit part of the object, if it has its own (e.g. a mesh face).
+ * @property {Vec3|null} tangent - Direction in which the texture coordinate u increases, if known.
+ * @property {Vec3|null} bitangent - Direction in which the texture coordinate v increases, if known.
+ */
+
+/**
+ * @typedef {object} Crossing
+ * A point where a ray's line crosses an object's surface (see Object.getCrossings).
+ * @property {number} t - The distance along the ray (negative behind the ray origin, infinite for
+ *   the open end of an interval).
+ * @property {Vec3|null} normal - The surface normal, pointing out of the object (null at infinity).
+ * @property {Vec3|null} uv - Texture coordinates at the crossing, if the surface has them.
  */
 
 export class Object {
     /**
-     * @param {Vec3} color - The base diffuse color of the object.
+     * @param {Material|Vec3} [material=new Material()] - The material of the object, which may be shared
+     *   with other objects, or a diffuse color to give the object a new material of its own.
      * @param {string} [modelName=''] - Optional name for the model if this object represents one.
-     * @param {string|null} [textureId=null] - The ID of the texture applied to this object (e.g., file name).
-     * @param {Vec3} [specularColor=new Vec3(0.0, 0.0, 0.0)] - NEW: The color of the specular highlight.
-     * @param {number} [shininess=0] - NEW: A float controlling the size and intensity of the highlight (higher value = smaller, more intense highlight).
-     * @param {number} [reflectivity=0.0] - NEW: A float (0-1) controlling how much the object reflects other objects.
-     */
-    constructor(color = new Vec3(0.5, 0.5, 0.5), modelName = '', textureId = null,
-                specularColor = new Vec3(0.0, 0.0, 0.0), shininess = 0, reflectivity = 0.0) { // Modified constructor signature
-        this.color = color; // Diffuse color
+     * @param {string|null} [textureId=null] - The ID of the texture of the new material, if a color is given.
+     */
+    constructor(material = new Material(), modelName = '', textureId = null) {
+        /** @type {Material} */
+        this.material = material instanceof Vec3 ? new Material('', material, textureId) : material;
         this.modelName = modelName;
-        this.textureId = textureId;
-        this.textureName = textureId || 'No texture applied';
-        this.specularColor = specularColor; // NEW
-        this.shininess = shininess;         // NEW
-        this.reflectivity = reflectivity;   // NEW
+
+        // Hidden objects stay in the scene (and in saved scenes) but are left out of rendering
+        this.visible = true;
+
+        // Object-to-world transform, composed from a position, a rotation (Euler angles in degrees,
+        // applied around X, then Y, then Z) and a scale (see setTransform). Derived classes describe
+        // their geometry in object space; rays are transformed into it for intersection tests.
+        this.position = new Vec3(0, 0, 0);
+        this.rotation = new Vec3(0, 0, 0);
+        this.scale = new Vec3(1, 1, 1);
+        this.transform = Mat4.identity();
+        this.inverseTransform = Mat4.identity();
+        this.normalMatrix = Mat4.identity(); // Inverse transpose: maps object-space normals to world space
+        this.hasTransform = false; // False while the transform is the identity, to skip the ray transforms
+
+        // Placement of the texture on the surface: the texture coordinates of hits are rotated by
+        // uvRotation degrees around the texture's center (0.5, 0.5), then shifted by uvOffset (x = u, y = v)
+        this.uvOffset = new Vec3(0, 0, 0);
+        this.uvRotation = 0;
     }
 
     /**
-     * Abstract method for ray-object intersection.
-     * Derived classes must implement this.
+     * Sets the object's transform. The caller must notify the scene (Scene.markDirty), since the
+     * object's bounds change.
+     * @param {Vec3} position - The translation.
+     * @param {Vec3} rotation - Euler angles in degrees around the X, Y and Z axes.
+     * @param {Vec3} scale - The scale factor along each axis (must not be zero).
+     * @returns {boolean} False if the transform was rejected because it is not invertible.
+     */
+    setTransform(position, rotation, scale) {
+        const transform = Mat4.fromTRS(position, rotation, scale);
+        const inverse = transform.inverse();
+        if (!inverse) {
+            console.warn('Object.setTransform: Ignoring non-invertible transform (zero scale).');
+            return false;
+        }
+        this.position = position;
+        this.rotation = rotation;
+        this.scale = scale;
+        this.transform = transform;
+        this.inverseTransform = inverse;
+        this.normalMatrix = inverse.transpose();
+        this.hasTransform = !transform.isIdentity();
+        return true;
+    }
+
+    /**
+     * Returns the material to shade a hit on this object with. That is the object's material,
+     * unless the part that was hit carries its own (e.g. a mesh face with an MTL material).
+     * @param {IntersectionInfo} info - The intersection info of the hit.
+     * @returns {Material} The material that applies at the hit point.
+     */
+    getMaterialAt(info) {
+        return (info && info.material) || this.material;
+    }
+
+    /**
+     * @returns {Material[]} Every material the object is shaded with, which the scene keeps in its
+     *   material library (see Scene.addObject).
+     */
+    getMaterials() {
+        return [this.material];
+    }
+
+    /**
+     * Returns the world-space axis-aligned bounding box of the object, used by the scene's BVH:
+     * the object-space bounds (see getLocalBounds) with the object's transform applied.
+     * @returns {AABB|null} The bounding box, or null if the object is unbounded (e.g. an infinite plane).
+     */
+    getBounds() {
+        const bounds = this.getLocalBounds();
+        if (!bounds || !this.hasTransform || bounds.isEmpty()) {
+            return bounds;
+        }
+        return AABB.fromPoints(bounds.corners().map(corner => this.transform.transformPoint(corner)));
+    }
+
+    /**
+     * Returns the axis-aligned bounding box of the object in object space.
+     * Derived classes with finite extent should override this.
+     * @returns {AABB|null} The bounding box, or null if the object is unbounded (e.g. an infinite plane).
+     */
+    getLocalBounds() {
+        return null;
+    }
+
+    /**
+     * Returns the object-space point the object is rotated and scaled around when it is edited
+     * interactively (see TransformGizmo): the center of its bounds.
+     * Unbounded derived classes should override this.
+     * @returns {Vec3} The pivot in object space.
+     */
+    getLocalPivot() {
+        const bounds = this.getLocalBounds();
+        return bounds && !bounds.isEmpty() ? bounds.centroid() : new Vec3(0, 0, 0);
+    }
+
+    /**
+     * @returns {Vec3} The pivot (see getLocalPivot) in world space.
+     */
+    getPivot() {
+        return this.transform.transformPoint(this.getLocalPivot());
+    }
+
+    /**
+     * Ray-object intersection in world space. The ray is transformed into object space and tested
+     * with intersectLocal(); the hit point, normal and distance are then transformed back.
      * @param {Ray} ray - The ray to test for intersection.
      * @returns {{hit: boolean, info: IntersectionInfo|null}} An object indicating if a hit occurred and the intersection info.
      */
     intersect(ray) {
+        let result;
+        if (!this.hasTransform) {
+            result = this.intersectLocal(ray);
+        } else {
+            // The Ray constructor normalizes the direction, so object-space distances are measured
+            // in object-space units: divide by the direction's length to get world-space distances.
+            const localDirection = this.inverseTransform.transformDirection(ray.direction);
+            const distanceScale = localDirection.length();
+            result = this.intersectLocal(new Ray(this.inverseTransform.transformPoint(ray.origin), localDirection));
+            if (result.hit) {
+                const info = result.info;
+                info.distance /= distanceScale;
+                info.point = ray.pointAt(info.distance);
+                info.normal = this.normalMatrix.transformDirection(info.normal).normalize();
+                // Tangents lie in the surface, so they transform like the points of the object
+                if (info.tangent) {
+                    info.tangent = this.transform.transformDirection(info.tangent).normalize();
+                    info.bitangent = this.transform.transformDirection(info.bitangent).normalize();
+                }
+            }
+        }
+        if (result.hit && result.info.uv && this.hasUVTransform()) {
+            const info = result.info;
+            info.uv = this.transformUV(info.uv);
+            if (info.tangent) {
+                // Rotating the texture coordinates turns the directions in which they increase the other way
+                const angle = this.uvRotation * Math.PI / 180;
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                const tangent = info.tangent;
+                info.tangent = tangent.multiplyScalar(cos).subtract(info.bitangent.multiplyScalar(sin));
+                info.bitangent = tangent.multiplyScalar(sin).add(info.bitangent.multiplyScalar(cos));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @returns {boolean} True if the object moves its texture (see uvOffset and uvRotation).
+     */
+    hasUVTransform() {
+        return this.uvRotation !== 0 || this.uvOffset.x !== 0 || this.uvOffset.y !== 0;
+    }
+
+    /**
+     * Applies the object's texture placement to the texture coordinates of a hit.
+     * @param {Vec3} uv - Texture coordinates from the surface's UV mapping.
+     * @returns {Vec3} The rotated and shifted texture coordinates.
+     */
+    transformUV(uv) {
+        const angle = this.uvRotation * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const u = uv.x - 0.5;
+        const v = uv.y - 0.5;
+        return new Vec3(
+            cos * u - sin * v + 0.5 + this.uvOffset.x,
+            sin * u + cos * v + 0.5 + this.uvOffset.y,
+            0
+        );
+    }
+
+    /**
+     * Picks the crossing an intersectLocal() implementation reports from all the crossings of
+     * a ray with a surface (see getCrossings).
+     * @param {Crossing[]} crossings - The crossings, sorted by distance.
+     * @returns {Crossing|null} The closest crossing in front of the ray
+     *   origin (beyond a small epsilon that avoids self-intersection), or null if there is none.
+     */
+    static nearestCrossing(crossings) {
+        return crossings.find(crossing => crossing.t > 1e-4) || null;
+    }
+
+    /**
+     * Finds every point where a ray's line crosses the object's surface, which constructive solid
+     * geometry (see CSG) needs to tell the inside of the object from the outside.
+     * Derived classes that enclose a volume override this. Crossings behind the ray origin may
+     * be left out, as long as the first crossing of a ray starting inside the object is an exit.
+     * @param {Ray} ray - The ray, in object space.
+     * @returns {Crossing[]|null} The crossings sorted by distance, or null if the object does not
+     *   support this (e.g. an open surface).
+     */
+    getCrossings(ray) {
+        return null;
+    }
+
+    /**
+     * Finds the intervals of a ray's line that lie inside the object (see getCrossings).
+     * The ray is transformed into object space; the crossings are transformed back.
+     * @param {Ray} ray - The ray, in the space the object is placed in (see intersect).
+     * @returns {Array<{enter: Crossing, exit: Crossing}>|null} The inside intervals sorted by distance,
+     *   or null if the object cannot report crossings.
+     */
+    getIntervals(ray) {
+        let localRay = ray;
+        let distanceScale = 1;
+        if (this.hasTransform) {
+            const localDirection = this.inverseTransform.transformDirection(ray.direction);
+            distanceScale = localDirection.length();
+            localRay = new Ray(this.inverseTransform.transformPoint(ray.origin), localDirection);
+        }
+        const crossings = this.getCrossings(localRay);
+        if (!crossings) {
+            return null;
+        }
+
+        const intervals = [];
+        let enter = null; // Start of the interval the ray is currently inside of
+        for (const localCrossing of crossings) {
+            const entering = localCrossing.normal.dot(localRay.direction) < 0;
+            const crossing = !this.hasTransform ? localCrossing : {
+                t: localCrossing.t / distanceScale,
+                normal: this.normalMatrix.transformDirection(localCrossing.normal).normalize(),
+                uv: localCrossing.uv
+            };
+            if (entering) {
+                enter = enter || crossing;
+            } else if (enter) {
+                intervals.push({ enter: enter, exit: crossing });
+                enter = null;
+            } else if (intervals.length === 0) {
+                // Leaving without having entered: the ray starts inside the object
+                intervals.push({ enter: { t: -Infinity, normal: null, uv: null }, exit: crossing });
+            }
+            // Any other unmatched crossing (e.g. a tangent ray grazing the surface) is ignored
+        }
+        if (enter) {
+            intervals.push({ enter: enter, exit: { t: Infinity, normal: null, uv: null } });
+        }
+        return intervals;
+    }
+
+    /**
+     * Abstract method for ray-object intersection in object space.
+     * Derived classes must implement this.
+     * @param {Ray} ray - The ray to test for intersection, in object space.
+     * @returns {{hit: boolean, info: IntersectionInfo|null}} An object indicating if a hit occurred and the intersection info.
+     */
+    intersectLocal(ray) {
         // This is an abstract method. Derived classes must override it.
-        console.error("Abstract method 'intersect' must be implemented by derived classes.");
+        console.error("Abstract method 'intersectLocal' must be implemented by derived classes.");
         return { hit: false, info: null };
     }
 }
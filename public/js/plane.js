@@ -9,24 +9,39 @@ export class Plane extends Object {
     /**
      * @param {Vec3} point - A point on the plane.
      * @param {Vec3} normal - The normal vector of the plane (will be normalized).
-     * @param {Vec3} color - The color of the plane.
-     * @param {string|null} [textureId=null] - Optional texture ID for this plane. NEW
+     * @param {Material|Vec3} material - The material of the plane, or its diffuse color (see Object).
+     * @param {string|null} [textureId=null] - Optional texture ID, if a color is given.
      * @param {number} [uvScale=1] - NEW: Scale factor for UV coordinates on the plane.
      */
-    constructor(point, normal, color, textureId = null, uvScale = 1) { // Modified constructor signature
-        super(color, '', textureId); // Pass textureId to base constructor
+    constructor(point, normal, material, textureId = null, uvScale = 1) { // Modified constructor signature
+        super(material, '', textureId); // Pass textureId to base constructor
         this.point = point;
         this.normal = normal.normalize(); // Ensure the normal is normalized
         this.uvScale = uvScale; // NEW: UV scaling for tiling textures
     }
 
     /**
-     * Implements the ray-plane intersection test.
+     * An infinite plane has no finite bounding box, so it is kept outside the scene's BVH.
+     * @returns {null}
+     */
+    getLocalBounds() {
+        return null;
+    }
+
+    /**
+     * @returns {Vec3} The plane's reference point, which it is rotated around.
+     */
+    getLocalPivot() {
+        return this.point;
+    }
+
+    /**
+     * Implements the ray-plane intersection test in object space.
      *
-     * @param {Ray} ray - The ray to test for intersection.
+     * @param {Ray} ray - The ray to test for intersection, in object space.
      * @returns {{hit: boolean, info: IntersectionInfo|null}} An object indicating if a hit occurred and the intersection info.
      */
-    intersect(ray) {
+    intersectLocal(ray) {
         const rayDirDotNormal = ray.direction.dot(this.normal);
 
         if (Math.abs(rayDirDotNormal) < 1e-6) {
@@ -39,39 +54,75 @@ export class Plane extends Object {
             const intersectionPoint = ray.pointAt(t);
             const finalNormal = rayDirDotNormal < 0 ? this.normal : this.normal.negate();
 
-            // NEW: Calculate UV coordinates for planar mapping
-            // Project the intersection point onto the plane defined by its normal.
-            // Then, find two orthogonal vectors on the plane to use as UV axes.
-            let uAxis, vAxis;
-
-            // Determine suitable uAxis and vAxis based on the plane's normal
-            // This ensures consistent UV mapping regardless of plane orientation.
-            if (Math.abs(this.normal.x) < 0.5 && Math.abs(this.normal.y) < 0.5) { // If normal is mostly Z
-                uAxis = new Vec3(1, 0, 0);
-                vAxis = new Vec3(0, 1, 0);
-            } else if (Math.abs(this.normal.x) < 0.5 && Math.abs(this.normal.z) < 0.5) { // If normal is mostly Y
-                uAxis = new Vec3(1, 0, 0);
-                vAxis = new Vec3(0, 0, 1);
-            } else { // If normal is mostly X
-                uAxis = new Vec3(0, 1, 0);
-                vAxis = new Vec3(0, 0, 1);
-            }
-
-            // Ensure uAxis and vAxis are orthogonal to the normal and to each other
-            uAxis = uAxis.subtract(this.normal.multiplyScalar(this.normal.dot(uAxis))).normalize();
-            vAxis = this.normal.cross(uAxis).normalize();
-
-            // Calculate UVs relative to the plane's origin (this.point)
-            const pRelative = intersectionPoint.subtract(this.point);
-            const u = pRelative.dot(uAxis) * this.uvScale;
-            const v = pRelative.dot(vAxis) * this.uvScale;
-
-            const uvCoords = new Vec3(u, v, 0); // z is 0 for 2D UVs
+            const uvCoords = this.computeUV(intersectionPoint);
 
             const info = new IntersectionInfo(intersectionPoint, finalNormal, t, uvCoords); // Pass UV
+            const { uAxis, vAxis } = this.computeUVAxes();
+            info.tangent = uAxis;
+            info.bitangent = vAxis;
             return { hit: true, info: info };
         }
 
         return { hit: false, info: null };
     }
+
+    /**
+     * Finds where a ray's line crosses the plane, for constructive solid geometry (see CSG),
+     * in which the plane stands for the half-space behind it (opposite its normal).
+     * @param {Ray} ray - The ray, in object space.
+     * @returns {Crossing[]} The crossing (at any distance along the ray's line), or an empty
+     *   array if the ray runs parallel to the plane.
+     */
+    getCrossings(ray) {
+        const rayDirDotNormal = ray.direction.dot(this.normal);
+        if (Math.abs(rayDirDotNormal) < 1e-6) {
+            return [];
+        }
+        const t = this.point.subtract(ray.origin).dot(this.normal) / rayDirDotNormal;
+        return [{ t: t, normal: this.normal, uv: this.computeUV(ray.pointAt(t)) }];
+    }
+
+    /**
+     * Calculates UV coordinates for planar mapping: the point's coordinates along two orthogonal
+     * axes in the plane, relative to the plane's reference point and scaled by uvScale.
+     * @param {Vec3} point - A point on the plane.
+     * @returns {Vec3} The UV coordinates (z is 0 for 2D UVs).
+     */
+    computeUV(point) {
+        const { uAxis, vAxis } = this.computeUVAxes();
+
+        // Calculate UVs relative to the plane's origin (this.point)
+        const pRelative = point.subtract(this.point);
+        const u = pRelative.dot(uAxis) * this.uvScale;
+        const v = pRelative.dot(vAxis) * this.uvScale;
+
+        return new Vec3(u, v, 0); // z is 0 for 2D UVs
+    }
+
+    /**
+     * Finds the two orthogonal axes in the plane along which the UV coordinates increase.
+     * @returns {{uAxis: Vec3, vAxis: Vec3}} The unit axes of u and v.
+     */
+    computeUVAxes() {
+        // Find two orthogonal vectors on the plane to use as UV axes.
+        let uAxis, vAxis;
+
+        // Determine suitable uAxis and vAxis based on the plane's normal
+        // This ensures consistent UV mapping regardless of plane orientation.
+        if (Math.abs(this.normal.x) < 0.5 && Math.abs(this.normal.y) < 0.5) { // If normal is mostly Z
+            uAxis = new Vec3(1, 0, 0);
+            vAxis = new Vec3(0, 1, 0);
+        } else if (Math.abs(this.normal.x) < 0.5 && Math.abs(this.normal.z) < 0.5) { // If normal is mostly Y
+            uAxis = new Vec3(1, 0, 0);
+            vAxis = new Vec3(0, 0, 1);
+        } else { // If normal is mostly X
+            uAxis = new Vec3(0, 1, 0);
+            vAxis = new Vec3(0, 0, 1);
+        }
+
+        // Ensure uAxis and vAxis are orthogonal to the normal and to each other
+        uAxis = uAxis.subtract(this.normal.multiplyScalar(this.normal.dot(uAxis))).normalize();
+        vAxis = this.normal.cross(uAxis).normalize();
+        return { uAxis: uAxis, vAxis: vAxis };
+    }
 }
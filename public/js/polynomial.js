@@ -0,0 +1,147 @@
+// public/js/polynomial.js
+// Closed-form real root finding for polynomials up to degree four, used by ray-surface
+// intersection tests (the torus needs a quartic). Based on the classic algorithms from
+// Jochen Schwarze, "Cubic and Quartic Roots" (Graphics Gems I).
+
+const EPSILON = 1e-9;
+
+function isZero(x) {
+    return Math.abs(x) < EPSILON;
+}
+
+/**
+ * Solves a*x^2 + b*x + c = 0.
+ * @param {number} a - Coefficient of x^2.
+ * @param {number} b - Coefficient of x.
+ * @param {number} c - Constant term.
+ * @returns {number[]} The real roots in ascending order (a double root is listed once).
+ */
+export function solveQuadratic(a, b, c) {
+    if (isZero(a)) {
+        return isZero(b) ? [] : [-c / b];
+    }
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) {
+        return [];
+    }
+    if (discriminant === 0) {
+        return [-b / (2 * a)];
+    }
+    // Avoid the cancellation of -b + sqrt(discriminant) when b is large
+    const q = -0.5 * (b + Math.sign(b || 1) * Math.sqrt(discriminant));
+    const x0 = q / a;
+    const x1 = c / q;
+    return x0 < x1 ? [x0, x1] : [x1, x0];
+}
+
+/**
+ * Solves a*x^3 + b*x^2 + c*x + d = 0.
+ * @param {number} a - Coefficient of x^3.
+ * @param {number} b - Coefficient of x^2.
+ * @param {number} c - Coefficient of x.
+ * @param {number} d - Constant term.
+ * @returns {number[]} The real roots in ascending order.
+ */
+export function solveCubic(a, b, c, d) {
+    if (isZero(a)) {
+        return solveQuadratic(b, c, d);
+    }
+    // Normal form x^3 + A*x^2 + B*x + C = 0, then substitute x = y - A/3 to remove the quadratic term
+    const A = b / a, B = c / a, C = d / a;
+    const sqA = A * A;
+    const p = (-sqA / 3 + B) / 3;
+    const q = (2 / 27 * A * sqA - A * B / 3 + C) / 2;
+    const cbP = p * p * p;
+    const discriminant = q * q + cbP;
+
+    let roots;
+    if (isZero(discriminant)) {
+        if (isZero(q)) {
+            roots = [0]; // One triple root
+        } else {
+            const u = Math.cbrt(-q);
+            roots = [2 * u, -u]; // One single and one double root
+        }
+    } else if (discriminant < 0) {
+        // Three real roots (casus irreducibilis): trigonometric solution
+        const phi = Math.acos(Math.max(-1, Math.min(1, -q / Math.sqrt(-cbP)))) / 3;
+        const t = 2 * Math.sqrt(-p);
+        roots = [t * Math.cos(phi), -t * Math.cos(phi + Math.PI / 3), -t * Math.cos(phi - Math.PI / 3)];
+    } else {
+        // One real root
+        const sqrtD = Math.sqrt(discriminant);
+        roots = [Math.cbrt(sqrtD - q) - Math.cbrt(sqrtD + q)];
+    }
+    return roots.map(y => y - A / 3).sort((x0, x1) => x0 - x1);
+}
+
+/**
+ * Solves a*x^4 + b*x^3 + c*x^2 + d*x + e = 0 (Ferrari's method).
+ * The roots are refined with Newton steps, as the closed form loses precision for nearly
+ * double roots.
+ * @param {number} a - Coefficient of x^4.
+ * @param {number} b - Coefficient of x^3.
+ * @param {number} c - Coefficient of x^2.
+ * @param {number} d - Coefficient of x.
+ * @param {number} e - Constant term.
+ * @returns {number[]} The real roots in ascending order.
+ */
+export function solveQuartic(a, b, c, d, e) {
+    if (isZero(a)) {
+        return solveCubic(b, c, d, e);
+    }
+    // Normal form x^4 + A*x^3 + B*x^2 + C*x + D = 0, then substitute x = y - A/4
+    const A = b / a, B = c / a, C = d / a, D = e / a;
+    const sqA = A * A;
+    const p = -3 / 8 * sqA + B;
+    const q = sqA * A / 8 - A * B / 2 + C;
+    const r = -3 / 256 * sqA * sqA + sqA * B / 16 - A * C / 4 + D;
+
+    let roots;
+    if (isZero(r)) {
+        // No constant term: y * (y^3 + p*y + q) = 0
+        roots = [0, ...solveCubic(1, 0, p, q)];
+    } else {
+        // Take one root of the resolvent cubic to split the quartic into two quadratics
+        const z = solveCubic(1, -p / 2, -r, r * p / 2 - q * q / 8).pop();
+        let u = z * z - r;
+        let v = 2 * z - p;
+        if (isZero(u)) {
+            u = 0;
+        } else if (u > 0) {
+            u = Math.sqrt(u);
+        } else {
+            return [];
+        }
+        if (isZero(v)) {
+            v = 0;
+        } else if (v > 0) {
+            v = Math.sqrt(v);
+        } else {
+            return [];
+        }
+        roots = [
+            ...solveQuadratic(1, q < 0 ? -v : v, z - u),
+            ...solveQuadratic(1, q < 0 ? v : -v, z + u)
+        ];
+    }
+
+    const evaluate = (x) => (((x + A) * x + B) * x + C) * x + D;
+    return roots.map(y => {
+        let x = y - A / 4;
+        // Newton steps on the original polynomial, kept only while they improve the root
+        // (near other roots the derivative is small and a step can overshoot)
+        for (let i = 0; i < 2; i++) {
+            const derivative = ((4 * x + 3 * A) * x + 2 * B) * x + C;
+            if (isZero(derivative)) {
+                break;
+            }
+            const refined = x - evaluate(x) / derivative;
+            if (!(Math.abs(evaluate(refined)) < Math.abs(evaluate(x)))) {
+                break;
+            }
+            x = refined;
+        }
+        return x;
+    }).sort((x0, x1) => x0 - x1);
+}
@@ -0,0 +1,256 @@
+// public/js/proceduralTexture.js
+// Defines the ProceduralTexture class: textures computed from a formula instead of read from an
+// image (checkers, Perlin noise, fBm, marble, wood and gradient ramps). They are held by the
+// TextureManager like image textures, so any texture map slot of a material can use them.
+// Each texture blends between two colors by a pattern value evaluated either at the texture
+// coordinates of a hit (2D) or at its position in object space (3D, a "solid" texture).
+
+import { Vec3 } from './math.js';
+
+/**
+ * The parameters procedural textures can have, with their ranges for the editor and default values.
+ * Colors are Vec3s; choices are strings.
+ */
+export const PROCEDURAL_PARAMETERS = {
+    space: { label: 'Space', type: 'choice', choices: ['uv', 'object'] },
+    scale: { label: 'Scale', type: 'number', min: 0.01, max: 100, step: 0.1 },
+    color1: { label: 'Color 1', type: 'color' },
+    color2: { label: 'Color 2', type: 'color' },
+    octaves: { label: 'Octaves', type: 'number', min: 1, max: 8, step: 1 },
+    lacunarity: { label: 'Lacunarity', type: 'number', min: 1, max: 4, step: 0.1 },
+    gain: { label: 'Gain', type: 'number', min: 0, max: 1, step: 0.05 },
+    turbulence: { label: 'Turbulence', type: 'number', min: 0, max: 20, step: 0.1 },
+    rings: { label: 'Rings', type: 'number', min: 0.1, max: 50, step: 0.1 },
+    axis: { label: 'Axis', type: 'choice', choices: ['u', 'v', 'radial'] }
+};
+
+/**
+ * The procedural texture types, by name: their display name and default parameters
+ * (which also tell which parameters of PROCEDURAL_PARAMETERS a type has).
+ */
+export const PROCEDURAL_TEXTURE_TYPES = {
+    checker: {
+        label: 'Checker',
+        defaults: { space: 'uv', scale: 2, color1: new Vec3(0.85, 0.85, 0.85), color2: new Vec3(0.25, 0.25, 0.25) }
+    },
+    noise: {
+        label: 'Noise',
+        defaults: { space: 'object', scale: 4, color1: new Vec3(0, 0, 0), color2: new Vec3(1, 1, 1) }
+    },
+    fbm: {
+        label: 'fBm noise',
+        defaults: { space: 'object', scale: 2, color1: new Vec3(0, 0, 0), color2: new Vec3(1, 1, 1),
+            octaves: 5, lacunarity: 2, gain: 0.5 }
+    },
+    marble: {
+        label: 'Marble',
+        defaults: { space: 'object', scale: 2, color1: new Vec3(0.9, 0.88, 0.85), color2: new Vec3(0.25, 0.25, 0.3),
+            octaves: 5, turbulence: 4 }
+    },
+    wood: {
+        label: 'Wood',
+        defaults: { space: 'object', scale: 1, color1: new Vec3(0.75, 0.52, 0.3), color2: new Vec3(0.45, 0.27, 0.12),
+            octaves: 3, turbulence: 0.6, rings: 8 }
+    },
+    gradient: {
+        label: 'Gradient',
+        defaults: { space: 'uv', scale: 1, color1: new Vec3(0, 0, 0), color2: new Vec3(1, 1, 1), axis: 'v' }
+    }
+};
+
+export class ProceduralTexture {
+    /**
+     * @param {string} [type='checker'] - One of PROCEDURAL_TEXTURE_TYPES.
+     * @param {object} [params={}] - Parameter values (see PROCEDURAL_PARAMETERS); missing ones get the type's defaults.
+     */
+    constructor(type = 'checker', params = {}) {
+        if (!PROCEDURAL_TEXTURE_TYPES[type]) {
+            console.warn(`ProceduralTexture: Unknown type '${type}', using 'checker'.`);
+            type = 'checker';
+        }
+        this.type = type;
+        this.params = { ...PROCEDURAL_TEXTURE_TYPES[type].defaults, ...params };
+    }
+
+    /**
+     * @returns {boolean} True if the texture is evaluated at object-space positions rather than at texture coordinates.
+     */
+    isSolid() {
+        return this.params.space === 'object';
+    }
+
+    /**
+     * Evaluates the texture's color.
+     * @param {Vec3} uv - The texture coordinates (used by 2D textures).
+     * @param {Vec3|null} point - The object-space position (used by solid textures).
+     * @param {number} [footprint=0] - The size of the area the sample stands for, in UV units
+     *   (see TextureManager.sampleTexture); 2D checkers are averaged over it.
+     * @returns {Vec3} The color.
+     */
+    evaluate(uv, point, footprint = 0) {
+        const params = this.params;
+        const solid = this.isSolid() && point;
+        const p = (solid ? point : new Vec3(uv.x, uv.y, 0)).multiplyScalar(params.scale);
+        const t = Math.min(Math.max(this.evaluatePattern(p, solid ? 0 : footprint * params.scale, solid), 0), 1);
+        return params.color1.multiplyScalar(1 - t).add(params.color2.multiplyScalar(t));
+    }
+
+    /**
+     * Evaluates the pattern that blends the texture's two colors.
+     * @param {Vec3} p - The scaled position (z is 0 for 2D textures).
+     * @param {number} filterWidth - The size of the area to average over, in units of p.
+     * @param {boolean} solid - Whether p is a 3D position.
+     * @returns {number} The pattern value, from 0 (color1) to 1 (color2).
+     */
+    evaluatePattern(p, filterWidth, solid) {
+        const params = this.params;
+        switch (this.type) {
+            case 'checker':
+                return filteredChecker(p, filterWidth, solid);
+            case 'noise':
+                return 0.5 + 0.5 * perlinNoise(p.x, p.y, p.z);
+            case 'fbm':
+                return 0.5 + 0.5 * fbm(p, params.octaves, params.lacunarity, params.gain);
+            case 'marble':
+                // Stripes along x, bent by turbulence
+                return 0.5 + 0.5 * Math.sin(p.x * Math.PI + params.turbulence * turbulence(p, params.octaves));
+            case 'wood': {
+                // Rings around the y axis, made irregular by noise
+                const radius = Math.sqrt(p.x * p.x + p.z * p.z) * params.rings + params.turbulence * fbm(p, params.octaves, 2, 0.5);
+                return radius - Math.floor(radius);
+            }
+            case 'gradient':
+                if (params.axis === 'radial') {
+                    return Math.hypot(p.x - 0.5 * params.scale, p.y - 0.5 * params.scale) * 2 / params.scale;
+                }
+                return (params.axis === 'u' ? p.x : p.y) / params.scale;
+            default:
+                return 0;
+        }
+    }
+}
+
+/**
+ * Evaluates a checker pattern (alternating unit cells), averaged over a box of the given width
+ * so that it fades to gray instead of aliasing where cells get smaller than the filter.
+ * @param {Vec3} p - The position.
+ * @param {number} width - The box filter's width (0 for no filtering).
+ * @param {boolean} solid - Whether to alternate along z too.
+ * @returns {number} 0 or 1 in the cells, or the average in between.
+ */
+function filteredChecker(p, width, solid) {
+    // Integral of the square wave over the box, per axis (-1 or 1 without filtering)
+    const axis = (x) => {
+        if (width < 1e-6) {
+            return Math.floor(x) % 2 === 0 ? 1 : -1;
+        }
+        const triangle = (y) => Math.abs(y / 2 - Math.floor(y / 2) - 0.5);
+        return 2 * (triangle(x - width / 2) - triangle(x + width / 2)) / width;
+    };
+    const sign = axis(p.x) * axis(p.y) * (solid ? axis(p.z) : 1);
+    return 0.5 - 0.5 * sign;
+}
+
+// Permutation table of Perlin noise, shuffled with a fixed seed so that every thread (and
+// every run) sees the same noise
+const PERMUTATION = (() => {
+    const table = Array.from({ length: 256 }, (_, i) => i);
+    let seed = 1234567;
+    for (let i = 255; i > 0; i--) {
+        seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+        const j = seed % (i + 1);
+        [table[i], table[j]] = [table[j], table[i]];
+    }
+    return Uint8Array.from(table.concat(table));
+})();
+
+/**
+ * Improved Perlin noise (Ken Perlin, 2002): smoothly varying pseudo-random values, with features
+ * about one unit apart.
+ * @param {number} x - The position's x coordinate.
+ * @param {number} y - The position's y coordinate.
+ * @param {number} z - The position's z coordinate.
+ * @returns {number} The noise value, roughly in [-1, 1].
+ */
+export function perlinNoise(x, y, z) {
+    const xi = Math.floor(x) & 255;
+    const yi = Math.floor(y) & 255;
+    const zi = Math.floor(z) & 255;
+    x -= Math.floor(x);
+    y -= Math.floor(y);
+    z -= Math.floor(z);
+    const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+    const lerp = (t, a, b) => a + t * (b - a);
+    const u = fade(x);
+    const v = fade(y);
+    const w = fade(z);
+
+    const P = PERMUTATION;
+    const a = P[xi] + yi, aa = P[a] + zi, ab = P[a + 1] + zi;
+    const b = P[xi + 1] + yi, ba = P[b] + zi, bb = P[b + 1] + zi;
+
+    return lerp(w,
+        lerp(v,
+            lerp(u, gradient(P[aa], x, y, z), gradient(P[ba], x - 1, y, z)),
+            lerp(u, gradient(P[ab], x, y - 1, z), gradient(P[bb], x - 1, y - 1, z))),
+        lerp(v,
+            lerp(u, gradient(P[aa + 1], x, y, z - 1), gradient(P[ba + 1], x - 1, y, z - 1)),
+            lerp(u, gradient(P[ab + 1], x, y - 1, z - 1), gradient(P[bb + 1], x - 1, y - 1, z - 1))));
+}
+
+/**
+ * Dot product of the offset from a lattice point with one of 12 gradient directions, picked by a hash.
+ * @param {number} hash - The lattice point's hash.
+ * @param {number} x - Offset from the lattice point along x.
+ * @param {number} y - Offset along y.
+ * @param {number} z - Offset along z.
+ * @returns {number} The gradient's contribution.
+ */
+function gradient(hash, x, y, z) {
+    const h = hash & 15;
+    const u = h < 8 ? x : y;
+    const v = h < 4 ? y : (h === 12 || h === 14 ? x : z);
+    return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+}
+
+/**
+ * Fractional Brownian motion: a sum of noise octaves of rising frequency and falling amplitude.
+ * @param {Vec3} p - The position.
+ * @param {number} octaves - The number of octaves.
+ * @param {number} lacunarity - The frequency factor between octaves.
+ * @param {number} gain - The amplitude factor between octaves.
+ * @returns {number} The value, roughly in [-1, 1].
+ */
+export function fbm(p, octaves, lacunarity, gain) {
+    let sum = 0;
+    let amplitude = 1;
+    let total = 0;
+    let frequency = 1;
+    for (let i = 0; i < octaves; i++) {
+        sum += amplitude * perlinNoise(p.x * frequency, p.y * frequency, p.z * frequency);
+        total += amplitude;
+        amplitude *= gain;
+        frequency *= lacunarity;
+    }
+    return total > 0 ? sum / total : 0;
+}
+
+/**
+ * Turbulence: like fBm with lacunarity 2 and gain 0.5, but summing the absolute values of the
+ * octaves, which gives sharp creases.
+ * @param {Vec3} p - The position.
+ * @param {number} octaves - The number of octaves.
+ * @returns {number} The value, in [0, 1].
+ */
+export function turbulence(p, octaves) {
+    let sum = 0;
+    let amplitude = 1;
+    let total = 0;
+    for (let i = 0; i < octaves; i++) {
+        const frequency = 1 << i;
+        sum += amplitude * Math.abs(perlinNoise(p.x * frequency, p.y * frequency, p.z * frequency));
+        total += amplitude;
+        amplitude *= 0.5;
+    }
+    return total > 0 ? sum / total : 0;
+}
@@ -0,0 +1,86 @@
+// public/js/quad.js
+// Defines the Quad class, a flat parallelogram spanned by two edges from a corner.
+// With perpendicular edges it is a rectangle (see Quad.rectangle).
+
+import { Vec3 } from './math.js';
+import { Object } from './object.js';
+import { IntersectionInfo } from './scene.js';
+import { AABB } from './bvh.js';
+
+export class Quad extends Object {
+    /**
+     * @param {Vec3} corner - The corner the edges start at (texture coordinates (0, 0)).
+     * @param {Vec3} edgeU - The first edge (along the texture's U axis).
+     * @param {Vec3} edgeV - The second edge (along the texture's V axis).
+     * @param {Material|Vec3} material - The material of the quad, or its diffuse color (see Object).
+     * @param {string|null} [textureId=null] - Optional texture ID, if a color is given.
+     */
+    constructor(corner, edgeU, edgeV, material, textureId = null) {
+        super(material, '', textureId);
+        this.corner = corner;
+        this.edgeU = edgeU;
+        this.edgeV = edgeV;
+        // Unnormalized normal; its squared length is used to solve for the edge coordinates
+        this.crossUV = edgeU.cross(edgeV);
+        this.normal = this.crossUV.normalize();
+    }
+
+    /**
+     * Creates a rectangle in the XZ plane (facing +Y) centered on the origin.
+     * @param {number} width - The size along X.
+     * @param {number} depth - The size along Z.
+     * @param {Material|Vec3} material - The material of the rectangle, or its diffuse color (see Object).
+     * @param {string|null} [textureId=null] - Optional texture ID, if a color is given.
+     * @returns {Quad} The rectangle.
+     */
+    static rectangle(width, depth, material, textureId = null) {
+        return new Quad(new Vec3(-width / 2, 0, depth / 2), new Vec3(width, 0, 0), new Vec3(0, 0, -depth), material, textureId);
+    }
+
+    /**
+     * @returns {AABB} The bounding box of the quad's four corners.
+     */
+    getLocalBounds() {
+        const far = this.corner.add(this.edgeU).add(this.edgeV);
+        return AABB.fromPoints([this.corner, this.corner.add(this.edgeU), this.corner.add(this.edgeV), far]);
+    }
+
+    /**
+     * Finds where a ray crosses the quad. The texture coordinates are the hit point's
+     * coordinates along the two edges, so the quad shows the whole texture once.
+     * The quad is an open surface, so it does not report crossings for CSG (see Object.getCrossings).
+     * @param {Ray} ray - The ray, in object space.
+     * @returns {{t: number, normal: Vec3, uv: Vec3}|null} The crossing (at any distance along
+     *   the ray's line), or null if the ray misses the quad. The normal is edgeU x edgeV, normalized.
+     */
+    findCrossing(ray) {
+        const denominator = ray.direction.dot(this.normal);
+        if (Math.abs(denominator) < 1e-6) {
+            return null;
+        }
+        const t = this.corner.subtract(ray.origin).dot(this.normal) / denominator;
+        const offset = ray.pointAt(t).subtract(this.corner);
+        const lengthSquared = this.crossUV.dot(this.crossUV);
+        const u = offset.cross(this.edgeV).dot(this.crossUV) / lengthSquared;
+        const v = this.edgeU.cross(offset).dot(this.crossUV) / lengthSquared;
+        if (u < 0 || u > 1 || v < 0 || v > 1) {
+            return null;
+        }
+        return { t: t, normal: this.normal, uv: new Vec3(u, v, 0) };
+    }
+
+    /**
+     * Implements the ray-quad intersection test in object space. Like a plane, the quad is
+     * two-sided: the reported normal faces the incoming ray.
+     * @param {Ray} ray - The ray to test for intersection, in object space.
+     * @returns {{hit: boolean, info: IntersectionInfo|null}} An object indicating if a hit occurred and the intersection info.
+     */
+    intersectLocal(ray) {
+        const crossing = this.findCrossing(ray);
+        if (!crossing || crossing.t <= 1e-4) {
+            return { hit: false, info: null };
+        }
+        const normal = ray.direction.dot(crossing.normal) < 0 ? crossing.normal : crossing.normal.negate();
+        return { hit: true, info: new IntersectionInfo(ray.pointAt(crossing.t), normal, crossing.t, crossing.uv) };
+    }
+}
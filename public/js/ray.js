@@ -11,6 +11,32 @@ export class Ray {
     constructor(origin, direction) {
         this.origin = origin;
         this.direction = direction.normalize(); // Ensure the direction vector is normalized (unit length)
+
+        // The ray stands for a cone of rays (e.g. a camera ray for one pixel): its width at the origin,
+        // and how much it widens per unit of distance. Used to filter textures (see Raytracer.getTextureFootprint).
+        this.coneWidth = 0;
+        this.coneSpread = 0;
+    }
+
+    /**
+     * Makes this ray continue the cone of the ray it was spawned from at a hit (e.g. as its
+     * reflection). Curved surfaces would widen or narrow the cone; that is ignored.
+     * @param {Ray} parent - The ray that hit the surface.
+     * @param {number} distance - The distance from the parent's origin to the hit.
+     * @returns {Ray} This ray.
+     */
+    continueCone(parent, distance) {
+        this.coneWidth = parent.coneWidthAt(distance);
+        this.coneSpread = parent.coneSpread;
+        return this;
+    }
+
+    /**
+     * @param {number} t - The distance along the ray.
+     * @returns {number} The width of the ray's cone at that distance.
+     */
+    coneWidthAt(t) {
+        return this.coneWidth + this.coneSpread * t;
     }
 
     /**
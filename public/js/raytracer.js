@@ -7,128 +7,1117 @@ import { Object } from './object.js';
 import { Sphere } from './sphere.js';
 import { Plane } from './plane.js';
 import { Light } from './light.js';
+import { AreaLight } from './areaLight.js';
 import { Scene } from './scene.js';
 import { TextureManager } from './textureManager.js'; // NEW: Import TextureManager
+import { SceneSerializer } from './sceneSerializer.js';
+import { generatePixelSamples, getFilterRadius, evaluateFilter, hashRandom, sampleCosineHemisphere, powerHeuristic,
+    SAMPLES_PER_PIXEL_COUNTS, SAMPLE_PATTERNS, RECONSTRUCTION_FILTERS } from './sampling.js';
+
+// Tile size and time slice used when rendering on the main thread (no worker pool)
+const MAIN_THREAD_TILE_SIZE = 32;
+const MAIN_THREAD_SLICE_MS = 30;
+
+// Random dimensions 0-3 of a camera sample place it in the pixel and on the lens (see
+// generatePixelSamples); tracing draws its random numbers from the following ones.
+const FIRST_TRACE_DIMENSION = 4;
+
+/**
+ * The available integrators: 'whitted' shades with the Phong model and follows mirror and glass
+ * bounces only (see traceRay); 'path' is a Monte Carlo path tracer that also follows diffuse
+ * bounces, i.e. computes global illumination (see tracePath).
+ */
+export const INTEGRATORS = ['whitted', 'path'];
+
+// Render settings of a new Raytracer, also used in place of invalid saved ones (see applySettings)
+const DEFAULT_MAX_DEPTH = 3;
+const DEFAULT_ANTIALIASING = { samplesPerPixel: 1, pattern: 'jittered', filter: 'box' };
+
+// Bounces the path tracer follows unconditionally before Russian roulette may end a path
+const ROULETTE_START_BOUNCE = 2;
+
+// Directions of the environment map sampled per hit to light it with the Whitted integrator
+const ENVIRONMENT_LIGHT_SAMPLES = 4;
 
 export class Raytracer {
     /**
-     * @param {HTMLCanvasElement} canvas - The HTML canvas element to draw on.
-     * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
+     * @param {Framebuffer|null} framebuffer - The framebuffer rendered images are written to (null inside a
+     * render worker, which only renders tiles).
      * @param {Camera} camera - The camera object for ray generation.
      * @param {Scene} scene - The scene object containing objects and lights.
      * @param {TextureManager} textureManager - NEW: The texture manager instance.
      */
-    constructor(canvas, ctx, camera, scene, textureManager) { // Modified constructor signature
-        this.canvas = canvas;
-        this.ctx = ctx;
+    constructor(framebuffer, camera, scene, textureManager) {
+        this.framebuffer = framebuffer;
         this.camera = camera;
         this.scene = scene;
         this.textureManager = textureManager; // NEW: Store texture manager
-        this.imageData = ctx.createImageData(canvas.width, canvas.height);
-        this.pixels = new Uint8ClampedArray(this.imageData.data.buffer); // Direct access to pixel data
+
+        /**
+         * Maximum number of secondary bounces (reflections) followed per primary ray.
+         * 0 disables reflections entirely.
+         * @type {number}
+         */
+        this.maxDepth = DEFAULT_MAX_DEPTH;
+
+        /**
+         * How rays are turned into colors, one of INTEGRATORS.
+         * @type {string}
+         */
+        this.integrator = 'whitted';
+
+        /**
+         * Optional pool of render workers. When set, passes are rendered off the main thread.
+         * @type {RenderWorkerPool|null}
+         */
+        this.workerPool = null;
+
+        /**
+         * Progressive refinement settings. While the scene is being changed interactively only a
+         * low-resolution preview is rendered; once input has been idle for idleDelay milliseconds the
+         * image is refined to full resolution and further samples per pixel are accumulated.
+         */
+        this.progressive = {
+            enabled: true,
+            previewScale: 4,   // Each preview ray covers a previewScale x previewScale block of pixels
+            idleDelay: 200,    // Milliseconds without changes before refinement starts
+            maxSamples: 16     // Samples per pixel accumulated before the image is considered converged
+        };
+
+        /**
+         * Anti-aliasing settings: how many primary rays are traced per pixel and pass, how they are
+         * placed within the pixel ('grid', 'jittered' or 'halton', see generatePixelSamples), and the
+         * reconstruction filter used to weight them ('box', 'tent' or 'gaussian', see evaluateFilter).
+         */
+        this.antialiasing = { ...DEFAULT_ANTIALIASING };
+
+        /**
+         * Called whenever rendering makes progress, e.g. to drive a progress bar.
+         * @type {function(number, string): void|null} Receives the progress in [0, 1] and a status label.
+         */
+        this.onProgress = null;
+
+        // Running sum of all refinement samples (RGB + total weight per pixel) and the number of passes in it
+        this.accumulation = framebuffer ? new Float32Array(framebuffer.width * framebuffer.height * 4) : null;
+        this.samplesAccumulated = 0;
+
+        // Incremented on every change, so callbacks of stale passes know to stop
+        this.renderGeneration = 0;
+        this.idleTimer = null;
+
+        // Random number stream of the camera sample being traced (see beginSample and nextRandom),
+        // used e.g. to pick shadow ray targets on area lights
+        this.sampleState = { x: 0, y: 0, sampleIndex: 0, dimension: 0 };
+        this.random = () => this.nextRandom();
+    }
+
+    /**
+     * Starts the random number stream of a camera sample. The stream is a pure function of the
+     * pixel and sample index (see hashRandom), so every worker traces a sample identically.
+     * @param {number} x - Pixel column.
+     * @param {number} y - Pixel row.
+     * @param {number} sampleIndex - Index of the sample within the pixel, over all passes.
+     */
+    beginSample(x, y, sampleIndex) {
+        this.sampleState.x = x;
+        this.sampleState.y = y;
+        this.sampleState.sampleIndex = sampleIndex;
+        this.sampleState.dimension = FIRST_TRACE_DIMENSION;
+    }
+
+    /**
+     * @returns {number} The next random number of the current camera sample's stream, in [0, 1).
+     */
+    nextRandom() {
+        const state = this.sampleState;
+        return hashRandom(state.x, state.y, state.sampleIndex, state.dimension++);
+    }
+
+    /**
+     * Returns the render settings that must be shared with render workers.
+     * @returns {{maxDepth: number, integrator: string, antialiasing: object}} The settings.
+     */
+    getSettings() {
+        return { maxDepth: this.maxDepth, integrator: this.integrator, antialiasing: { ...this.antialiasing } };
+    }
+
+    /**
+     * Applies render settings, as returned by getSettings(). Settings saved before the path
+     * tracer existed have no integrator and keep using the Whitted one. Missing settings keep
+     * their current values; invalid ones (e.g. from a hand-edited scene file) get the defaults.
+     * @param {{maxDepth: number, integrator: string, antialiasing: object}} settings - The settings to apply.
+     */
+    applySettings(settings) {
+        const maxDepth = settings.maxDepth === undefined ? this.maxDepth : settings.maxDepth;
+        this.maxDepth = Number.isInteger(maxDepth) && maxDepth >= 0 ? maxDepth : DEFAULT_MAX_DEPTH;
+        this.integrator = INTEGRATORS.includes(settings.integrator) ? settings.integrator : 'whitted';
+
+        const antialiasing = { ...this.antialiasing, ...settings.antialiasing };
+        this.antialiasing = {
+            samplesPerPixel: SAMPLES_PER_PIXEL_COUNTS.includes(antialiasing.samplesPerPixel) ?
+                antialiasing.samplesPerPixel : DEFAULT_ANTIALIASING.samplesPerPixel,
+            pattern: SAMPLE_PATTERNS.includes(antialiasing.pattern) ? antialiasing.pattern : DEFAULT_ANTIALIASING.pattern,
+            filter: RECONSTRUCTION_FILTERS.includes(antialiasing.filter) ? antialiasing.filter : DEFAULT_ANTIALIASING.filter
+        };
+    }
+
+    /**
+     * Renders the entire scene to the framebuffer using ray tracing, synchronously on the calling thread.
+     * Full-resolution passes (with the configured anti-aliasing) are accumulated until at least
+     * sampleCount samples per pixel have been traced.
+     * @param {number} [sampleCount] - Samples per pixel to trace. Defaults to a single pass.
+     * @param {function(number, number): void} [onPass] - Called after every pass with the number of
+     * samples per pixel traced so far and the target count.
+     */
+    render(sampleCount = this.getSamplesPerPass(), onPass = null) {
+        const tile = { x: 0, y: 0, width: this.framebuffer.width, height: this.framebuffer.height };
+        const samplesPerPass = this.getSamplesPerPass();
+        const passCount = Math.max(1, Math.ceil(sampleCount / samplesPerPass));
+
+        for (let passIndex = 0; passIndex < passCount; passIndex++) {
+            const samples = this.renderTile(tile.x, tile.y, tile.width, tile.height, { passIndex: passIndex });
+            this.accumulateTile(tile, samples, passIndex === 0);
+            if (onPass) {
+                onPass((passIndex + 1) * samplesPerPass, passCount * samplesPerPass);
+            }
+        }
+        this.framebuffer.present();
+    }
+
+    /**
+     * Renders the scene in response to a change, without blocking the UI thread.
+     * In progressive mode a low-resolution preview is drawn right away and refinement starts
+     * once changes stop coming in; otherwise a single full-resolution pass is rendered.
+     * Calling this again while a render is in progress cancels the stale render.
+     */
+    renderProgressive() {
+        if (!this.progressive.enabled) {
+            this.renderAsync();
+            return;
+        }
+
+        const generation = this.startGeneration();
+        this.reportProgress(0, 'Preview');
+        this.runPass({ pixelStep: this.progressive.previewScale, passIndex: 0, preview: true }, generation,
+            (tile, samples) => this.writeTilePixels(tile, samples));
+
+        this.idleTimer = setTimeout(() => this.refine(generation), this.progressive.idleDelay);
+    }
+
+    /**
+     * Renders a single full-resolution pass (with the configured anti-aliasing), without blocking
+     * the UI thread when a worker pool is available. Tiles are drawn as they arrive.
+     * @param {function(): void} [onComplete] - Called once the whole image has been drawn.
+     */
+    renderAsync(onComplete = null) {
+        const generation = this.startGeneration();
+        this.reportProgress(0, 'Rendering');
+        this.runPass({ pixelStep: 1, passIndex: 0 }, generation,
+            (tile, samples) => this.writeTilePixels(tile, samples),
+            () => {
+                this.reportProgress(1, 'Done');
+                if (onComplete) onComplete();
+            });
+    }
+
+    /**
+     * Invalidates any render in progress and sends the current scene to the workers.
+     * @returns {number} The new render generation.
+     */
+    startGeneration() {
+        const generation = ++this.renderGeneration;
+        clearTimeout(this.idleTimer);
+        this.samplesAccumulated = 0;
+        if (this.workerPool) {
+            this.workerPool.setScene(this.createSceneJob());
+        }
+        return generation;
+    }
+
+    /**
+     * Runs refinement passes one after another, each adding antialiasing.samplesPerPixel samples
+     * per pixel to the accumulation buffer, until progressive.maxSamples is reached or the scene
+     * changes. The path tracer's noise keeps going down with more samples, so it keeps refining
+     * until the scene or camera changes.
+     * @param {number} generation - The render generation the refinement belongs to.
+     */
+    refine(generation) {
+        if (generation !== this.renderGeneration) {
+            return; // The scene changed since: a newer render is in charge
+        }
+        const converges = this.integrator !== 'path';
+        const maxSamples = converges ? Math.max(this.progressive.maxSamples, this.getSamplesPerPass()) : Infinity;
+        if (this.samplesAccumulated >= maxSamples) {
+            this.reportProgress(1, `Done (${this.samplesAccumulated} samples)`);
+            return;
+        }
+
+        const samplesPerPass = this.getSamplesPerPass();
+        const passIndex = Math.round(this.samplesAccumulated / samplesPerPass);
+        const samplesBefore = this.samplesAccumulated;
+        const tileCount = this.countTiles();
+        let tilesDone = 0;
+
+        this.runPass({ pixelStep: 1, passIndex: passIndex }, generation,
+            (tile, samples) => {
+                this.accumulateTile(tile, samples, passIndex === 0);
+                tilesDone++;
+                if (converges) {
+                    this.reportProgress((samplesBefore + samplesPerPass * tilesDone / tileCount) / maxSamples,
+                        `Refining: ${samplesBefore + samplesPerPass}/${maxSamples} samples`);
+                } else {
+                    // No end in sight: show the progress of the current pass
+                    this.reportProgress(tilesDone / tileCount, `Path tracing: ${samplesBefore + samplesPerPass} samples`);
+                }
+            },
+            () => {
+                this.samplesAccumulated += samplesPerPass;
+                this.refine(generation);
+            });
+    }
+
+    /**
+     * @returns {number} The number of samples per pixel each full-resolution pass actually traces
+     * (grid-based patterns round the requested count up to a square number).
+     */
+    getSamplesPerPass() {
+        const { samplesPerPixel, pattern } = this.antialiasing;
+        if (pattern === 'halton') {
+            return samplesPerPixel;
+        }
+        return Math.ceil(Math.sqrt(samplesPerPixel)) ** 2;
     }
 
     /**
-     * Renders the entire scene to the canvas using ray tracing.
-     * Iterates through each pixel, computes a primary ray, traces it, and calculates color.
+     * Renders one pass over the whole image, on the worker pool if available,
+     * otherwise on the main thread in small time slices so the page stays responsive.
+     * @param {{pixelStep: number, passIndex: number, preview: boolean}} pass - The pass options (see renderTile).
+     * @param {number} generation - The render generation the pass belongs to; the pass stops when it is outdated.
+     * @param {function({x: number, y: number, width: number, height: number}, Float32Array): void} onTile
+     *   Called with each finished tile and its samples.
+     * @param {function(): void} [onComplete] - Called once the whole pass is done.
      */
-    render() {
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+    runPass(pass, generation, onTile, onComplete = null) {
+        const width = this.framebuffer.width;
+        const height = this.framebuffer.height;
+        const drawTile = (tile, samples) => {
+            onTile(tile, samples);
+            this.framebuffer.present(tile);
+        };
 
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const primaryRay = this.camera.computePrimaryRay(x, y);
-                // Pass camera.eyePosition to traceRay for view vector calculation
-                const color = this.traceRay(primaryRay, 0, this.camera.eyePosition); // Modified call
+        if (this.workerPool) {
+            this.workerPool.render({ width: width, height: height, ...pass }, drawTile, onComplete);
+            return;
+        }
+
+        // Main-thread fallback: render tiles until the time slice is used up, then yield.
+        const tiles = [];
+        for (let y = 0; y < height; y += MAIN_THREAD_TILE_SIZE) {
+            for (let x = 0; x < width; x += MAIN_THREAD_TILE_SIZE) {
+                tiles.push({
+                    x: x, y: y,
+                    width: Math.min(MAIN_THREAD_TILE_SIZE, width - x),
+                    height: Math.min(MAIN_THREAD_TILE_SIZE, height - y)
+                });
+            }
+        }
+        const step = () => {
+            const sliceEnd = performance.now() + MAIN_THREAD_SLICE_MS;
+            while (tiles.length > 0 && performance.now() < sliceEnd) {
+                if (generation !== this.renderGeneration) {
+                    return; // Stale pass
+                }
+                const tile = tiles.shift();
+                drawTile(tile, this.renderTile(tile.x, tile.y, tile.width, tile.height, pass));
+            }
+            if (tiles.length > 0) {
+                setTimeout(step, 0);
+            } else if (onComplete && generation === this.renderGeneration) {
+                onComplete();
+            }
+        };
+        step();
+    }
+
+    /**
+     * @returns {number} The number of tiles a full pass is split into.
+     */
+    countTiles() {
+        const tileSize = this.workerPool ? this.workerPool.tileSize : MAIN_THREAD_TILE_SIZE;
+        return Math.ceil(this.framebuffer.width / tileSize) * Math.ceil(this.framebuffer.height / tileSize);
+    }
+
+    /**
+     * Builds the scene description sent to render workers. Image and procedural textures are
+     * only included when they changed since the workers last received them, each on their own.
+     * @returns {object} The scene job (see RenderWorkerPool.setScene).
+     */
+    createSceneJob() {
+        const pool = this.workerPool;
+        const textureManager = this.textureManager;
+        const texturesChanged = pool.textureVersion !== textureManager.version;
+        const proceduralChanged = pool.proceduralTextureVersion !== textureManager.proceduralVersion;
+        return {
+            scene: SceneSerializer.serializeScene(this.scene, pool.knownGeometryIds),
+            camera: SceneSerializer.serializeCamera(this.camera),
+            textures: texturesChanged ? SceneSerializer.serializeImageTextures(textureManager) : null,
+            textureVersion: textureManager.version,
+            proceduralTextures: proceduralChanged ? SceneSerializer.serializeProceduralTextures(textureManager) : null,
+            proceduralTextureVersion: textureManager.proceduralVersion,
+            settings: this.getSettings()
+        };
+    }
+
+    /**
+     * Adds a tile of refinement samples to the accumulation buffer and updates the displayed pixels
+     * with the running average.
+     * @param {{x: number, y: number, width: number, height: number}} tile - The tile.
+     * @param {Float32Array} samples - The tile's samples (see renderTile).
+     * @param {boolean} reset - True for the first sample, which replaces whatever was accumulated before.
+     */
+    accumulateTile(tile, samples, reset) {
+        const imageWidth = this.framebuffer.width;
+        for (let row = 0; row < tile.height; row++) {
+            for (let col = 0; col < tile.width; col++) {
+                const source = (row * tile.width + col) * 4;
+                const target = ((tile.y + row) * imageWidth + tile.x + col) * 4;
+                for (let c = 0; c < 4; c++) {
+                    this.accumulation[target + c] = (reset ? 0 : this.accumulation[target + c]) + samples[source + c];
+                }
+            }
+        }
+        this.writeTilePixels(tile, this.accumulation, true);
+    }
+
+    /**
+     * Converts weighted color sums to displayable pixels for a tile.
+     * @param {{x: number, y: number, width: number, height: number}} tile - The tile.
+     * @param {Float32Array} samples - RGB + weight sums per pixel.
+     * @param {boolean} [imageSpace=false] - True if 'samples' covers the whole image (like the
+     * accumulation buffer) rather than just the tile.
+     */
+    writeTilePixels(tile, samples, imageSpace = false) {
+        const imageWidth = this.framebuffer.width;
+        const pixels = this.framebuffer.pixels;
+        for (let row = 0; row < tile.height; row++) {
+            for (let col = 0; col < tile.width; col++) {
+                const target = ((tile.y + row) * imageWidth + tile.x + col) * 4;
+                const source = imageSpace ? target : (row * tile.width + col) * 4;
+                const weight = samples[source + 3] || 1;
 
                 // Clamp color components to [0, 1] and convert to 0-255 range
-                const r = Math.floor(Math.max(0, Math.min(1, color.x)) * 255);
-                const g = Math.floor(Math.max(0, Math.min(1, color.y)) * 255);
-                const b = Math.floor(Math.max(0, Math.min(1, color.z)) * 255);
+                pixels[target + 0] = Math.floor(Math.max(0, Math.min(1, samples[source + 0] / weight)) * 255);
+                pixels[target + 1] = Math.floor(Math.max(0, Math.min(1, samples[source + 1] / weight)) * 255);
+                pixels[target + 2] = Math.floor(Math.max(0, Math.min(1, samples[source + 2] / weight)) * 255);
+                pixels[target + 3] = 255; // Alpha (fully opaque)
+            }
+        }
+    }
+
+    /**
+     * Forwards render progress to the onProgress callback, if any.
+     * @param {number} fraction - Progress in [0, 1].
+     * @param {string} label - Status description.
+     */
+    reportProgress(fraction, label) {
+        if (this.onProgress) {
+            this.onProgress(Math.min(1, fraction), label);
+        }
+    }
 
-                const index = (y * width + x) * 4; // 4 components: R, G, B, A
-                this.pixels[index + 0] = r;     // Red
-                this.pixels[index + 1] = g;     // Green
-                this.pixels[index + 2] = b;     // Blue
-                this.pixels[index + 3] = 255;   // Alpha (fully opaque)
+    /**
+     * Renders a rectangular region of the image.
+     * Each pixel gets antialiasing.samplesPerPixel primary rays, spread over the reconstruction
+     * filter's support around the pixel center and weighted by the filter.
+     * @param {number} x0 - Left edge of the region, in pixels.
+     * @param {number} y0 - Top edge of the region, in pixels.
+     * @param {number} width - Width of the region, in pixels.
+     * @param {number} height - Height of the region, in pixels.
+     * @param {object} [pass] - Pass options.
+     * @param {number} [pass.pixelStep=1] - Trace one ray per pixelStep x pixelStep block and fill the whole
+     * block with its color (used for low-resolution previews).
+     * @param {number} [pass.passIndex=0] - Index of the pass; later passes use new sample positions, so
+     * accumulating passes keeps refining the image.
+     * @param {boolean} [pass.preview=false] - Trace a single ray through each pixel (or block) center,
+     * ignoring the anti-aliasing settings.
+     * @returns {Float32Array} Unclamped, filter-weighted RGB color sums and total sample weight per pixel
+     * of the region, row by row.
+     */
+    renderTile(x0, y0, width, height, pass = {}) {
+        const pixelStep = pass.pixelStep || 1;
+        const passIndex = pass.passIndex || 0;
+        const { samplesPerPixel, pattern, filter } = this.antialiasing;
+        const filterRadius = getFilterRadius(filter);
+        const samples = new Float32Array(width * height * 4);
+
+        for (let y = 0; y < height; y += pixelStep) {
+            for (let x = 0; x < width; x += pixelStep) {
+                const px = x0 + x;
+                const py = y0 + y;
+                let r = 0, g = 0, b = 0, weight = 0;
+
+                if (pass.preview || pixelStep > 1) {
+                    // One ray through the center of the block (or pixel)
+                    const blockW = Math.min(pixelStep, width - x);
+                    const blockH = Math.min(pixelStep, height - y);
+                    this.beginSample(px, py, passIndex);
+                    const color = this.traceCameraRay(this.camera.computePrimaryRay(px, py, blockW / 2, blockH / 2));
+                    r = color.x; g = color.y; b = color.z; weight = 1;
+                } else {
+                    const pixelSamples = generatePixelSamples(pattern, samplesPerPixel, px, py, passIndex);
+                    for (const [i, sample] of pixelSamples.entries()) {
+                        // Spread the unit-square sample over the filter support around the pixel center
+                        const dx = (sample.x - 0.5) * 2 * filterRadius;
+                        const dy = (sample.y - 0.5) * 2 * filterRadius;
+                        const sampleWeight = evaluateFilter(filter, dx, dy);
+                        if (sampleWeight <= 0) {
+                            continue;
+                        }
+                        const ray = this.camera.computePrimaryRay(px, py, 0.5 + dx, 0.5 + dy, sample.lensX, sample.lensY);
+                        this.beginSample(px, py, passIndex * pixelSamples.length + i);
+                        const color = this.traceCameraRay(ray);
+                        r += color.x * sampleWeight;
+                        g += color.y * sampleWeight;
+                        b += color.z * sampleWeight;
+                        weight += sampleWeight;
+                    }
+                }
+
+                // Fill the block (a single pixel unless previewing)
+                for (let by = y; by < Math.min(y + pixelStep, height); by++) {
+                    for (let bx = x; bx < Math.min(x + pixelStep, width); bx++) {
+                        const index = (by * width + bx) * 4; // 4 components: R, G, B, weight
+                        samples[index + 0] = r;
+                        samples[index + 1] = g;
+                        samples[index + 2] = b;
+                        samples[index + 3] = weight;
+                    }
+                }
             }
         }
-        this.ctx.putImageData(this.imageData, 0, 0); // Put the pixel data onto the canvas
+        return samples;
+    }
+
+    /**
+     * Computes the color seen along a camera ray with the selected integrator.
+     * @param {Ray} ray - The camera ray.
+     * @returns {Vec3} The color (radiance) arriving along the ray.
+     */
+    traceCameraRay(ray) {
+        return this.integrator === 'path' ? this.tracePath(ray) : this.traceRay(ray, 0);
+    }
+
+    /**
+     * Returns the diffuse color of a surface at a hit point: the material's color, or its texture's
+     * color there if it has a texture. The texture is filtered over the area of the surface the ray stands for.
+     * @param {Material} material - The material at the hit point (see Object.getMaterialAt).
+     * @param {IntersectionInfo} hitInfo - The intersection info of the hit.
+     * @param {Ray} ray - The ray that hit the surface.
+     * @param {Object} object - The object that was hit.
+     * @returns {Vec3} The diffuse color.
+     */
+    getSurfaceColor(material, hitInfo, ray, object) {
+        if (material.textureId && (hitInfo.uv || this.textureManager.isSolidTexture(material.textureId))) {
+            return this.sampleMap(material.textureId, hitInfo, ray, object) || new Vec3(0, 0, 0);
+        }
+        return material.color;
+    }
+
+    /**
+     * Samples one of a material's texture maps at a hit point, filtered over the ray's footprint.
+     * The footprint is computed once per hit and kept in hitInfo.textureFootprint.
+     * @param {string} textureId - The ID of the texture.
+     * @param {IntersectionInfo} hitInfo - The intersection info of the hit (with UV coordinates).
+     * @param {Ray} ray - The ray that hit the surface.
+     * @param {Object} object - The object that was hit.
+     * @param {Vec3} [uv=hitInfo.uv] - The texture coordinates to sample at, if not those of the hit.
+     * @param {Vec3|null} [point=null] - The object-space position to sample solid procedural textures
+     *   at (see ProceduralTexture.isSolid), if not that of the hit.
+     * @returns {Vec3|null} The texture's color (RGB, 0-1 range), or null if it is not loaded
+     *   (or needs texture coordinates the hit does not have).
+     */
+    sampleMap(textureId, hitInfo, ray, object, uv = hitInfo.uv, point = null) {
+        if (!this.textureManager.hasTexture(textureId)) {
+            this.textureManager.reportMissingTexture(textureId);
+            return null;
+        }
+        if (this.textureManager.isSolidTexture(textureId)) {
+            // Solid textures are not filtered: they have no texels to average
+            return this.textureManager.sampleTexture(textureId, uv, 0, point || this.getObjectSpacePoint(object, hitInfo.point));
+        }
+        if (!uv) {
+            return null;
+        }
+        if (typeof hitInfo.textureFootprint !== 'number') {
+            hitInfo.textureFootprint = this.getTextureFootprint(ray, object, hitInfo);
+        }
+        return this.textureManager.sampleTexture(textureId, uv, hitInfo.textureFootprint);
+    }
+
+    /**
+     * Applies a material's texture maps other than the diffuse one (see TEXTURE_MAP_SLOTS) at a hit:
+     * normal and bump maps replace hitInfo.normal with the shading normal, and the specular,
+     * shininess and reflectivity maps scale the material's values.
+     * @param {Material} material - The material at the hit point (see Object.getMaterialAt).
+     * @param {IntersectionInfo} hitInfo - The intersection info of the hit.
+     * @param {Ray} ray - The ray that hit the surface.
+     * @param {Object} object - The object that was hit.
+     * @returns {Material} The material to shade the hit with: the material itself, or a copy holding
+     *   the mapped values if it has specular, shininess or reflectivity maps.
+     */
+    applySurfaceMaps(material, hitInfo, ray, object) {
+        if (material.normalTextureId || material.bumpTextureId) {
+            hitInfo.normal = this.computeMappedNormal(material, hitInfo, ray, object);
+        }
+        if (!material.specularTextureId && !material.shininessTextureId && !material.reflectivityTextureId) {
+            return material;
+        }
+
+        const mapped = material.clone();
+        const gray = (color) => (color.x + color.y + color.z) / 3;
+        const specular = material.specularTextureId ? this.sampleMap(material.specularTextureId, hitInfo, ray, object) : null;
+        if (specular) {
+            mapped.specularColor = material.specularColor.multiply(specular);
+        }
+        const shininess = material.shininessTextureId ? this.sampleMap(material.shininessTextureId, hitInfo, ray, object) : null;
+        if (shininess) {
+            mapped.shininess = material.shininess * gray(shininess);
+        }
+        const reflectivity = material.reflectivityTextureId ? this.sampleMap(material.reflectivityTextureId, hitInfo, ray, object) : null;
+        if (reflectivity) {
+            mapped.reflectivity = material.reflectivity * gray(reflectivity);
+        }
+        return mapped;
+    }
+
+    /**
+     * Computes the shading normal at a hit from the material's normal map (tangent-space directions,
+     * encoded as colors) and bump map (heights, whose slope tilts the normal by bumpScale).
+     * A mapped normal that would face away from the ray, unlike the surface, is not used.
+     * @param {Material} material - The material at the hit point.
+     * @param {IntersectionInfo} hitInfo - The intersection info of the hit (with UV coordinates).
+     * @param {Ray} ray - The ray that hit the surface.
+     * @param {Object} object - The object that was hit.
+     * @returns {Vec3} The shading normal.
+     */
+    computeMappedNormal(material, hitInfo, ray, object) {
+        const normal = hitInfo.normal;
+        const { tangent, bitangent } = this.getTangentFrame(hitInfo);
+        let mapped = normal;
+
+        const texel = material.normalTextureId ? this.sampleMap(material.normalTextureId, hitInfo, ray, object) : null;
+        if (texel) {
+            mapped = tangent.multiplyScalar(texel.x * 2 - 1)
+                .add(bitangent.multiplyScalar(texel.y * 2 - 1))
+                .add(normal.multiplyScalar(texel.z * 2 - 1))
+                .normalize();
+        }
+
+        const bumpTextureId = material.bumpTextureId;
+        const solidBump = bumpTextureId ? this.textureManager.isSolidTexture(bumpTextureId) : false;
+        if (bumpTextureId && this.textureManager.hasTexture(bumpTextureId) && (hitInfo.uv || solidBump)) {
+            // Height differences across one texel of the bump map, along u and along v. Solid
+            // textures are sampled at points offset along the tangent frame instead.
+            const point = solidBump ? this.getObjectSpacePoint(object, hitInfo.point) : null;
+            const localTangent = solidBump ? this.getObjectSpaceDirection(object, tangent) : null;
+            const localBitangent = solidBump ? this.getObjectSpaceDirection(object, bitangent) : null;
+            const height = (du, dv) => {
+                const color = solidBump
+                    ? this.sampleMap(bumpTextureId, hitInfo, ray, object, hitInfo.uv,
+                        point.add(localTangent.multiplyScalar(du)).add(localBitangent.multiplyScalar(dv)))
+                    : this.sampleMap(bumpTextureId, hitInfo, ray, object, new Vec3(hitInfo.uv.x + du, hitInfo.uv.y + dv, 0));
+                return (color.x + color.y + color.z) / 3;
+            };
+            const { u: du, v: dv } = this.textureManager.getTexelSize(bumpTextureId);
+            const slopeU = (height(du, 0) - height(-du, 0)) / 2 * material.bumpScale;
+            const slopeV = (height(0, dv) - height(0, -dv)) / 2 * material.bumpScale;
+            mapped = mapped.subtract(tangent.multiplyScalar(slopeU)).subtract(bitangent.multiplyScalar(slopeV)).normalize();
+        } else if (bumpTextureId && !this.textureManager.hasTexture(bumpTextureId)) {
+            this.textureManager.reportMissingTexture(bumpTextureId);
+        }
+
+        if (Math.sign(mapped.dot(ray.direction)) !== Math.sign(normal.dot(ray.direction))) {
+            return normal;
+        }
+        return mapped;
+    }
+
+    /**
+     * @param {Object} object - An object.
+     * @param {Vec3} point - A world-space point.
+     * @returns {Vec3} The point in the object's own space, where solid textures are evaluated so that
+     *   they move, turn and scale with the object.
+     */
+    getObjectSpacePoint(object, point) {
+        return object.hasTransform ? object.inverseTransform.transformPoint(point) : point;
+    }
+
+    /**
+     * @param {Object} object - An object.
+     * @param {Vec3} direction - A world-space direction.
+     * @returns {Vec3} The direction in the object's own space (see getObjectSpacePoint).
+     */
+    getObjectSpaceDirection(object, direction) {
+        return object.hasTransform ? object.inverseTransform.transformDirection(direction) : direction;
+    }
+
+    /**
+     * Builds an orthonormal frame around a hit's normal, oriented along the surface's tangents
+     * (see IntersectionInfo.tangent) so that normal maps line up with the texture. Surfaces that
+     * report no tangents get an arbitrary frame.
+     * @param {IntersectionInfo} hitInfo - The intersection info of the hit.
+     * @returns {{tangent: Vec3, bitangent: Vec3}} Unit vectors perpendicular to the normal and to each other,
+     *   the tangent along increasing u, the bitangent on the side of increasing v.
+     */
+    getTangentFrame(hitInfo) {
+        const normal = hitInfo.normal;
+        if (hitInfo.tangent) {
+            const tangent = hitInfo.tangent.subtract(normal.multiplyScalar(normal.dot(hitInfo.tangent)));
+            if (tangent.lengthSquared() > 1e-12) {
+                const unitTangent = tangent.normalize();
+                const bitangent = normal.cross(unitTangent);
+                // Mirrored UVs (or a normal facing the other way) flip the bitangent
+                const flip = hitInfo.bitangent && bitangent.dot(hitInfo.bitangent) < 0;
+                return { tangent: unitTangent, bitangent: flip ? bitangent.negate() : bitangent };
+            }
+        }
+        const { uAxis, vAxis } = AreaLight.computeAxes(normal);
+        return { tangent: uAxis, bitangent: vAxis };
+    }
+
+    /**
+     * Estimates how much of a texture the ray's cone covers where it hits a surface (see Ray.coneSpread),
+     * in UV units. Rays parallel to the ray, offset by the cone's width there, are intersected with
+     * the object, and the texture coordinates they hit are compared to those of the hit.
+     * This works for any surface and UV mapping, and needs no derivatives of the mapping.
+     * @param {Ray} ray - The ray that hit the surface.
+     * @param {Object} object - The object that was hit.
+     * @param {IntersectionInfo} hitInfo - The intersection info of the hit (with UV coordinates).
+     * @returns {number} The size of the footprint in UV units, or 0 if the ray has no cone.
+     */
+    getTextureFootprint(ray, object, hitInfo) {
+        const width = ray.coneWidthAt(hitInfo.distance);
+        if (width <= 0) {
+            return 0;
+        }
+        let footprint = 0;
+        const { uAxis, vAxis } = AreaLight.computeAxes(ray.direction);
+        for (const axis of [uAxis, vAxis]) {
+            // Of the offset rays on either side, the one closer in texture space counts: where the
+            // mapping has a seam (e.g. around a sphere), only one side jumps across it
+            let change = Infinity;
+            for (const offset of [width, -width]) {
+                const result = object.intersect(new Ray(ray.origin.add(axis.multiplyScalar(offset)), ray.direction));
+                if (result.hit && result.info.uv) {
+                    change = Math.min(change, Math.hypot(result.info.uv.x - hitInfo.uv.x, result.info.uv.y - hitInfo.uv.y));
+                }
+            }
+            if (change < Infinity) {
+                footprint = Math.max(footprint, change);
+            }
+        }
+        return footprint;
     }
 
     /**
      * Traces a ray into the scene and calculates the resulting color.
-     * This is the core recursive ray tracing function.
+     * This is the core recursive ray tracing function: reflective surfaces spawn a
+     * secondary ray whose color is blended with the local shading by the object's reflectivity,
+     * and transparent surfaces additionally spawn a refracted ray, weighted against the
+     * reflection by the Fresnel term.
      * @param {Ray} ray - The ray to trace.
-     * @param {number} depth - The current recursion depth (for reflections/refractions).
-     * @param {Vec3} [cameraEyePos] - NEW: The camera's eye position, used to calculate the view vector.
+     * @param {number} [depth=0] - The current recursion depth (number of bounces so far).
      * @returns {Vec3} The computed color for the ray.
      */
-    traceRay(ray, depth, cameraEyePos = new Vec3(0,0,0)) { // Added cameraEyePos parameter
-        if (depth > 3) {
-            return this.scene.backgroundColor;
+    traceRay(ray, depth = 0) {
+        if (depth > this.maxDepth) {
+            return this.getBackgroundColor(ray);
         }
 
         const hitResult = this.scene.trace(ray);
 
+        // Area lights are not scene objects, but show their color where a ray sees them before any surface
+        const lightHit = this.scene.intersectLights(ray);
+        if (lightHit && (!hitResult.object || lightHit.distance < hitResult.info.distance)) {
+            return lightHit.light.getEmittedColor();
+        }
+
         if (hitResult.object) {
-            const hitObject = hitResult.object;
             const hitInfo = hitResult.info;
+            // Material properties of the hit point (the object's, or e.g. those of a mesh face)
+            const material = this.applySurfaceMaps(hitResult.object.getMaterialAt(hitInfo), hitInfo, ray, hitResult.object);
 
-            let objectColor = hitObject.color; // Start with base object diffuse color
+            const objectColor = this.getSurfaceColor(material, hitInfo, ray, hitResult.object);
 
-            // If object has a texture, sample it
-            if (hitObject.textureId && hitInfo.uv) {
-                const sampledColor = this.textureManager.sampleTexture(hitObject.textureId, hitInfo.uv);
-                objectColor = sampledColor; // Replace diffuse color with texture color
-            }
+            // View vector points from the hit point back along the incoming ray.
+            // This works for primary rays as well as reflected and refracted rays.
+            const viewDir = ray.direction.negate();
 
-            let finalColor = new Vec3(0, 0, 0); // Start with black
+            // Ambient light lights every surface evenly, even where no light reaches
+            let diffuseColor = objectColor.multiply(this.scene.ambientColor);
+            let specularColor = new Vec3(0, 0, 0);
 
+            // Each light type (point, spot, directional, area) knows its own direction, falloff
+            // and shadow rays, so they are all shaded the same way
             for (const light of this.scene.lights) {
-                // Calculate light contribution (diffuse + specular)
-                let lightContribution = new Vec3(0, 0, 0);
+                if (!light.visible) {
+                    continue;
+                }
+                const incomingColor = light.getColorAt(hitInfo.point);
+                if (incomingColor.lengthSquared() < 1e-8) {
+                    continue; // Out of the light's reach (e.g. outside a spotlight's cone)
+                }
+                // Fraction of the light reaching the point (transparent occluders and partly
+                // occluded area lights let some through)
+                const attenuation = this.scene.lightVisibility(hitInfo.point, light, this.random);
+                if (attenuation.lengthSquared() < 1e-8) {
+                    continue; // Fully in shadow
+                }
+                const lightColor = incomingColor.multiply(attenuation);
 
                 // Diffuse component
-                if (!this.scene.isInShadow(hitInfo.point, light)) {
-                    const lightDir = light.position.subtract(hitInfo.point).normalize();
-                    const diffuseFactor = Math.max(0.0, hitInfo.normal.dot(lightDir));
-
-                    // Add diffuse contribution
-                    lightContribution = lightContribution.add(
-                        objectColor.multiply(light.color).multiplyScalar(diffuseFactor)
-                    );
-
-                    // NEW: Specular component (Phong model)
-                    if (hitObject.shininess > 0 && hitObject.specularColor.lengthSquared() > 1e-6) {
-                        const viewDir = cameraEyePos.subtract(hitInfo.point).normalize(); // View vector
-                        // Reflection vector: R = L - 2 * (L . N) * N, where L is lightDir (from hit to light), N is normal
-                        // Or, more commonly, R = 2 * (N . L) * N - L, where L is lightDir (from light to hit), N is normal
-                        // Here, lightDir is from hit point to light, so we use the first formula or negate lightDir for the second.
-                        // Let's use the common formula: R = 2 * (N . L_to_hit) * N - L_to_hit
-                        // Where L_to_hit is from light to hit point, which is -lightDir in our current setup.
-                        const L_to_hit = lightDir.negate();
-                        const reflectionDir = L_to_hit.reflect(hitInfo.normal); // Assuming Vec3 has a reflect method or implement it here
-
-                        const specularFactor = Math.pow(Math.max(0.0, reflectionDir.dot(viewDir)), hitObject.shininess);
-                        lightContribution = lightContribution.add(
-                            hitObject.specularColor.multiply(light.color).multiplyScalar(specularFactor)
-                        );
-                    }
+                const lightDir = light.getDirection(hitInfo.point);
+                const diffuseFactor = Math.max(0.0, hitInfo.normal.dot(lightDir));
+                diffuseColor = diffuseColor.add(objectColor.multiply(lightColor).multiplyScalar(diffuseFactor));
+
+                // Specular component (Phong model)
+                if (material.shininess > 0 && material.specularColor.lengthSquared() > 1e-6) {
+                    // lightDir points from the hit point to the light, so reflect its negation
+                    // (the direction from the light to the hit point) about the normal.
+                    const reflectionDir = lightDir.negate().reflect(hitInfo.normal);
+
+                    const specularFactor = Math.pow(Math.max(0.0, reflectionDir.dot(viewDir)), material.shininess);
+                    specularColor = specularColor.add(material.specularColor.multiply(lightColor).multiplyScalar(specularFactor));
                 }
-                finalColor = finalColor.add(lightContribution);
             }
-            return finalColor;
+
+            // The environment map lights the surface from all around
+            const environment = this.getEnvironment();
+            if (environment) {
+                const normal = ray.direction.dot(hitInfo.normal) < 0 ? hitInfo.normal : hitInfo.normal.negate();
+                let environmentLight = new Vec3(0, 0, 0);
+                for (let i = 0; i < ENVIRONMENT_LIGHT_SAMPLES; i++) {
+                    environmentLight = environmentLight.add(
+                        this.sampleEnvironmentLight(environment, hitInfo.point, normal, viewDir, material, objectColor, false));
+                }
+                diffuseColor = diffuseColor.add(environmentLight.divideScalar(ENVIRONMENT_LIGHT_SAMPLES));
+            }
+
+            const canRecurse = depth < this.maxDepth;
+            const reflectivity = material.reflectivity || 0;
+            const transmission = material.transmission || 0;
+
+            // Opaque surface response: local shading, blended with a mirror reflection by reflectivity.
+            let color = diffuseColor.add(specularColor);
+            let reflectedColor = null;
+            if (reflectivity > 0 && canRecurse) {
+                reflectedColor = this.traceRay(this.computeReflectedRay(ray, hitInfo), depth + 1);
+                color = color.multiplyScalar(1 - reflectivity).add(reflectedColor.multiplyScalar(reflectivity));
+            }
+
+            // Transparent surface response: split between reflection and refraction by the Fresnel term.
+            // Specular highlights stay on top, since glass still shows highlights.
+            if (transmission > 0 && canRecurse) {
+                const refraction = this.computeRefraction(ray, hitInfo, material.ior);
+                if (!reflectedColor) {
+                    reflectedColor = this.traceRay(this.computeReflectedRay(ray, hitInfo), depth + 1);
+                }
+
+                let transmittedColor = reflectedColor.multiplyScalar(refraction.fresnel);
+                if (refraction.ray) { // Not total internal reflection
+                    const refractedColor = this.traceRay(refraction.ray, depth + 1);
+                    transmittedColor = transmittedColor.add(refractedColor.multiplyScalar(1 - refraction.fresnel));
+                }
+
+                color = color.multiplyScalar(1 - transmission)
+                             .add(specularColor.multiplyScalar(transmission))
+                             .add(transmittedColor.multiplyScalar(transmission));
+            }
+
+            // A ray leaving a transparent object has travelled through its interior: apply absorption.
+            if (transmission > 0 && ray.direction.dot(hitInfo.normal) > 0) {
+                color = color.multiply(material.computeAbsorption(hitInfo.distance));
+            }
+            return color;
         } else {
+            return this.getBackgroundColor(ray);
+        }
+    }
+
+    /**
+     * @returns {EnvironmentMap|null} The scene's environment map, if it has one whose image is loaded.
+     */
+    getEnvironment() {
+        const environment = this.scene.environment;
+        if (!environment) {
+            return null;
+        }
+        if (!this.textureManager.getTexture(environment.textureId)) {
+            this.textureManager.reportMissingTexture(environment.textureId);
+            return null;
+        }
+        return environment;
+    }
+
+    /**
+     * Returns the color seen by a ray that hits nothing: the environment map in the ray's direction,
+     * filtered over the ray's cone, or the scene's background color if there is no environment map.
+     * @param {Ray} ray - The ray.
+     * @returns {Vec3} The color.
+     */
+    getBackgroundColor(ray) {
+        const environment = this.getEnvironment();
+        if (!environment) {
             return this.scene.backgroundColor;
         }
+        // The image spans 2 pi horizontally, so a cone of this many radians covers this fraction of it
+        return environment.getRadiance(ray.direction, this.textureManager, ray.coneSpread / (2 * Math.PI));
+    }
+
+    /**
+     * Traces a path from a camera ray through the scene and estimates the light arriving along it
+     * (Monte Carlo path tracing). At every hit one way of scattering is picked at random, by the
+     * material's weights: refraction or reflection for its transmission (by the Fresnel term), a
+     * mirror reflection for its reflectivity, and otherwise diffuse and glossy (normalized Phong)
+     * reflection, which bounces in a cosine-weighted random direction.
+     *
+     * Light found by diffuse bounces is combined with direct light sampled from every light at
+     * each diffuse hit (next-event estimation), weighted by multiple importance sampling so that
+     * neither small bright lights nor large ones are noisy. The environment map, or else the
+     * background color, lights the scene from all around; there is no ambient term. Paths end after maxDepth bounces, and from
+     * ROULETTE_START_BOUNCE on are ended at random where little light is carried (Russian
+     * roulette), with the surviving paths weighted up to compensate.
+     * @param {Ray} ray - The camera ray.
+     * @returns {Vec3} The estimated color (radiance) arriving along the ray.
+     */
+    tracePath(ray) {
+        let radiance = new Vec3(0, 0, 0);
+        let throughput = new Vec3(1, 1, 1);
+        // Density of the last bounce's direction per solid angle; 0 after mirror and glass
+        // bounces, which next-event estimation cannot reproduce
+        let bouncePdf = 0;
+
+        for (let bounce = 0; ; bounce++) {
+            const hitResult = this.scene.trace(ray);
+
+            // Light seen directly, or found by the last bounce
+            const lightHit = this.scene.intersectLights(ray);
+            if (lightHit && (!hitResult.object || lightHit.distance < hitResult.info.distance)) {
+                const emitted = lightHit.light.getEmittedColor();
+                let weight = 1;
+                if (bouncePdf > 0) {
+                    const lightPdf = lightHit.light.getIncidentPdf(ray.origin, ray.direction, lightHit.distance);
+                    weight = powerHeuristic(bouncePdf, lightPdf);
+                }
+                return radiance.add(throughput.multiply(emitted).multiplyScalar(weight));
+            }
+            if (!hitResult.object) {
+                const environment = this.getEnvironment();
+                let weight = 1;
+                if (environment && bouncePdf > 0) {
+                    weight = powerHeuristic(bouncePdf, environment.getPdf(ray.direction, this.textureManager));
+                }
+                return radiance.add(throughput.multiply(this.getBackgroundColor(ray)).multiplyScalar(weight));
+            }
+
+            const hitInfo = hitResult.info;
+            const material = this.applySurfaceMaps(hitResult.object.getMaterialAt(hitInfo), hitInfo, ray, hitResult.object);
+            const transmission = material.transmission || 0;
+            const reflectivity = material.reflectivity || 0;
+            const entering = ray.direction.dot(hitInfo.normal) < 0;
+
+            // The path has travelled through the interior of a transparent object
+            if (transmission > 0 && !entering) {
+                throughput = throughput.multiply(material.computeAbsorption(hitInfo.distance));
+            }
+            if (bounce >= this.maxDepth) {
+                return radiance;
+            }
+
+            const lobe = this.nextRandom();
+            if (lobe < transmission) {
+                const refraction = this.computeRefraction(ray, hitInfo, material.ior);
+                ray = refraction.ray && this.nextRandom() >= refraction.fresnel
+                    ? refraction.ray
+                    : this.computeReflectedRay(ray, hitInfo);
+                bouncePdf = 0;
+            } else if (lobe < transmission + (1 - transmission) * reflectivity) {
+                ray = this.computeReflectedRay(ray, hitInfo);
+                bouncePdf = 0;
+            } else {
+                const normal = entering ? hitInfo.normal : hitInfo.normal.negate(); // Faces the incoming ray
+                const viewDir = ray.direction.negate();
+                const albedo = this.getSurfaceColor(material, hitInfo, ray, hitResult.object);
+                radiance = radiance.add(throughput.multiply(this.sampleDirectLight(hitInfo.point, normal, viewDir, material, albedo)));
+
+                // Continue in a cosine-weighted direction: the cosine and 1 / PI of the density cancel
+                const { uAxis, vAxis } = AreaLight.computeAxes(normal);
+                const local = sampleCosineHemisphere(this.nextRandom(), this.nextRandom());
+                const direction = uAxis.multiplyScalar(local.x)
+                    .add(vAxis.multiplyScalar(local.y))
+                    .add(normal.multiplyScalar(local.z))
+                    .normalize();
+                const brdf = this.evaluateBrdf(material, albedo, normal, direction, viewDir);
+                throughput = throughput.multiply(brdf).multiplyScalar(Math.PI);
+                bouncePdf = local.z / Math.PI;
+                ray = new Ray(hitInfo.point.add(normal.multiplyScalar(1e-4)), direction).continueCone(ray, hitInfo.distance);
+            }
+
+            if (bounce + 1 >= ROULETTE_START_BOUNCE) {
+                const survival = Math.min(0.95, Math.max(throughput.x, throughput.y, throughput.z));
+                if (this.nextRandom() >= survival) {
+                    return radiance;
+                }
+                throughput = throughput.divideScalar(survival);
+            }
+        }
+    }
+
+    /**
+     * Estimates the light reflected towards the viewer by a diffuse/glossy surface directly from the
+     * lights, with one sample per light (next-event estimation for tracePath). Samples of lights
+     * that a bounce could also find are weighted against it by the power heuristic.
+     * @param {Vec3} point - The point being lit.
+     * @param {Vec3} normal - The surface normal, facing the viewer.
+     * @param {Vec3} viewDir - The unit direction from the point towards the viewer.
+     * @param {Material} material - The material at the point.
+     * @param {Vec3} albedo - The diffuse color at the point (see getSurfaceColor).
+     * @returns {Vec3} The reflected light.
+     */
+    sampleDirectLight(point, normal, viewDir, material, albedo) {
+        let color = new Vec3(0, 0, 0);
+        for (const light of this.scene.lights) {
+            if (!light.visible) {
+                continue;
+            }
+            const sample = light.sampleIncidentLight(point, this.nextRandom(), this.nextRandom());
+            if (!sample) {
+                continue;
+            }
+            const cosine = normal.dot(sample.direction);
+            if (cosine <= 0 || sample.radiance.lengthSquared() < 1e-8) {
+                continue;
+            }
+            const attenuation = this.scene.shadowAttenuation(point, sample.direction, sample.distance);
+            if (attenuation.lengthSquared() < 1e-8) {
+                continue;
+            }
+            const weight = sample.delta ? 1 : powerHeuristic(sample.pdf, cosine / Math.PI);
+            const brdf = this.evaluateBrdf(material, albedo, normal, sample.direction, viewDir);
+            color = color.add(sample.radiance.multiply(attenuation).multiply(brdf)
+                .multiplyScalar(cosine * weight / sample.pdf));
+        }
+        const environment = this.getEnvironment();
+        if (environment) {
+            color = color.add(this.sampleEnvironmentLight(environment, point, normal, viewDir, material, albedo, true));
+        }
+        return color;
+    }
+
+    /**
+     * Estimates the light a surface reflects towards the viewer from an environment map, with one
+     * shadow ray in a direction picked by the map's brightness (see EnvironmentMap.sample).
+     * @param {EnvironmentMap} environment - The environment map.
+     * @param {Vec3} point - The point being lit.
+     * @param {Vec3} normal - The surface normal, facing the viewer.
+     * @param {Vec3} viewDir - The unit direction from the point towards the viewer.
+     * @param {Material} material - The material at the point.
+     * @param {Vec3} albedo - The diffuse color at the point (see getSurfaceColor).
+     * @param {boolean} balanced - Whether a cosine-weighted bounce could also find the environment,
+     *   so the sample must be weighted against it by the power heuristic (as in tracePath).
+     * @returns {Vec3} The reflected light.
+     */
+    sampleEnvironmentLight(environment, point, normal, viewDir, material, albedo, balanced) {
+        const sample = environment.sample(this.textureManager, this.nextRandom(), this.nextRandom());
+        if (!sample) {
+            return new Vec3(0, 0, 0);
+        }
+        const cosine = normal.dot(sample.direction);
+        if (cosine <= 0 || sample.radiance.lengthSquared() < 1e-8) {
+            return new Vec3(0, 0, 0);
+        }
+        const attenuation = this.scene.shadowAttenuation(point, sample.direction, Infinity);
+        if (attenuation.lengthSquared() < 1e-8) {
+            return new Vec3(0, 0, 0);
+        }
+        const weight = balanced ? powerHeuristic(sample.pdf, cosine / Math.PI) : 1;
+        const brdf = this.evaluateBrdf(material, albedo, normal, sample.direction, viewDir);
+        return sample.radiance.multiply(attenuation).multiply(brdf).multiplyScalar(cosine * weight / sample.pdf);
+    }
+
+    /**
+     * Evaluates the path tracer's reflection model: Lambertian diffuse reflection plus the
+     * energy-normalized Phong lobe, so that the highlight's brightness does not depend on its size.
+     * @param {Material} material - The material.
+     * @param {Vec3} albedo - The diffuse color (see getSurfaceColor).
+     * @param {Vec3} normal - The surface normal, facing the viewer.
+     * @param {Vec3} lightDir - The unit direction towards the incoming light.
+     * @param {Vec3} viewDir - The unit direction towards the viewer.
+     * @returns {Vec3} The fraction of the incoming light reflected towards the viewer, per steradian.
+     */
+    evaluateBrdf(material, albedo, normal, lightDir, viewDir) {
+        let brdf = albedo.divideScalar(Math.PI);
+        if (material.shininess > 0 && material.specularColor.lengthSquared() > 1e-6) {
+            const alignment = Math.max(0, lightDir.negate().reflect(normal).dot(viewDir));
+            const lobe = (material.shininess + 2) / (2 * Math.PI) * Math.pow(alignment, material.shininess);
+            brdf = brdf.add(material.specularColor.multiplyScalar(lobe));
+        }
+        return brdf;
+    }
+
+    /**
+     * Builds the mirror-reflected ray for a hit.
+     * The origin is nudged off the surface (on the side the incoming ray came from)
+     * to avoid the reflected ray immediately re-hitting the same surface.
+     * @param {Ray} ray - The incoming ray.
+     * @param {IntersectionInfo} hitInfo - The intersection info of the hit being reflected.
+     * @returns {Ray} The reflected ray.
+     */
+    computeReflectedRay(ray, hitInfo) {
+        // Make sure the normal faces the incoming ray (e.g. when hitting a surface from inside)
+        const facingNormal = ray.direction.dot(hitInfo.normal) < 0 ? hitInfo.normal : hitInfo.normal.negate();
+        const reflectDir = ray.direction.reflect(facingNormal);
+        const origin = hitInfo.point.add(facingNormal.multiplyScalar(1e-4));
+        return new Ray(origin, reflectDir).continueCone(ray, hitInfo.distance);
+    }
+
+    /**
+     * Computes the refracted ray for a hit using Snell's law, together with the Fresnel
+     * reflectance (Schlick's approximation) that weights reflection against refraction.
+     * Whether the ray enters or leaves the object is decided by the side of the surface normal
+     * it arrives from, so normals are expected to point outwards.
+     * @param {Ray} ray - The incoming ray.
+     * @param {IntersectionInfo} hitInfo - The intersection info of the hit being refracted.
+     * @param {number} ior - The index of refraction of the object's interior.
+     * @returns {{ray: Ray|null, fresnel: number}} The refracted ray (null on total internal reflection)
+     * and the fraction of light that is reflected instead (1 on total internal reflection).
+     */
+    computeRefraction(ray, hitInfo, ior) {
+        const entering = ray.direction.dot(hitInfo.normal) < 0;
+        const normal = entering ? hitInfo.normal : hitInfo.normal.negate(); // Faces the incoming ray
+        const eta = entering ? 1.0 / ior : ior; // Ratio of indices: n(from) / n(to)
+
+        const cosI = -ray.direction.dot(normal);
+        const sin2T = eta * eta * (1.0 - cosI * cosI);
+        if (sin2T > 1.0) {
+            return { ray: null, fresnel: 1.0 }; // Total internal reflection
+        }
+        const cosT = Math.sqrt(1.0 - sin2T);
+
+        // Schlick's approximation, evaluated on the side with the larger angle
+        const r0 = ((1.0 - ior) / (1.0 + ior)) ** 2;
+        const cosTheta = entering ? cosI : cosT;
+        const fresnel = r0 + (1.0 - r0) * Math.pow(1.0 - cosTheta, 5);
+
+        const refractDir = ray.direction.multiplyScalar(eta).add(normal.multiplyScalar(eta * cosI - cosT));
+        const origin = hitInfo.point.subtract(normal.multiplyScalar(1e-4)); // Start just below the surface
+        return { ray: new Ray(origin, refractDir).continueCone(ray, hitInfo.distance), fresnel: fresnel };
     }
 
     /**
      * Performs object picking for a given pixel coordinate.
-     * @param {number} pixelX - The x-coordinate of the pixel on the canvas.
-     * @param {number} pixelY - The y-coordinate of the pixel on the canvas.
+     * @param {number} pixelX - The x-coordinate of the pixel in the image.
+     * @param {number} pixelY - The y-coordinate of the pixel in the image.
      * @returns {{object: Object|null, info: object|null}} An object containing the hit object and its intersection info, or nulls if no object was hit.
      */
     pickObject(pixelX, pixelY) {
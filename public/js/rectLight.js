@@ -0,0 +1,89 @@
+// public/js/rectLight.js
+// Defines the RectLight class, a rectangular area light (such as a ceiling panel or a softbox).
+// It shines from its front side only, the side its normal points to.
+
+import { Vec3 } from './math.js';
+import { AreaLight } from './areaLight.js';
+
+export class RectLight extends AreaLight {
+    /**
+     * @param {Vec3} position - The center of the rectangle.
+     * @param {Vec3} normal - The direction the light faces (will be normalized).
+     * @param {number} width - The size of the rectangle along its first axis.
+     * @param {number} height - The size of the rectangle along its second axis.
+     * @param {Vec3} color - The color of the light.
+     * @param {number} [samples=16] - Number of shadow rays per shading point (see AreaLight).
+     */
+    constructor(position, normal, width, height, color, samples = 16) {
+        super(position, color, samples);
+        this.width = width;
+        this.height = height;
+        this.setNormal(normal);
+    }
+
+    /**
+     * Turns the light to face a new direction.
+     * @param {Vec3} normal - The direction the light faces (will be normalized).
+     */
+    setNormal(normal) {
+        this.normal = normal.normalize();
+        const { uAxis, vAxis } = AreaLight.computeAxes(this.normal);
+        this.uAxis = uAxis;
+        this.vAxis = vAxis;
+    }
+
+    /**
+     * @returns {number} The area of the rectangle.
+     */
+    getArea() {
+        return this.width * this.height;
+    }
+
+    /**
+     * @param {Vec3} point - The point being lit.
+     * @returns {Vec3} The light's color at the point, after falloff; black behind the light.
+     */
+    getColorAt(point) {
+        if (point.subtract(this.position).dot(this.normal) <= 0) {
+            return new Vec3(0, 0, 0);
+        }
+        return super.getColorAt(point);
+    }
+
+    /**
+     * Picks a point on the rectangle.
+     * @param {Vec3} point - The point being lit.
+     * @param {number} u - Position along the first axis, in [0, 1).
+     * @param {number} v - Position along the second axis, in [0, 1).
+     * @returns {Vec3|null} The point on the light, or null if the point being lit is behind the light.
+     */
+    samplePoint(point, u, v) {
+        if (point.subtract(this.position).dot(this.normal) <= 0) {
+            return null;
+        }
+        return this.position
+            .add(this.uAxis.multiplyScalar((u - 0.5) * this.width))
+            .add(this.vAxis.multiplyScalar((v - 0.5) * this.height));
+    }
+
+    /**
+     * Intersects a ray with the front side of the rectangle.
+     * @param {Ray} ray - The ray to test.
+     * @returns {number|null} The distance to the light along the ray, or null if the ray misses it.
+     */
+    intersect(ray) {
+        const denominator = ray.direction.dot(this.normal);
+        if (denominator > -1e-6) {
+            return null; // Parallel, or looking at the back of the light
+        }
+        const t = this.position.subtract(ray.origin).dot(this.normal) / denominator;
+        if (t <= 1e-4) {
+            return null;
+        }
+        const offset = ray.pointAt(t).subtract(this.position);
+        if (Math.abs(offset.dot(this.uAxis)) > this.width / 2 || Math.abs(offset.dot(this.vAxis)) > this.height / 2) {
+            return null;
+        }
+        return t;
+    }
+}
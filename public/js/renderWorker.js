@@ -0,0 +1,45 @@
+// public/js/renderWorker.js
+// Web Worker entry point that renders image tiles off the main thread.
+// It receives a serialized copy of the scene, camera and textures whenever they change
+// (see RenderWorkerPool) and posts back the samples of every tile it is asked to render.
+
+import { SceneSerializer } from './sceneSerializer.js';
+import { Raytracer } from './raytracer.js';
+import { TextureManager } from './textureManager.js';
+
+let raytracer = null;
+const textureManager = new TextureManager();
+const meshCache = new Map(); // Rebuilt meshes (with their BVH) by geometry id
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'scene': {
+            if (message.textures) {
+                SceneSerializer.deserializeImageTextures(textureManager, message.textures);
+            }
+            if (message.proceduralTextures) {
+                SceneSerializer.deserializeProceduralTextures(textureManager, message.proceduralTextures);
+            }
+            const scene = SceneSerializer.deserializeScene(message.scene, meshCache);
+            const camera = SceneSerializer.deserializeCamera(message.camera);
+            raytracer = new Raytracer(null, camera, scene, textureManager);
+            raytracer.applySettings(message.settings);
+            break;
+        }
+        case 'tile': {
+            if (!raytracer) {
+                // Should not happen (the scene message always comes first), but never leave the pool waiting.
+                self.postMessage({ type: 'tile', jobId: message.jobId, tile: message.tile, samples: null });
+                return;
+            }
+            const { x, y, width, height } = message.tile;
+            const samples = raytracer.renderTile(x, y, width, height, message.pass);
+            self.postMessage({ type: 'tile', jobId: message.jobId, tile: message.tile, samples: samples }, [samples.buffer]);
+            break;
+        }
+        default:
+            console.warn(`Render worker: Unknown message type '${message.type}'.`);
+    }
+};
@@ -0,0 +1,212 @@
+// public/js/sampling.js
+// Helpers for generating sample positions and reconstruction filter weights used by the renderer.
+
+/**
+ * Samples per pixel and pass the renderer supports: square numbers, so that grid and jittered
+ * patterns (see generatePixelSamples) place exactly that many samples.
+ */
+export const SAMPLES_PER_PIXEL_COUNTS = [1, 4, 9, 16];
+
+/** The sample patterns of generatePixelSamples. */
+export const SAMPLE_PATTERNS = ['grid', 'jittered', 'halton'];
+
+/** The reconstruction filters of evaluateFilter. */
+export const RECONSTRUCTION_FILTERS = ['box', 'tent', 'gaussian'];
+
+/**
+ * Returns a deterministic pseudo-random number in [0, 1) for a pixel, sample index and dimension.
+ * Being a pure function of its inputs, it yields the same value no matter which worker
+ * renders the pixel, so progressive passes never repeat or skip samples.
+ * @param {number} x - Pixel column.
+ * @param {number} y - Pixel row.
+ * @param {number} sampleIndex - Index of the sample within the pixel.
+ * @param {number} [dimension=0] - Which random value of the sample is requested (e.g. 0 for x, 1 for y).
+ * @returns {number} A value in [0, 1).
+ */
+export function hashRandom(x, y, sampleIndex, dimension = 0) {
+    // Combine the inputs, then scramble them with an integer hash (lowbias32 by Chris Wellons).
+    let h = (x * 73856093) ^ (y * 19349663) ^ (sampleIndex * 83492791) ^ (dimension * 2654435761);
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x7feb352d);
+    h ^= h >>> 15;
+    h = Math.imul(h, 0x846ca68b);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+}
+
+/**
+ * Computes the radical inverse of an integer in a given base (the van der Corput sequence),
+ * the building block of the Halton low-discrepancy sequence.
+ * @param {number} index - Non-negative integer index into the sequence.
+ * @param {number} base - A prime base (2 and 3 for the 2D Halton sequence).
+ * @returns {number} A value in [0, 1).
+ */
+export function radicalInverse(index, base) {
+    let result = 0;
+    let fraction = 1 / base;
+    while (index > 0) {
+        result += (index % base) * fraction;
+        index = Math.floor(index / base);
+        fraction /= base;
+    }
+    return result;
+}
+
+/**
+ * Generates sub-pixel sample positions for one pixel and one render pass.
+ * Supported patterns:
+ * - 'grid': a regular grid (the count is rounded up to a square number);
+ * - 'jittered': a stratified grid with one random position per cell (also rounded up to a square);
+ * - 'halton': points of the 2D Halton sequence (bases 2 and 3), randomly shifted per pixel.
+ * Consecutive passes continue the pattern with new positions, so accumulating passes keeps improving the estimate.
+ * Each sample also carries a position on the camera lens (lensX, lensY), used for depth of field.
+ * @param {string} pattern - 'grid', 'jittered' or 'halton'.
+ * @param {number} count - Requested number of samples.
+ * @param {number} x - Pixel column.
+ * @param {number} y - Pixel row.
+ * @param {number} [passIndex=0] - Index of the render pass.
+ * @returns {Array<{x: number, y: number, lensX: number, lensY: number}>} Sample positions within the pixel
+ * and on the lens, each coordinate in [0, 1).
+ */
+export function generatePixelSamples(pattern, count, x, y, passIndex = 0) {
+    const samples = [];
+
+    if (pattern === 'halton') {
+        // Per-pixel Cranley-Patterson rotation decorrelates neighbouring pixels
+        const shiftX = hashRandom(x, y, 0, 0);
+        const shiftY = hashRandom(x, y, 0, 1);
+        const lensShiftX = hashRandom(x, y, 0, 2);
+        const lensShiftY = hashRandom(x, y, 0, 3);
+        for (let i = 0; i < count; i++) {
+            const index = passIndex * count + i + 1; // Skip index 0, which is (0, 0) in every base
+            samples.push({
+                x: (radicalInverse(index, 2) + shiftX) % 1,
+                y: (radicalInverse(index, 3) + shiftY) % 1,
+                lensX: (radicalInverse(index, 5) + lensShiftX) % 1,
+                lensY: (radicalInverse(index, 7) + lensShiftY) % 1
+            });
+        }
+        return samples;
+    }
+
+    const gridSize = Math.ceil(Math.sqrt(count));
+    // A regular grid only provides new positions after the first pass if it is shifted as a whole.
+    const gridShiftX = passIndex > 0 ? hashRandom(0, 0, passIndex, 0) - 0.5 : 0;
+    const gridShiftY = passIndex > 0 ? hashRandom(0, 0, passIndex, 1) - 0.5 : 0;
+
+    for (let row = 0; row < gridSize; row++) {
+        for (let col = 0; col < gridSize; col++) {
+            const sampleIndex = passIndex * gridSize * gridSize + row * gridSize + col;
+            let offsetX;
+            let offsetY;
+            if (pattern === 'jittered') {
+                offsetX = hashRandom(x, y, sampleIndex, 0);
+                offsetY = hashRandom(x, y, sampleIndex, 1);
+            } else { // 'grid'
+                offsetX = 0.5 + gridShiftX;
+                offsetY = 0.5 + gridShiftY;
+            }
+            samples.push({
+                x: (col + offsetX) / gridSize,
+                y: (row + offsetY) / gridSize,
+                lensX: hashRandom(x, y, sampleIndex, 2),
+                lensY: hashRandom(x, y, sampleIndex, 3)
+            });
+        }
+    }
+    return samples;
+}
+
+/**
+ * Returns the radius (in pixels) of a reconstruction filter's support.
+ * Samples are spread over this radius around the pixel center.
+ * @param {string} filter - 'box', 'tent' or 'gaussian'.
+ * @returns {number} The filter radius.
+ */
+export function getFilterRadius(filter) {
+    switch (filter) {
+        case 'tent':
+            return 1.0;
+        case 'gaussian':
+            return 1.5;
+        default: // 'box'
+            return 0.5;
+    }
+}
+
+/**
+ * Evaluates a reconstruction filter at an offset from the pixel center.
+ * @param {string} filter - 'box', 'tent' or 'gaussian'.
+ * @param {number} dx - Horizontal offset from the pixel center, in pixels.
+ * @param {number} dy - Vertical offset from the pixel center, in pixels.
+ * @returns {number} The (unnormalized) filter weight.
+ */
+export function evaluateFilter(filter, dx, dy) {
+    const radius = getFilterRadius(filter);
+    switch (filter) {
+        case 'tent':
+            return Math.max(0, 1 - Math.abs(dx) / radius) * Math.max(0, 1 - Math.abs(dy) / radius);
+        case 'gaussian': {
+            // Gaussian with standard deviation 0.5 px, shifted so it reaches zero at the radius
+            const alpha = 2.0;
+            const edge = Math.exp(-alpha * radius * radius);
+            const gx = Math.max(0, Math.exp(-alpha * dx * dx) - edge);
+            const gy = Math.max(0, Math.exp(-alpha * dy * dy) - edge);
+            return gx * gy;
+        }
+        default: // 'box'
+            return 1.0;
+    }
+}
+
+/**
+ * Maps a point of the unit square to the unit disk with Shirley's concentric mapping,
+ * which preserves the stratification of the input (unlike the naive polar mapping).
+ * @param {number} u - First coordinate, in [0, 1).
+ * @param {number} v - Second coordinate, in [0, 1).
+ * @returns {{x: number, y: number}} A point in the unit disk.
+ */
+export function sampleConcentricDisk(u, v) {
+    const a = 2 * u - 1;
+    const b = 2 * v - 1;
+    if (a === 0 && b === 0) {
+        return { x: 0, y: 0 };
+    }
+    let r;
+    let theta;
+    if (Math.abs(a) > Math.abs(b)) {
+        r = a;
+        theta = (Math.PI / 4) * (b / a);
+    } else {
+        r = b;
+        theta = Math.PI / 2 - (Math.PI / 4) * (a / b);
+    }
+    return { x: r * Math.cos(theta), y: r * Math.sin(theta) };
+}
+
+/**
+ * Maps a point of the unit square to a direction on the hemisphere around +Z, with a density
+ * proportional to the cosine of its angle to +Z (Malley's method: a concentric disk point lifted
+ * onto the hemisphere). This matches the cosine factor of diffuse reflection.
+ * @param {number} u - First coordinate, in [0, 1).
+ * @param {number} v - Second coordinate, in [0, 1).
+ * @returns {{x: number, y: number, z: number}} A unit direction with z >= 0; its density per
+ *   solid angle is z / PI.
+ */
+export function sampleCosineHemisphere(u, v) {
+    const disk = sampleConcentricDisk(u, v);
+    return { x: disk.x, y: disk.y, z: Math.sqrt(Math.max(0, 1 - disk.x * disk.x - disk.y * disk.y)) };
+}
+
+/**
+ * Weights a sample of one of two sampling strategies for multiple importance sampling, with
+ * Veach's power heuristic (exponent 2).
+ * @param {number} pdf - The density of the sample under the strategy that produced it.
+ * @param {number} otherPdf - The density of the same sample under the other strategy.
+ * @returns {number} The weight of the sample, in [0, 1].
+ */
+export function powerHeuristic(pdf, otherPdf) {
+    const a = pdf * pdf;
+    const b = otherPdf * otherPdf;
+    return a + b > 0 ? a / (a + b) : 0;
+}
@@ -1,40 +1,162 @@
 // public/js/scene.js
-// Defines the Scene class, which manages objects and lights in the 3D world.
+// Defines the Scene class, which manages objects, their materials and lights in the 3D world.
 // It provides methods for tracing rays and checking for shadows.
 
 import { Vec3 } from './math.js';
 import { Ray } from './ray.js'; // Assumes public/js/ray.js exists
 import { Object } from './object.js'; // Assumes public/js/object.js exists
 import { Light } from './light.js'; // Assumes public/js/light.js exists
+import { BVH } from './bvh.js';
+
+// Maximum number of transparent occluders a shadow ray passes through before giving up.
+const MAX_SHADOW_OCCLUDERS = 16;
 
 // Structure to hold intersection information, similar to C++ struct
 // This will be returned by intersect methods of objects and by scene.trace
 class IntersectionInfo {
-    constructor(point = new Vec3(), normal = new Vec3(), distance = Infinity) {
+    constructor(point = new Vec3(), normal = new Vec3(), distance = Infinity, uv = null) {
         this.point = point;
         this.normal = normal;
         this.distance = distance;
+        this.uv = uv; // Texture coordinates (x, y) of the hit point, if the surface has them
+        this.material = null; // Material of the hit part, if it has its own (see Object.getMaterialAt)
+        // Directions in which the texture coordinates u and v increase along the surface, if the
+        // surface knows them; they orient normal maps (see Raytracer.getTangentFrame)
+        this.tangent = null;
+        this.bitangent = null;
+        // Size of the ray's footprint in texture space, once computed (see Raytracer.getTextureFootprint)
+        this.textureFootprint = null;
     }
 }
 
 export class Scene {
     /**
-     * @param {Vec3} backgroundColor - The color for rays that hit no objects.
+     * @param {Vec3} backgroundColor - The color for rays that hit no objects (unless the scene has an environment map).
      */
     constructor(backgroundColor = new Vec3(0.1, 0.1, 0.1)) {
         /** @type {Object[]} */
         this.objects = []; // Array to store objects in the scene
         /** @type {Light[]} */
         this.lights = [];  // Array to store light sources in the scene
+        /**
+         * The material library: every material an object of the scene is shaded with, plus materials
+         * no object uses (any more), which stay available for assigning.
+         * @type {Material[]}
+         */
+        this.materials = [];
         this.backgroundColor = backgroundColor;
+        /**
+         * Image surrounding the scene, seen by rays that hit no objects instead of the background
+         * color, and lighting the scene.
+         * @type {EnvironmentMap|null}
+         */
+        this.environment = null;
+        // Light reaching every surface from all around, regardless of the lights and shadows
+        this.ambientColor = new Vec3(0, 0, 0);
+
+        // Top-level acceleration structure over the bounded objects. Unbounded objects
+        // (planes) cannot be placed in a BVH and are tested individually.
+        /** @type {BVH|null} */
+        this.bvh = null;
+        /** @type {Object[]} */
+        this.unboundedObjects = [];
+        this.bvhDirty = true;
+        // Snapshot of the objects array the BVH was built from, used to detect direct edits of scene.objects.
+        this.bvhSourceObjects = null;
+        this.bvhSourceCount = 0;
     }
 
     /**
-     * Adds an object to the scene.
+     * Adds an object to the scene, and its materials to the material library.
      * @param {Object} obj - The object to add.
      */
     addObject(obj) {
         this.objects.push(obj);
+        obj.getMaterials().forEach(material => this.addMaterial(material));
+        this.markDirty();
+    }
+
+    /**
+     * Adds a material to the material library, unless it is in it already. Unnamed materials are
+     * given a name, so they can be told apart in the library.
+     * @param {Material} material - The material to add.
+     * @returns {Material} The material.
+     */
+    addMaterial(material) {
+        if (!this.materials.includes(material)) {
+            if (!material.name) {
+                material.name = this.createMaterialName();
+            }
+            this.materials.push(material);
+        }
+        return material;
+    }
+
+    /**
+     * @param {string} [prefix='Material'] - The start of the name.
+     * @returns {string} A material name no material in the library has yet, e.g. 'Material 3'.
+     */
+    createMaterialName(prefix = 'Material') {
+        let number = this.materials.length + 1;
+        while (this.materials.some(material => material.name === `${prefix} ${number}`)) {
+            number++;
+        }
+        return `${prefix} ${number}`;
+    }
+
+    /**
+     * @param {Material} material - A material.
+     * @returns {Object[]} The objects of the scene shaded with the material, entirely or in part.
+     */
+    getMaterialUsers(material) {
+        return this.objects.filter(obj => obj.getMaterials().includes(material));
+    }
+
+    /**
+     * Removes an object from the scene.
+     * @param {Object} obj - The object to remove.
+     * @returns {boolean} True if the object was part of the scene and has been removed.
+     */
+    removeObject(obj) {
+        const index = this.objects.indexOf(obj);
+        if (index === -1) {
+            return false;
+        }
+        this.objects.splice(index, 1);
+        this.markDirty();
+        return true;
+    }
+
+    /**
+     * Flags the acceleration structure as stale so it is rebuilt before the next trace.
+     * Must be called whenever an object's geometry (and therefore its bounds) or visibility changes.
+     */
+    markDirty() {
+        this.bvhDirty = true;
+    }
+
+    /**
+     * Rebuilds the top-level BVH from the current objects.
+     * Called automatically by trace() when the scene has changed.
+     */
+    rebuildBVH() {
+        const bounded = [];
+        this.unboundedObjects = [];
+        for (const obj of this.objects) {
+            if (!obj.visible) {
+                continue; // Hidden objects are not traced at all
+            }
+            const bounds = obj.getBounds();
+            if (bounds && !bounds.isEmpty()) {
+                bounded.push(obj);
+            } else {
+                this.unboundedObjects.push(obj);
+            }
+        }
+        this.bvh = new BVH(bounded);
+        this.bvhDirty = false;
+        this.bvhSourceObjects = this.objects;
+        this.bvhSourceCount = this.objects.length;
     }
 
     /**
@@ -45,18 +167,39 @@ export class Scene {
         this.lights.push(light);
     }
 
+    /**
+     * Removes a light source from the scene.
+     * @param {Light} light - The light to remove.
+     * @returns {boolean} True if the light was part of the scene and has been removed.
+     */
+    removeLight(light) {
+        const index = this.lights.indexOf(light);
+        if (index === -1) {
+            return false;
+        }
+        this.lights.splice(index, 1);
+        return true;
+    }
+
     /**
      * Traces a ray into the scene to find the closest intersection.
      * @param {Ray} ray - The ray to trace.
      * @returns {{object: Object|null, info: IntersectionInfo|null}} An object containing the hit object and its intersection info, or nulls if no object was hit.
      */
     trace(ray) {
-        let closestDistance = Infinity; // Initialize with a very large distance
-        let hitObject = null;           // No object hit initially
-        let hitInfo = null;             // No intersection info initially
+        // Rebuild if objects were added/removed, or if scene.objects was replaced or edited directly.
+        if (this.bvhDirty || this.bvhSourceObjects !== this.objects || this.bvhSourceCount !== this.objects.length) {
+            this.rebuildBVH();
+        }
 
-        // Iterate over all objects in the scene to check for intersections
-        for (const obj of this.objects) {
+        // Closest hit among the bounded objects, found through the BVH
+        const bvhHit = this.bvh.intersect(ray);
+        let closestDistance = bvhHit.primitive ? bvhHit.info.distance : Infinity;
+        let hitObject = bvhHit.primitive;
+        let hitInfo = bvhHit.info;
+
+        // Unbounded objects are checked one by one
+        for (const obj of this.unboundedObjects) {
             // Each object's intersect method should return an object like { hit: boolean, info: IntersectionInfo }
             const currentHitResult = obj.intersect(ray);
 
@@ -74,44 +217,118 @@ export class Scene {
         return { object: hitObject, info: hitInfo };
     }
 
+    /**
+     * Finds the closest light whose surface a ray sees (see Light.intersect). Lights are not part of
+     * the scene's objects, so they neither show up in trace() nor cast shadows.
+     * @param {Ray} ray - The ray to trace.
+     * @returns {{light: Light, distance: number}|null} The closest light hit, or null if the ray sees none.
+     */
+    intersectLights(ray) {
+        let closest = null;
+        for (const light of this.lights) {
+            if (!light.visible) {
+                continue;
+            }
+            const distance = light.intersect(ray);
+            if (distance !== null && (!closest || distance < closest.distance)) {
+                closest = { light: light, distance: distance };
+            }
+        }
+        return closest;
+    }
+
     /**
      * Checks if a point is in shadow from a specific light source.
-     * This is done by casting a shadow ray from the intersection point towards the light.
+     * A point counts as shadowed only when no light at all reaches it, i.e. when opaque
+     * objects block every sampled point of the light (see lightVisibility).
      * @param {Vec3} point - The point to check for shadow.
      * @param {Light} light - The light source to check against.
+     * @param {function(): number} [random=Math.random] - Source of sample positions on area lights, in [0, 1).
      * @returns {boolean} True if the point is in shadow (an object blocks the light), false otherwise.
      */
-    isInShadow(point, light) {
-        // Calculate the direction from the intersection point to the light source.
-        const lightDir = light.position.subtract(point).normalize();
-
-        // Create a shadow ray. Add a small epsilon to the origin of the shadow ray
-        // to prevent "self-intersection" where the ray immediately hits the object it originated from
-        // due to floating-point precision issues.
-        const shadowRay = new Ray(point.add(lightDir.multiplyScalar(1e-4)), lightDir);
+    isInShadow(point, light, random = Math.random) {
+        return this.lightVisibility(point, light, random).lengthSquared() < 1e-8;
+    }
 
-        // Calculate the actual distance from the intersection point to the light source.
-        const distanceToLight = light.position.subtract(point).length();
+    /**
+     * Computes how much of a light's color reaches a point: the average shadow attenuation
+     * (see shadowAttenuation) over shadow rays to a stratified grid of points on the light (see
+     * Light.getShadowRay), one jittered point per grid cell. Point, spot and directional lights
+     * need a single shadow ray, so their shadows are hard; partly occluded area lights give
+     * fractional values, i.e. soft shadows.
+     * @param {Vec3} point - The point to compute the visibility for.
+     * @param {Light} light - The light source to check against.
+     * @param {function(): number} [random=Math.random] - Source of the jitter within the grid cells, in [0, 1).
+     * @returns {Vec3} The per-channel fraction of the light reaching the point (0 = fully shadowed, 1 = unoccluded).
+     */
+    lightVisibility(point, light, random = Math.random) {
+        const gridSize = light.getSampleGridSize();
+        if (gridSize === 1) {
+            const shadowRay = light.getShadowRay(point, 0.5, 0.5);
+            return shadowRay ? this.shadowAttenuation(point, shadowRay.direction, shadowRay.distance) : new Vec3(0, 0, 0);
+        }
 
-        // Iterate through all objects in the scene to check if any object blocks the shadow ray.
-        for (const obj of this.objects) {
-            // Skip the object that the primary ray just hit (to avoid self-shadowing)
-            // This is a simplified approach. In a more advanced renderer, you'd pass the hit object
-            // from the primary ray trace to this function and skip it.
-            // For now, we assume the epsilon handles most self-intersection.
-
-            const shadowHitResult = obj.intersect(shadowRay);
-            if (shadowHitResult.hit) {
-                // If the shadow ray intersects an object AND that object is closer than the light source,
-                // then the point is in shadow.
-                // We also check for a small epsilon to avoid issues with floating point comparisons
-                // when the intersection is extremely close to the light source itself.
-                if (shadowHitResult.info.distance < distanceToLight - 1e-4) {
-                    return true; // Point is in shadow
+        let visibility = new Vec3(0, 0, 0);
+        for (let row = 0; row < gridSize; row++) {
+            for (let col = 0; col < gridSize; col++) {
+                const shadowRay = light.getShadowRay(point, (col + random()) / gridSize, (row + random()) / gridSize);
+                if (shadowRay) {
+                    visibility = visibility.add(this.shadowAttenuation(point, shadowRay.direction, shadowRay.distance));
                 }
             }
         }
-        return false; // Point is not in shadow
+        return visibility.divideScalar(gridSize * gridSize);
+    }
+
+    /**
+     * Computes how much light arriving along a shadow ray reaches a point, by casting the shadow ray
+     * from the point towards the light and walking through every occluder along the way.
+     * Opaque occluders block the light completely. Transparent occluders let through
+     * their transmission fraction on entry, and absorb light (Beer's law) over the
+     * distance travelled inside them.
+     * @param {Vec3} point - The point to compute the attenuation for.
+     * @param {Vec3} lightDir - The unit direction from the point towards the light.
+     * @param {number} distance - The distance to the light (Infinity for a directional light).
+     * @returns {Vec3} The per-channel fraction of the light reaching the point (0 = fully shadowed, 1 = unoccluded).
+     */
+    shadowAttenuation(point, lightDir, distance) {
+        // Offset the shadow ray origin by a small epsilon to prevent "self-intersection"
+        // where the ray immediately hits the surface it originated from.
+        let origin = point.add(lightDir.multiplyScalar(1e-4));
+        let remainingDistance = distance - 1e-4;
+        let attenuation = new Vec3(1, 1, 1);
+
+        // Each iteration finds the next occluder between the current origin and the light.
+        for (let i = 0; i < MAX_SHADOW_OCCLUDERS; i++) {
+            const hitResult = this.trace(new Ray(origin, lightDir));
+
+            // Nothing (or only something beyond the light) is in the way: done.
+            if (!hitResult.object || hitResult.info.distance >= remainingDistance - 1e-4) {
+                return attenuation;
+            }
+
+            const occluder = hitResult.object.getMaterialAt(hitResult.info);
+            if (!(occluder.transmission > 0)) {
+                return new Vec3(0, 0, 0); // Opaque occluder blocks the light entirely
+            }
+
+            if (lightDir.dot(hitResult.info.normal) > 0) {
+                // Leaving the occluder: absorb over the distance travelled inside it
+                attenuation = attenuation.multiply(occluder.computeAbsorption(hitResult.info.distance));
+            } else {
+                // Entering the occluder (or crossing a thin surface such as a plane)
+                attenuation = attenuation.multiplyScalar(occluder.transmission);
+            }
+
+            if (attenuation.lengthSquared() < 1e-8) {
+                return new Vec3(0, 0, 0);
+            }
+
+            // Continue the shadow ray from just past this intersection.
+            origin = hitResult.info.point.add(lightDir.multiplyScalar(1e-4));
+            remainingDistance -= hitResult.info.distance + 1e-4;
+        }
+        return attenuation;
     }
 }
 
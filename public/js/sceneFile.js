@@ -0,0 +1,175 @@
+// public/js/sceneFile.js
+// Reads and writes scene description files: versioned JSON documents holding the camera
+// (including its orbit state), render settings, background and environment map, lights, the material
+// library, objects with their material references, loaded meshes, the pixel data and wrap mode of
+// every image texture (8-bit or HDR), and the type and parameters of every procedural texture.
+// Files of earlier versions are still read: version 1 files hold each object's material in the
+// object, version 2 files have no procedural textures, and version 3 files no environment map or HDR images.
+// Scene, camera and texture data are converted with SceneSerializer; this module only adds
+// the file envelope and turns the typed arrays of the plain-data form into JSON-safe values.
+
+import { SceneSerializer } from './sceneSerializer.js';
+
+/** Identifies scene description files. */
+export const SCENE_FILE_FORMAT = 'web-ray-tracer-scene';
+/** Version written by this build. Files with a higher version are rejected. */
+export const SCENE_FILE_VERSION = 4;
+
+export class SceneFile {
+    /**
+     * Builds the JSON-ready description of a scene.
+     * @param {object} state - The state to save.
+     * @param {Scene} state.scene - The scene.
+     * @param {Camera} state.camera - The camera.
+     * @param {TextureManager} state.textureManager - The texture manager holding the scene's textures.
+     * @param {{yaw: number, pitch: number, radius: number}} [state.orbit] - Orbit state of the interactive camera controls.
+     * @param {object} [state.settings] - Render settings (Raytracer.getSettings).
+     * @returns {object} The scene description.
+     */
+    static create({ scene, camera, textureManager, orbit = null, settings = null }) {
+        const sceneData = SceneSerializer.serializeScene(scene);
+        for (const objData of SceneSerializer.collectObjectData(sceneData.objects)) {
+            // Geometry ids only identify meshes within a session
+            delete objData.geometryId;
+            if (objData.triangles) {
+                objData.triangles = SceneFile.encodeTriangles(objData.triangles);
+            }
+        }
+
+        return {
+            format: SCENE_FILE_FORMAT,
+            version: SCENE_FILE_VERSION,
+            camera: { ...SceneSerializer.serializeCamera(camera), orbit: orbit ? { ...orbit } : null },
+            settings: settings,
+            scene: sceneData,
+            textures: SceneSerializer.serializeTextures(textureManager).map(texture => texture.procedural ? texture : {
+                id: texture.id,
+                width: texture.width,
+                height: texture.height,
+                // HDR images are stored as the bytes of their 32-bit floats
+                data: SceneFile.encodeBase64(new Uint8Array(texture.data.buffer, texture.data.byteOffset, texture.data.byteLength)),
+                hdr: texture.data instanceof Float32Array,
+                wrap: texture.wrap
+            })
+        };
+    }
+
+    /**
+     * Serializes a scene to JSON text (see create()).
+     * @param {object} state - The state to save, as accepted by create().
+     * @returns {string} The scene file contents.
+     */
+    static stringify(state) {
+        return JSON.stringify(SceneFile.create(state), null, 2);
+    }
+
+    /**
+     * Parses a scene file and rebuilds its scene and camera.
+     * @param {string|object} source - The scene file contents, or an already parsed description.
+     * @returns {{scene: Scene, camera: Camera, textures: Array, orbit: object|null, settings: object|null}}
+     *   The rebuilt scene and camera, the decoded textures (see SceneSerializer.deserializeTextures),
+     *   and the saved orbit state and render settings, if any.
+     * @throws {Error} If the file is not a scene file or was written by a newer version.
+     */
+    static parse(source) {
+        const data = typeof source === 'string' ? JSON.parse(source) : source;
+        if (!data || data.format !== SCENE_FILE_FORMAT) {
+            throw new Error('Not a scene file.');
+        }
+        if (typeof data.version !== 'number' || data.version > SCENE_FILE_VERSION) {
+            throw new Error(`Unsupported scene file version ${data.version} (this build reads up to version ${SCENE_FILE_VERSION}).`);
+        }
+
+        const decodeObject = objData => {
+            const decoded = objData.triangles
+                ? { ...objData, triangles: SceneFile.decodeTriangles(objData.triangles) }
+                : objData;
+            return objData.type === 'CSG'
+                ? { ...decoded, left: decodeObject(objData.left), right: decodeObject(objData.right) }
+                : decoded;
+        };
+        const sceneData = { ...data.scene, objects: data.scene.objects.map(decodeObject) };
+
+        return {
+            scene: SceneSerializer.deserializeScene(sceneData),
+            camera: SceneSerializer.deserializeCamera(data.camera),
+            textures: (data.textures || []).map(texture => {
+                if (texture.procedural) {
+                    return texture;
+                }
+                const bytes = SceneFile.decodeBase64(texture.data);
+                return {
+                    id: texture.id,
+                    width: texture.width,
+                    height: texture.height,
+                    data: texture.hdr ? new Float32Array(bytes.buffer) : new Uint8ClampedArray(bytes.buffer),
+                    wrap: texture.wrap
+                };
+            }),
+            orbit: data.camera.orbit || null,
+            settings: data.settings || null
+        };
+    }
+
+    /**
+     * Converts flat triangle arrays (SceneSerializer.serializeTriangles) to plain number arrays.
+     * JSON has no NaN, so the NaN placeholders of triangles without normals, UVs or tangents become null.
+     * @param {{positions: Float32Array, normals: Float32Array|null, uvs: Float32Array|null, tangents: Float32Array|null,
+     *   materialIndices: Int32Array|null}} triangles The flat arrays.
+     * @returns {object} The same arrays as plain (JSON-safe) arrays.
+     */
+    static encodeTriangles(triangles) {
+        const toArray = (array) => array ? Array.from(array, value => Number.isNaN(value) ? null : value) : null;
+        return {
+            positions: toArray(triangles.positions),
+            normals: toArray(triangles.normals),
+            uvs: toArray(triangles.uvs),
+            tangents: toArray(triangles.tangents),
+            materialIndices: toArray(triangles.materialIndices)
+        };
+    }
+
+    /**
+     * Reverses encodeTriangles().
+     * @param {object} triangles - The JSON-safe arrays.
+     * @returns {{positions: Float32Array, normals: Float32Array|null, uvs: Float32Array|null, tangents: Float32Array|null,
+     *   materialIndices: Int32Array|null}} The flat arrays.
+     */
+    static decodeTriangles(triangles) {
+        const toFloat32 = (array) => array ? Float32Array.from(array, value => value === null ? NaN : value) : null;
+        return {
+            positions: toFloat32(triangles.positions),
+            normals: toFloat32(triangles.normals),
+            uvs: toFloat32(triangles.uvs),
+            tangents: toFloat32(triangles.tangents),
+            materialIndices: triangles.materialIndices ? Int32Array.from(triangles.materialIndices) : null
+        };
+    }
+
+    /**
+     * @param {Uint8Array|Uint8ClampedArray} bytes - The bytes to encode.
+     * @returns {string} The bytes as a base64 string.
+     */
+    static encodeBase64(bytes) {
+        // Convert in chunks: String.fromCharCode cannot take millions of arguments at once
+        const CHUNK_SIZE = 0x8000;
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK_SIZE));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * @param {string} base64 - A base64 string.
+     * @returns {Uint8Array} The decoded bytes.
+     */
+    static decodeBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
@@ -0,0 +1,734 @@
+// public/js/sceneSerializer.js
+// Converts Scene, Camera and TextureManager state to plain data objects and back.
+// The plain form only contains arrays, numbers, strings and typed arrays, so it can be
+// posted to Web Workers (structured clone) and rebuilt there into an identical scene.
+
+import { Vec3 } from './math.js';
+import { Camera } from './camera.js';
+import { Scene } from './scene.js';
+import { Sphere } from './sphere.js';
+import { Plane } from './plane.js';
+import { Box } from './box.js';
+import { Cylinder } from './cylinder.js';
+import { Cone } from './cone.js';
+import { Disk } from './disk.js';
+import { Quad } from './quad.js';
+import { Torus } from './torus.js';
+import { Triangle } from './triangle.js';
+import { Mesh } from './mesh.js';
+import { CSG } from './csg.js';
+import { Light } from './light.js';
+import { DirectionalLight } from './directionalLight.js';
+import { SpotLight } from './spotLight.js';
+import { RectLight } from './rectLight.js';
+import { DiskLight } from './diskLight.js';
+import { SphereLight } from './sphereLight.js';
+import { Material } from './material.js';
+import { TextureManager } from './textureManager.js';
+import { ProceduralTexture, PROCEDURAL_PARAMETERS } from './proceduralTexture.js';
+import { EnvironmentMap } from './environmentMap.js';
+
+// Stable ids for mesh geometry, so receivers can cache meshes instead of
+// rebuilding their triangles and BVH every time the scene is sent.
+const meshGeometryIds = new WeakMap();
+let nextGeometryId = 1;
+
+export class SceneSerializer {
+    /**
+     * @param {Vec3} v - The vector to encode.
+     * @returns {number[]} The vector as an [x, y, z] array.
+     */
+    static encodeVec3(v) {
+        return [v.x, v.y, v.z];
+    }
+
+    /**
+     * @param {number[]} a - An [x, y, z] array.
+     * @returns {Vec3} The decoded vector.
+     */
+    static decodeVec3(a) {
+        return new Vec3(a[0], a[1], a[2]);
+    }
+
+    /**
+     * Returns the geometry id of a mesh, assigning one on first use.
+     * @param {Mesh} mesh - The mesh.
+     * @returns {number} The mesh's geometry id.
+     */
+    static getGeometryId(mesh) {
+        if (!meshGeometryIds.has(mesh)) {
+            meshGeometryIds.set(mesh, nextGeometryId++);
+        }
+        return meshGeometryIds.get(mesh);
+    }
+
+    /**
+     * Lists serialized objects together with the operands nested in them (see CSG), depth first.
+     * @param {object[]} objects - Plain-data objects, as produced by serializeObject().
+     * @returns {object[]} The objects and all their nested operands.
+     */
+    static collectObjectData(objects) {
+        return objects.flatMap(objData => objData.type === 'CSG'
+            ? [objData, ...SceneSerializer.collectObjectData([objData.left, objData.right])]
+            : [objData]);
+    }
+
+    /**
+     * Serializes a scene: background, ambient light, material library, objects (referring to their
+     * materials by library index) and lights.
+     * @param {Scene} scene - The scene to serialize.
+     * @param {Set<number>} [omitGeometryIds] - Geometry ids of meshes the receiver already has cached.
+     * Meshes with these ids are sent without their triangle data.
+     * @returns {object} The plain-data scene.
+     */
+    static serializeScene(scene, omitGeometryIds = new Set()) {
+        const materialIndices = SceneSerializer.indexMaterials(scene.materials);
+        return {
+            backgroundColor: SceneSerializer.encodeVec3(scene.backgroundColor),
+            ambientColor: SceneSerializer.encodeVec3(scene.ambientColor),
+            environment: scene.environment ? SceneSerializer.serializeEnvironment(scene.environment) : null,
+            materials: scene.materials.map(material => SceneSerializer.serializeMaterial(material)),
+            objects: scene.objects.map(obj => SceneSerializer.serializeObject(obj, omitGeometryIds, materialIndices)),
+            lights: scene.lights.map(light => SceneSerializer.serializeLight(light))
+        };
+    }
+
+    /**
+     * @param {EnvironmentMap} environment - An environment map.
+     * @returns {{textureId: string, intensity: number, rotation: number}} Its plain-data form.
+     */
+    static serializeEnvironment(environment) {
+        return { textureId: environment.textureId, intensity: environment.intensity, rotation: environment.rotation };
+    }
+
+    /**
+     * @param {{textureId: string, intensity: number, rotation: number}} data - A plain-data environment map.
+     * @returns {EnvironmentMap} The environment map.
+     */
+    static deserializeEnvironment(data) {
+        return new EnvironmentMap(data.textureId, data.intensity, data.rotation);
+    }
+
+    /**
+     * @param {Material[]} materials - A material library (see Scene.materials).
+     * @returns {Map<Material, number>} The index of each material in the library.
+     */
+    static indexMaterials(materials) {
+        return new Map(materials.map((material, index) => [material, index]));
+    }
+
+    /**
+     * Rebuilds a scene from its plain-data form.
+     * @param {object} data - The plain-data scene, as produced by serializeScene().
+     * @param {Map<number, Mesh>} [meshCache] - Cache of previously rebuilt meshes by geometry id.
+     * Meshes are looked up here when their triangle data was omitted, and added to it when rebuilt.
+     * @returns {Scene} The rebuilt scene.
+     */
+    static deserializeScene(data, meshCache = new Map()) {
+        const scene = new Scene(SceneSerializer.decodeVec3(data.backgroundColor));
+        if (data.ambientColor) {
+            scene.ambientColor = SceneSerializer.decodeVec3(data.ambientColor);
+        }
+        if (data.environment) {
+            scene.environment = SceneSerializer.deserializeEnvironment(data.environment);
+        }
+        // Scenes saved before the material library existed hold every material in its object
+        for (const materialData of data.materials || []) {
+            scene.addMaterial(SceneSerializer.deserializeMaterial(materialData));
+        }
+        for (const objData of data.objects) {
+            const obj = SceneSerializer.deserializeObject(objData, meshCache, scene.materials);
+            if (obj) {
+                scene.addObject(obj);
+            }
+        }
+        for (const lightData of data.lights) {
+            scene.addLight(SceneSerializer.deserializeLight(lightData));
+        }
+        return scene;
+    }
+
+    /**
+     * @param {Material} material - The material to serialize.
+     * @returns {object} The plain-data material.
+     */
+    static serializeMaterial(material) {
+        return {
+            name: material.name,
+            color: SceneSerializer.encodeVec3(material.color),
+            textureId: material.textureId,
+            textureName: material.textureName,
+            specularColor: SceneSerializer.encodeVec3(material.specularColor),
+            shininess: material.shininess,
+            reflectivity: material.reflectivity,
+            transmission: material.transmission,
+            ior: material.ior,
+            absorptionColor: SceneSerializer.encodeVec3(material.absorptionColor),
+            normalTextureId: material.normalTextureId,
+            bumpTextureId: material.bumpTextureId,
+            bumpScale: material.bumpScale,
+            specularTextureId: material.specularTextureId,
+            shininessTextureId: material.shininessTextureId,
+            reflectivityTextureId: material.reflectivityTextureId
+        };
+    }
+
+    /**
+     * Applies serialized material properties to a material, e.g. to undo an edit of it.
+     * @param {Material} material - The material to update.
+     * @param {object} data - The plain-data material, as produced by serializeMaterial().
+     */
+    static applyMaterial(material, data) {
+        material.name = data.name || '';
+        material.color = SceneSerializer.decodeVec3(data.color);
+        material.textureId = data.textureId;
+        material.textureName = data.textureName;
+        material.specularColor = SceneSerializer.decodeVec3(data.specularColor);
+        material.shininess = data.shininess;
+        material.reflectivity = data.reflectivity;
+        material.transmission = data.transmission;
+        material.ior = data.ior;
+        material.absorptionColor = SceneSerializer.decodeVec3(data.absorptionColor);
+        material.normalTextureId = data.normalTextureId || null;
+        material.bumpTextureId = data.bumpTextureId !== undefined ? data.bumpTextureId : null;
+        material.bumpScale = data.bumpScale !== undefined ? data.bumpScale : 1.0;
+        material.specularTextureId = data.specularTextureId || null;
+        material.shininessTextureId = data.shininessTextureId || null;
+        material.reflectivityTextureId = data.reflectivityTextureId || null;
+    }
+
+    /**
+     * @param {object} data - The plain-data material, as produced by serializeMaterial().
+     * @returns {Material} The rebuilt material.
+     */
+    static deserializeMaterial(data) {
+        const material = new Material();
+        SceneSerializer.applyMaterial(material, data);
+        return material;
+    }
+
+    /**
+     * Serializes a reference from an object to a material: its index in the material library, or
+     * the whole material if it is not in the library.
+     * @param {Material} material - The material.
+     * @param {Map<Material, number>|null} materialIndices - The library indices (see indexMaterials), if any.
+     * @returns {number|object} The library index, or the plain-data material.
+     */
+    static serializeMaterialRef(material, materialIndices) {
+        if (materialIndices && materialIndices.has(material)) {
+            return materialIndices.get(material);
+        }
+        return SceneSerializer.serializeMaterial(material);
+    }
+
+    /**
+     * Resolves a reference written by serializeMaterialRef().
+     * @param {number|object} ref - A library index, or a plain-data material.
+     * @param {Material[]} materials - The material library the indices refer to.
+     * @returns {Material} The material.
+     */
+    static resolveMaterialRef(ref, materials) {
+        if (typeof ref !== 'number') {
+            return SceneSerializer.deserializeMaterial(ref);
+        }
+        if (!materials[ref]) {
+            console.warn(`SceneSerializer: Unknown material ${ref}, using a default material.`);
+            return new Material();
+        }
+        return materials[ref];
+    }
+
+    /**
+     * Serializes a single scene object.
+     * @param {Object} obj - The object to serialize.
+     * @param {Set<number>} [omitGeometryIds] - Geometry ids of meshes whose triangles can be left out.
+     * @param {Map<Material, number>|null} [materialIndices=null] - Library indices of materials (see
+     *   indexMaterials); the object refers to these materials by index and holds any others itself.
+     * @returns {object} The plain-data object, tagged with its type.
+     */
+    static serializeObject(obj, omitGeometryIds = new Set(), materialIndices = null) {
+        const data = {
+            type: obj.constructor.name,
+            modelName: obj.modelName,
+            visible: obj.visible,
+            material: SceneSerializer.serializeMaterialRef(obj.material, materialIndices),
+            transform: SceneSerializer.serializeTransform(obj),
+            uvOffset: [obj.uvOffset.x, obj.uvOffset.y],
+            uvRotation: obj.uvRotation
+        };
+
+        if (obj instanceof Sphere) {
+            data.center = SceneSerializer.encodeVec3(obj.center);
+            data.radius = obj.radius;
+        } else if (obj instanceof Plane) {
+            data.point = SceneSerializer.encodeVec3(obj.point);
+            data.normal = SceneSerializer.encodeVec3(obj.normal);
+            data.uvScale = obj.uvScale;
+        } else if (obj instanceof Box) {
+            data.min = SceneSerializer.encodeVec3(obj.min);
+            data.max = SceneSerializer.encodeVec3(obj.max);
+        } else if (obj instanceof Cylinder || obj instanceof Cone) {
+            data.base = SceneSerializer.encodeVec3(obj.base);
+            data.radius = obj.radius;
+            data.height = obj.height;
+        } else if (obj instanceof Disk) {
+            data.center = SceneSerializer.encodeVec3(obj.center);
+            data.normal = SceneSerializer.encodeVec3(obj.normal);
+            data.radius = obj.radius;
+        } else if (obj instanceof Quad) {
+            data.corner = SceneSerializer.encodeVec3(obj.corner);
+            data.edgeU = SceneSerializer.encodeVec3(obj.edgeU);
+            data.edgeV = SceneSerializer.encodeVec3(obj.edgeV);
+        } else if (obj instanceof Torus) {
+            data.center = SceneSerializer.encodeVec3(obj.center);
+            data.majorRadius = obj.majorRadius;
+            data.minorRadius = obj.minorRadius;
+        } else if (obj instanceof CSG) {
+            data.operation = obj.operation;
+            data.left = SceneSerializer.serializeObject(obj.left, omitGeometryIds, materialIndices);
+            data.right = SceneSerializer.serializeObject(obj.right, omitGeometryIds, materialIndices);
+        } else if (obj instanceof Mesh) {
+            data.geometryId = SceneSerializer.getGeometryId(obj);
+            // Per-face materials are always sent (they can be edited); which face uses which is part of the geometry.
+            data.materials = obj.materials.map(material => SceneSerializer.serializeMaterialRef(material, materialIndices));
+            if (!omitGeometryIds.has(data.geometryId)) {
+                data.triangles = SceneSerializer.serializeTriangles(obj.triangles, obj.materials);
+            }
+        } else {
+            console.warn(`SceneSerializer: Unsupported object type '${data.type}'.`);
+        }
+        return data;
+    }
+
+    /**
+     * Rebuilds a single scene object.
+     * @param {object} data - The plain-data object, as produced by serializeObject().
+     * @param {Map<number, Mesh>} [meshCache] - Cache of previously rebuilt meshes by geometry id.
+     * @param {Material[]} [materials=[]] - The material library the object's material indices refer to.
+     * @returns {Object|null} The rebuilt object, or null if its type is unknown.
+     */
+    static deserializeObject(data, meshCache = new Map(), materials = []) {
+        let obj;
+        switch (data.type) {
+            case 'Sphere':
+                obj = new Sphere(SceneSerializer.decodeVec3(data.center), data.radius, new Vec3());
+                break;
+            case 'Plane':
+                obj = new Plane(SceneSerializer.decodeVec3(data.point), SceneSerializer.decodeVec3(data.normal),
+                    new Vec3(), null, data.uvScale);
+                break;
+            case 'Box':
+                obj = new Box(SceneSerializer.decodeVec3(data.min), SceneSerializer.decodeVec3(data.max), new Vec3());
+                break;
+            case 'Cylinder':
+                obj = new Cylinder(SceneSerializer.decodeVec3(data.base), data.radius, data.height, new Vec3());
+                break;
+            case 'Cone':
+                obj = new Cone(SceneSerializer.decodeVec3(data.base), data.radius, data.height, new Vec3());
+                break;
+            case 'Disk':
+                obj = new Disk(SceneSerializer.decodeVec3(data.center), SceneSerializer.decodeVec3(data.normal), data.radius, new Vec3());
+                break;
+            case 'Quad':
+                obj = new Quad(SceneSerializer.decodeVec3(data.corner), SceneSerializer.decodeVec3(data.edgeU),
+                    SceneSerializer.decodeVec3(data.edgeV), new Vec3());
+                break;
+            case 'Torus':
+                obj = new Torus(SceneSerializer.decodeVec3(data.center), data.majorRadius, data.minorRadius, new Vec3());
+                break;
+            case 'CSG': {
+                const left = SceneSerializer.deserializeObject(data.left, meshCache, materials);
+                const right = SceneSerializer.deserializeObject(data.right, meshCache, materials);
+                if (!left || !right) {
+                    console.error(`SceneSerializer: Dropping CSG node '${data.modelName}' with a missing operand.`);
+                    return null;
+                }
+                obj = new CSG(data.operation, left, right, new Vec3());
+                break;
+            }
+            case 'Mesh': {
+                const faceMaterials = (data.materials || []).map(ref => SceneSerializer.resolveMaterialRef(ref, materials));
+                if (data.triangles) {
+                    obj = new Mesh(SceneSerializer.deserializeTriangles(data.triangles, faceMaterials), new Vec3(), data.modelName);
+                    meshCache.set(data.geometryId, obj);
+                } else if (meshCache.has(data.geometryId)) {
+                    // Point the cached faces to the materials of this scene
+                    obj = meshCache.get(data.geometryId);
+                    const replacements = new Map(obj.materials.map((material, i) => [material, faceMaterials[i]]));
+                    for (const triangle of obj.triangles) {
+                        if (triangle.material) {
+                            triangle.material = replacements.get(triangle.material) || null;
+                        }
+                    }
+                } else {
+                    console.error(`SceneSerializer: Missing geometry ${data.geometryId} for mesh '${data.modelName}'.`);
+                    return null;
+                }
+                obj.materials = faceMaterials;
+                break;
+            }
+            default:
+                console.warn(`SceneSerializer: Unsupported object type '${data.type}'.`);
+                return null;
+        }
+        obj.modelName = data.modelName;
+        obj.visible = data.visible !== false;
+        obj.material = SceneSerializer.resolveMaterialRef(data.material, materials);
+        if (data.uvOffset) {
+            obj.uvOffset = new Vec3(data.uvOffset[0], data.uvOffset[1], 0);
+        }
+        obj.uvRotation = data.uvRotation || 0;
+        if (data.transform) {
+            SceneSerializer.applyTransform(obj, data.transform);
+        }
+        return obj;
+    }
+
+    /**
+     * @param {Object} obj - The object.
+     * @returns {{position: number[], rotation: number[], scale: number[]}} The object's transform components.
+     */
+    static serializeTransform(obj) {
+        return {
+            position: SceneSerializer.encodeVec3(obj.position),
+            rotation: SceneSerializer.encodeVec3(obj.rotation),
+            scale: SceneSerializer.encodeVec3(obj.scale)
+        };
+    }
+
+    /**
+     * @param {Object} obj - The object to update.
+     * @param {{position: number[], rotation: number[], scale: number[]}} data - The transform, as produced by serializeTransform().
+     */
+    static applyTransform(obj, data) {
+        obj.setTransform(SceneSerializer.decodeVec3(data.position), SceneSerializer.decodeVec3(data.rotation),
+            SceneSerializer.decodeVec3(data.scale));
+    }
+
+    /**
+     * Serializes triangle geometry into flat number arrays.
+     * Normals, UVs and tangents are stored per triangle corner; triangles without them get NaN placeholders.
+     * @param {Triangle[]} triangles - The triangles to serialize.
+     * @param {Material[]} [materials=[]] - The mesh's per-face materials; each triangle's material is stored as
+     * an index into this array (-1 for none).
+     * @returns {{positions: Float32Array, normals: Float32Array|null, uvs: Float32Array|null, tangents: Float32Array|null,
+     *   materialIndices: Int32Array|null}} The flat geometry arrays.
+     */
+    static serializeTriangles(triangles, materials = []) {
+        const hasNormals = triangles.some(tri => tri.normals && tri.normals.length === 3);
+        const hasUVs = triangles.some(tri => tri.uvs && tri.uvs.length === 3);
+        const hasTangents = triangles.some(tri => tri.tangents && tri.tangents.length === 3);
+        const positions = new Float32Array(triangles.length * 9);
+        const normals = hasNormals ? new Float32Array(triangles.length * 9) : null;
+        const uvs = hasUVs ? new Float32Array(triangles.length * 6) : null;
+        const tangents = hasTangents ? new Float32Array(triangles.length * 9) : null;
+        const materialIndices = materials.length > 0 ? new Int32Array(triangles.length) : null;
+        const materialIndexOf = new Map(materials.map((material, index) => [material, index]));
+
+        triangles.forEach((tri, i) => {
+            [tri.v0, tri.v1, tri.v2].forEach((v, corner) => {
+                positions.set([v.x, v.y, v.z], i * 9 + corner * 3);
+            });
+            if (normals) {
+                const triNormals = tri.normals && tri.normals.length === 3 ? tri.normals : null;
+                for (let corner = 0; corner < 3; corner++) {
+                    const n = triNormals ? triNormals[corner] : new Vec3(NaN, NaN, NaN);
+                    normals.set([n.x, n.y, n.z], i * 9 + corner * 3);
+                }
+            }
+            if (uvs) {
+                const triUVs = tri.uvs && tri.uvs.length === 3 ? tri.uvs : null;
+                for (let corner = 0; corner < 3; corner++) {
+                    const uv = triUVs ? triUVs[corner] : new Vec3(NaN, NaN, 0);
+                    uvs.set([uv.x, uv.y], i * 6 + corner * 2);
+                }
+            }
+            if (tangents) {
+                const triTangents = tri.tangents && tri.tangents.length === 3 ? tri.tangents : null;
+                for (let corner = 0; corner < 3; corner++) {
+                    const t = triTangents ? triTangents[corner] : new Vec3(NaN, NaN, NaN);
+                    tangents.set([t.x, t.y, t.z], i * 9 + corner * 3);
+                }
+            }
+            if (materialIndices) {
+                materialIndices[i] = materialIndexOf.has(tri.material) ? materialIndexOf.get(tri.material) : -1;
+            }
+        });
+        return { positions: positions, normals: normals, uvs: uvs, tangents: tangents, materialIndices: materialIndices };
+    }
+
+    /**
+     * Rebuilds triangles from flat geometry arrays.
+     * @param {{positions: ArrayLike<number>, normals: ArrayLike<number>|null, uvs: ArrayLike<number>|null,
+     *   tangents: ArrayLike<number>|null, materialIndices: ArrayLike<number>|null}} data - The flat geometry arrays, as produced by serializeTriangles().
+     * @param {Material[]} [materials=[]] - The mesh's rebuilt per-face materials, indexed by data.materialIndices.
+     * @returns {Triangle[]} The rebuilt triangles.
+     */
+    static deserializeTriangles(data, materials = []) {
+        const triangles = [];
+        const count = data.positions.length / 9;
+        const vec = (array, offset) => new Vec3(array[offset], array[offset + 1], array[offset + 2]);
+
+        for (let i = 0; i < count; i++) {
+            let normals = null;
+            if (data.normals && !Number.isNaN(data.normals[i * 9])) {
+                normals = [vec(data.normals, i * 9), vec(data.normals, i * 9 + 3), vec(data.normals, i * 9 + 6)];
+            }
+            let uvs = null;
+            if (data.uvs && !Number.isNaN(data.uvs[i * 6])) {
+                uvs = [0, 1, 2].map(corner => new Vec3(data.uvs[i * 6 + corner * 2], data.uvs[i * 6 + corner * 2 + 1], 0));
+            }
+            let tangents = null;
+            if (data.tangents && !Number.isNaN(data.tangents[i * 9])) {
+                tangents = [vec(data.tangents, i * 9), vec(data.tangents, i * 9 + 3), vec(data.tangents, i * 9 + 6)];
+            }
+            const material = data.materialIndices && data.materialIndices[i] >= 0
+                ? materials[data.materialIndices[i]] || null
+                : null;
+            const triangle = new Triangle(
+                vec(data.positions, i * 9), vec(data.positions, i * 9 + 3), vec(data.positions, i * 9 + 6),
+                material, normals, uvs, tangents
+            );
+            triangles.push(triangle);
+        }
+        return triangles;
+    }
+
+    /**
+     * @param {Light} light - The light to serialize.
+     * @returns {object} The plain-data light.
+     */
+    static serializeLight(light) {
+        const data = {
+            type: light.constructor.name,
+            name: light.name,
+            visible: light.visible,
+            position: SceneSerializer.encodeVec3(light.position),
+            color: SceneSerializer.encodeVec3(light.color),
+            intensity: light.intensity,
+            attenuation: { ...light.attenuation }
+        };
+        if (light instanceof DirectionalLight) {
+            data.direction = SceneSerializer.encodeVec3(light.direction);
+        } else if (light instanceof SpotLight) {
+            data.direction = SceneSerializer.encodeVec3(light.direction);
+            data.innerAngle = light.innerAngle;
+            data.outerAngle = light.outerAngle;
+        } else if (light instanceof RectLight) {
+            data.normal = SceneSerializer.encodeVec3(light.normal);
+            data.width = light.width;
+            data.height = light.height;
+        } else if (light instanceof DiskLight) {
+            data.normal = SceneSerializer.encodeVec3(light.normal);
+            data.radius = light.radius;
+        } else if (light instanceof SphereLight) {
+            data.radius = light.radius;
+        }
+        if (light.samples !== undefined) {
+            data.samples = light.samples;
+        }
+        return data;
+    }
+
+    /**
+     * @param {object} data - The plain-data light, as produced by serializeLight().
+     * @returns {Light} The rebuilt light (a point light if the type is unknown).
+     */
+    static deserializeLight(data) {
+        const position = SceneSerializer.decodeVec3(data.position);
+        const color = SceneSerializer.decodeVec3(data.color);
+        let light;
+        switch (data.type) {
+            case 'DirectionalLight':
+                light = new DirectionalLight(position, SceneSerializer.decodeVec3(data.direction), color);
+                break;
+            case 'SpotLight':
+                light = new SpotLight(position, SceneSerializer.decodeVec3(data.direction), data.innerAngle, data.outerAngle, color);
+                break;
+            case 'RectLight':
+                light = new RectLight(position, SceneSerializer.decodeVec3(data.normal), data.width, data.height, color, data.samples);
+                break;
+            case 'DiskLight':
+                light = new DiskLight(position, SceneSerializer.decodeVec3(data.normal), data.radius, color, data.samples);
+                break;
+            case 'SphereLight':
+                light = new SphereLight(position, data.radius, color, data.samples);
+                break;
+            case 'Light':
+            case undefined:
+                light = new Light(position, color);
+                break;
+            default:
+                console.warn(`SceneSerializer: Unsupported light type '${data.type}', using a point light.`);
+                light = new Light(position, color);
+        }
+        SceneSerializer.applyLight(light, data);
+        return light;
+    }
+
+    /**
+     * Applies serialized light properties to a light of the same type, e.g. to restore an earlier state of it.
+     * @param {Light} light - The light to update.
+     * @param {object} data - The plain-data light, as produced by serializeLight().
+     */
+    static applyLight(light, data) {
+        light.position = SceneSerializer.decodeVec3(data.position);
+        light.color = SceneSerializer.decodeVec3(data.color);
+        // Lights saved before intensity and falloff existed keep their plain color and no falloff
+        if (data.intensity !== undefined) {
+            light.intensity = data.intensity;
+        }
+        if (data.attenuation) {
+            light.attenuation = { ...data.attenuation };
+        }
+        light.name = data.name || '';
+        light.visible = data.visible !== false;
+        if (data.direction && light.direction) {
+            light.direction = SceneSerializer.decodeVec3(data.direction).normalize();
+        }
+        if (data.normal && light.setNormal) {
+            light.setNormal(SceneSerializer.decodeVec3(data.normal));
+        }
+        for (const name of ['innerAngle', 'outerAngle', 'width', 'height', 'radius', 'samples']) {
+            if (data[name] !== undefined && light[name] !== undefined) {
+                light[name] = data[name];
+            }
+        }
+    }
+
+    /**
+     * @param {Camera} camera - The camera to serialize.
+     * @returns {object} The plain-data camera.
+     */
+    static serializeCamera(camera) {
+        return {
+            eye: SceneSerializer.encodeVec3(camera.eyePosition),
+            lookAt: SceneSerializer.encodeVec3(camera.lookAt),
+            up: SceneSerializer.encodeVec3(camera.upVector),
+            fov: camera.fov,
+            imageWidth: camera.imageWidth,
+            imageHeight: camera.imageHeight,
+            apertureRadius: camera.apertureRadius,
+            focusDistance: camera.focusDistance
+        };
+    }
+
+    /**
+     * @param {object} data - The plain-data camera, as produced by serializeCamera().
+     * @returns {Camera} The rebuilt camera, with its basis already computed.
+     */
+    static deserializeCamera(data) {
+        return new Camera(
+            SceneSerializer.decodeVec3(data.eye),
+            SceneSerializer.decodeVec3(data.lookAt),
+            SceneSerializer.decodeVec3(data.up),
+            data.fov,
+            data.imageWidth,
+            data.imageHeight,
+            data.apertureRadius,
+            data.focusDistance
+        );
+    }
+
+    /**
+     * Serializes all textures held by a texture manager.
+     * @param {TextureManager} textureManager - The texture manager.
+     * @returns {Array<object>} The textures: image textures as {id, width, height, data, wrap} (their
+     *   full-size images; the mipmaps are rebuilt on deserialization), procedural ones as
+     *   {id, procedural} (see serializeProceduralTexture).
+     */
+    static serializeTextures(textureManager) {
+        return SceneSerializer.serializeImageTextures(textureManager)
+            .concat(SceneSerializer.serializeProceduralTextures(textureManager));
+    }
+
+    /**
+     * Replaces the textures of a texture manager with serialized ones.
+     * @param {TextureManager} textureManager - The texture manager to fill.
+     * @param {Array<object>} textures - The textures (see serializeTextures).
+     */
+    static deserializeTextures(textureManager, textures) {
+        SceneSerializer.deserializeImageTextures(textureManager, textures.filter(texture => !texture.procedural));
+        SceneSerializer.deserializeProceduralTextures(textureManager, textures.filter(texture => texture.procedural));
+    }
+
+    /**
+     * Serializes the image textures of a texture manager.
+     * @param {TextureManager} textureManager - The texture manager.
+     * @returns {Array<{id: string, width: number, height: number, data: Uint8ClampedArray|Float32Array, wrap: string}>}
+     *   The textures.
+     */
+    static serializeImageTextures(textureManager) {
+        return Array.from(textureManager.textures, ([id, texture]) => ({
+            id: id,
+            width: texture.width,
+            height: texture.height,
+            data: texture.data,
+            wrap: texture.wrap
+        }));
+    }
+
+    /**
+     * Replaces the image textures of a texture manager with serialized ones, keeping its procedural textures.
+     * @param {TextureManager} textureManager - The texture manager to fill.
+     * @param {Array<object>} textures - The textures (see serializeImageTextures).
+     */
+    static deserializeImageTextures(textureManager, textures) {
+        textureManager.textures.clear();
+        for (const texture of textures) {
+            textureManager.textures.set(texture.id, TextureManager.createTexture(texture.width, texture.height, texture.data,
+                texture.wrap || 'repeat'));
+        }
+    }
+
+    /**
+     * Serializes the procedural textures of a texture manager.
+     * @param {TextureManager} textureManager - The texture manager.
+     * @returns {Array<{id: string, procedural: object}>} The textures (see serializeProceduralTexture).
+     */
+    static serializeProceduralTextures(textureManager) {
+        return Array.from(textureManager.proceduralTextures, ([id, texture]) => ({
+            id: id,
+            procedural: SceneSerializer.serializeProceduralTexture(texture)
+        }));
+    }
+
+    /**
+     * Replaces the procedural textures of a texture manager with serialized ones, keeping its image textures.
+     * @param {TextureManager} textureManager - The texture manager to fill.
+     * @param {Array<object>} textures - The textures (see serializeProceduralTextures).
+     */
+    static deserializeProceduralTextures(textureManager, textures) {
+        textureManager.proceduralTextures.clear();
+        for (const texture of textures) {
+            textureManager.proceduralTextures.set(texture.id, SceneSerializer.deserializeProceduralTexture(texture.procedural));
+        }
+    }
+
+    /**
+     * Serializes a procedural texture.
+     * @param {ProceduralTexture} texture - The texture.
+     * @returns {{type: string, params: object}} Its type and parameters, with colors as [r, g, b] arrays.
+     */
+    static serializeProceduralTexture(texture) {
+        const params = {};
+        for (const [name, value] of Object.entries(texture.params)) {
+            params[name] = value instanceof Vec3 ? SceneSerializer.encodeVec3(value) : value;
+        }
+        return { type: texture.type, params: params };
+    }
+
+    /**
+     * Rebuilds a procedural texture from its serialized form.
+     * @param {{type: string, params: object}} data - The serialized texture (see serializeProceduralTexture).
+     * @returns {ProceduralTexture} The texture.
+     */
+    static deserializeProceduralTexture(data) {
+        const params = {};
+        for (const [name, value] of Object.entries(data.params || {})) {
+            const parameter = PROCEDURAL_PARAMETERS[name];
+            params[name] = parameter && parameter.type === 'color' ? SceneSerializer.decodeVec3(value) : value;
+        }
+        return new ProceduralTexture(data.type, params);
+    }
+}
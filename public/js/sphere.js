@@ -4,28 +4,37 @@
 import { Vec3 } from './math.js';
 import { Object } from './object.js'; // Import Object only from object.js
 import { IntersectionInfo } from './scene.js'; // NEW: Import IntersectionInfo from scene.js
+import { AABB } from './bvh.js';
 
 export class Sphere extends Object {
     /**
      * @param {Vec3} center - The center point of the sphere.
      * @param {number} radius - The radius of the sphere.
-     * @param {Vec3} color - The color of the sphere.
-     * @param {string|null} [textureId=null] - Optional texture ID for this sphere. NEW
+     * @param {Material|Vec3} material - The material of the sphere, or its diffuse color (see Object).
+     * @param {string|null} [textureId=null] - Optional texture ID, if a color is given.
      */
-    constructor(center, radius, color, textureId = null) { // Modified constructor signature
-        super(color, '', textureId); // Pass textureId to base constructor
+    constructor(center, radius, material, textureId = null) { // Modified constructor signature
+        super(material, '', textureId); // Pass textureId to base constructor
         this.center = center;
         this.radius = radius;
     }
 
     /**
-     * Implements the ray-sphere intersection test.
+     * @returns {AABB} The bounding box of the sphere.
+     */
+    getLocalBounds() {
+        const extent = Vec3.fromScalar(this.radius);
+        return new AABB(this.center.subtract(extent), this.center.add(extent));
+    }
+
+    /**
+     * Implements the ray-sphere intersection test in object space.
      * Uses the quadratic formula to find intersection points.
      *
-     * @param {Ray} ray - The ray to test for intersection.
+     * @param {Ray} ray - The ray to test for intersection, in object space.
      * @returns {{hit: boolean, info: IntersectionInfo|null}} An object indicating if a hit occurred and the intersection info.
      */
-    intersect(ray) {
+    intersectLocal(ray) {
         const oc = ray.origin.subtract(this.center); // Vector from ray origin to sphere center
         const a = ray.direction.dot(ray.direction); // Should be 1 if ray.direction is normalized
         const b = 2.0 * oc.dot(ray.direction);
@@ -53,24 +62,69 @@ export class Sphere extends Object {
             if (t > 0) { // Valid intersection found
                 const intersectionPoint = ray.pointAt(t);
                 const normal = intersectionPoint.subtract(this.center).normalize(); // Normal points outwards from sphere center
-
-                // NEW: Calculate UV coordinates for spherical mapping
-                // Convert normal to spherical coordinates
-                // phi: angle around Y-axis from X-axis (longitude)
-                // theta: angle from Y-axis (latitude)
-                const phi = Math.atan2(normal.z, normal.x);
-                const theta = Math.acos(normal.y);
-
-                // Map to UV space [0, 1]
-                const u = 1 - (phi + Math.PI) / (2 * Math.PI);
-                const v = theta / Math.PI;
-
-                const uvCoords = new Vec3(u, v, 0); // z is 0 for 2D UVs
+                const uvCoords = this.computeUV(normal);
 
                 const info = new IntersectionInfo(intersectionPoint, normal, t, uvCoords); // Pass UV
+                const frame = this.computeTangentFrame(normal);
+                if (frame) {
+                    info.tangent = frame.tangent;
+                    info.bitangent = frame.bitangent;
+                }
                 return { hit: true, info: info };
             }
         }
         return { hit: false, info: null }; // No valid intersection in front of the ray
     }
+
+    /**
+     * Finds where a ray's line enters and leaves the sphere, for constructive solid geometry (see CSG).
+     * @param {Ray} ray - The ray, in object space.
+     * @returns {Crossing[]} The two crossings (at any distance along the ray's line), or an empty
+     *   array if the line misses or only touches the sphere.
+     */
+    getCrossings(ray) {
+        const oc = ray.origin.subtract(this.center);
+        const b = oc.dot(ray.direction); // The direction is normalized
+        const discriminant = b * b - (oc.dot(oc) - this.radius * this.radius);
+        if (discriminant <= 0) {
+            return [];
+        }
+        const root = Math.sqrt(discriminant);
+        return [-b - root, -b + root].map(t => {
+            const normal = ray.pointAt(t).subtract(this.center).normalize();
+            return { t: t, normal: normal, uv: this.computeUV(normal) };
+        });
+    }
+
+    /**
+     * Calculates UV coordinates for spherical mapping from the normal at a surface point:
+     * U is the longitude (angle around the Y axis), V the latitude (angle from the Y axis).
+     * @param {Vec3} normal - The outward unit normal at the surface point.
+     * @returns {Vec3} The UV coordinates (z is 0 for 2D UVs).
+     */
+    computeUV(normal) {
+        const phi = Math.atan2(normal.z, normal.x);
+        const theta = Math.acos(Math.max(-1, Math.min(1, normal.y)));
+
+        // Map to UV space [0, 1]
+        const u = 1 - (phi + Math.PI) / (2 * Math.PI);
+        const v = theta / Math.PI;
+        return new Vec3(u, v, 0);
+    }
+
+    /**
+     * Calculates the directions in which the spherical mapping's UV coordinates (see computeUV)
+     * increase at a surface point: u runs along the circles of latitude, v from the top pole down.
+     * @param {Vec3} normal - The outward unit normal at the surface point.
+     * @returns {{tangent: Vec3, bitangent: Vec3}|null} The unit directions of increasing u and v,
+     *   or null at the poles, where they are undefined.
+     */
+    computeTangentFrame(normal) {
+        const tangent = new Vec3(normal.z, 0, -normal.x);
+        if (tangent.lengthSquared() < 1e-12) {
+            return null;
+        }
+        const bitangent = new Vec3(normal.x * normal.y, normal.y * normal.y - 1, normal.z * normal.y);
+        return { tangent: tangent.normalize(), bitangent: bitangent.normalize() };
+    }
 }
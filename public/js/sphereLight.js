@@ -0,0 +1,115 @@
+// public/js/sphereLight.js
+// Defines the SphereLight class, a spherical area light (such as a light bulb) that shines in all directions.
+
+import { AreaLight } from './areaLight.js';
+import { sampleConcentricDisk } from './sampling.js';
+
+export class SphereLight extends AreaLight {
+    /**
+     * @param {Vec3} position - The center of the sphere.
+     * @param {number} radius - The radius of the sphere.
+     * @param {Vec3} color - The color of the light.
+     * @param {number} [samples=16] - Number of shadow rays per shading point (see AreaLight).
+     */
+    constructor(position, radius, color, samples = 16) {
+        super(position, color, samples);
+        this.radius = radius;
+    }
+
+    /**
+     * Picks a point on the sphere as seen from the point being lit: a point of the disk through
+     * the sphere's center facing that point, which approximates the sphere's outline from there.
+     * @param {Vec3} point - The point being lit.
+     * @param {number} u - First sample coordinate, in [0, 1).
+     * @param {number} v - Second sample coordinate, in [0, 1).
+     * @returns {Vec3} The point on the light.
+     */
+    samplePoint(point, u, v) {
+        const toPoint = point.subtract(this.position);
+        const distance = toPoint.length();
+        if (distance <= this.radius) {
+            return this.position; // Inside the light
+        }
+        const { uAxis, vAxis } = AreaLight.computeAxes(toPoint.divideScalar(distance));
+        const diskPoint = sampleConcentricDisk(u, v);
+        return this.position
+            .add(uAxis.multiplyScalar(diskPoint.x * this.radius))
+            .add(vAxis.multiplyScalar(diskPoint.y * this.radius));
+    }
+
+    /**
+     * Samples the light arriving at a point from a direction picked uniformly in the cone the
+     * sphere fills as seen from the point, which wastes no samples on its far side.
+     * @param {Vec3} point - The point being lit.
+     * @param {number} u - First sample coordinate, in [0, 1).
+     * @param {number} v - Second sample coordinate, in [0, 1).
+     * @returns {{direction: Vec3, distance: number, radiance: Vec3, pdf: number, delta: boolean}|null}
+     *   The sample (see Light.sampleIncidentLight), or null if the point is inside the light.
+     */
+    sampleIncidentLight(point, u, v) {
+        const toCenter = this.position.subtract(point);
+        const centerDistance = toCenter.length();
+        if (centerDistance <= this.radius) {
+            return null;
+        }
+        const axis = toCenter.divideScalar(centerDistance);
+        const sinMaxSquared = (this.radius * this.radius) / (centerDistance * centerDistance);
+        const cosMax = Math.sqrt(1 - sinMaxSquared);
+        const cosTheta = 1 - u * (1 - cosMax);
+        const sinTheta = Math.sqrt(Math.max(0, 1 - cosTheta * cosTheta));
+        const phi = 2 * Math.PI * v;
+        const { uAxis, vAxis } = AreaLight.computeAxes(axis);
+        const direction = axis.multiplyScalar(cosTheta)
+            .add(uAxis.multiplyScalar(sinTheta * Math.cos(phi)))
+            .add(vAxis.multiplyScalar(sinTheta * Math.sin(phi)))
+            .normalize();
+        // Nearest crossing of the sphere along the direction; the discriminant is only negative
+        // through rounding, for directions along the cone's edge
+        const b = direction.dot(toCenter);
+        const discriminant = b * b - (centerDistance * centerDistance - this.radius * this.radius);
+        const distance = b - Math.sqrt(Math.max(0, discriminant));
+        return {
+            direction: direction,
+            distance: distance,
+            radiance: this.getEmittedColor(),
+            pdf: this.getIncidentPdf(point, direction, distance),
+            delta: false
+        };
+    }
+
+    /**
+     * @param {Vec3} point - A point being lit.
+     * @param {Vec3} direction - A unit direction from the point towards the light.
+     * @param {number} distance - The distance along the direction to the light's surface.
+     * @returns {number} The density per solid angle of sampleIncidentLight() picking the
+     *   direction: uniform over the cone the sphere fills.
+     */
+    getIncidentPdf(point, direction, distance) {
+        const centerDistanceSquared = this.position.subtract(point).lengthSquared();
+        if (centerDistanceSquared <= this.radius * this.radius) {
+            return 0;
+        }
+        const sinMaxSquared = (this.radius * this.radius) / centerDistanceSquared;
+        const cosMax = Math.sqrt(1 - sinMaxSquared);
+        // 1 - cosMax, without cancellation for small or distant spheres
+        const coneSize = sinMaxSquared / (1 + cosMax);
+        return 1 / (2 * Math.PI * coneSize);
+    }
+
+    /**
+     * Intersects a ray with the sphere.
+     * @param {Ray} ray - The ray to test.
+     * @returns {number|null} The distance to the light along the ray, or null if the ray misses it.
+     */
+    intersect(ray) {
+        const oc = ray.origin.subtract(this.position);
+        const b = oc.dot(ray.direction); // The direction is normalized
+        const discriminant = b * b - (oc.dot(oc) - this.radius * this.radius);
+        if (discriminant < 0) {
+            return null;
+        }
+        const root = Math.sqrt(discriminant);
+        const t = -b - root > 1e-4 ? -b - root : -b + root;
+        return t > 1e-4 ? t : null;
+    }
+}
@@ -0,0 +1,52 @@
+// public/js/spotLight.js
+// Defines the SpotLight class, a point light that only shines into a cone. The light is at full
+// strength inside the inner cone and fades out smoothly towards the outer cone.
+
+import { Vec3 } from './math.js';
+import { Light } from './light.js';
+
+export class SpotLight extends Light {
+    /**
+     * @param {Vec3} position - The position of the light.
+     * @param {Vec3} direction - The axis of the cone (will be normalized).
+     * @param {number} innerAngle - Half-angle of the fully lit inner cone, in degrees.
+     * @param {number} outerAngle - Half-angle of the outer cone, beyond which there is no light, in degrees.
+     * @param {Vec3} color - The color of the light.
+     * @param {number} [intensity=1] - Multiplier of the color.
+     */
+    constructor(position = new Vec3(0, 0, 0), direction = new Vec3(0, -1, 0), innerAngle = 20, outerAngle = 30,
+                color = new Vec3(1.0, 1.0, 1.0), intensity = 1.0) {
+        super(position, color, intensity);
+        this.direction = direction.normalize();
+        this.innerAngle = innerAngle;
+        this.outerAngle = outerAngle;
+    }
+
+    /**
+     * Computes how strongly the light shines towards a point: 1 inside the inner cone, 0 outside
+     * the outer cone, with a smooth (smoothstep) transition in between.
+     * @param {Vec3} point - The point being lit.
+     * @returns {number} The cone factor, in [0, 1].
+     */
+    getConeFactor(point) {
+        const cosAngle = point.subtract(this.position).normalize().dot(this.direction);
+        const cosOuter = Math.cos(this.outerAngle * Math.PI / 180);
+        const cosInner = Math.cos(Math.min(this.innerAngle, this.outerAngle) * Math.PI / 180);
+        if (cosAngle <= cosOuter) {
+            return 0;
+        }
+        if (cosAngle >= cosInner) {
+            return 1;
+        }
+        const t = (cosAngle - cosOuter) / (cosInner - cosOuter);
+        return t * t * (3 - 2 * t);
+    }
+
+    /**
+     * @param {Vec3} point - The point being lit.
+     * @returns {Vec3} The light's color at the point, after falloff and the cone factor.
+     */
+    getColorAt(point) {
+        return super.getColorAt(point).multiplyScalar(this.getConeFactor(point));
+    }
+}
@@ -1,27 +1,92 @@
 // public/js/textureManager.js
-// Manages loading and providing pixel data for image textures.
+// Manages loading and providing pixel data for image textures (8-bit images, and high dynamic
+// range images from Radiance HDR files), and samples them with wrap modes, bilinear filtering and
+// mipmaps. Also holds procedural textures (see
+// ProceduralTexture), which share the ID space of image textures.
 
 import { Vec3 } from './math.js';
+import { ProceduralTexture } from './proceduralTexture.js';
+import { HDRCodec } from './hdrCodec.js';
+
+// Nominal resolution of procedural textures, for effects that look at neighboring texels (bump maps)
+const PROCEDURAL_RESOLUTION = 256;
+
+/**
+ * How a texture continues outside the 0-1 UV range: tiled, tiled with every other copy
+ * mirrored, or with its edge pixels stretched out.
+ */
+export const TEXTURE_WRAP_MODES = ['repeat', 'mirror', 'clamp'];
+
+/**
+ * @typedef {object} TextureLevel
+ * One image of a texture's mipmap chain.
+ * @property {number} width - Width in pixels.
+ * @property {number} height - Height in pixels.
+ * @property {Uint8ClampedArray|Float32Array} data - RGBA pixel data, row by row from the top-left corner
+ *   (see Texture.data).
+ */
+
+/**
+ * @typedef {object} Texture
+ * @property {number} width - Width of the full-size image in pixels.
+ * @property {number} height - Height of the full-size image in pixels.
+ * @property {Uint8ClampedArray|Float32Array} data - RGBA pixel data of the full-size image: 8-bit values
+ *   (from canvas.getImageData()), or linear floating-point values (1 = full intensity) for HDR images.
+ * @property {string} wrap - The wrap mode (one of TEXTURE_WRAP_MODES).
+ * @property {TextureLevel[]} levels - The mipmap chain, from the full-size image down to one pixel.
+ */
 
 export class TextureManager {
     constructor() {
         /**
          * Stores loaded textures.
          * Key: textureId (e.g., file name or a unique ID)
-         * Value: { width: number, height: number, data: Uint8ClampedArray }
-         * The 'data' is the raw pixel data (RGBA) from canvas.getImageData().
-         * @type {Map<string, {width: number, height: number, data: Uint8ClampedArray}>}
+         * Value: the texture (see createTexture)
+         * @type {Map<string, Texture>}
          */
         this.textures = new Map();
+
+        /**
+         * Stores procedural textures, by texture ID.
+         * @type {Map<string, ProceduralTexture>}
+         */
+        this.proceduralTextures = new Map();
+
+        /**
+         * Incremented whenever the set of image textures changes, so copies held elsewhere
+         * (e.g. by render workers) know when they are stale.
+         * @type {number}
+         */
+        this.version = 0;
+
+        /**
+         * Incremented whenever the set of procedural textures changes. Kept apart from version, as
+         * procedural textures change with every step of a parameter slider, and their copies can be
+         * updated without sending the (large) image textures again.
+         * @type {number}
+         */
+        this.proceduralVersion = 0;
+
+        /**
+         * IDs of missing textures that were already reported, so each is only warned about once.
+         * @type {Set<string>}
+         */
+        this.reportedMissingTextures = new Set();
     }
 
     /**
-     * Loads an image file and stores its pixel data.
+     * Loads an image file and stores its pixel data. Radiance HDR (.hdr) files are decoded with
+     * HDRCodec; other formats by the browser.
      * @param {File} imageFile - The File object representing the image.
      * @returns {Promise<string>} A promise that resolves with the texture ID (file name) on success,
      * or rejects with an error.
      */
     async loadImage(imageFile) {
+        if (/\.hdr$/i.test(imageFile.name)) {
+            const image = HDRCodec.decode(new Uint8Array(await imageFile.arrayBuffer()));
+            this.addTexture(imageFile.name, image.width, image.height, image.data);
+            return imageFile.name;
+        }
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = (e) => {
@@ -42,12 +107,7 @@ export class TextureManager {
                     const imageData = tempCtx.getImageData(0, 0, img.width, img.height);
                     const textureId = imageFile.name;
 
-                    this.textures.set(textureId, {
-                        width: img.width,
-                        height: img.height,
-                        data: imageData.data // Uint8ClampedArray (RGBA)
-                    });
-                    console.log(`Texture loaded: ${textureId} (${img.width}x${img.height})`);
+                    this.addTexture(textureId, img.width, img.height, imageData.data);
                     resolve(textureId);
                 };
                 img.onerror = (error) => {
@@ -62,41 +122,289 @@ export class TextureManager {
         });
     }
 
+    /**
+     * Stores decoded pixel data as a texture, replacing any texture with the same ID.
+     * This is the DOM-independent way to add textures (loadImage decodes through an Image and a canvas).
+     * @param {string} textureId - The ID to store the texture under.
+     * @param {number} width - Width of the texture in pixels.
+     * @param {number} height - Height of the texture in pixels.
+     * @param {Uint8ClampedArray|Float32Array} data - RGBA pixel data, row by row from the top-left corner (see Texture.data).
+     * @param {string} [wrap='repeat'] - How the texture continues outside the 0-1 UV range (one of TEXTURE_WRAP_MODES).
+     */
+    addTexture(textureId, width, height, data, wrap = 'repeat') {
+        if (this.proceduralTextures.delete(textureId)) {
+            this.proceduralVersion++;
+        }
+        this.textures.set(textureId, TextureManager.createTexture(width, height, data, wrap));
+        this.version++;
+        console.log(`Texture loaded: ${textureId} (${width}x${height})`);
+    }
+
+    /**
+     * Builds the stored form of a texture: its pixel data, wrap mode and mipmap chain.
+     * @param {number} width - Width of the texture in pixels.
+     * @param {number} height - Height of the texture in pixels.
+     * @param {Uint8ClampedArray|Float32Array} data - RGBA pixel data, row by row from the top-left corner (see Texture.data).
+     * @param {string} [wrap='repeat'] - The wrap mode (one of TEXTURE_WRAP_MODES).
+     * @returns {Texture} The texture.
+     */
+    static createTexture(width, height, data, wrap = 'repeat') {
+        if (!TEXTURE_WRAP_MODES.includes(wrap)) {
+            console.warn(`TextureManager: Unknown wrap mode '${wrap}', using 'repeat'.`);
+            wrap = 'repeat';
+        }
+        return { width: width, height: height, data: data, wrap: wrap, levels: TextureManager.createMipmaps(width, height, data) };
+    }
+
+    /**
+     * Builds the mipmap chain of an image: the image itself, then versions of half the size
+     * (rounded down) in each direction, down to a single pixel. Each pixel of a smaller level is
+     * the average of the pixels of the previous level it covers, which also handles odd sizes.
+     * @param {number} width - Width of the image in pixels.
+     * @param {number} height - Height of the image in pixels.
+     * @param {Uint8ClampedArray|Float32Array} data - RGBA pixel data of the image.
+     * @returns {TextureLevel[]} The levels, largest first, with pixel data of the same type as the image's.
+     */
+    static createMipmaps(width, height, data) {
+        const levels = [{ width: width, height: height, data: data }];
+        let level = levels[0];
+        while (level.width > 1 || level.height > 1) {
+            const w = Math.max(1, Math.floor(level.width / 2));
+            const h = Math.max(1, Math.floor(level.height / 2));
+            const out = new data.constructor(w * h * 4);
+            for (let y = 0; y < h; y++) {
+                const y0 = Math.floor(y * level.height / h);
+                const y1 = Math.floor((y + 1) * level.height / h);
+                for (let x = 0; x < w; x++) {
+                    const x0 = Math.floor(x * level.width / w);
+                    const x1 = Math.floor((x + 1) * level.width / w);
+                    const sum = [0, 0, 0, 0];
+                    for (let sy = y0; sy < y1; sy++) {
+                        for (let sx = x0; sx < x1; sx++) {
+                            const index = (sy * level.width + sx) * 4;
+                            for (let c = 0; c < 4; c++) {
+                                sum[c] += level.data[index + c];
+                            }
+                        }
+                    }
+                    const count = (x1 - x0) * (y1 - y0);
+                    for (let c = 0; c < 4; c++) {
+                        out[(y * w + x) * 4 + c] = sum[c] / count;
+                    }
+                }
+            }
+            level = { width: w, height: h, data: out };
+            levels.push(level);
+        }
+        return levels;
+    }
+
     /**
      * Retrieves a loaded texture by its ID.
      * @param {string} textureId - The ID (e.g., file name) of the texture.
-     * @returns {{width: number, height: number, data: Uint8ClampedArray}|undefined} The texture data, or undefined if not found.
+     * @returns {Texture|undefined} The texture data, or undefined if not found.
      */
     getTexture(textureId) {
         return this.textures.get(textureId);
     }
 
     /**
-     * Samples a color from a texture at given UV coordinates.
-     * UV coordinates are typically normalized [0, 1].
+     * Stores a procedural texture, replacing any texture with the same ID. Also called after
+     * changing a procedural texture's parameters, so copies held elsewhere get updated.
+     * @param {string} textureId - The ID to store the texture under.
+     * @param {ProceduralTexture} texture - The texture.
+     */
+    addProceduralTexture(textureId, texture) {
+        if (this.textures.delete(textureId)) {
+            this.version++;
+        }
+        this.proceduralTextures.set(textureId, texture);
+        this.proceduralVersion++;
+    }
+
+    /**
+     * Retrieves a procedural texture by its ID.
+     * @param {string} textureId - The ID of the texture.
+     * @returns {ProceduralTexture|undefined} The texture, or undefined if there is no procedural texture with this ID.
+     */
+    getProceduralTexture(textureId) {
+        return this.proceduralTextures.get(textureId);
+    }
+
+    /**
+     * @param {string} textureId - The ID of a texture.
+     * @returns {boolean} True if an image or procedural texture with this ID is available for sampling.
+     */
+    hasTexture(textureId) {
+        return this.textures.has(textureId) || this.proceduralTextures.has(textureId);
+    }
+
+    /**
+     * @param {string} textureId - The ID of a texture.
+     * @returns {boolean} True if the texture is a procedural texture evaluated at object-space positions
+     *   (see ProceduralTexture.isSolid), which needs no texture coordinates.
+     */
+    isSolidTexture(textureId) {
+        const texture = this.proceduralTextures.get(textureId);
+        return texture ? texture.isSolid() : false;
+    }
+
+    /**
+     * Creates a texture ID no texture has yet, e.g. 'Marble 2'.
+     * @param {string} prefix - The start of the ID.
+     * @returns {string} The ID.
+     */
+    createTextureId(prefix) {
+        let number = 1;
+        while (this.hasTexture(`${prefix} ${number}`)) {
+            number++;
+        }
+        return `${prefix} ${number}`;
+    }
+
+    /**
+     * The distance between neighboring texels of a texture in UV units, along u and v.
+     * Procedural textures have no texels; they are treated as having a fixed resolution.
+     * @param {string} textureId - The ID of an available texture.
+     * @returns {{u: number, v: number}} The texel spacing.
+     */
+    getTexelSize(textureId) {
+        const texture = this.getTexture(textureId);
+        if (!texture) {
+            return { u: 1 / PROCEDURAL_RESOLUTION, v: 1 / PROCEDURAL_RESOLUTION };
+        }
+        return { u: 1 / texture.width, v: 1 / texture.height };
+    }
+
+    /**
+     * @param {string} textureId - The ID of a texture.
+     * @returns {string|null} The texture's wrap mode, or null if it is not loaded (or procedural,
+     *   as procedural textures continue indefinitely).
+     */
+    getWrapMode(textureId) {
+        const texture = this.getTexture(textureId);
+        return texture ? texture.wrap : null;
+    }
+
+    /**
+     * Sets how a texture continues outside the 0-1 UV range.
+     * @param {string} textureId - The ID of a loaded texture.
+     * @param {string} wrap - One of TEXTURE_WRAP_MODES.
+     * @returns {boolean} False if the texture is not loaded or the mode is unknown.
+     */
+    setWrapMode(textureId, wrap) {
+        const texture = this.getTexture(textureId);
+        if (!texture || !TEXTURE_WRAP_MODES.includes(wrap)) {
+            console.warn(`TextureManager: Cannot set wrap mode '${wrap}' of texture '${textureId}'.`);
+            return false;
+        }
+        if (texture.wrap !== wrap) {
+            texture.wrap = wrap;
+            this.version++;
+        }
+        return true;
+    }
+
+    /**
+     * Samples a color from a texture at given UV coordinates, with bilinear filtering. Coordinates
+     * outside [0, 1] are handled by the texture's wrap mode. A footprint selects the mipmap levels
+     * to blend between (trilinear filtering), so that a texture seen from afar does not alias.
      * @param {string} textureId - The ID of the texture to sample from.
      * @param {Vec3} uv - The 2D UV coordinates (x, y) where z is ignored.
-     * @returns {Vec3} The sampled color (RGB, 0-1 range). Returns black if texture not found.
+     * @param {number} [footprint=0] - The size, in UV units, of the area the sample stands for
+     *   (e.g. one pixel's worth of the surface; see Raytracer.getTextureFootprint). 0 samples the full-size image.
+     * @param {Vec3|null} [point=null] - The object-space position of the sample, which solid
+     *   procedural textures are evaluated at (image textures ignore it).
+     * @returns {Vec3} The sampled color (RGB, 0-1 range, or beyond for HDR images). Returns black if texture not found.
      */
-    sampleTexture(textureId, uv) {
+    sampleTexture(textureId, uv, footprint = 0, point = null) {
+        const procedural = this.proceduralTextures.get(textureId);
+        if (procedural) {
+            return procedural.evaluate(uv, point, footprint);
+        }
         const texture = this.getTexture(textureId);
         if (!texture) {
-            console.warn(`Attempted to sample non-existent texture: ${textureId}`);
+            this.reportMissingTexture(textureId);
             return new Vec3(0, 0, 0); // Return black if texture not found
         }
 
-        // Map UV coordinates (0-1) to pixel coordinates
-        // Clamp to ensure coordinates are within bounds
-        const x = Math.min(Math.max(0, Math.floor(uv.x * texture.width)), texture.width - 1);
-        const y = Math.min(Math.max(0, Math.floor((1 - uv.y) * texture.height)), texture.height - 1); // (1 - uv.y) to flip Y for image data (top-left origin)
+        // Level of detail: the level whose pixels are about as large as the footprint
+        const maxLevel = texture.levels.length - 1;
+        const lod = footprint > 0
+            ? Math.min(Math.max(0, Math.log2(footprint * Math.max(texture.width, texture.height))), maxLevel)
+            : 0;
+        const level = Math.floor(lod);
+        const blend = lod - level;
+        const color = TextureManager.sampleBilinear(texture.levels[level], texture.wrap, uv.x, uv.y);
+        if (blend > 0 && level < maxLevel) {
+            const coarser = TextureManager.sampleBilinear(texture.levels[level + 1], texture.wrap, uv.x, uv.y);
+            return color.multiplyScalar(1 - blend).add(coarser.multiplyScalar(blend));
+        }
+        return color;
+    }
+
+    /**
+     * Warns that a texture is used but not loaded, once per texture.
+     * @param {string} textureId - The ID of the missing texture.
+     */
+    reportMissingTexture(textureId) {
+        if (!this.reportedMissingTextures.has(textureId)) {
+            this.reportedMissingTextures.add(textureId);
+            console.warn(`Attempted to sample non-existent texture: ${textureId}`);
+        }
+    }
 
-        const index = (y * texture.width + x) * 4; // Each pixel has 4 components (RGBA)
+    /**
+     * Interpolates between the four pixels of an image level nearest to a UV position.
+     * @param {TextureLevel} level - The image level.
+     * @param {string} wrap - The wrap mode (one of TEXTURE_WRAP_MODES).
+     * @param {number} u - The horizontal texture coordinate (0 = left edge, 1 = right edge).
+     * @param {number} v - The vertical texture coordinate (0 = bottom edge, 1 = top edge).
+     * @returns {Vec3} The interpolated color (RGB, 0-1 range, or beyond for HDR images).
+     */
+    static sampleBilinear(level, wrap, u, v) {
+        // Pixel centers lie at half-integer positions; (1 - v) flips Y for image data (top-left origin)
+        const x = u * level.width - 0.5;
+        const y = (1 - v) * level.height - 0.5;
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const fx = x - x0;
+        const fy = y - y0;
+        const columns = [wrapIndex(x0, level.width, wrap), wrapIndex(x0 + 1, level.width, wrap)];
+        const rows = [wrapIndex(y0, level.height, wrap), wrapIndex(y0 + 1, level.height, wrap)];
+        const weights = [(1 - fx) * (1 - fy), fx * (1 - fy), (1 - fx) * fy, fx * fy];
 
-        const r = texture.data[index + 0] / 255.0;
-        const g = texture.data[index + 1] / 255.0;
-        const b = texture.data[index + 2] / 255.0;
-        // Alpha (texture.data[index + 3]) is ignored for now
+        // 8-bit values are scaled to the 0-1 range; HDR values are used as they are
+        const range = level.data instanceof Float32Array ? 1 : 255;
+        let r = 0, g = 0, b = 0;
+        for (let i = 0; i < 4; i++) {
+            const index = (rows[i >> 1] * level.width + columns[i & 1]) * 4; // Each pixel has 4 components (RGBA)
+            r += level.data[index + 0] * weights[i];
+            g += level.data[index + 1] * weights[i];
+            b += level.data[index + 2] * weights[i];
+            // Alpha (level.data[index + 3]) is ignored for now
+        }
+        return new Vec3(r / range, g / range, b / range);
+    }
+}
 
-        return new Vec3(r, g, b);
+/**
+ * Maps a pixel index that may lie outside an image onto the image, according to a wrap mode.
+ * @param {number} index - The pixel index along one axis.
+ * @param {number} size - The size of the image along that axis.
+ * @param {string} wrap - The wrap mode (one of TEXTURE_WRAP_MODES).
+ * @returns {number} The index within [0, size - 1].
+ */
+function wrapIndex(index, size, wrap) {
+    switch (wrap) {
+        case 'clamp':
+            return Math.min(Math.max(index, 0), size - 1);
+        case 'mirror': {
+            // Every other copy of the image is flipped, so the edges meet seamlessly
+            const period = ((index % (2 * size)) + 2 * size) % (2 * size);
+            return period < size ? period : 2 * size - 1 - period;
+        }
+        default:
+            return ((index % size) + size) % size;
     }
 }
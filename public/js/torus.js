@@ -0,0 +1,90 @@
+// public/js/torus.js
+// Defines the Torus class, a ring-shaped surface around the Y axis of object space.
+// Ray intersections are the roots of a quartic polynomial.
+
+import { Vec3 } from './math.js';
+import { Object } from './object.js';
+import { IntersectionInfo } from './scene.js';
+import { AABB } from './bvh.js';
+import { solveQuadratic, solveQuartic } from './polynomial.js';
+
+export class Torus extends Object {
+    /**
+     * @param {Vec3} center - The center of the torus.
+     * @param {number} majorRadius - Distance from the center to the middle of the tube.
+     * @param {number} minorRadius - Radius of the tube.
+     * @param {Material|Vec3} material - The material of the torus, or its diffuse color (see Object).
+     * @param {string|null} [textureId=null] - Optional texture ID, if a color is given.
+     */
+    constructor(center, majorRadius, minorRadius, material, textureId = null) {
+        super(material, '', textureId);
+        this.center = center;
+        this.majorRadius = majorRadius;
+        this.minorRadius = minorRadius;
+    }
+
+    /**
+     * @returns {AABB} The bounding box of the torus.
+     */
+    getLocalBounds() {
+        const outer = this.majorRadius + this.minorRadius;
+        const extent = new Vec3(outer, this.minorRadius, outer);
+        return new AABB(this.center.subtract(extent), this.center.add(extent));
+    }
+
+    /**
+     * Finds where a ray crosses the torus.
+     * U runs around the Y axis, V around the tube (starting on its outer equator, going up).
+     * @param {Ray} ray - The ray, in object space.
+     * @returns {Crossing[]} The crossings (at any distance along the ray's line) sorted by distance.
+     */
+    getCrossings(ray) {
+        const R = this.majorRadius, r = this.minorRadius;
+        const d = ray.direction;
+
+        // Only solve near the torus: the quartic's coefficients grow with the distance to the
+        // ray origin, and with them the rounding error of its roots. Start on the bounding sphere.
+        let origin = ray.origin.subtract(this.center);
+        const bounds = solveQuadratic(1, 2 * origin.dot(d), origin.dot(origin) - (R + r) * (R + r));
+        if (bounds.length < 2) {
+            return [];
+        }
+        const tStart = bounds[0];
+        origin = origin.add(d.multiplyScalar(tStart));
+
+        // (|p|^2 + R^2 - r^2)^2 = 4 R^2 (p.x^2 + p.z^2) with p = origin + t * d and |d| = 1
+        const f = origin.dot(d);
+        const e = origin.dot(origin) + R * R - r * r;
+        const fourR2 = 4 * R * R;
+        const roots = solveQuartic(
+            1,
+            4 * f,
+            4 * f * f + 2 * e - fourR2 * (d.x * d.x + d.z * d.z),
+            4 * f * e - 2 * fourR2 * (origin.x * d.x + origin.z * d.z),
+            e * e - fourR2 * (origin.x * origin.x + origin.z * origin.z)
+        );
+
+        return roots.map(root => {
+            const p = origin.add(d.multiplyScalar(root));
+            // Gradient of the implicit surface
+            const k = p.dot(p) + R * R - r * r;
+            const normal = new Vec3(p.x * (k - 2 * R * R), p.y * k, p.z * (k - 2 * R * R)).normalize();
+            const u = 0.5 - Math.atan2(p.z, p.x) / (2 * Math.PI);
+            const v = (Math.atan2(p.y, Math.hypot(p.x, p.z) - R) / (2 * Math.PI) + 1) % 1;
+            return { t: root + tStart, normal: normal, uv: new Vec3(u, v, 0) };
+        });
+    }
+
+    /**
+     * Implements the ray-torus intersection test in object space.
+     * @param {Ray} ray - The ray to test for intersection, in object space.
+     * @returns {{hit: boolean, info: IntersectionInfo|null}} An object indicating if a hit occurred and the intersection info.
+     */
+    intersectLocal(ray) {
+        const crossing = Object.nearestCrossing(this.getCrossings(ray));
+        if (!crossing) {
+            return { hit: false, info: null };
+        }
+        return { hit: true, info: new IntersectionInfo(ray.pointAt(crossing.t), crossing.normal, crossing.t, crossing.uv) };
+    }
+}
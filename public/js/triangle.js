@@ -5,36 +5,84 @@
 import { Vec3 } from './math.js';
 import { Object } from './object.js'; // Import Object only from object.js
 import { IntersectionInfo } from './scene.js'; // CORRECTED: Import IntersectionInfo from scene.js
+import { AABB } from './bvh.js';
 
 export class Triangle extends Object {
     /**
      * @param {Vec3} v0 - First vertex position.
      * @param {Vec3} v1 - Second vertex position.
      * @param {Vec3} v2 - Third vertex position.
-     * @param {Vec3} color - The color of the triangle.
+     * @param {Material|null} [material=null] - The material of this face within its mesh (e.g. from an MTL
+     *   library); null uses the mesh's material. Triangles are only rendered as parts of a mesh.
      * @param {Vec3[]} [normals=null] - Optional array of 3 vertex normals (for smooth shading).
      * @param {Vec3[]} [uvs=null] - Optional array of 3 texture coordinates (for texture mapping).
-     * @param {string|null} [textureId=null] - Optional texture ID for this triangle.
+     * @param {Vec3[]} [tangents=null] - Optional array of 3 vertex tangents, the directions in which u
+     *   increases (e.g. averaged over the faces sharing each vertex, see OBJLoader); interpolated like the normals.
      */
-    constructor(v0, v1, v2, color, normals = null, uvs = null, textureId = null) {
-        super(color, '', textureId); // Pass textureId to base constructor
+    constructor(v0, v1, v2, material = null, normals = null, uvs = null, tangents = null) {
+        super(material);
         this.v0 = v0;
         this.v1 = v1;
         this.v2 = v2;
         this.normals = normals; // Store vertex normals if provided
         this.uvs = uvs;         // Store vertex UVs if provided
+        this.tangents = tangents;
 
         // Pre-calculate face normal for flat shading (or if vertex normals are not provided)
         this.faceNormal = (this.v1.subtract(this.v0)).cross(this.v2.subtract(this.v0)).normalize();
+
+        // Directions in which u and v increase across the face, or null without (usable) UVs
+        const frame = Triangle.computeTangentFrame(v0, v1, v2, uvs);
+        this.faceTangent = frame ? frame.tangent : null;
+        this.faceBitangent = frame ? frame.bitangent : null;
     }
 
     /**
-     * Implements the ray-triangle intersection test using the Möller–Trumbore algorithm.
+     * Computes the directions in which the texture coordinates increase across a triangle, from how
+     * they change along its edges.
+     * @param {Vec3} v0 - First vertex position.
+     * @param {Vec3} v1 - Second vertex position.
+     * @param {Vec3} v2 - Third vertex position.
+     * @param {Vec3[]|null} uvs - The texture coordinates of the vertices.
+     * @returns {{tangent: Vec3, bitangent: Vec3}|null} The unit directions of increasing u and v, or
+     *   null if there are no UVs or they do not span an area.
+     */
+    static computeTangentFrame(v0, v1, v2, uvs) {
+        if (!uvs || uvs.length !== 3) {
+            return null;
+        }
+        const edge1 = v1.subtract(v0);
+        const edge2 = v2.subtract(v0);
+        const du1 = uvs[1].x - uvs[0].x;
+        const dv1 = uvs[1].y - uvs[0].y;
+        const du2 = uvs[2].x - uvs[0].x;
+        const dv2 = uvs[2].y - uvs[0].y;
+        const det = du1 * dv2 - du2 * dv1;
+        if (Math.abs(det) < 1e-12) {
+            return null;
+        }
+        const tangent = edge1.multiplyScalar(dv2).subtract(edge2.multiplyScalar(dv1)).divideScalar(det);
+        const bitangent = edge2.multiplyScalar(du1).subtract(edge1.multiplyScalar(du2)).divideScalar(det);
+        if (tangent.lengthSquared() < 1e-24 || bitangent.lengthSquared() < 1e-24) {
+            return null;
+        }
+        return { tangent: tangent.normalize(), bitangent: bitangent.normalize() };
+    }
+
+    /**
+     * @returns {AABB} The bounding box of the triangle's three vertices.
+     */
+    getLocalBounds() {
+        return AABB.fromPoints([this.v0, this.v1, this.v2]);
+    }
+
+    /**
+     * Implements the ray-triangle intersection test in object space using the Möller–Trumbore algorithm.
      *
-     * @param {Ray} ray - The ray to test for intersection.
+     * @param {Ray} ray - The ray to test for intersection, in object space.
      * @returns {{hit: boolean, info: IntersectionInfo|null}} An object indicating if a hit occurred and the intersection info.
      */
-    intersect(ray) {
+    intersectLocal(ray) {
         const edge1 = this.v1.subtract(this.v0);
         const edge2 = this.v2.subtract(this.v0);
 
@@ -86,6 +134,16 @@ export class Triangle extends Object {
             }
 
             const info = new IntersectionInfo(intersectionPoint, finalNormal, t, finalUV); // Pass UV
+            if (this.faceTangent) {
+                const w = 1 - u - v;
+                info.tangent = this.tangents && this.tangents.length === 3
+                    ? this.tangents[0].multiplyScalar(w)
+                        .add(this.tangents[1].multiplyScalar(u))
+                        .add(this.tangents[2].multiplyScalar(v))
+                        .normalize()
+                    : this.faceTangent;
+                info.bitangent = this.faceBitangent;
+            }
             return { hit: true, info: info };
         }
 
@@ -2,6 +2,9 @@
 // Manages the user interface interactions and updates the display.
 
 import { Vec3 } from './math.js';
+import { LIGHT_FALLOFF_PRESETS } from './light.js';
+import { TEXTURE_MAP_SLOTS } from './material.js';
+import { PROCEDURAL_PARAMETERS } from './proceduralTexture.js';
 
 export class UIManager {
     /**
@@ -9,12 +12,18 @@ export class UIManager {
      * @param {object} cameraValueDisplays - Object containing references to camera value display elements.
      * @param {object} selectedObjectControls - Object containing references to selected object control input elements.
      * @param {object} fileInputControls - Object containing references to file input related elements.
+     * @param {object} [renderControls={}] - Object containing references to render setting elements.
+     * @param {object} [lightControls={}] - Object containing references to the Lights panel elements.
      */
-    constructor(cameraControls, cameraValueDisplays, selectedObjectControls, fileInputControls) {
+    constructor(cameraControls, cameraValueDisplays, selectedObjectControls, fileInputControls, renderControls = {}, lightControls = {},
+                outlinerControls = {}) {
         this.cameraControls = cameraControls;
         this.cameraValueDisplays = cameraValueDisplays;
         this.selectedObjectControls = selectedObjectControls;
         this.fileInputControls = fileInputControls;
+        this.renderControls = renderControls;
+        this.lightControls = lightControls;
+        this.outlinerControls = outlinerControls;
 
         // Ensure initial state of selected object controls is hidden
         this.selectedObjectControls.selectedObjectInfo.style.display = 'none';
@@ -23,6 +32,9 @@ export class UIManager {
         if (this.selectedObjectControls.specularGroup) {
             this.selectedObjectControls.specularGroup.style.display = 'none';
         }
+        if (this.selectedObjectControls.transparencyGroup) {
+            this.selectedObjectControls.transparencyGroup.style.display = 'none';
+        }
     }
 
     /**
@@ -51,6 +63,63 @@ export class UIManager {
         if (this.cameraValueDisplays.orbitRadiusValue) this.cameraValueDisplays.orbitRadiusValue.textContent = orbitRadius.toFixed(1);
     }
 
+    /**
+     * Updates the render setting controls and their value displays.
+     * @param {object} settings - Current render settings.
+     * @param {string} settings.integrator - The ray tracer's integrator ('whitted' or 'path').
+     * @param {number} settings.maxDepth - Maximum bounce depth of the ray tracer.
+     * @param {boolean} settings.progressiveEnabled - Whether progressive refinement is enabled.
+     * @param {number} settings.maxSamples - Number of samples per pixel accumulated by progressive refinement.
+     * @param {number} settings.samplesPerPixel - Anti-aliasing samples per pixel and pass.
+     * @param {string} settings.samplePattern - Anti-aliasing sample pattern ('grid', 'jittered' or 'halton').
+     * @param {string} settings.filter - Reconstruction filter ('box', 'tent' or 'gaussian').
+     */
+    updateRenderSettings(settings) {
+        const controls = this.renderControls;
+        if (controls.integrator) controls.integrator.value = settings.integrator;
+        if (controls.maxDepth) controls.maxDepth.value = settings.maxDepth.toFixed(0);
+        if (controls.maxDepthValue) controls.maxDepthValue.textContent = settings.maxDepth.toFixed(0);
+        if (controls.progressiveEnabled) controls.progressiveEnabled.checked = settings.progressiveEnabled;
+        if (controls.maxSamples) controls.maxSamples.value = settings.maxSamples.toFixed(0);
+        if (controls.maxSamplesValue) controls.maxSamplesValue.textContent = settings.maxSamples.toFixed(0);
+        if (controls.samplesPerPixel) controls.samplesPerPixel.value = String(settings.samplesPerPixel);
+        if (controls.samplePattern) controls.samplePattern.value = settings.samplePattern;
+        if (controls.reconstructionFilter) controls.reconstructionFilter.value = settings.filter;
+    }
+
+    /**
+     * Updates the render progress indicator.
+     * @param {number} fraction - Progress of the current render in [0, 1].
+     * @param {string} label - Status text shown next to the progress bar.
+     */
+    updateRenderProgress(fraction, label) {
+        if (this.renderControls.renderProgress) this.renderControls.renderProgress.value = fraction;
+        if (this.renderControls.renderProgressValue) this.renderControls.renderProgressValue.textContent = label;
+    }
+
+    /**
+     * Updates the depth of field sliders and their value displays.
+     * @param {number} apertureRadius - Current lens aperture radius.
+     * @param {number} focusDistance - Current focus distance.
+     */
+    updateLensValues(apertureRadius, focusDistance) {
+        if (this.cameraControls.aperture) this.cameraControls.aperture.value = apertureRadius.toFixed(2);
+        if (this.cameraControls.focusDistance) this.cameraControls.focusDistance.value = focusDistance.toFixed(1);
+        if (this.cameraValueDisplays.apertureValue) this.cameraValueDisplays.apertureValue.textContent = apertureRadius.toFixed(2);
+        if (this.cameraValueDisplays.focusDistanceValue) this.cameraValueDisplays.focusDistanceValue.textContent = focusDistance.toFixed(1);
+    }
+
+    /**
+     * Shows whether "click to focus" mode is waiting for a click on the canvas.
+     * @param {boolean} active - True while the next left click sets the focus distance.
+     */
+    setClickToFocusActive(active) {
+        if (this.cameraControls.clickToFocus) {
+            this.cameraControls.clickToFocus.classList.toggle('active', active);
+            this.cameraControls.clickToFocus.textContent = active ? 'Click the canvas...' : 'Click to Focus';
+        }
+    }
+
     /**
      * Updates only the displayed eye position.
      * @param {Vec3} eyePos - Current camera eye position.
@@ -71,6 +140,9 @@ export class UIManager {
         if (this.selectedObjectControls.specularGroup) { // NEW: Show specular group
             this.selectedObjectControls.specularGroup.style.display = 'block';
         }
+        if (this.selectedObjectControls.transparencyGroup) {
+            this.selectedObjectControls.transparencyGroup.style.display = 'block';
+        }
 
         // Update object type/name display
         const objectTypeElement = document.getElementById('objectType');
@@ -82,24 +154,349 @@ export class UIManager {
             }
         }
 
+        // The material controls show (and edit) the object's material
+        const material = obj.material;
+
         // Update diffuse color picker
-        this.selectedObjectControls.objectColor.value = obj.color.toHexString();
+        this.selectedObjectControls.objectColor.value = material.color.toHexString();
 
         // NEW: Update specular color picker, shininess, and reflectivity
         if (this.selectedObjectControls.specularColor) {
-            this.selectedObjectControls.specularColor.value = obj.specularColor.toHexString();
+            this.selectedObjectControls.specularColor.value = material.specularColor.toHexString();
         }
         if (this.selectedObjectControls.shininess) {
-            this.selectedObjectControls.shininess.value = obj.shininess.toFixed(0);
-            this.selectedObjectControls.shininessValue.textContent = obj.shininess.toFixed(0);
+            this.selectedObjectControls.shininess.value = material.shininess.toFixed(0);
+            this.selectedObjectControls.shininessValue.textContent = material.shininess.toFixed(0);
         }
         if (this.selectedObjectControls.reflectivity) {
-            this.selectedObjectControls.reflectivity.value = obj.reflectivity.toFixed(2);
-            this.selectedObjectControls.reflectivityValue.textContent = obj.reflectivity.toFixed(2);
+            this.selectedObjectControls.reflectivity.value = material.reflectivity.toFixed(2);
+            this.selectedObjectControls.reflectivityValue.textContent = material.reflectivity.toFixed(2);
         }
 
-        // Update texture file name display based on selected object's textureId
-        this.fileInputControls.textureFileName.textContent = obj.textureName || 'No texture applied';
+        // Update transmission, index of refraction and absorption color
+        if (this.selectedObjectControls.transmission) {
+            this.selectedObjectControls.transmission.value = material.transmission.toFixed(2);
+            this.selectedObjectControls.transmissionValue.textContent = material.transmission.toFixed(2);
+        }
+        if (this.selectedObjectControls.ior) {
+            this.selectedObjectControls.ior.value = material.ior.toFixed(2);
+            this.selectedObjectControls.iorValue.textContent = material.ior.toFixed(2);
+        }
+        if (this.selectedObjectControls.absorptionColor) {
+            this.selectedObjectControls.absorptionColor.value = material.absorptionColor.clamp().toHexString();
+        }
+
+        this.updateTransformValues(obj);
+        this.updateUVValues(obj);
+
+        // A CSG node shows its operation; for other objects the selector keeps the operation to combine with
+        if (this.selectedObjectControls.csgOperation && obj.operation) {
+            this.selectedObjectControls.csgOperation.value = obj.operation;
+        }
+
+        this.updateTextureSlot(material);
+    }
+
+    /**
+     * Lists the scene's material library in the material picker, with the selected object's
+     * material selected, and shows that material's name and how many objects share it.
+     * @param {Material[]} materials - The scene's material library.
+     * @param {Material|null} current - The selected object's material, if an object is selected.
+     * @param {number} userCount - The number of objects using the current material.
+     */
+    updateMaterialLibrary(materials, current, userCount) {
+        const controls = this.selectedObjectControls;
+        if (controls.materialSelect) {
+            const select = controls.materialSelect;
+            select.innerHTML = '';
+            materials.forEach((material, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = material.name;
+                option.selected = material === current;
+                select.appendChild(option);
+            });
+        }
+        if (controls.materialName && document.activeElement !== controls.materialName) {
+            controls.materialName.value = current ? current.name : '';
+        }
+        if (controls.materialUsers) {
+            controls.materialUsers.textContent = userCount === 1 ? 'Used by 1 object' : `Used by ${userCount} objects`;
+        }
+    }
+
+    /**
+     * Updates the transform fields (position, rotation, scale) from an object.
+     * @param {Object} obj - The selected object.
+     */
+    updateTransformValues(obj) {
+        const controls = this.selectedObjectControls;
+        for (const axis of ['x', 'y', 'z']) {
+            const suffix = axis.toUpperCase();
+            if (controls[`position${suffix}`]) controls[`position${suffix}`].value = Number(obj.position[axis].toFixed(3));
+            if (controls[`rotation${suffix}`]) controls[`rotation${suffix}`].value = Number(obj.rotation[axis].toFixed(2));
+            if (controls[`scale${suffix}`]) controls[`scale${suffix}`].value = Number(obj.scale[axis].toFixed(3));
+        }
+    }
+
+    /**
+     * Updates the texture placement fields (UV offset and rotation) from an object.
+     * @param {Object} obj - The selected object.
+     */
+    updateUVValues(obj) {
+        const controls = this.selectedObjectControls;
+        if (controls.uvOffsetU) controls.uvOffsetU.value = Number(obj.uvOffset.x.toFixed(3));
+        if (controls.uvOffsetV) controls.uvOffsetV.value = Number(obj.uvOffset.y.toFixed(3));
+        if (controls.uvRotation) controls.uvRotation.value = Number(obj.uvRotation.toFixed(2));
+    }
+
+    /**
+     * Reads the texture placement fields.
+     * @returns {{offset: Vec3, rotation: number}|null} The entered placement, or null if a field does not hold a number.
+     */
+    readUVValues() {
+        const controls = this.selectedObjectControls;
+        const values = ['uvOffsetU', 'uvOffsetV', 'uvRotation'].map(name => parseFloat(controls[name].value));
+        return values.every(Number.isFinite) ? { offset: new Vec3(values[0], values[1], 0), rotation: values[2] } : null;
+    }
+
+    /**
+     * Reads the transform fields.
+     * @returns {{position: Vec3, rotation: Vec3, scale: Vec3}|null} The entered transform,
+     * or null if a field does not hold a number.
+     */
+    readTransformValues() {
+        const controls = this.selectedObjectControls;
+        const read = (name) => {
+            const values = ['X', 'Y', 'Z'].map(suffix => parseFloat(controls[`${name}${suffix}`].value));
+            return values.every(Number.isFinite) ? new Vec3(values[0], values[1], values[2]) : null;
+        };
+        const position = read('position');
+        const rotation = read('rotation');
+        const scale = read('scale');
+        return position && rotation && scale ? { position: position, rotation: rotation, scale: scale } : null;
+    }
+
+    /**
+     * Updates the gizmo mode selector and snapping fields.
+     * @param {string} mode - The gizmo mode ('translate', 'rotate' or 'scale').
+     * @param {{enabled: boolean, translate: number, rotate: number, scale: number}} snapping - The snapping options.
+     */
+    updateGizmoControls(mode, snapping) {
+        const controls = this.selectedObjectControls;
+        if (controls.gizmoMode) controls.gizmoMode.value = mode;
+        if (controls.snapEnabled) controls.snapEnabled.checked = snapping.enabled;
+        if (controls.snapTranslate) controls.snapTranslate.value = snapping.translate;
+        if (controls.snapRotate) controls.snapRotate.value = snapping.rotate;
+        if (controls.snapScale) controls.snapScale.value = snapping.scale;
+    }
+
+    /**
+     * Shows whether combine mode is waiting for a click on the object to combine the selection with.
+     * @param {boolean} active - True while the next left click picks the second CSG operand.
+     */
+    setCombineActive(active) {
+        if (this.selectedObjectControls.combineButton) {
+            this.selectedObjectControls.combineButton.classList.toggle('active', active);
+            this.selectedObjectControls.combineButton.textContent = active ? 'Click an object...' : 'Combine with...';
+        }
+    }
+
+    /**
+     * Fills the Lights panel's list with the scene's lights.
+     * @param {Light[]} lights - The scene's lights.
+     * @param {Light|null} selectedLight - The light to show as selected, if any.
+     */
+    updateLightList(lights, selectedLight) {
+        const list = this.lightControls.lightList;
+        if (!list) return;
+        list.innerHTML = '';
+        lights.forEach((light, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            const p = light.position;
+            option.textContent = `${index + 1}. ${UIManager.getItemName(light)} (${p.x.toFixed(1)}, ${p.y.toFixed(1)}, ${p.z.toFixed(1)})`;
+            option.selected = light === selectedLight;
+            list.appendChild(option);
+        });
+    }
+
+    /**
+     * Lists every object and light of the scene in the outliner, and shows the name and
+     * visibility of the selected one.
+     * @param {Object[]} objects - The scene's objects.
+     * @param {Light[]} lights - The scene's lights.
+     * @param {Object|Light|null} selected - The selected object or light, if any.
+     */
+    updateOutliner(objects, lights, selected) {
+        const controls = this.outlinerControls;
+        if (controls.outlinerList) {
+            const list = controls.outlinerList;
+            list.innerHTML = '';
+            // Option values are '<kind>:<index>', the index into scene.objects or scene.lights
+            for (const [label, kind, items] of [['Objects', 'object', objects], ['Lights', 'light', lights]]) {
+                const group = document.createElement('optgroup');
+                group.label = label;
+                items.forEach((item, index) => {
+                    const option = document.createElement('option');
+                    option.value = `${kind}:${index}`;
+                    option.textContent = UIManager.getItemName(item) + (item.visible ? '' : ' (hidden)');
+                    option.selected = item === selected;
+                    group.appendChild(option);
+                });
+                list.appendChild(group);
+            }
+        }
+        if (controls.outlinerName && document.activeElement !== controls.outlinerName) {
+            controls.outlinerName.value = !selected ? '' : (selected.modelName !== undefined ? selected.modelName : selected.name);
+        }
+        for (const name of ['outlinerName', 'duplicateButton', 'deleteButton', 'visibilityButton']) {
+            if (controls[name]) controls[name].disabled = !selected;
+        }
+        if (controls.visibilityButton) {
+            controls.visibilityButton.textContent = selected && !selected.visible ? 'Show' : 'Hide';
+        }
+    }
+
+    /**
+     * Enables the Undo and Redo buttons when there is something to undo or redo, and names the
+     * edit they would act on in their tooltips.
+     * @param {EditCommand|null} undoCommand - The edit Undo would undo, if any.
+     * @param {EditCommand|null} redoCommand - The edit Redo would redo, if any.
+     */
+    updateHistoryButtons(undoCommand, redoCommand) {
+        const { undoButton, redoButton } = this.outlinerControls;
+        if (undoButton) {
+            undoButton.disabled = !undoCommand;
+            undoButton.title = undoCommand ? `Undo ${undoCommand.label} (Ctrl+Z)` : 'Nothing to undo';
+        }
+        if (redoButton) {
+            redoButton.disabled = !redoCommand;
+            redoButton.title = redoCommand ? `Redo ${redoCommand.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        }
+    }
+
+    /**
+     * @param {Object|Light} item - An object or a light.
+     * @returns {string} The item's name, or the name of its type if it has none.
+     */
+    static getItemName(item) {
+        if (item.modelName !== undefined) {
+            return item.modelName || item.constructor.name;
+        }
+        return item.name || UIManager.getLightTypeName(item);
+    }
+
+    /**
+     * @param {Light} light - A light.
+     * @returns {string} The name of the light's type, as shown in the Lights panel.
+     */
+    static getLightTypeName(light) {
+        const names = {
+            Light: 'Point', DirectionalLight: 'Directional', SpotLight: 'Spot',
+            RectLight: 'Rectangle', DiskLight: 'Disk', SphereLight: 'Sphere'
+        };
+        return names[light.constructor.name] || light.constructor.name;
+    }
+
+    /**
+     * Shows a light's properties in the Lights panel, with only the fields its type uses,
+     * or hides the properties if no light is selected.
+     * @param {Light|null} light - The selected light.
+     */
+    displayLight(light) {
+        const controls = this.lightControls;
+        if (controls.lightProperties) {
+            controls.lightProperties.style.display = light ? 'block' : 'none';
+        }
+        if (controls.removeLightButton) {
+            controls.removeLightButton.disabled = !light;
+        }
+        if (!light) {
+            return;
+        }
+
+        const show = (group, visible) => {
+            if (group) group.style.display = visible ? '' : 'none';
+        };
+        const aim = light.direction || light.normal; // Spot and directional lights point, area lights face
+        show(controls.directionGroup, !!aim);
+        show(controls.spotGroup, light.innerAngle !== undefined);
+        show(controls.falloffGroup, light.direction === undefined || light.innerAngle !== undefined); // Not for directional lights
+        show(controls.sizeGroup, light.width !== undefined || light.radius !== undefined);
+        show(controls.height, light.height !== undefined);
+        show(controls.samplesGroup, light.samples !== undefined);
+        if (controls.directionLabel) {
+            controls.directionLabel.textContent = light.normal ? 'Facing:' : 'Direction:';
+        }
+        if (controls.sizeLabel) {
+            controls.sizeLabel.textContent = light.radius !== undefined ? 'Radius:' : 'Size:';
+        }
+
+        for (const axis of ['x', 'y', 'z']) {
+            const suffix = axis.toUpperCase();
+            if (controls[`position${suffix}`]) controls[`position${suffix}`].value = Number(light.position[axis].toFixed(3));
+            if (aim && controls[`direction${suffix}`]) controls[`direction${suffix}`].value = Number(aim[axis].toFixed(3));
+        }
+        if (controls.color) controls.color.value = light.color.clamp().toHexString();
+        if (controls.intensity) controls.intensity.value = light.intensity;
+        if (controls.falloff) {
+            const { constant, linear, quadratic } = light.attenuation;
+            const preset = Object.keys(LIGHT_FALLOFF_PRESETS).find(name => {
+                const coefficients = LIGHT_FALLOFF_PRESETS[name];
+                return coefficients.constant === constant && coefficients.linear === linear && coefficients.quadratic === quadratic;
+            });
+            controls.falloff.value = preset || 'custom';
+        }
+        if (light.innerAngle !== undefined) {
+            if (controls.innerAngle) controls.innerAngle.value = light.innerAngle;
+            if (controls.outerAngle) controls.outerAngle.value = light.outerAngle;
+        }
+        if (controls.width) controls.width.value = light.radius !== undefined ? light.radius : (light.width || 1);
+        if (controls.height && light.height !== undefined) controls.height.value = light.height;
+        if (controls.samples && light.samples !== undefined) controls.samples.value = light.samples;
+    }
+
+    /**
+     * Reads an x/y/z field triple of the Lights panel.
+     * @param {string} name - The fields' name prefix ('position' or 'direction').
+     * @returns {Vec3|null} The entered vector, or null if a field does not hold a number.
+     */
+    readLightVector(name) {
+        const values = ['X', 'Y', 'Z'].map(suffix => parseFloat(this.lightControls[`${name}${suffix}`].value));
+        return values.every(Number.isFinite) ? new Vec3(values[0], values[1], values[2]) : null;
+    }
+
+    /**
+     * Shows the scene's environment map: its image's name, intensity and rotation. The controls
+     * other than the file input are disabled while there is none.
+     * @param {EnvironmentMap|null} environment - The environment map, if the scene has one.
+     */
+    updateEnvironment(environment) {
+        const controls = this.lightControls;
+        if (controls.environmentName) {
+            controls.environmentName.textContent = environment ? environment.textureId : 'No environment map';
+        }
+        for (const name of ['removeEnvironmentButton', 'environmentIntensity', 'environmentRotation']) {
+            if (controls[name]) controls[name].disabled = !environment;
+        }
+        if (environment) {
+            if (controls.environmentIntensity) controls.environmentIntensity.value = environment.intensity;
+            if (controls.environmentRotation) controls.environmentRotation.value = environment.rotation;
+        }
+        if (controls.environmentRotationValue) {
+            controls.environmentRotationValue.textContent = (environment ? environment.rotation : 0).toFixed(0);
+        }
+    }
+
+    /**
+     * Updates the ambient light color picker.
+     * @param {Vec3} color - The scene's ambient color.
+     */
+    updateAmbientColor(color) {
+        if (this.lightControls.ambientColor) {
+            this.lightControls.ambientColor.value = color.clamp().toHexString();
+        }
     }
 
     /**
@@ -111,6 +508,9 @@ export class UIManager {
         if (this.selectedObjectControls.specularGroup) { // NEW: Hide specular group
             this.selectedObjectControls.specularGroup.style.display = 'none';
         }
+        if (this.selectedObjectControls.transparencyGroup) {
+            this.selectedObjectControls.transparencyGroup.style.display = 'none';
+        }
 
         const objectTypeElement = document.getElementById('objectType');
         if (objectTypeElement) {
@@ -127,6 +527,16 @@ export class UIManager {
         this.fileInputControls.modelFileName.textContent = fileName;
     }
 
+    /**
+     * Updates the displayed scene file name (or scene file status).
+     * @param {string} fileName - The name of the saved or loaded scene file.
+     */
+    updateSceneFileName(fileName) {
+        if (this.fileInputControls.sceneFileName) {
+            this.fileInputControls.sceneFileName.textContent = fileName;
+        }
+    }
+
     /**
      * Updates the displayed texture file name.
      * @param {string} fileName - The name of the loaded texture file.
@@ -134,4 +544,116 @@ export class UIManager {
     updateTextureFileName(fileName) {
         this.fileInputControls.textureFileName.textContent = fileName;
     }
+
+    /**
+     * @returns {string} The material property holding the texture of the selected texture map slot
+     *   (see TEXTURE_MAP_SLOTS), e.g. 'textureId' for the diffuse map.
+     */
+    getTextureSlotProperty() {
+        const select = this.fileInputControls.textureSlot;
+        return TEXTURE_MAP_SLOTS[select ? select.value : 'diffuse'] || TEXTURE_MAP_SLOTS.diffuse;
+    }
+
+    /**
+     * Shows which texture a material has in the selected texture map slot, and its bump strength.
+     * @param {Material} material - The selected object's material.
+     */
+    updateTextureSlot(material) {
+        const controls = this.fileInputControls;
+        const property = this.getTextureSlotProperty();
+        const textureId = material[property];
+        // The diffuse map keeps the name of the file it was loaded from
+        const name = property === TEXTURE_MAP_SLOTS.diffuse ? material.textureName : textureId;
+        controls.textureFileName.textContent = textureId ? name : 'No texture applied';
+        if (controls.bumpScale) {
+            controls.bumpScale.value = material.bumpScale;
+        }
+    }
+
+    /**
+     * Shows the parameters of the procedural texture in the selected texture map slot, one control
+     * per parameter (see PROCEDURAL_PARAMETERS), each tagged with the parameter's name in data-param.
+     * @param {ProceduralTexture|null} texture - The texture, or null to hide the parameters.
+     */
+    updateProceduralParameters(texture) {
+        const container = this.fileInputControls.proceduralParams;
+        if (!container) return;
+        container.innerHTML = '';
+        container.style.display = texture ? '' : 'none';
+        if (!texture) return;
+        if (this.fileInputControls.proceduralType) {
+            this.fileInputControls.proceduralType.value = texture.type;
+        }
+
+        for (const [name, value] of Object.entries(texture.params)) {
+            const parameter = PROCEDURAL_PARAMETERS[name];
+            if (!parameter) continue;
+            const item = document.createElement('div');
+            item.className = 'control-item';
+            const label = document.createElement('label');
+            label.textContent = `${parameter.label}:`;
+            let input;
+            if (parameter.type === 'choice') {
+                input = document.createElement('select');
+                for (const choice of parameter.choices) {
+                    const option = document.createElement('option');
+                    option.value = choice;
+                    option.textContent = choice;
+                    input.appendChild(option);
+                }
+                input.value = value;
+            } else if (parameter.type === 'color') {
+                input = document.createElement('input');
+                input.type = 'color';
+                input.value = value.toHexString();
+            } else {
+                input = document.createElement('input');
+                input.type = 'number';
+                input.min = parameter.min;
+                input.max = parameter.max;
+                input.step = parameter.step;
+                input.value = value;
+            }
+            input.dataset.param = name;
+            item.appendChild(label);
+            item.appendChild(input);
+            container.appendChild(item);
+        }
+    }
+
+    /**
+     * Reads a procedural texture parameter control (see updateProceduralParameters).
+     * @param {HTMLElement} input - The control.
+     * @returns {{name: string, value: *}|null} The parameter's name and value, or null if the control
+     *   is not a parameter control or holds no valid value.
+     */
+    readProceduralParameter(input) {
+        const name = input.dataset ? input.dataset.param : undefined;
+        const parameter = name ? PROCEDURAL_PARAMETERS[name] : undefined;
+        if (!parameter) return null;
+        if (parameter.type === 'color') {
+            return { name: name, value: Vec3.fromHexString(input.value) };
+        }
+        if (parameter.type === 'choice') {
+            return parameter.choices.includes(input.value) ? { name: name, value: input.value } : null;
+        }
+        const value = parseFloat(input.value);
+        if (!Number.isFinite(value)) return null;
+        const whole = parameter.step === 1 ? Math.round(value) : value;
+        return { name: name, value: Math.min(Math.max(whole, parameter.min), parameter.max) };
+    }
+
+    /**
+     * Shows the wrap mode of the selected object's texture.
+     * @param {string|null} wrap - The wrap mode, or null to disable the selector (no texture loaded).
+     */
+    updateTextureWrap(wrap) {
+        const select = this.fileInputControls.textureWrap;
+        if (select) {
+            select.disabled = !wrap;
+            if (wrap) {
+                select.value = wrap;
+            }
+        }
+    }
 }
@@ -0,0 +1,212 @@
+// public/js/workerPool.js
+// Manages a pool of render Web Workers (see renderWorker.js).
+// Workers first receive a copy of the scene (setScene), then render passes over it (render):
+// a pass splits the image into tiles which are handed out to idle workers one at a time, and
+// finished tiles are streamed back through a callback. Starting a new pass or scene cancels the previous pass.
+
+import { SceneSerializer } from './sceneSerializer.js';
+
+const DEFAULT_TILE_SIZE = 32;
+
+export class RenderWorkerPool {
+    /**
+     * @param {URL|string} workerUrl - URL of the worker module script.
+     * @param {number} [workerCount] - Number of workers to spawn. Defaults to one less than the
+     * number of logical CPU cores (keeping one for the UI thread), between 1 and 8.
+     * @param {number} [tileSize=32] - Width and height of a tile in pixels.
+     */
+    constructor(workerUrl, workerCount = Math.max(1, Math.min(8, (navigator.hardwareConcurrency || 4) - 1)), tileSize = DEFAULT_TILE_SIZE) {
+        this.tileSize = tileSize;
+        this.workers = [];
+        /** @type {Set<Worker>} */
+        this.idleWorkers = new Set();
+
+        // State of the pass currently being rendered
+        this.jobId = 0;
+        this.pendingTiles = [];
+        this.tilesRemaining = 0;
+        this.onTile = null;
+        this.onComplete = null;
+        this.pass = null;
+
+        /**
+         * Geometry ids of meshes every worker already has cached (see SceneSerializer.serializeScene).
+         * @type {Set<number>}
+         */
+        this.knownGeometryIds = new Set();
+        /** Version of the image textures last sent to the workers (see TextureManager.version). */
+        this.textureVersion = -1;
+        /** Version of the procedural textures last sent to the workers (see TextureManager.proceduralVersion). */
+        this.proceduralTextureVersion = -1;
+
+        /**
+         * Called when a worker fails (e.g. module workers are not supported by the browser).
+         * @type {function(ErrorEvent): void|null}
+         */
+        this.onError = null;
+
+        for (let i = 0; i < workerCount; i++) {
+            const worker = new Worker(workerUrl, { type: 'module' });
+            worker.onmessage = (event) => this.handleMessage(worker, event.data);
+            worker.onerror = (event) => {
+                console.error('Render worker error:', event.message);
+                if (this.onError) {
+                    this.onError(event);
+                }
+            };
+            this.workers.push(worker);
+            this.idleWorkers.add(worker);
+        }
+    }
+
+    /**
+     * Sends a new scene to every worker, cancelling any pass still in progress.
+     * Subsequent passes (see render()) are rendered from this scene.
+     * @param {object} sceneJob - The scene description posted to every worker.
+     * @param {object} sceneJob.scene - Serialized scene (SceneSerializer.serializeScene).
+     * @param {object} sceneJob.camera - Serialized camera (SceneSerializer.serializeCamera).
+     * @param {Array|null} sceneJob.textures - Serialized image textures (SceneSerializer.serializeImageTextures),
+     *   or null if the workers' copy is up to date.
+     * @param {number} sceneJob.textureVersion - Version of the image textures the job was built with.
+     * @param {Array|null} sceneJob.proceduralTextures - Serialized procedural textures
+     *   (SceneSerializer.serializeProceduralTextures), or null if the workers' copy is up to date.
+     * @param {number} sceneJob.proceduralTextureVersion - Version of the procedural textures the job was built with.
+     * @param {object} sceneJob.settings - Raytracer settings (Raytracer.getSettings).
+     */
+    setScene(sceneJob) {
+        this.cancel();
+
+        // Messages are processed in order, so a worker that is still busy with a stale tile
+        // will pick up the new scene before its next tile.
+        for (const worker of this.workers) {
+            worker.postMessage({ type: 'scene', ...sceneJob });
+        }
+        for (const objData of SceneSerializer.collectObjectData(sceneJob.scene.objects)) {
+            if (objData.geometryId !== undefined && objData.triangles) {
+                this.knownGeometryIds.add(objData.geometryId);
+            }
+        }
+        if (sceneJob.textures) {
+            this.textureVersion = sceneJob.textureVersion;
+        }
+        if (sceneJob.proceduralTextures) {
+            this.proceduralTextureVersion = sceneJob.proceduralTextureVersion;
+        }
+    }
+
+    /**
+     * Starts rendering a pass over the whole image, cancelling any pass still in progress.
+     * @param {object} pass - The pass description, forwarded to Raytracer.renderTile with every tile.
+     * @param {number} pass.width - Image width in pixels.
+     * @param {number} pass.height - Image height in pixels.
+     * @param {function({x: number, y: number, width: number, height: number}, Float32Array): void} onTile
+     *   Called with each finished tile and its samples (see Raytracer.renderTile).
+     * @param {function(): void} [onComplete] - Called once every tile of the pass has been delivered.
+     * @returns {number} The id of the new pass.
+     */
+    render(pass, onTile, onComplete = null) {
+        this.cancel();
+        const jobId = this.jobId;
+
+        this.pass = pass;
+        this.pendingTiles = this.createTiles(pass.width, pass.height);
+        this.tilesRemaining = this.pendingTiles.length;
+        this.onTile = onTile;
+        this.onComplete = onComplete;
+
+        for (const worker of Array.from(this.idleWorkers)) {
+            this.dispatchNextTile(worker);
+        }
+        return jobId;
+    }
+
+    /**
+     * Cancels the current pass. Tiles not yet handed out are dropped, and results of tiles
+     * still being rendered are discarded when they arrive.
+     */
+    cancel() {
+        this.jobId++;
+        this.pendingTiles = [];
+        this.tilesRemaining = 0;
+        this.onTile = null;
+        this.onComplete = null;
+    }
+
+    /**
+     * Splits the image into tiles, ordered from the center outwards so the
+     * area of interest appears first.
+     * @param {number} width - Image width in pixels.
+     * @param {number} height - Image height in pixels.
+     * @returns {Array<{x: number, y: number, width: number, height: number}>} The tiles.
+     */
+    createTiles(width, height) {
+        const tiles = [];
+        for (let y = 0; y < height; y += this.tileSize) {
+            for (let x = 0; x < width; x += this.tileSize) {
+                tiles.push({
+                    x: x,
+                    y: y,
+                    width: Math.min(this.tileSize, width - x),
+                    height: Math.min(this.tileSize, height - y)
+                });
+            }
+        }
+        const distanceToCenter = (tile) => Math.hypot(tile.x + tile.width / 2 - width / 2, tile.y + tile.height / 2 - height / 2);
+        return tiles.sort((a, b) => distanceToCenter(a) - distanceToCenter(b));
+    }
+
+    /**
+     * Hands the next pending tile of the current pass to a worker, or marks it idle if there is none.
+     * @param {Worker} worker - The worker that is ready for work.
+     */
+    dispatchNextTile(worker) {
+        const tile = this.pendingTiles.shift();
+        if (!tile) {
+            this.idleWorkers.add(worker);
+            return;
+        }
+        this.idleWorkers.delete(worker);
+        worker.postMessage({ type: 'tile', jobId: this.jobId, tile: tile, pass: this.pass });
+    }
+
+    /**
+     * Handles a message from a worker.
+     * @param {Worker} worker - The worker that sent the message.
+     * @param {object} message - The message data.
+     */
+    handleMessage(worker, message) {
+        if (message.type !== 'tile') {
+            return;
+        }
+
+        // Results of cancelled passes are ignored; the worker is simply put back to work.
+        if (message.jobId === this.jobId && this.onTile) {
+            if (!message.samples) {
+                // The worker could not render the tile: hand it out again.
+                this.pendingTiles.unshift(message.tile);
+                this.dispatchNextTile(worker);
+                return;
+            }
+            this.onTile(message.tile, message.samples);
+            this.tilesRemaining--;
+            if (this.tilesRemaining === 0 && this.onComplete) {
+                const onComplete = this.onComplete;
+                this.onComplete = null;
+                onComplete();
+            }
+        }
+        this.dispatchNextTile(worker);
+    }
+
+    /**
+     * Stops all workers. The pool cannot be used afterwards.
+     */
+    terminate() {
+        this.cancel();
+        for (const worker of this.workers) {
+            worker.terminate();
+        }
+        this.workers = [];
+        this.idleWorkers.clear();
+    }
+}